@@ -0,0 +1,18 @@
+module.exports = {
+  root: true,
+  extends: 'eslint:recommended',
+  env: {
+    node: true,
+    es2022: true,
+  },
+  rules: {
+    // Express tells error handlers apart by their four arguments
+    'no-unused-vars': ['error', { argsIgnorePattern: '^next$' }],
+  },
+  overrides: [
+    {
+      files: ['**/*.test.js'],
+      env: { jest: true },
+    },
+  ],
+};
@@ -0,0 +1,81 @@
+// Database migration runner
+//
+// A fresh database is created from database/schemas/full-schema.sql, which
+// always reflects the latest schema, and every migration is marked applied.
+// Existing databases get any pending files from database/migrations applied
+// in filename order.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { sequelize } = require('../src/config/database');
+
+const DATABASE_DIR = path.join(__dirname, '..', '..', 'database');
+const SCHEMA_FILE = path.join(DATABASE_DIR, 'schemas', 'full-schema.sql');
+const MIGRATIONS_DIR = path.join(DATABASE_DIR, 'migrations');
+
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter((file) => file.endsWith('.sql'))
+  .sort();
+
+const tableExists = async (name, transaction) => {
+  const [rows] = await sequelize.query(
+    'SELECT to_regclass(:name) AS oid',
+    { replacements: { name }, transaction }
+  );
+  return rows[0].oid !== null;
+};
+
+const migrate = async () => {
+  const migrations = listMigrations();
+
+  await sequelize.transaction(async (transaction) => {
+    const fresh = !(await tableExists('orders', transaction));
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `, { transaction });
+
+    if (fresh) {
+      console.log('📦 Creating schema from full-schema.sql');
+      await sequelize.query(fs.readFileSync(SCHEMA_FILE, 'utf8'), { transaction });
+    }
+
+    const [applied] = await sequelize.query(
+      'SELECT name FROM schema_migrations',
+      { transaction }
+    );
+    const appliedNames = new Set(applied.map((row) => row.name));
+
+    for (const name of migrations) {
+      if (appliedNames.has(name)) continue;
+
+      if (!fresh) {
+        console.log(`➡️  Applying ${name}`);
+        await sequelize.query(
+          fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8'),
+          { transaction }
+        );
+      }
+      await sequelize.query(
+        'INSERT INTO schema_migrations (name) VALUES (:name)',
+        { replacements: { name }, transaction }
+      );
+    }
+  });
+
+  console.log('✅ Database is up to date.');
+};
+
+migrate()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+// Minimal stand-in for the WooCommerce REST API, for exercising order
+// reconciliation locally. Point WOOCOMMERCE_URL at http://localhost:8089.
+//
+//   GET  /wp-json/wc/v3/orders   paged list, honours modified_after/page/per_page
+//   PUT  /__orders/:id           create or replace an order (bumps date_modified)
+//   GET  /__orders               every stored order, unpaged
+//
+// Seed orders can be loaded from a JSON file: node scripts/mock-woocommerce.js orders.json
+const fs = require('fs');
+const express = require('express');
+
+const PORT = process.env.MOCK_WOOCOMMERCE_PORT || 8089;
+
+const nowGmt = () => new Date().toISOString().slice(0, 19);
+
+const orders = new Map();
+const seedFile = process.argv[2];
+if (seedFile) {
+  JSON.parse(fs.readFileSync(seedFile, 'utf8')).forEach((order) => {
+    orders.set(order.id, { date_modified_gmt: nowGmt(), ...order });
+  });
+}
+
+const app = express();
+app.use(express.json());
+
+app.get('/wp-json/wc/v3/orders', (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const perPage = parseInt(req.query.per_page, 10) || 10;
+  const modifiedAfter = req.query.modified_after ? new Date(req.query.modified_after) : null;
+
+  const matching = [...orders.values()]
+    .filter((o) => !modifiedAfter || new Date(`${o.date_modified_gmt}Z`) > modifiedAfter)
+    .sort((a, b) => a.id - b.id);
+
+  res.set('X-WP-Total', String(matching.length));
+  res.set('X-WP-TotalPages', String(Math.max(1, Math.ceil(matching.length / perPage))));
+  res.json(matching.slice((page - 1) * perPage, page * perPage));
+});
+
+app.put('/__orders/:id', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const order = {
+    date_created_gmt: nowGmt(),
+    ...req.body,
+    id,
+    date_modified_gmt: nowGmt(),
+  };
+  orders.set(id, order);
+  res.json(order);
+});
+
+app.get('/__orders', (req, res) => {
+  res.json([...orders.values()]);
+});
+
+app.listen(PORT, () => {
+  console.log(`🛒 Mock WooCommerce listening on http://localhost:${PORT} (${orders.size} orders)`);
+});
@@ -1,23 +1,7 @@
 const { Sequelize } = require('sequelize');
 
-// Parse database URL or use individual config
-const getDatabaseConfig = () => {
-  if (process.env.DATABASE_URL) {
-    return process.env.DATABASE_URL;
-  }
-  
-  return {
-    database: process.env.DB_NAME || 'buildroom_db',
-    username: process.env.DB_USER || 'buildroom_user',
-    password: process.env.DB_PASSWORD || 'changeme',
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    dialect: 'postgres'
-  };
-};
-
-// Initialize Sequelize
-const sequelize = new Sequelize(getDatabaseConfig(), {
+const options = {
+  dialect: 'postgres',
   logging: process.env.NODE_ENV === 'development' ? console.log : false,
   pool: {
     max: 5,
@@ -25,6 +9,27 @@ const sequelize = new Sequelize(getDatabaseConfig(), {
     acquire: 30000,
     idle: 10000
   }
-});
+};
+
+// Use the database URL when present, otherwise individual config
+const createSequelize = () => {
+  if (process.env.DATABASE_URL) {
+    return new Sequelize(process.env.DATABASE_URL, options);
+  }
+
+  return new Sequelize(
+    process.env.DB_NAME || 'buildroom_db',
+    process.env.DB_USER || 'buildroom_user',
+    process.env.DB_PASSWORD || 'changeme',
+    {
+      ...options,
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 5432,
+    }
+  );
+};
+
+// Initialize Sequelize
+const sequelize = createSequelize();
 
-module.exports = { sequelize };
\ No newline at end of file
+module.exports = { sequelize };
@@ -0,0 +1,29 @@
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Buildroom Workflow <buildroom@localhost>';
+
+let transport;
+
+// Shared SMTP transport, or null when SMTP_HOST isn't set and email is off.
+// A local catcher such as MailHog needs only SMTP_HOST and SMTP_PORT.
+const getMailTransport = () => {
+  const {
+    SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD,
+  } = process.env;
+  if (!SMTP_HOST) {
+    return null;
+  }
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT) || 587,
+      secure: SMTP_SECURE === 'true',
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined,
+    });
+  }
+  return transport;
+};
+
+const mailFrom = () => process.env.MAIL_FROM || DEFAULT_FROM;
+
+module.exports = { getMailTransport, mailFrom };
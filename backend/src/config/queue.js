@@ -0,0 +1,17 @@
+const Bull = require('bull');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+const queues = new Map();
+
+// Shared Bull queue per name, so producers and processors use one connection set
+const getQueue = (name) => {
+  if (!queues.has(name)) {
+    queues.set(name, new Bull(name, REDIS_URL));
+  }
+  return queues.get(name);
+};
+
+const closeQueues = () => Promise.all([...queues.values()].map((queue) => queue.close()));
+
+module.exports = { getQueue, closeQueues };
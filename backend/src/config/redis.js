@@ -0,0 +1,10 @@
+const Redis = require('ioredis');
+
+// Shared Redis connection (token storage, webhook deduplication)
+const redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+
+redis.on('error', (error) => {
+  console.error('Redis error:', error.message);
+});
+
+module.exports = { redis };
@@ -0,0 +1,27 @@
+const { listActivity } = require('../services/auditService');
+
+const activityController = {
+  // Audit trail across the whole system, filtered by user, action, record and date range
+  getActivity: async (req, res) => {
+    try {
+      const {
+        user_id, action, order_id, system_id, from, to, limit, offset,
+      } = req.query;
+      const { rows, count } = await listActivity({
+        userId: user_id,
+        action,
+        orderId: order_id,
+        systemId: system_id,
+        from,
+        to,
+        limit,
+        offset,
+      });
+      res.set('X-Total-Count', count).json(rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+};
+
+module.exports = activityController;
@@ -0,0 +1,91 @@
+const analyticsService = require('../services/analyticsService');
+const { enqueueRollup } = require('../jobs/performanceMetrics');
+const { handleError } = require('../middleware/errorHandler');
+
+const rangeFrom = (query) => ({ from: query.from, to: query.to });
+
+// Date range plus the department and system type filters
+const filtersFrom = (query) => ({
+  ...rangeFrom(query),
+  department: query.department,
+  system_type_id: query.system_type_id,
+});
+
+const analyticsController = {
+  getCycleTime: async (req, res) => {
+    try {
+      res.json(await analyticsService.getCycleTime(filtersFrom(req.query)));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getWip: async (req, res) => {
+    try {
+      res.json(await analyticsService.getWip(filtersFrom(req.query)));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getBottlenecks: async (req, res) => {
+    try {
+      res.json(await analyticsService.getBottlenecks(filtersFrom(req.query)));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getThroughput: async (req, res) => {
+    try {
+      res.json(await analyticsService.getThroughput({
+        ...filtersFrom(req.query),
+        interval: req.query.interval,
+      }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getTechnicians: async (req, res) => {
+    try {
+      res.json(await analyticsService.getTechnicianProductivity(rangeFrom(req.query)));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getOrders: async (req, res) => {
+    try {
+      res.json(await analyticsService.getDrilldownOrders({
+        ...filtersFrom(req.query),
+        metric: req.query.metric,
+        status: req.query.status,
+        assigned_to: req.query.assigned_to,
+      }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getDepartments: async (req, res) => {
+    try {
+      res.json(await analyticsService.getDepartments());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // One queued rollup per day so a long rebuild can't hold up a request
+  rebuildMetrics: async (req, res) => {
+    try {
+      const dates = analyticsService.rollupDates(rangeFrom(req.body));
+      await Promise.all(dates.map((date) => enqueueRollup(date)));
+      res.status(202).json({ queued: dates.length, dates });
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = analyticsController;
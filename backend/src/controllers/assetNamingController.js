@@ -0,0 +1,59 @@
+const assetNamingService = require('../services/assetNamingService');
+const { handleError } = require('../middleware/errorHandler');
+
+const assetNamingController = {
+  // List naming rules, most specific first
+  getRules: async (req, res) => {
+    try {
+      res.json(await assetNamingService.listRules());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  createRule: async (req, res) => {
+    try {
+      res.status(201).json(await assetNamingService.createRule(req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  updateRule: async (req, res) => {
+    try {
+      res.json(await assetNamingService.updateRule(req.params.id, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  deleteRule: async (req, res) => {
+    try {
+      res.json(await assetNamingService.deleteRule(req.params.id, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Show the name a rule would produce for a system or sample values
+  previewName: async (req, res) => {
+    try {
+      const {
+        rule_id, template, department_code, system_id, department, system_type_id, serial_number,
+      } = req.body;
+      res.json(await assetNamingService.previewName({
+        ruleId: rule_id,
+        template,
+        departmentCode: department_code,
+        systemId: system_id,
+        department,
+        systemTypeId: system_type_id,
+        serialNumber: serial_number,
+      }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = assetNamingController;
@@ -0,0 +1,48 @@
+const assignmentService = require('../services/assignmentService');
+const { handleError } = require('../middleware/errorHandler');
+
+const assignmentController = {
+  getSettings: async (req, res) => {
+    try {
+      res.json(await assignmentService.getSettings());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  updateSettings: async (req, res) => {
+    try {
+      res.json(await assignmentService.updateSettings(req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Active users with availability, skills and current workload
+  getTeam: async (req, res) => {
+    try {
+      res.json(await assignmentService.listTeam());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  updateMember: async (req, res) => {
+    try {
+      res.json(await assignmentService.updateMember(req.params.userId, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Recent auto-assignment decisions with the candidates weighed
+  getDecisions: async (req, res) => {
+    try {
+      res.json(await assignmentService.listDecisions({ limit: req.query.limit }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = assignmentController;
@@ -0,0 +1,164 @@
+const bcrypt = require('bcryptjs');
+const { User } = require('../models');
+const tokenService = require('../services/tokenService');
+const { getMailTransport, mailFrom } = require('../config/mail');
+
+const BCRYPT_ROUNDS = 12;
+
+// Email the reset link. Failures are only logged: the response must not
+// reveal whether the account exists, and the link itself is never logged.
+const sendPasswordResetEmail = (user, resetUrl) => {
+  const transport = getMailTransport();
+  if (!transport) {
+    console.warn(`Password reset requested for user ${user.id} but email is not configured (set SMTP_HOST)`);
+    return;
+  }
+  transport.sendMail({
+    from: mailFrom(),
+    to: user.email,
+    subject: 'Reset your Buildroom password',
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      'Someone asked to reset the password for your Buildroom account. To choose a new one, open:',
+      resetUrl,
+      '',
+      `The link works once and expires in ${Math.round(tokenService.PASSWORD_RESET_TTL_SECONDS / 60)} minutes.`,
+      'If you didn\'t ask for this, you can ignore this email.',
+    ].join('\n'),
+  }).catch((error) => console.error(`Failed to send password reset email to user ${user.id}:`, error.message));
+};
+
+// Public fields returned alongside tokens
+const serializeUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  first_name: user.first_name,
+  last_name: user.last_name,
+  role: user.role,
+  can_qa: user.can_qa,
+});
+
+const authController = {
+  // Exchange email and password for an access/refresh token pair
+  login: async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const user = await User.scope('withPassword').findOne({
+        where: { email: email.toLowerCase() },
+      });
+      const valid = user && await bcrypt.compare(password, user.password_hash);
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+      if (!user.is_active) {
+        return res.status(403).json({ error: 'Account is inactive' });
+      }
+      // Accounts owned by an identity provider sign in there, even if a
+      // password from before they were linked still matches
+      if (user.auth_provider) {
+        return res.status(403).json({
+          error: 'This account signs in through single sign-on',
+          code: 'use_provider',
+          provider: user.auth_provider,
+        });
+      }
+
+      const tokens = await tokenService.issueTokenPair(user);
+      res.json({ ...tokens, user: serializeUser(user) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Rotate a refresh token into a new token pair
+  refresh: async (req, res) => {
+    try {
+      const userId = await tokenService.consumeRefreshToken(req.body.refresh_token);
+      if (!userId) {
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
+
+      const user = await User.findByPk(userId);
+      if (!user || !user.is_active) {
+        await tokenService.revokeAllRefreshTokens(userId);
+        return res.status(401).json({ error: 'Account is inactive' });
+      }
+
+      const tokens = await tokenService.issueTokenPair(user);
+      res.json({ ...tokens, user: serializeUser(user) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Revoke the current access token and, if given, its refresh token
+  logout: async (req, res) => {
+    try {
+      const { refresh_token, all_sessions } = req.body;
+
+      await tokenService.revokeAccessToken(req.token);
+      if (all_sessions) {
+        await tokenService.revokeAllRefreshTokens(req.user.id);
+      } else if (refresh_token) {
+        await tokenService.revokeRefreshToken(refresh_token);
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Current user profile
+  me: async (req, res) => {
+    res.json(req.user);
+  },
+
+  // Start a password reset. Always answers 202 so emails can't be probed;
+  // provider-owned accounts have no local password to reset.
+  requestPasswordReset: async (req, res) => {
+    try {
+      const user = await User.findOne({
+        where: { email: req.body.email.toLowerCase(), is_active: true, auth_provider: null },
+      });
+
+      if (user) {
+        const token = await tokenService.createPasswordResetToken(user.id);
+        const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+        sendPasswordResetEmail(user, resetUrl);
+      }
+
+      res.status(202).json({ message: 'If the account exists, a reset link has been sent' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Finish a password reset with the emailed token
+  confirmPasswordReset: async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const userId = await tokenService.consumePasswordResetToken(token);
+      const user = userId && await User.findByPk(userId);
+      // A token issued before the account was linked to a provider is void
+      if (!user || !user.is_active || user.auth_provider) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      await user.update({ password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS) });
+      // Sign out everywhere so a compromised session can't outlive the reset
+      await tokenService.revokeAllRefreshTokens(user.id);
+
+      res.json({ message: 'Password has been reset' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+};
+
+authController.BCRYPT_ROUNDS = BCRYPT_ROUNDS;
+
+module.exports = authController;
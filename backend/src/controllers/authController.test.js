@@ -0,0 +1,233 @@
+jest.mock('../models', () => ({
+  User: {
+    scope: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+  },
+}));
+jest.mock('../services/tokenService', () => ({
+  issueTokenPair: jest.fn(),
+  consumeRefreshToken: jest.fn(),
+  revokeAllRefreshTokens: jest.fn(),
+  createPasswordResetToken: jest.fn(),
+  consumePasswordResetToken: jest.fn(),
+  PASSWORD_RESET_TTL_SECONDS: 1800,
+}));
+jest.mock('../config/mail', () => ({
+  getMailTransport: jest.fn(),
+  mailFrom: jest.fn(() => 'buildroom@example.com'),
+}));
+
+const bcrypt = require('bcryptjs');
+const { User } = require('../models');
+const tokenService = require('../services/tokenService');
+const { getMailTransport } = require('../config/mail');
+const authController = require('./authController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const tokens = { access_token: 'access', refresh_token: 'refresh' };
+const passwordHash = bcrypt.hashSync('correct horse', 4);
+
+const mockUser = (fields) => ({
+  id: 3,
+  email: 'tech@example.com',
+  first_name: 'Tess',
+  last_name: 'Tech',
+  role: 'staff',
+  is_active: true,
+  auth_provider: null,
+  password_hash: passwordHash,
+  update: jest.fn(),
+  ...fields,
+});
+
+const findWithPassword = jest.fn();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.scope.mockReturnValue({ findOne: findWithPassword });
+  tokenService.issueTokenPair.mockResolvedValue(tokens);
+  getMailTransport.mockReturnValue({ sendMail: jest.fn().mockResolvedValue({}) });
+});
+
+describe('login', () => {
+  it('issues tokens for valid credentials', async () => {
+    findWithPassword.mockResolvedValue(mockUser());
+    const res = mockResponse();
+
+    await authController.login({ body: { email: 'Tech@Example.com', password: 'correct horse' } }, res);
+
+    expect(findWithPassword).toHaveBeenCalledWith({ where: { email: 'tech@example.com' } });
+    expect(res.json).toHaveBeenCalledWith({
+      ...tokens,
+      user: {
+        id: 3, email: 'tech@example.com', first_name: 'Tess', last_name: 'Tech', role: 'staff',
+      },
+    });
+  });
+
+  it('answers a wrong password and an unknown email the same way', async () => {
+    findWithPassword.mockResolvedValueOnce(mockUser()).mockResolvedValueOnce(null);
+    const wrongPassword = mockResponse();
+    const unknownEmail = mockResponse();
+
+    await authController.login({ body: { email: 'tech@example.com', password: 'wrong' } }, wrongPassword);
+    await authController.login({ body: { email: 'nobody@example.com', password: 'wrong' } }, unknownEmail);
+
+    expect(wrongPassword.status).toHaveBeenCalledWith(401);
+    expect(unknownEmail.status).toHaveBeenCalledWith(401);
+    expect(wrongPassword.json.mock.calls).toEqual(unknownEmail.json.mock.calls);
+    expect(tokenService.issueTokenPair).not.toHaveBeenCalled();
+  });
+
+  it('refuses inactive accounts', async () => {
+    findWithPassword.mockResolvedValue(mockUser({ is_active: false }));
+    const res = mockResponse();
+
+    await authController.login({ body: { email: 'tech@example.com', password: 'correct horse' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('sends provider-owned accounts to their sign-in even with a matching password', async () => {
+    findWithPassword.mockResolvedValue(mockUser({ auth_provider: 'ldap' }));
+    const res = mockResponse();
+
+    await authController.login({ body: { email: 'tech@example.com', password: 'correct horse' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'use_provider', provider: 'ldap' }));
+    expect(tokenService.issueTokenPair).not.toHaveBeenCalled();
+  });
+
+  it('answers a wrong password for a provider-owned account like any other', async () => {
+    findWithPassword.mockResolvedValue(mockUser({ auth_provider: 'ldap' }));
+    const res = mockResponse();
+
+    await authController.login({ body: { email: 'tech@example.com', password: 'wrong' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('refresh', () => {
+  it('rotates a valid refresh token', async () => {
+    tokenService.consumeRefreshToken.mockResolvedValue(3);
+    User.findByPk.mockResolvedValue(mockUser());
+    const res = mockResponse();
+
+    await authController.refresh({ body: { refresh_token: 'refresh' } }, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining(tokens));
+  });
+
+  it('signs a deactivated user out everywhere', async () => {
+    tokenService.consumeRefreshToken.mockResolvedValue(3);
+    User.findByPk.mockResolvedValue(mockUser({ is_active: false }));
+    const res = mockResponse();
+
+    await authController.refresh({ body: { refresh_token: 'refresh' } }, res);
+
+    expect(tokenService.revokeAllRefreshTokens).toHaveBeenCalledWith(3);
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('requestPasswordReset', () => {
+  it('gives the same answer whether or not the account exists', async () => {
+    User.findOne.mockResolvedValueOnce(mockUser()).mockResolvedValueOnce(null);
+    tokenService.createPasswordResetToken.mockResolvedValue('reset-token');
+    const known = mockResponse();
+    const unknown = mockResponse();
+
+    await authController.requestPasswordReset({ body: { email: 'tech@example.com' } }, known);
+    await authController.requestPasswordReset({ body: { email: 'nobody@example.com' } }, unknown);
+
+    expect(tokenService.createPasswordResetToken).toHaveBeenCalledTimes(1);
+    expect(known.status).toHaveBeenCalledWith(202);
+    expect(unknown.status).toHaveBeenCalledWith(202);
+    expect(known.json.mock.calls).toEqual(unknown.json.mock.calls);
+  });
+
+  it('issues no reset for provider-owned accounts but answers the same', async () => {
+    User.findOne.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await authController.requestPasswordReset({ body: { email: 'Tech@Example.com' } }, res);
+
+    expect(User.findOne).toHaveBeenCalledWith({
+      where: { email: 'tech@example.com', is_active: true, auth_provider: null },
+    });
+    expect(tokenService.createPasswordResetToken).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ message: 'If the account exists, a reset link has been sent' });
+  });
+
+  it('emails the reset link to the account', async () => {
+    const transport = { sendMail: jest.fn().mockResolvedValue({}) };
+    getMailTransport.mockReturnValue(transport);
+    User.findOne.mockResolvedValue(mockUser());
+    tokenService.createPasswordResetToken.mockResolvedValue('reset-token');
+
+    await authController.requestPasswordReset({ body: { email: 'tech@example.com' } }, mockResponse());
+
+    expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'tech@example.com',
+      text: expect.stringContaining('http://localhost:3000/reset-password?token=reset-token'),
+    }));
+    expect(transport.sendMail.mock.calls[0][0].text).toContain('expires in 30 minutes');
+  });
+
+  it('still answers 202 when email is not configured', async () => {
+    getMailTransport.mockReturnValue(null);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    User.findOne.mockResolvedValue(mockUser());
+    const res = mockResponse();
+
+    await authController.requestPasswordReset({ body: { email: 'tech@example.com' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+  });
+});
+
+describe('confirmPasswordReset', () => {
+  it('sets the new password and signs out every session', async () => {
+    const user = mockUser();
+    tokenService.consumePasswordResetToken.mockResolvedValue(3);
+    User.findByPk.mockResolvedValue(user);
+    const res = mockResponse();
+
+    await authController.confirmPasswordReset({ body: { token: 'reset-token', password: 'new password' } }, res);
+
+    const { password_hash: hash } = user.update.mock.calls[0][0];
+    expect(await bcrypt.compare('new password', hash)).toBe(true);
+    expect(tokenService.revokeAllRefreshTokens).toHaveBeenCalledWith(3);
+  });
+
+  it('rejects a token for an account since linked to a provider', async () => {
+    const user = mockUser({ auth_provider: 'saml' });
+    tokenService.consumePasswordResetToken.mockResolvedValue(3);
+    User.findByPk.mockResolvedValue(user);
+    const res = mockResponse();
+
+    await authController.confirmPasswordReset({ body: { token: 'reset-token', password: 'new password' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown or used token', async () => {
+    tokenService.consumePasswordResetToken.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await authController.confirmPasswordReset({ body: { token: 'used', password: 'new password' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
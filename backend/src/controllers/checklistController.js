@@ -0,0 +1,202 @@
+const templateService = require('../services/checklistTemplateService');
+const checklistService = require('../services/checklistService');
+const { handleError } = require('../middleware/errorHandler');
+
+const checklistController = {
+  // List templates (active published versions by default)
+  getTemplates: async (req, res) => {
+    try {
+      const { system_type_id, status } = req.query;
+      res.json(await templateService.listTemplates({ systemTypeId: system_type_id, status }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Get one template version with its steps
+  getTemplateById: async (req, res) => {
+    try {
+      res.json(await templateService.loadTemplate(req.params.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // All versions of a template
+  getTemplateVersions: async (req, res) => {
+    try {
+      res.json(await templateService.listVersions(req.params.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Create a new template as a draft
+  createTemplate: async (req, res) => {
+    try {
+      res.status(201).json(await templateService.createTemplate(req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Update a draft's name or system type
+  updateTemplate: async (req, res) => {
+    try {
+      res.json(await templateService.updateTemplate(req.params.id, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Delete a draft, or retire a published template
+  deleteTemplate: async (req, res) => {
+    try {
+      res.json(await templateService.deleteTemplate(req.params.id, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Start a new draft version
+  createTemplateVersion: async (req, res) => {
+    try {
+      res.status(201).json(await templateService.createVersion(req.params.id, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Publish a draft version
+  publishTemplate: async (req, res) => {
+    try {
+      res.json(await templateService.publishTemplate(req.params.id, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Copy a template into a new template
+  cloneTemplate: async (req, res) => {
+    try {
+      res.status(201).json(await templateService.cloneTemplate(req.params.id, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Add a step to a draft
+  addStep: async (req, res) => {
+    try {
+      res.status(201).json(await templateService.addStep(req.params.id, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Update a step on a draft
+  updateStep: async (req, res) => {
+    try {
+      res.json(await templateService.updateStep(req.params.id, req.params.stepId, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Remove a step from a draft
+  deleteStep: async (req, res) => {
+    try {
+      res.json(await templateService.deleteStep(req.params.id, req.params.stepId, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Reorder a draft's steps
+  reorderSteps: async (req, res) => {
+    try {
+      res.json(await templateService.reorderSteps(req.params.id, req.body.step_ids, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Checklists attached to a system, with progress
+  getSystemChecklists: async (req, res) => {
+    try {
+      res.json(await checklistService.listSystemChecklists(req.params.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Start a checklist on a system from a template or the system type's default
+  startSystemChecklist: async (req, res) => {
+    try {
+      const { checklist, created } = await checklistService.startChecklist(req.params.id, {
+        templateId: req.body.template_id,
+        user: req.user,
+      });
+      res.status(created ? 201 : 200).json(checklist);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Start default checklists on every system of an order
+  startOrderChecklists: async (req, res) => {
+    try {
+      res.json(await checklistService.startOrderChecklists(req.params.id, { user: req.user }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Get a system checklist with step completions and progress
+  getChecklist: async (req, res) => {
+    try {
+      res.json(await checklistService.getChecklist(req.params.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Complete a step, or update its notes and time spent
+  completeStep: async (req, res) => {
+    try {
+      const { notes, time_spent_minutes } = req.body;
+      res.json(await checklistService.completeStep(req.params.id, req.params.stepId, {
+        user: req.user,
+        notes,
+        time_spent_minutes,
+      }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Undo a step's completion
+  reopenStep: async (req, res) => {
+    try {
+      res.json(await checklistService.reopenStep(req.params.id, req.params.stepId, {
+        user: req.user,
+        reason: req.body.reason,
+      }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // QA sign-off of a completed step
+  signOffStep: async (req, res) => {
+    try {
+      res.json(await checklistService.signOffStep(req.params.id, req.params.stepId, {
+        user: req.user,
+      }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = checklistController;
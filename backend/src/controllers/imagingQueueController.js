@@ -0,0 +1,54 @@
+const imagingQueue = require('../services/imagingQueueService');
+const { handleError } = require('../middleware/errorHandler');
+
+const imagingQueueController = {
+  // Systems waiting for imaging in queue order
+  getQueue: async (req, res) => {
+    try {
+      res.json(await imagingQueue.listQueue());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Take the next system off the queue for the current user
+  claimNext: async (req, res) => {
+    try {
+      const system = await imagingQueue.claimNext({ user: req.user });
+      if (!system) {
+        return res.status(204).end();
+      }
+      res.json(system);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  moveSystem: async (req, res) => {
+    try {
+      await imagingQueue.moveSystem(req.params.systemId, {
+        position: req.body.position,
+        reason: req.body.reason,
+        user: req.user,
+      });
+      res.json(await imagingQueue.listQueue());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  setSkipQueue: async (req, res) => {
+    try {
+      await imagingQueue.setSkipQueue(req.params.systemId, {
+        skip: req.body.skip_queue,
+        reason: req.body.reason,
+        user: req.user,
+      });
+      res.json(await imagingQueue.listQueue());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = imagingQueueController;
@@ -0,0 +1,186 @@
+const { Op } = require('sequelize');
+const {
+  Order,
+  System,
+  Integration,
+  IntegrationSyncRun,
+  IntegrationError,
+  ActivityLog,
+} = require('../models');
+const woocommerce = require('../integrations/woocommerce');
+const agiloft = require('../integrations/agiloft');
+const inflow = require('../integrations/inflow');
+const { enqueueReconciliation } = require('../jobs/woocommerceReconcile');
+const { enqueueAssetSync } = require('../jobs/agiloftAssetSync');
+const { enqueueReceiveSync } = require('../jobs/inflowSync');
+const { resolveDiscrepancy } = require('../services/woocommerceService');
+
+const integrationController = {
+  // Queue an immediate WooCommerce reconciliation run
+  syncWooCommerce: async (req, res) => {
+    try {
+      if (!woocommerce.createClientFromEnv()) {
+        return res.status(400).json({ error: 'WooCommerce is not configured' });
+      }
+
+      const job = await enqueueReconciliation({ requested_by: req.user.id });
+      await ActivityLog.create({
+        user_id: req.user.id,
+        action: 'integration_sync_requested',
+        details: { integration: 'woocommerce', job_id: job.id },
+      });
+      res.status(202).json({ job_id: job.id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Recent sync run reports for an integration
+  getSyncRuns: async (req, res) => {
+    try {
+      const integration = await Integration.findOne({ where: { name: req.params.integration } });
+      if (!integration) {
+        return res.json([]);
+      }
+
+      const runs = await IntegrationSyncRun.findAll({
+        where: { integration_id: integration.id },
+        order: [['started_at', 'DESC']],
+        limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+      });
+      res.json(runs);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Orders that changed in WooCommerce after intake
+  getWooCommerceDiscrepancies: async (req, res) => {
+    try {
+      const orders = await Order.findAll({
+        where: { woo_discrepancy: { [Op.ne]: null } },
+        order: [['updated_at', 'DESC']],
+      });
+      res.json(orders);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Clear an order's discrepancy flag after review
+  resolveWooCommerceDiscrepancy: async (req, res) => {
+    try {
+      const order = await resolveDiscrepancy(req.params.orderId, req.user, req.body.notes);
+      if (!order) {
+        return res.status(404).json({ error: 'No open discrepancy for this order' });
+      }
+      res.json(order);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Queue a create/update of a system's Agiloft asset record
+  resyncAgiloftAsset: async (req, res) => {
+    try {
+      if (!agiloft.createClientFromEnv()) {
+        return res.status(400).json({ error: 'Agiloft is not configured' });
+      }
+
+      const system = await System.findByPk(req.params.systemId, {
+        attributes: ['id', 'order_id', 'serial_number'],
+      });
+      if (!system) {
+        return res.status(404).json({ error: 'System not found' });
+      }
+      if (!system.serial_number) {
+        return res.status(400).json({ error: 'System has no serial number' });
+      }
+
+      const job = await enqueueAssetSync(system.id, { userId: req.user.id });
+      await ActivityLog.create({
+        user_id: req.user.id,
+        order_id: system.order_id,
+        system_id: system.id,
+        action: 'integration_sync_requested',
+        details: { integration: 'agiloft', job_id: job.id },
+      });
+      res.status(202).json({ job_id: job.id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Pull received serials from inFlow now
+  syncInflow: async (req, res) => {
+    try {
+      if (!inflow.createClientFromEnv()) {
+        return res.status(400).json({ error: 'inFlow is not configured' });
+      }
+
+      const job = await enqueueReceiveSync({ requested_by: req.user.id });
+      await ActivityLog.create({
+        user_id: req.user.id,
+        action: 'integration_sync_requested',
+        details: { integration: 'inflow', job_id: job.id },
+      });
+      res.status(202).json({ job_id: job.id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Integration error log, unresolved entries by default
+  getIntegrationErrors: async (req, res) => {
+    try {
+      const { integration, error_type, resolved } = req.query;
+      const where = {
+        resolved_at: resolved === 'true' ? { [Op.ne]: null } : null,
+      };
+      if (error_type) {
+        where.error_type = error_type;
+      }
+
+      const errors = await IntegrationError.findAll({
+        where,
+        include: [{
+          model: Integration,
+          as: 'integration',
+          attributes: ['id', 'name'],
+          ...(integration && { where: { name: integration } }),
+        }],
+        order: [['created_at', 'DESC']],
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 500),
+      });
+      res.json(errors);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Mark an integration error as handled
+  resolveIntegrationError: async (req, res) => {
+    try {
+      const entry = await IntegrationError.findByPk(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Integration error not found' });
+      }
+
+      await entry.update({ resolved_by: req.user.id, resolved_at: new Date() });
+      await ActivityLog.create({
+        user_id: req.user.id,
+        action: 'integration_error_resolved',
+        details: {
+          integration_error_id: entry.id,
+          error_type: entry.error_type,
+          reference: entry.reference,
+        },
+      });
+      res.json(entry);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+};
+
+module.exports = integrationController;
@@ -0,0 +1,81 @@
+const notificationService = require('../services/notificationService');
+const { handleError } = require('../middleware/errorHandler');
+
+const notificationController = {
+  getNotifications: async (req, res) => {
+    try {
+      res.json(await notificationService.listNotifications(req.user.id, {
+        unreadOnly: req.query.unread === 'true',
+        limit: req.query.limit,
+      }));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  markRead: async (req, res) => {
+    try {
+      res.json(await notificationService.markRead(req.user.id, req.params.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  markAllRead: async (req, res) => {
+    try {
+      res.json(await notificationService.markAllRead(req.user.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getPreferences: async (req, res) => {
+    try {
+      res.json(await notificationService.getPreferences(req.user.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  updatePreferences: async (req, res) => {
+    try {
+      res.json(await notificationService.updatePreferences(req.user.id, req.body.preferences));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getTemplates: async (req, res) => {
+    try {
+      res.json(await notificationService.listTemplates());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  updateTemplate: async (req, res) => {
+    try {
+      res.json(await notificationService.updateTemplate(req.params.type, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  resetTemplate: async (req, res) => {
+    try {
+      res.json(await notificationService.resetTemplate(req.params.type, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  sendTestEmail: async (req, res) => {
+    try {
+      res.json(await notificationService.sendTestEmail(req.params.type, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = notificationController;
@@ -1,156 +1,400 @@
-// Mock controller for orders - replace with actual database logic later
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Order,
+  System,
+  SystemType,
+  User,
+  ActivityLog,
+  OrderSla,
+} = require('../models');
+const { transitionOrder, getAvailableTransitions } = require('../services/workflowService');
+const { events } = require('../services/events');
+const { VersionConflictError, assertVersion, etagFor } = require('../services/versioning');
+const { diffChanges, listActivity } = require('../services/auditService');
+const { syncOrderSla } = require('../services/slaService');
+const { handleError } = require('../middleware/errorHandler');
+
+// Associations returned with every order payload
+const orderIncludes = [
+  { model: User, as: 'assignee', attributes: ['id', 'first_name', 'last_name', 'email'] },
+  {
+    model: System,
+    as: 'systems',
+    include: [{ model: SystemType, as: 'systemType', attributes: ['id', 'name', 'code'] }],
+  },
+  { model: OrderSla, as: 'sla' },
+];
+
+// Fields SLA policies match on
+const SLA_FIELDS = ['status', 'priority', 'delivery_method'];
+
+// Look up an active user that orders can be assigned to
+const findAssignableUser = (userId) => User.findOne({
+  where: { id: userId, is_active: true },
+});
+
+// Update an order under a row lock and record it in the audit trail,
+// rejecting the write if the client's expected version is stale. Resolves to
+// null when the order doesn't exist.
+const updateOrderChecked = (orderId, changes, { expectedVersion, user, action }) => sequelize.transaction(
+  async (transaction) => {
+    const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!order) {
+      return null;
+    }
+    assertVersion(order, expectedVersion);
+
+    await ActivityLog.create({
+      user_id: user.id,
+      order_id: order.id,
+      action,
+      details: { changes: diffChanges(order, changes) },
+    }, { transaction });
+    await order.update(changes, { transaction });
+    if (SLA_FIELDS.some((field) => changes[field] !== undefined)) {
+      await syncOrderSla(order.id, { transaction });
+    }
+    // The updated_at trigger sets the new version; clients also get the associations back
+    await order.reload({ include: orderIncludes, transaction });
+    return order;
+  }
+);
+
+// 409 with the order's current state so the client can show what changed
+const sendConflict = async (res, error) => {
+  const current = await Order.findByPk(error.record.id, { include: orderIncludes });
+  res.status(409).json({ ...error.toJSON(), current });
+};
+
 const orderController = {
-    // Get all orders with filters
-    getOrders: async (req, res) => {
-      try {
-        // TODO: Implement actual database query
-        const { status, assigned_to, search } = req.query;
-        
-        // Mock response
-        res.json([
-          {
-            id: 1,
-            woo_order_id: 'WC-1001',
-            customer_name: 'John Doe',
-            customer_email: 'john@example.com',
-            customer_department: 'Engineering',
-            status: 'ordered',
-            priority: 1,
-            assigned_to: null,
-            order_date: new Date(),
-            delivery_method: 'shipping',
-            systems: []
-          }
-        ]);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Get order by ID
-    getOrderById: async (req, res) => {
-      try {
-        const { id } = req.params;
-        // TODO: Implement actual database query
-        res.json({
-          id: parseInt(id),
-          woo_order_id: 'WC-1001',
-          customer_name: 'John Doe',
-          customer_email: 'john@example.com',
-          status: 'ordered'
-        });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Create new order
-    createOrder: async (req, res) => {
-      try {
-        const orderData = req.body;
-        // TODO: Implement actual database creation
-        res.status(201).json({
-          id: 1,
-          ...orderData,
-          created_at: new Date()
-        });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Update order status
-    updateOrderStatus: async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { status, notes } = req.body;
-        // TODO: Implement actual database update
-        res.json({
-          id: parseInt(id),
-          status,
-          updated_at: new Date()
-        });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Assign order to user
-    assignOrder: async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { user_id } = req.body;
-        // TODO: Implement actual database update
-        res.json({
-          id: parseInt(id),
-          assigned_to: user_id,
-          updated_at: new Date()
-        });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Update order priority
-    updatePriority: async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { priority } = req.body;
-        // TODO: Implement actual database update
-        res.json({
-          id: parseInt(id),
-          priority,
-          updated_at: new Date()
-        });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Get systems for an order
-    getOrderSystems: async (req, res) => {
-      try {
-        const { id } = req.params;
-        // TODO: Implement actual database query
-        res.json([]);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Complete an order
-    completeOrder: async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { tracking_number, delivery_confirmation, final_notes } = req.body;
-        // TODO: Implement actual database update
-        res.json({
-          id: parseInt(id),
-          status: 'complete',
-          tracking_number,
-          delivery_confirmation,
-          final_notes,
-          completed_at: new Date()
+  // Get all orders with filters
+  getOrders: async (req, res) => {
+    try {
+      const { status, assigned_to, search } = req.query;
+      const where = {};
+
+      if (status) {
+        where.status = status;
+      }
+      if (assigned_to) {
+        where.assigned_to = parseInt(assigned_to, 10);
+      }
+      if (search) {
+        const term = `%${search}%`;
+        where[Op.or] = [
+          { woo_order_id: { [Op.iLike]: term } },
+          { customer_name: { [Op.iLike]: term } },
+          { customer_department: { [Op.iLike]: term } },
+        ];
+      }
+
+      const orders = await Order.findAll({
+        where,
+        include: orderIncludes,
+        order: [['priority', 'DESC'], ['order_date', 'ASC']],
+      });
+
+      res.json(orders);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Get order by ID
+  getOrderById: async (req, res) => {
+    try {
+      const order = await Order.findByPk(req.params.id, { include: orderIncludes });
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      res.set('ETag', etagFor(order)).json(order);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Create new order
+  createOrder: async (req, res) => {
+    try {
+      const { systems = [], ...orderData } = req.body;
+
+      // Resolve requested system type codes before writing anything
+      const codes = [...new Set(systems.map((s) => s.type))];
+      const systemTypes = codes.length
+        ? await SystemType.findAll({ where: { code: codes } })
+        : [];
+      const typeIdsByCode = new Map(systemTypes.map((t) => [t.code, t.id]));
+      const unknown = codes.filter((code) => !typeIdsByCode.has(code));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown system type: ${unknown.join(', ')}` });
+      }
+
+      const order = await sequelize.transaction(async (transaction) => {
+        const created = await Order.create({
+          woo_order_id: orderData.woo_order_id,
+          customer_name: orderData.customer_name,
+          customer_email: orderData.customer_email,
+          customer_department: orderData.customer_department,
+          order_date: orderData.order_date,
+          delivery_method: orderData.delivery_method,
+          delivery_address: orderData.delivery_address,
+          notes: orderData.notes,
+        }, { transaction });
+
+        const systemRows = systems.flatMap((s) => Array.from(
+          { length: s.quantity || 1 },
+          () => ({ order_id: created.id, system_type_id: typeIdsByCode.get(s.type) }),
+        ));
+        if (systemRows.length) {
+          await System.bulkCreate(systemRows, { transaction });
+        }
+
+        await ActivityLog.create({
+          user_id: req.user.id,
+          order_id: created.id,
+          action: 'order_created',
+          details: {
+            after: created.toJSON(),
+            systems: systems.map((s) => ({ type: s.type, quantity: s.quantity || 1 })),
+          },
+        }, { transaction });
+        await syncOrderSla(created.id, { transaction });
+
+        return created;
+      });
+      events.emit('order.created', { orderId: order.id, userId: req.user.id });
+
+      const result = await Order.findByPk(order.id, { include: orderIncludes });
+      res.status(201).json(result);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({ error: 'Order already exists' });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Update order status
+  updateOrderStatus: async (req, res) => {
+    try {
+      const {
+        status, notes, tracking_number, delivery_confirmation,
+      } = req.body;
+      const order = await transitionOrder({
+        orderId: req.params.id,
+        to: status,
+        user: req.user,
+        payload: { notes, tracking_number, delivery_confirmation },
+        expectedVersion: req.expectedVersion,
+      });
+      await order.reload({ include: orderIncludes });
+
+      res.set('ETag', etagFor(order)).json(order);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      handleError(res, error);
+    }
+  },
+
+  // List status transitions available from the order's current status
+  getOrderTransitions: async (req, res) => {
+    try {
+      const transitions = await getAvailableTransitions(req.params.id, req.user);
+      res.json(transitions);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Assign order to user
+  assignOrder: async (req, res) => {
+    try {
+      const { user_id } = req.body;
+
+      const user = await findAssignableUser(user_id);
+      if (!user) {
+        return res.status(400).json({ error: 'Assignee not found or inactive' });
+      }
+
+      const order = await updateOrderChecked(req.params.id, { assigned_to: user.id }, {
+        expectedVersion: req.expectedVersion,
+        user: req.user,
+        action: 'order_assigned',
+      });
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      events.emit('order.assigned', { orderId: order.id, assignedTo: user.id, userId: req.user.id });
+      res.set('ETag', etagFor(order)).json(order);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      handleError(res, error);
+    }
+  },
+
+  // Update order priority
+  updatePriority: async (req, res) => {
+    try {
+      const { priority } = req.body;
+
+      const order = await updateOrderChecked(req.params.id, { priority }, {
+        expectedVersion: req.expectedVersion,
+        user: req.user,
+        action: 'priority_changed',
+      });
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      events.emit('order.priority_changed', { orderId: order.id, priority, userId: req.user.id });
+      res.set('ETag', etagFor(order)).json(order);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      handleError(res, error);
+    }
+  },
+
+  // Audit timeline for an order, newest first
+  getOrderActivity: async (req, res) => {
+    try {
+      const order = await Order.findByPk(req.params.id, { attributes: ['id'] });
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const {
+        action, user_id, system_id, from, to, limit, offset,
+      } = req.query;
+      const { rows, count } = await listActivity({
+        orderId: order.id,
+        systemId: system_id,
+        userId: user_id,
+        action,
+        from,
+        to,
+        limit,
+        offset,
+      });
+      res.set('X-Total-Count', count).json(rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Get systems for an order
+  getOrderSystems: async (req, res) => {
+    try {
+      const order = await Order.findByPk(req.params.id, { attributes: ['id'] });
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const systems = await System.findAll({
+        where: { order_id: order.id },
+        include: [
+          { model: SystemType, as: 'systemType', attributes: ['id', 'name', 'code'] },
+          { model: User, as: 'assignee', attributes: ['id', 'first_name', 'last_name'] },
+        ],
+        order: [['id', 'ASC']],
+      });
+
+      res.json(systems);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Complete an order
+  completeOrder: async (req, res) => {
+    try {
+      const { tracking_number, delivery_confirmation, final_notes } = req.body;
+      const order = await transitionOrder({
+        orderId: req.params.id,
+        to: 'complete',
+        user: req.user,
+        payload: { tracking_number, delivery_confirmation, notes: final_notes },
+        expectedVersion: req.expectedVersion,
+      });
+      await order.reload({ include: orderIncludes });
+
+      res.set('ETag', etagFor(order)).json(order);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendConflict(res, error);
+      }
+      handleError(res, error);
+    }
+  },
+
+  // Bulk assign orders
+  bulkAssignOrders: async (req, res) => {
+    try {
+      const { order_ids, user_id, versions = {} } = req.body;
+
+      const user = await findAssignableUser(user_id);
+      if (!user) {
+        return res.status(400).json({ error: 'Assignee not found or inactive' });
+      }
+
+      // All or nothing: if any order changed since the client read it, assign none
+      const { assigned, conflicts } = await sequelize.transaction(async (transaction) => {
+        const orders = await Order.findAll({
+          where: { id: order_ids },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
         });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    },
-  
-    // Bulk assign orders
-    bulkAssignOrders: async (req, res) => {
-      try {
-        const { order_ids, user_id } = req.body;
-        // TODO: Implement actual database update
-        res.json({
-          updated: order_ids.length,
-          order_ids,
-          assigned_to: user_id
+        const stale = orders.filter((order) => (
+          versions[order.id] !== undefined && order.version !== Number(versions[order.id])
+        ));
+        if (stale.length) {
+          return { assigned: [], conflicts: stale.map((order) => order.id) };
+        }
+
+        // Ids that matched no order are skipped rather than failing the batch
+        const orderIds = orders.map((order) => order.id);
+        await Order.update(
+          { assigned_to: user.id },
+          { where: { id: orderIds }, transaction },
+        );
+        await ActivityLog.bulkCreate(orders.map((order) => ({
+          user_id: req.user.id,
+          order_id: order.id,
+          action: 'order_assigned',
+          details: { changes: diffChanges(order, { assigned_to: user.id }), bulk: true },
+        })), { transaction });
+        return { assigned: orderIds, conflicts: [] };
+      });
+
+      if (conflicts.length) {
+        return res.status(409).json({
+          error: 'Some orders were changed by someone else',
+          code: 'version_conflict',
+          conflicts: await Order.findAll({ where: { id: conflicts }, include: orderIncludes }),
         });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
       }
+
+      assigned.forEach((orderId) => {
+        events.emit('order.assigned', { orderId, assignedTo: user.id, userId: req.user.id });
+      });
+
+      res.json({
+        updated: assigned.length,
+        order_ids: assigned,
+        assigned_to: user.id,
+      });
+    } catch (error) {
+      handleError(res, error);
     }
-  };
-  
-  module.exports = orderController;
\ No newline at end of file
+  },
+};
+
+module.exports = orderController;
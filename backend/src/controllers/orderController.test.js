@@ -0,0 +1,277 @@
+const mockTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+jest.mock('../models', () => ({
+  sequelize: { transaction: jest.fn((work) => work(mockTransaction)) },
+  Order: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    update: jest.fn(),
+  },
+  System: { bulkCreate: jest.fn() },
+  SystemType: { findAll: jest.fn() },
+  User: { findOne: jest.fn() },
+  ActivityLog: { create: jest.fn(), bulkCreate: jest.fn() },
+}));
+jest.mock('../services/workflowService', () => ({
+  ...jest.requireActual('../services/workflowService'),
+  transitionOrder: jest.fn(),
+}));
+jest.mock('../services/slaService', () => ({
+  syncOrderSla: jest.fn(),
+}));
+
+const {
+  Order,
+  System,
+  SystemType,
+  User,
+  ActivityLog,
+} = require('../models');
+const { ServiceError } = require('../services/errors');
+const { syncOrderSla } = require('../services/slaService');
+const { WorkflowError, transitionOrder } = require('../services/workflowService');
+const { events } = require('../services/events');
+const orderController = require('./orderController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const orderBody = {
+  woo_order_id: 'WC-1001',
+  customer_name: 'Ada Lovelace',
+  customer_email: 'ada@example.com',
+  order_date: '2024-03-01',
+};
+
+const manager = { id: 1, role: 'manager' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(events, 'emit').mockImplementation(() => true);
+});
+
+describe('createOrder', () => {
+  it('rejects unknown system types before writing anything', async () => {
+    SystemType.findAll.mockResolvedValue([{ id: 1, code: 'laptop' }]);
+    const res = mockResponse();
+
+    await orderController.createOrder({
+      body: { ...orderBody, systems: [{ type: 'laptop' }, { type: 'tablet' }] },
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unknown system type: tablet' });
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  it('creates one system row per requested unit', async () => {
+    SystemType.findAll.mockResolvedValue([{ id: 1, code: 'laptop' }, { id: 2, code: 'desktop' }]);
+    Order.create.mockResolvedValue({ id: 7, toJSON: () => ({ id: 7, woo_order_id: 'WC-1001' }) });
+    Order.findByPk.mockResolvedValue({ id: 7, systems: [] });
+    const res = mockResponse();
+
+    await orderController.createOrder({
+      body: { ...orderBody, systems: [{ type: 'laptop', quantity: 2 }, { type: 'desktop' }] },
+      user: manager,
+    }, res);
+
+    expect(System.bulkCreate).toHaveBeenCalledWith([
+      { order_id: 7, system_type_id: 1 },
+      { order_id: 7, system_type_id: 1 },
+      { order_id: 7, system_type_id: 2 },
+    ], { transaction: mockTransaction });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ id: 7, systems: [] });
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'order_created',
+      details: {
+        after: { id: 7, woo_order_id: 'WC-1001' },
+        systems: [{ type: 'laptop', quantity: 2 }, { type: 'desktop', quantity: 1 }],
+      },
+    }), { transaction: mockTransaction });
+    expect(events.emit).toHaveBeenCalledWith('order.created', { orderId: 7, userId: 1 });
+  });
+
+  it('answers 409 when the WooCommerce order already exists', async () => {
+    SystemType.findAll.mockResolvedValue([]);
+    Order.create.mockRejectedValue(Object.assign(new Error('duplicate'), { name: 'SequelizeUniqueConstraintError' }));
+    const res = mockResponse();
+
+    await orderController.createOrder({ body: orderBody }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe('updateOrderStatus', () => {
+  it('moves the order through the workflow as the requesting user', async () => {
+    const order = { id: 9, status: 'in_progress', reload: jest.fn() };
+    transitionOrder.mockResolvedValue(order);
+    const res = mockResponse();
+    const user = { id: 1, role: 'staff' };
+
+    await orderController.updateOrderStatus({
+      params: { id: '9' }, body: { status: 'in_progress' }, user,
+    }, res);
+
+    expect(transitionOrder).toHaveBeenCalledWith({
+      orderId: '9', to: 'in_progress', user, payload: { notes: undefined }, expectedVersion: undefined,
+    });
+    expect(order.reload).toHaveBeenCalledWith({ include: expect.any(Array) });
+    expect(res.json).toHaveBeenCalledWith(order);
+  });
+
+  it('passes the guard fields on to the workflow', async () => {
+    transitionOrder.mockResolvedValue({ id: 9, reload: jest.fn() });
+
+    await orderController.updateOrderStatus({
+      params: { id: '9' },
+      body: { status: 'complete', tracking_number: '1Z999', delivery_confirmation: 'Signed by J. Doe' },
+      user: { id: 1, role: 'staff' },
+    }, mockResponse());
+
+    expect(transitionOrder.mock.calls[0][0].payload).toEqual({
+      notes: undefined, tracking_number: '1Z999', delivery_confirmation: 'Signed by J. Doe',
+    });
+  });
+
+  it('answers a rejected transition with its status and details', async () => {
+    transitionOrder.mockRejectedValue(new WorkflowError('Invalid status transition', 400, { code: 'invalid_transition' }));
+    const res = mockResponse();
+
+    await orderController.updateOrderStatus({
+      params: { id: '9' }, body: { status: 'complete' }, user: { id: 1, role: 'staff' },
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid status transition', code: 'invalid_transition' });
+  });
+});
+
+describe('assignOrder', () => {
+  it('answers 404 for a missing order', async () => {
+    User.findOne.mockResolvedValue({ id: 3 });
+    Order.findByPk.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await orderController.assignOrder({ params: { id: '9' }, body: { user_id: 3 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('only assigns to active users', async () => {
+    const order = { update: jest.fn() };
+    Order.findByPk.mockResolvedValue(order);
+    User.findOne.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await orderController.assignOrder({ params: { id: '9' }, body: { user_id: 3 } }, res);
+
+    expect(User.findOne).toHaveBeenCalledWith({ where: { id: 3, is_active: true } });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(order.update).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 with the current order when the If-Match version is stale', async () => {
+    const current = { id: 9, version: 200 };
+    User.findOne.mockResolvedValue({ id: 3 });
+    Order.findByPk
+      .mockResolvedValueOnce({ id: 9, version: 200, update: jest.fn() })
+      .mockResolvedValueOnce(current);
+    const res = mockResponse();
+
+    await orderController.assignOrder({
+      params: { id: '9' }, body: { user_id: 3 }, expectedVersion: 100, user: manager,
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'version_conflict', expected_version: 100, current_version: 200, current,
+    }));
+  });
+
+  it('answers a service error with its status and details', async () => {
+    User.findOne.mockResolvedValue({ id: 3 });
+    Order.findByPk.mockRejectedValue(new ServiceError('Order is archived', 410, { code: 'archived' }));
+    const res = mockResponse();
+
+    await orderController.assignOrder({ params: { id: '9' }, body: { user_id: 3 }, user: manager }, res);
+
+    expect(res.status).toHaveBeenCalledWith(410);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Order is archived', code: 'archived' });
+  });
+});
+
+describe('updatePriority', () => {
+  it('answers a rejected SLA sync with its status and details', async () => {
+    Order.findByPk.mockResolvedValue({
+      id: 9, version: 100, update: jest.fn(), reload: jest.fn(),
+    });
+    syncOrderSla.mockRejectedValue(new ServiceError('SLA policy not found', 404));
+    const res = mockResponse();
+
+    await orderController.updatePriority({ params: { id: '9' }, body: { priority: 2 }, user: manager }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'SLA policy not found' });
+    expect(events.emit).not.toHaveBeenCalled();
+  });
+});
+
+describe('bulkAssignOrders', () => {
+  beforeEach(() => {
+    User.findOne.mockResolvedValue({ id: 3 });
+  });
+
+  it('assigns the listed orders that exist', async () => {
+    Order.findAll.mockResolvedValue([{ id: 1, version: 100 }, { id: 2, version: 200 }]);
+    const res = mockResponse();
+
+    await orderController.bulkAssignOrders({ body: { order_ids: [1, 2, 404], user_id: 3 }, user: manager }, res);
+
+    expect(Order.update).toHaveBeenCalledWith({ assigned_to: 3 }, { where: { id: [1, 2] }, transaction: mockTransaction });
+    expect(res.json).toHaveBeenCalledWith({ updated: 2, order_ids: [1, 2], assigned_to: 3 });
+    expect(ActivityLog.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ order_id: 1, action: 'order_assigned' }),
+      expect.objectContaining({ order_id: 2, action: 'order_assigned' }),
+    ], { transaction: mockTransaction });
+    expect(events.emit).toHaveBeenCalledWith('order.assigned', { orderId: 2, assignedTo: 3, userId: 1 });
+    expect(events.emit).not.toHaveBeenCalledWith('order.assigned', expect.objectContaining({ orderId: 404 }));
+  });
+
+  it('assigns nothing when any order changed since the given version', async () => {
+    Order.findAll
+      .mockResolvedValueOnce([{ id: 1, version: 100 }, { id: 2, version: 250 }])
+      .mockResolvedValueOnce([{ id: 2, version: 250 }]);
+    const res = mockResponse();
+
+    await orderController.bulkAssignOrders({
+      body: { order_ids: [1, 2], user_id: 3, versions: { 1: 100, 2: 200 } }, user: manager,
+    }, res);
+
+    expect(Order.update).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'version_conflict', conflicts: [{ id: 2, version: 250 }],
+    }));
+    expect(events.emit).not.toHaveBeenCalled();
+  });
+
+  it('compares versions given as strings by value', async () => {
+    Order.findAll.mockResolvedValue([{ id: 1, version: 100 }]);
+    const res = mockResponse();
+
+    await orderController.bulkAssignOrders({
+      body: { order_ids: [1], user_id: 3, versions: { 1: '100' } }, user: manager,
+    }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ updated: 1, order_ids: [1], assigned_to: 3 });
+  });
+});
@@ -0,0 +1,97 @@
+const reportService = require('../services/reportService');
+const { enqueueExport } = require('../jobs/reports');
+const { handleError } = require('../middleware/errorHandler');
+
+const reportController = {
+  getTypes: async (req, res) => {
+    try {
+      res.json(reportService.getReportTypes());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Small exports come back finished (201); larger ones are queued (202)
+  createExport: async (req, res) => {
+    try {
+      const reportExport = await reportService.createExport(req.body, req.user);
+      if (await reportService.shouldQueue(reportExport)) {
+        await enqueueExport(reportExport.id);
+        return res.status(202).json(reportExport);
+      }
+      res.status(201).json(await reportService.generateExport(reportExport.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getExports: async (req, res) => {
+    try {
+      res.json(await reportService.listExports(req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getExport: async (req, res) => {
+    try {
+      res.json(await reportService.getExport(req.params.id, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  downloadExport: async (req, res) => {
+    try {
+      const file = await reportService.getExportFile(req.params.id, req.user);
+      res.type(file.contentType);
+      res.download(file.path, file.fileName);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getSchedules: async (req, res) => {
+    try {
+      res.json(await reportService.listSchedules());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  createSchedule: async (req, res) => {
+    try {
+      res.status(201).json(await reportService.createSchedule(req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  updateSchedule: async (req, res) => {
+    try {
+      res.json(await reportService.updateSchedule(req.params.id, req.body, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  deleteSchedule: async (req, res) => {
+    try {
+      res.json(await reportService.deleteSchedule(req.params.id, req.user));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  runSchedule: async (req, res) => {
+    try {
+      const reportExport = await reportService.runScheduleNow(req.params.id, req.user);
+      await enqueueExport(reportExport.id);
+      res.status(202).json(reportExport);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = reportController;
@@ -0,0 +1,49 @@
+const slaService = require('../services/slaService');
+const { enqueueSlaCheck } = require('../jobs/slaMonitor');
+const { handleError } = require('../middleware/errorHandler');
+
+// Open orders pick up policy changes on the next check; queue one now
+const resyncOrders = () => enqueueSlaCheck()
+  .catch((error) => console.error('Failed to queue SLA check:', error));
+
+const slaController = {
+  getPolicies: async (req, res) => {
+    try {
+      res.json(await slaService.listPolicies());
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  createPolicy: async (req, res) => {
+    try {
+      const policy = await slaService.createPolicy(req.body, req.user);
+      resyncOrders();
+      res.status(201).json(policy);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  updatePolicy: async (req, res) => {
+    try {
+      const policy = await slaService.updatePolicy(req.params.id, req.body, req.user);
+      resyncOrders();
+      res.json(policy);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  deletePolicy: async (req, res) => {
+    try {
+      const result = await slaService.deletePolicy(req.params.id, req.user);
+      resyncOrders();
+      res.json(result);
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = slaController;
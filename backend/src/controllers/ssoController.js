@@ -0,0 +1,97 @@
+const identity = require('../services/identity');
+const tokenService = require('../services/tokenService');
+const { handleError } = require('../middleware/errorHandler');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const serializeUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  first_name: user.first_name,
+  last_name: user.last_name,
+  role: user.role,
+});
+
+const ssoController = {
+  // List enabled identity providers for the login page
+  getProviders: async (req, res) => {
+    res.json(identity.listProviders());
+  },
+
+  // Username/password login against a credentials provider such as LDAP
+  credentialsLogin: async (req, res) => {
+    try {
+      const provider = identity.getProvider(req.params.provider);
+      if (!provider || provider.type !== 'credentials') {
+        return res.status(404).json({ error: 'Identity provider not found' });
+      }
+
+      const profile = await provider.authenticate(req.body);
+      if (!profile) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      const user = await identity.provisionUser(profile);
+      const tokens = await tokenService.issueTokenPair(user);
+      res.json({ ...tokens, user: serializeUser(user) });
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  // Redirect the browser to the SAML IdP
+  samlLogin: async (req, res) => {
+    try {
+      const provider = identity.getProvider('saml');
+      if (!provider) {
+        return res.status(404).json({ error: 'Identity provider not found' });
+      }
+
+      res.redirect(await provider.getLoginUrl());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // SAML assertion consumer service. Tokens are handed to the frontend in the
+  // URL fragment so they never reach a server log.
+  samlCallback: async (req, res) => {
+    try {
+      const provider = identity.getProvider('saml');
+      if (!provider) {
+        return res.status(404).json({ error: 'Identity provider not found' });
+      }
+
+      const profile = await provider.handleCallback(req.body);
+      if (!profile) {
+        return res.redirect(`${FRONTEND_URL}/login?error=sso_failed`);
+      }
+
+      const user = await identity.provisionUser(profile);
+      const tokens = await tokenService.issueTokenPair(user);
+      const fragment = new URLSearchParams({
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+      });
+      res.redirect(`${FRONTEND_URL}/sso/callback#${fragment}`);
+    } catch (error) {
+      if (error instanceof identity.ProvisioningError) {
+        return res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent(error.message)}`);
+      }
+      console.error('SAML login failed:', error);
+      res.redirect(`${FRONTEND_URL}/login?error=sso_failed`);
+    }
+  },
+
+  // Service provider metadata for registering with the IdP
+  samlMetadata: async (req, res) => {
+    const provider = identity.getProvider('saml');
+    if (!provider) {
+      return res.status(404).json({ error: 'Identity provider not found' });
+    }
+
+    res.type('application/xml').send(provider.getMetadata());
+  },
+};
+
+module.exports = ssoController;
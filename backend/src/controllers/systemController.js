@@ -0,0 +1,35 @@
+const { SystemType } = require('../models');
+const inventoryService = require('../services/inventoryService');
+const { VersionConflictError, etagFor } = require('../services/versioning');
+const { handleError } = require('../middleware/errorHandler');
+
+const systemController = {
+  // List system types
+  getSystemTypes: async (req, res) => {
+    try {
+      res.json(await SystemType.findAll({ order: [['name', 'ASC']] }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Reserve a scanned serial from inventory for the system
+  assignSerial: async (req, res) => {
+    try {
+      const { system, assigned } = await inventoryService.assignSerialToSystem(req.params.id, {
+        serialNumber: req.body.serial_number,
+        user: req.user,
+        expectedVersion: req.expectedVersion,
+      });
+
+      res.status(assigned ? 201 : 200).set('ETag', etagFor(system)).json(system);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return res.status(409).json({ ...error.toJSON(), current: error.record });
+      }
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = systemController;
@@ -0,0 +1,24 @@
+const trackingService = require('../services/trackingService');
+const { handleError } = require('../middleware/errorHandler');
+
+const trackingController = {
+  // Public: no authentication, the signed token is the credential
+  getStatus: async (req, res) => {
+    try {
+      res.set('Cache-Control', 'no-store');
+      res.json(await trackingService.getTrackingStatus(req.params.token));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+
+  getTrackingLink: async (req, res) => {
+    try {
+      res.json(await trackingService.getTrackingLink(req.params.id));
+    } catch (error) {
+      handleError(res, error);
+    }
+  },
+};
+
+module.exports = trackingController;
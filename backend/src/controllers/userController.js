@@ -0,0 +1,109 @@
+const bcrypt = require('bcryptjs');
+const { sequelize, User, ActivityLog } = require('../models');
+const { BCRYPT_ROUNDS } = require('./authController');
+const { revokeAllRefreshTokens } = require('../services/tokenService');
+const { diffChanges } = require('../services/auditService');
+
+const userController = {
+  // List users, optionally filtered by role or active flag
+  getUsers: async (req, res) => {
+    try {
+      const { role, is_active } = req.query;
+      const where = {};
+
+      if (role) {
+        where.role = role;
+      }
+      if (is_active !== undefined) {
+        where.is_active = is_active === 'true';
+      }
+
+      const users = await User.findAll({
+        where,
+        order: [['last_name', 'ASC'], ['first_name', 'ASC']],
+      });
+      res.json(users);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Create a user account with an initial password
+  createUser: async (req, res) => {
+    try {
+      const {
+        email, password, first_name, last_name, role, can_qa,
+      } = req.body;
+
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      const user = await sequelize.transaction(async (transaction) => {
+        const created = await User.create({
+          email: email.toLowerCase(),
+          password_hash: passwordHash,
+          first_name,
+          last_name,
+          role,
+          can_qa,
+        }, { transaction });
+        await ActivityLog.create({
+          user_id: req.user.id,
+          action: 'user_created',
+          details: {
+            target_user_id: created.id,
+            after: {
+              email: created.email, first_name, last_name, role, can_qa: created.can_qa,
+            },
+          },
+        }, { transaction });
+        return created;
+      });
+
+      res.status(201).json(await User.findByPk(user.id));
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({ error: 'Email already in use' });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  },
+
+  // Update profile, role or active flag
+  updateUser: async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const fields = ['first_name', 'last_name', 'role', 'is_active', 'can_qa', 'is_available', 'auth_provider'];
+      const changes = {};
+      fields.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      });
+      // A new link is pinned to the directory identity on its first login
+      if (changes.auth_provider !== undefined && changes.auth_provider !== user.auth_provider) {
+        changes.external_id = null;
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await ActivityLog.create({
+          user_id: req.user.id,
+          action: 'user_updated',
+          details: { target_user_id: user.id, changes: diffChanges(user, changes) },
+        }, { transaction });
+        await user.update(changes, { transaction });
+      });
+      if (changes.is_active === false) {
+        await revokeAllRefreshTokens(user.id);
+      }
+
+      res.json(user);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+};
+
+module.exports = userController;
@@ -0,0 +1,55 @@
+const { redis } = require('../config/redis');
+const woocommerceService = require('../services/woocommerceService');
+
+// WooCommerce retries deliveries; remember processed ones for a week
+const DELIVERY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const handlers = {
+  'order.created': (payload) => woocommerceService.importOrder(payload),
+  'order.updated': (payload) => woocommerceService.updateOrder(payload),
+  'order.cancelled': (payload) => woocommerceService.cancelOrder(payload),
+  'order.deleted': (payload) => woocommerceService.cancelOrder(payload),
+};
+
+const webhookController = {
+  // Receive a WooCommerce order webhook
+  woocommerce: async (req, res) => {
+    const topic = req.get('X-WC-Webhook-Topic');
+    const deliveryId = req.get('X-WC-Webhook-Delivery-ID');
+
+    // WooCommerce sends a topic-less ping when the webhook is first saved
+    if (!topic) {
+      return res.json({ received: true });
+    }
+
+    const handler = handlers[topic];
+    if (!handler) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    const deliveryKey = deliveryId && `webhook:woocommerce:${deliveryId}`;
+    try {
+      if (deliveryKey) {
+        const first = await redis.set(deliveryKey, topic, 'EX', DELIVERY_TTL_SECONDS, 'NX');
+        if (!first) {
+          return res.json({ received: true, duplicate: true });
+        }
+      }
+
+      const result = await handler(req.body);
+      res.json({
+        received: true,
+        order_id: result.order ? result.order.id : null,
+      });
+    } catch (error) {
+      // Let WooCommerce's retry go through
+      if (deliveryKey) {
+        await redis.del(deliveryKey).catch(() => {});
+      }
+      console.error(`WooCommerce webhook ${topic} failed:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  },
+};
+
+module.exports = webhookController;
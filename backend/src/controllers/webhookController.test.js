@@ -0,0 +1,84 @@
+jest.mock('../config/redis', () => ({
+  redis: {
+    set: jest.fn(),
+    del: jest.fn(),
+  },
+}));
+jest.mock('../services/woocommerceService', () => ({
+  importOrder: jest.fn(),
+  updateOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+}));
+
+const { redis } = require('../config/redis');
+const woocommerceService = require('../services/woocommerceService');
+const webhookController = require('./webhookController');
+
+const mockRequest = (headers, body = { id: 1234 }) => ({
+  body,
+  get: (header) => headers[header],
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const delivery = { 'X-WC-Webhook-Topic': 'order.created', 'X-WC-Webhook-Delivery-ID': 'd-1' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  redis.del.mockResolvedValue(1);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('woocommerce webhook', () => {
+  it('acknowledges the ping sent when the webhook is saved', async () => {
+    const res = mockResponse();
+
+    await webhookController.woocommerce(mockRequest({}), res);
+
+    expect(res.json).toHaveBeenCalledWith({ received: true });
+  });
+
+  it('imports a new order once per delivery', async () => {
+    redis.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null);
+    woocommerceService.importOrder.mockResolvedValue({ order: { id: 7 }, created: true });
+    const first = mockResponse();
+    const retry = mockResponse();
+
+    await webhookController.woocommerce(mockRequest(delivery), first);
+    await webhookController.woocommerce(mockRequest(delivery), retry);
+
+    expect(redis.set).toHaveBeenCalledWith('webhook:woocommerce:d-1', 'order.created', 'EX', expect.any(Number), 'NX');
+    expect(woocommerceService.importOrder).toHaveBeenCalledTimes(1);
+    expect(first.json).toHaveBeenCalledWith({ received: true, order_id: 7 });
+    expect(retry.json).toHaveBeenCalledWith({ received: true, duplicate: true });
+  });
+
+  it('ignores topics it does not handle', async () => {
+    const res = mockResponse();
+
+    await webhookController.woocommerce(mockRequest({ 'X-WC-Webhook-Topic': 'product.updated' }), res);
+
+    expect(res.json).toHaveBeenCalledWith({ received: true, ignored: true });
+    expect(redis.set).not.toHaveBeenCalled();
+  });
+
+  it('forgets a failed delivery so the retry is processed', async () => {
+    redis.set.mockResolvedValue('OK');
+    woocommerceService.importOrder.mockRejectedValue(new Error('database unavailable'));
+    const res = mockResponse();
+
+    await webhookController.woocommerce(mockRequest(delivery), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(redis.del).toHaveBeenCalledWith('webhook:woocommerce:d-1');
+  });
+});
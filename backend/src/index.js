@@ -18,6 +18,15 @@ const checklistRoutes = require('./routes/checklists');
 const userRoutes = require('./routes/users');
 const analyticsRoutes = require('./routes/analytics');
 const integrationRoutes = require('./routes/integrations');
+const webhookRoutes = require('./routes/webhooks');
+const activityRoutes = require('./routes/activity');
+const assetNamingRoutes = require('./routes/assetNaming');
+const imagingQueueRoutes = require('./routes/imagingQueue');
+const assignmentRoutes = require('./routes/assignment');
+const slaRoutes = require('./routes/sla');
+const notificationRoutes = require('./routes/notifications');
+const trackingRoutes = require('./routes/tracking');
+const reportRoutes = require('./routes/reports');
 
 // Import middleware
 const { authenticate } = require('./middleware/auth');
@@ -25,6 +34,9 @@ const { errorHandler } = require('./middleware/errorHandler');
 
 // Import database connection
 const { sequelize } = require('./config/database');
+const { closeQueues } = require('./config/queue');
+const { startJobs } = require('./jobs');
+const { attachWebSocketServer, closeWebSocketServer, WS_PATH } = require('./services/realtimeService');
 
 // Initialize Express app
 const app = express();
@@ -65,9 +77,15 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
+  // Let the board read versions for If-Match and totals for paging
+  exposedHeaders: ['ETag', 'X-Total-Count'],
 }));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 app.use(morgan('combined'));
 
 // API Documentation
@@ -84,6 +102,8 @@ app.get('/health', (req, res) => {
 
 // Public routes
 app.use('/api/auth', authRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/tracking', trackingRoutes);
 
 // Protected routes (require authentication)
 app.use('/api/orders', authenticate, orderRoutes);
@@ -92,6 +112,13 @@ app.use('/api/checklists', authenticate, checklistRoutes);
 app.use('/api/users', authenticate, userRoutes);
 app.use('/api/analytics', authenticate, analyticsRoutes);
 app.use('/api/integrations', authenticate, integrationRoutes);
+app.use('/api/activity', authenticate, activityRoutes);
+app.use('/api/asset-naming', authenticate, assetNamingRoutes);
+app.use('/api/imaging-queue', authenticate, imagingQueueRoutes);
+app.use('/api/assignment', authenticate, assignmentRoutes);
+app.use('/api/sla', authenticate, slaRoutes);
+app.use('/api/notifications', authenticate, notificationRoutes);
+app.use('/api/reports', authenticate, reportRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -109,11 +136,19 @@ const startServer = async () => {
       console.log('✅ Database models synchronized.');
     }
 
+    // Register background job processors and schedules
+    await startJobs();
+    console.log('✅ Background jobs scheduled.');
+
     // Start Express server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
       console.log(`📚 API Documentation available at http://localhost:${PORT}/api/docs`);
     });
+
+    // Live board updates share the HTTP server
+    await attachWebSocketServer(server);
+    console.log(`🔌 WebSocket endpoint available at ws://localhost:${PORT}${WS_PATH}`);
   } catch (error) {
     console.error('❌ Unable to start server:', error);
     process.exit(1);
@@ -123,12 +158,16 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  await closeWebSocketServer();
+  await closeQueues();
   await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT signal received: closing HTTP server');
+  await closeWebSocketServer();
+  await closeQueues();
   await sequelize.close();
   process.exit(0);
 });
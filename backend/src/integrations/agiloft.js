@@ -0,0 +1,58 @@
+// Agiloft asset register REST client
+const axios = require('axios');
+
+// Fields sent for a system's asset record
+const buildAssetFields = (system) => ({
+  serial_number: system.serial_number,
+  asset_name: system.asset_name,
+  asset_type: system.systemType ? system.systemType.name : null,
+  department: system.order ? system.order.customer_department : null,
+  customer_name: system.order ? system.order.customer_name : null,
+  customer_email: system.order ? system.order.customer_email : null,
+  order_number: system.order ? system.order.woo_order_id : null,
+});
+
+const createClient = ({
+  url, apiKey, table = 'asset', timeout = 15000,
+}) => {
+  const http = axios.create({
+    baseURL: url.replace(/\/$/, ''),
+    headers: { Authorization: `Bearer ${apiKey}` },
+    timeout,
+  });
+
+  return {
+    // ID of the asset registered with a serial number, or null
+    findAssetBySerial: async (serialNumber) => {
+      const { data } = await http.get(`/${table}`, { params: { serial_number: serialNumber, limit: 1 } });
+      const records = Array.isArray(data) ? data : data.result || [];
+      return records.length ? String(records[0].id) : null;
+    },
+
+    // Resolves to the new record's ID
+    createAsset: async (fields) => {
+      const { data } = await http.post(`/${table}`, fields);
+      return String(data.id !== undefined ? data.id : data.result.id);
+    },
+
+    updateAsset: async (id, fields) => {
+      await http.put(`/${table}/${encodeURIComponent(id)}`, fields);
+      return String(id);
+    },
+  };
+};
+
+// Client configured from AGILOFT_URL / AGILOFT_API_KEY, or null when unset
+const createClientFromEnv = () => {
+  const { AGILOFT_URL, AGILOFT_API_KEY, AGILOFT_ASSET_TABLE } = process.env;
+  if (!AGILOFT_URL || !AGILOFT_API_KEY) {
+    return null;
+  }
+  return createClient({ url: AGILOFT_URL, apiKey: AGILOFT_API_KEY, table: AGILOFT_ASSET_TABLE });
+};
+
+module.exports = {
+  buildAssetFields,
+  createClient,
+  createClientFromEnv,
+};
@@ -0,0 +1,30 @@
+const axios = require('axios');
+const agiloft = require('./agiloft');
+
+const mockHttp = () => {
+  const http = { get: jest.fn(), post: jest.fn(), put: jest.fn() };
+  jest.spyOn(axios, 'create').mockReturnValue(http);
+  return http;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findAssetBySerial', () => {
+  const client = () => agiloft.createClient({ url: 'https://agiloft.example.com/api/', apiKey: 'key' });
+
+  it('resolves to the id of the asset with that serial', async () => {
+    const http = mockHttp();
+    http.get.mockResolvedValue({ data: { result: [{ id: 55, serial_number: 'SN-123' }] } });
+
+    expect(await client().findAssetBySerial('SN-123')).toBe('55');
+    expect(http.get).toHaveBeenCalledWith('/asset', { params: { serial_number: 'SN-123', limit: 1 } });
+  });
+
+  it('resolves to null when no asset has the serial', async () => {
+    mockHttp().get.mockResolvedValue({ data: [] });
+
+    expect(await client().findAssetBySerial('SN-404')).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+// inFlow Inventory REST client
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_VERSION = '2021-04-26';
+
+// Stable GUID derived from a local key, so a retried request updates the
+// same inFlow record instead of creating a second one
+const deterministicGuid = (key) => {
+  const hex = crypto.createHash('sha1').update(key).digest('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20, 32)].join('-');
+};
+
+// Serials received on a purchase order, one entry per serial
+const extractReceivedSerials = (purchaseOrder) => (purchaseOrder.receiveLines || [])
+  .flatMap((line) => ((line.quantity && line.quantity.serialNumbers) || []).map((serial) => ({
+    serial_number: serial,
+    product_id: line.productId,
+    sku: line.product ? line.product.sku : null,
+    received_date: (line.receiveDate || purchaseOrder.lastModifiedDateTime || new Date().toISOString()).slice(0, 10),
+    purchase_order: purchaseOrder.orderNumber,
+  })));
+
+const createClient = ({
+  url, apiKey, locationId, timeout = 15000,
+}) => {
+  const http = axios.create({
+    baseURL: url.replace(/\/$/, ''),
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      Accept: `application/json;version=${API_VERSION}`,
+    },
+    timeout,
+  });
+
+  return {
+    // Purchase orders modified since the given date, with received lines
+    listPurchaseOrders: async ({ modifiedSince, skip = 0, count = 100 }) => {
+      const { data } = await http.get('/purchase-orders', {
+        params: {
+          include: 'receiveLines.product',
+          'filter[lastModifiedDateTime][fromDate]': modifiedSince ? modifiedSince.toISOString() : undefined,
+          skip,
+          count,
+        },
+      });
+      return data;
+    },
+
+    findProductBySku: async (sku) => {
+      const { data } = await http.get('/products', { params: { 'filter[sku]': sku, count: 1 } });
+      return data[0] || null;
+    },
+
+    // Remove one serialized unit from stock
+    consumeSerial: async ({
+      key, productId, serialNumber, remarks,
+    }) => {
+      const stockAdjustmentId = deterministicGuid(`buildroom-adjustment-${key}`);
+      await http.put('/stock-adjustments', {
+        stockAdjustmentId,
+        locationId,
+        remarks,
+        lines: [{
+          stockAdjustmentLineId: deterministicGuid(`buildroom-adjustment-line-${key}`),
+          productId,
+          quantity: { standardQuantity: '-1', serialNumbers: [serialNumber] },
+        }],
+      });
+      return stockAdjustmentId;
+    },
+  };
+};
+
+// Client configured from INFLOW_URL / INFLOW_API_KEY, or null when unset
+const createClientFromEnv = () => {
+  const { INFLOW_URL, INFLOW_API_KEY, INFLOW_LOCATION_ID } = process.env;
+  if (!INFLOW_URL || !INFLOW_API_KEY) {
+    return null;
+  }
+  return createClient({ url: INFLOW_URL, apiKey: INFLOW_API_KEY, locationId: INFLOW_LOCATION_ID });
+};
+
+module.exports = {
+  extractReceivedSerials,
+  createClient,
+  createClientFromEnv,
+};
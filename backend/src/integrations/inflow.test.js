@@ -0,0 +1,36 @@
+const inflow = require('./inflow');
+
+describe('extractReceivedSerials', () => {
+  it('lists one receipt per serial on each received line', () => {
+    const purchaseOrder = {
+      orderNumber: 'PO-000123',
+      lastModifiedDateTime: '2024-03-04T15:00:00Z',
+      receiveLines: [
+        {
+          productId: 'p-laptop',
+          product: { sku: 'laptop' },
+          receiveDate: '2024-03-02T10:00:00Z',
+          quantity: { serialNumbers: ['SN-1', 'SN-2'] },
+        },
+        { productId: 'p-cable', product: { sku: 'usb-cable' }, quantity: { standardQuantity: '10' } },
+        { productId: 'p-dock', quantity: { serialNumbers: ['SN-3'] } },
+      ],
+    };
+
+    expect(inflow.extractReceivedSerials(purchaseOrder)).toEqual([
+      {
+        serial_number: 'SN-1', product_id: 'p-laptop', sku: 'laptop', received_date: '2024-03-02', purchase_order: 'PO-000123',
+      },
+      {
+        serial_number: 'SN-2', product_id: 'p-laptop', sku: 'laptop', received_date: '2024-03-02', purchase_order: 'PO-000123',
+      },
+      {
+        serial_number: 'SN-3', product_id: 'p-dock', sku: null, received_date: '2024-03-04', purchase_order: 'PO-000123',
+      },
+    ]);
+  });
+
+  it('handles purchase orders with nothing received yet', () => {
+    expect(inflow.extractReceivedSerials({ orderNumber: 'PO-000124' })).toEqual([]);
+  });
+});
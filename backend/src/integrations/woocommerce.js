@@ -0,0 +1,132 @@
+// WooCommerce REST API client and order payload helpers
+const axios = require('axios');
+
+// Local order reference for a WooCommerce order
+const toWooOrderId = (wooOrder) => `WC-${wooOrder.id}`;
+
+const getMeta = (wooOrder, keys) => {
+  const entry = (wooOrder.meta_data || []).find((m) => keys.includes(m.key));
+  return entry ? entry.value : undefined;
+};
+
+const formatAddress = (address = {}) => [
+  address.address_1,
+  address.address_2,
+  [address.city, address.state, address.postcode].filter(Boolean).join(' '),
+].filter(Boolean).join(', ') || null;
+
+// Local pickup and local delivery are hand-delivered on campus; anything else ships
+const getDeliveryMethod = (wooOrder) => {
+  const methods = (wooOrder.shipping_lines || []).map((line) => line.method_id);
+  return methods.some((m) => m === 'local_pickup' || m === 'local_delivery')
+    ? 'delivery'
+    : 'shipping';
+};
+
+// Map a WooCommerce order to `orders` columns
+const mapOrder = (wooOrder) => {
+  const billing = wooOrder.billing || {};
+  const deliveryMethod = getDeliveryMethod(wooOrder);
+
+  return {
+    woo_order_id: toWooOrderId(wooOrder),
+    customer_name: `${billing.first_name || ''} ${billing.last_name || ''}`.trim() || billing.email,
+    customer_email: billing.email,
+    customer_department: getMeta(wooOrder, ['department', 'customer_department']) || billing.company || null,
+    order_date: new Date(wooOrder.date_created_gmt ? `${wooOrder.date_created_gmt}Z` : wooOrder.date_created),
+    delivery_method: deliveryMethod,
+    delivery_address: formatAddress(deliveryMethod === 'shipping' ? wooOrder.shipping : wooOrder.billing),
+    notes: wooOrder.customer_note || null,
+  };
+};
+
+// Line items as { type, quantity }, where type is the product SKU that
+// corresponds to system_types.code
+const mapLineItems = (wooOrder) => (wooOrder.line_items || [])
+  .filter((item) => item.sku)
+  .map((item) => ({ type: item.sku, quantity: item.quantity || 1 }));
+
+const isCancelled = (wooOrder) => ['cancelled', 'refunded', 'failed'].includes(wooOrder.status);
+
+// The parts of an order we watch for changes after intake
+const buildSnapshot = (wooOrder) => ({
+  total: wooOrder.total,
+  line_items: (wooOrder.line_items || [])
+    .map((item) => ({
+      product_id: item.product_id,
+      sku: item.sku || null,
+      quantity: item.quantity,
+      total: item.total,
+    }))
+    .sort((a, b) => a.product_id - b.product_id),
+});
+
+const lineItemsKey = (items) => JSON.stringify(
+  items.map(({ product_id, quantity }) => [product_id, quantity])
+);
+
+// Compare an intake snapshot against the current WooCommerce order. Returns
+// the changed parts, or null when nothing we care about changed.
+const compareSnapshot = (snapshot, wooOrder) => {
+  if (!snapshot) {
+    return null;
+  }
+
+  const current = buildSnapshot(wooOrder);
+  const changes = {};
+  if (snapshot.total !== current.total) {
+    changes.total = { intake: snapshot.total, current: current.total };
+  }
+  if (lineItemsKey(snapshot.line_items) !== lineItemsKey(current.line_items)) {
+    changes.line_items = { intake: snapshot.line_items, current: current.line_items };
+  }
+  return Object.keys(changes).length ? changes : null;
+};
+
+// REST API (v3) client authenticated with a consumer key and secret
+const createClient = ({
+  url, key, secret, timeout = 15000,
+}) => {
+  const http = axios.create({
+    baseURL: `${url.replace(/\/$/, '')}/wp-json/wc/v3`,
+    auth: { username: key, password: secret },
+    timeout,
+  });
+
+  return {
+    // One page of orders modified after the given date, oldest ID first
+    listOrders: async ({ modifiedAfter, page = 1, perPage = 50 }) => {
+      const { data, headers } = await http.get('/orders', {
+        params: {
+          modified_after: modifiedAfter ? modifiedAfter.toISOString() : undefined,
+          status: 'any',
+          orderby: 'id',
+          order: 'asc',
+          page,
+          per_page: perPage,
+        },
+      });
+      return { orders: data, totalPages: parseInt(headers['x-wp-totalpages'], 10) || 1 };
+    },
+  };
+};
+
+// Client configured from WOOCOMMERCE_URL / _KEY / _SECRET, or null when unset
+const createClientFromEnv = () => {
+  const { WOOCOMMERCE_URL, WOOCOMMERCE_KEY, WOOCOMMERCE_SECRET } = process.env;
+  if (!WOOCOMMERCE_URL || !WOOCOMMERCE_KEY || !WOOCOMMERCE_SECRET) {
+    return null;
+  }
+  return createClient({ url: WOOCOMMERCE_URL, key: WOOCOMMERCE_KEY, secret: WOOCOMMERCE_SECRET });
+};
+
+module.exports = {
+  toWooOrderId,
+  mapOrder,
+  mapLineItems,
+  isCancelled,
+  buildSnapshot,
+  compareSnapshot,
+  createClient,
+  createClientFromEnv,
+};
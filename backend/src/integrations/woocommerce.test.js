@@ -0,0 +1,120 @@
+const woocommerce = require('./woocommerce');
+
+const wooOrder = {
+  id: 1234,
+  status: 'processing',
+  date_created_gmt: '2024-03-01T09:30:00',
+  billing: {
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    email: 'ada@example.com',
+    company: 'Mathematics',
+    address_1: '1 College Rd',
+    city: 'Springfield',
+    state: 'IL',
+    postcode: '62701',
+  },
+  shipping: {
+    address_1: '22 Depot St',
+    city: 'Shelbyville',
+  },
+  shipping_lines: [{ method_id: 'flat_rate' }],
+  meta_data: [{ key: 'department', value: 'Physics' }],
+  line_items: [
+    { sku: 'laptop', quantity: 2 },
+    { sku: '', quantity: 1 },
+    { sku: 'desktop' },
+  ],
+  customer_note: 'Please image with the lab build',
+};
+
+describe('mapOrder', () => {
+  it('maps billing, department meta and the shipping address', () => {
+    expect(woocommerce.mapOrder(wooOrder)).toEqual({
+      woo_order_id: 'WC-1234',
+      customer_name: 'Ada Lovelace',
+      customer_email: 'ada@example.com',
+      customer_department: 'Physics',
+      order_date: new Date('2024-03-01T09:30:00Z'),
+      delivery_method: 'shipping',
+      delivery_address: '22 Depot St, Shelbyville',
+      notes: 'Please image with the lab build',
+    });
+  });
+
+  it('treats local pickup and delivery as hand delivery to the billing address', () => {
+    const mapped = woocommerce.mapOrder({ ...wooOrder, shipping_lines: [{ method_id: 'local_pickup' }] });
+
+    expect(mapped.delivery_method).toBe('delivery');
+    expect(mapped.delivery_address).toBe('1 College Rd, Springfield IL 62701');
+  });
+
+  it('falls back to the company and email when meta and names are missing', () => {
+    const mapped = woocommerce.mapOrder({
+      ...wooOrder,
+      meta_data: [],
+      billing: { email: 'lab@example.com', company: 'Chemistry' },
+    });
+
+    expect(mapped.customer_name).toBe('lab@example.com');
+    expect(mapped.customer_department).toBe('Chemistry');
+  });
+});
+
+describe('mapLineItems', () => {
+  it('keeps items with a SKU and defaults the quantity to one', () => {
+    expect(woocommerce.mapLineItems(wooOrder)).toEqual([
+      { type: 'laptop', quantity: 2 },
+      { type: 'desktop', quantity: 1 },
+    ]);
+  });
+});
+
+describe('isCancelled', () => {
+  it('covers cancelled, refunded and failed orders', () => {
+    expect(['cancelled', 'refunded', 'failed', 'processing'].map((status) => (
+      woocommerce.isCancelled({ status })
+    ))).toEqual([true, true, true, false]);
+  });
+});
+
+describe('compareSnapshot', () => {
+  const order = {
+    total: '1800.00',
+    line_items: [
+      {
+        product_id: 12, sku: 'dock', quantity: 1, total: '200.00',
+      },
+      {
+        product_id: 11, sku: 'laptop', quantity: 2, total: '1600.00',
+      },
+    ],
+  };
+  const snapshot = woocommerce.buildSnapshot(order);
+
+  it('sees no change when only the line item order differs', () => {
+    expect(woocommerce.compareSnapshot(snapshot, { ...order, line_items: [...order.line_items].reverse() })).toBeNull();
+  });
+
+  it('reports total and quantity changes against the intake values', () => {
+    const changed = {
+      total: '2600.00',
+      line_items: [
+        {
+          product_id: 11, sku: 'laptop', quantity: 3, total: '2400.00',
+        },
+        order.line_items[0],
+      ],
+    };
+
+    const changes = woocommerce.compareSnapshot(snapshot, changed);
+
+    expect(changes.total).toEqual({ intake: '1800.00', current: '2600.00' });
+    expect(changes.line_items.intake).toEqual(snapshot.line_items);
+    expect(changes.line_items.current.map((item) => item.quantity)).toEqual([3, 1]);
+  });
+
+  it('has nothing to compare for orders imported before snapshots', () => {
+    expect(woocommerce.compareSnapshot(null, order)).toBeNull();
+  });
+});
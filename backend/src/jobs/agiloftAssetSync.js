@@ -0,0 +1,114 @@
+// Registers completed systems as assets in Agiloft
+const { getQueue } = require('../config/queue');
+const {
+  Order,
+  System,
+  SystemType,
+  ActivityLog,
+} = require('../models');
+const agiloft = require('../integrations/agiloft');
+const { events } = require('../services/events');
+
+const QUEUE_NAME = 'agiloft-asset-sync';
+const JOB_OPTIONS = {
+  attempts: 6,
+  backoff: { type: 'exponential', delay: 30000 },
+  removeOnComplete: true,
+  removeOnFail: true,
+};
+
+// Create the asset record, or update it when the system already has one.
+// Before creating, the asset is looked up by serial number: an attempt that
+// created it but failed before saving its id must not register it twice.
+const syncAsset = async (job) => {
+  const { systemId, userId } = job.data;
+  const client = agiloft.createClientFromEnv();
+  if (!client) {
+    job.discard();
+    throw new Error('Agiloft is not configured');
+  }
+
+  const system = await System.findByPk(systemId, {
+    include: [
+      { model: Order, as: 'order' },
+      { model: SystemType, as: 'systemType' },
+    ],
+  });
+  if (!system || !system.serial_number) {
+    // Retrying won't help until someone fixes the data
+    job.discard();
+    throw new Error(system ? 'System has no serial number' : 'System not found');
+  }
+
+  const fields = agiloft.buildAssetFields(system);
+  let assetId = system.agiloft_asset_id;
+  let created = false;
+  try {
+    if (assetId) {
+      await client.updateAsset(assetId, fields);
+    }
+  } catch (error) {
+    // The record was removed in Agiloft; register it again
+    if (!error.response || error.response.status !== 404) throw error;
+    assetId = null;
+  }
+  if (!assetId) {
+    assetId = await client.findAssetBySerial(system.serial_number);
+    if (assetId) {
+      await client.updateAsset(assetId, fields);
+    } else {
+      assetId = await client.createAsset(fields);
+      created = true;
+    }
+  }
+
+  await system.update({ agiloft_asset_id: assetId });
+  await ActivityLog.create({
+    user_id: userId || null,
+    order_id: system.order_id,
+    system_id: system.id,
+    action: 'agiloft_asset_synced',
+    details: { agiloft_asset_id: assetId, created },
+  });
+
+  return { agiloft_asset_id: assetId, created };
+};
+
+// One pending job per system; a second request while one is queued is a no-op
+const enqueueAssetSync = (systemId, { userId } = {}) => getQueue(QUEUE_NAME).add(
+  { systemId, userId },
+  { ...JOB_OPTIONS, jobId: `system-${systemId}` }
+);
+
+const register = () => {
+  const queue = getQueue(QUEUE_NAME);
+  queue.process(syncAsset);
+
+  // Record a failure once retries are exhausted (or the job was discarded)
+  queue.on('failed', async (job, error) => {
+    if (job.attemptsMade < job.opts.attempts && !job.isDiscarded()) return;
+    try {
+      const system = await System.findByPk(job.data.systemId, { attributes: ['id', 'order_id'] });
+      await ActivityLog.create({
+        user_id: job.data.userId || null,
+        order_id: system ? system.order_id : null,
+        system_id: system ? system.id : null,
+        action: 'agiloft_asset_sync_failed',
+        details: { error: error.message, attempts: job.attemptsMade },
+      });
+    } catch (logError) {
+      console.error('Failed to log Agiloft sync failure:', logError);
+    }
+  });
+
+  events.on('system.completed', ({ systemId, userId }) => {
+    if (!agiloft.createClientFromEnv()) return;
+    enqueueAssetSync(systemId, { userId })
+      .catch((error) => console.error(`Failed to queue Agiloft sync for system ${systemId}:`, error));
+  });
+};
+
+module.exports = {
+  enqueueAssetSync,
+  register,
+};
@@ -0,0 +1,159 @@
+const mockQueue = {
+  process: jest.fn(),
+  on: jest.fn(),
+  add: jest.fn(),
+};
+jest.mock('../config/queue', () => ({ getQueue: () => mockQueue }));
+jest.mock('../models', () => ({
+  Order: {},
+  SystemType: {},
+  System: { findByPk: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+}));
+jest.mock('../integrations/agiloft', () => ({
+  ...jest.requireActual('../integrations/agiloft'),
+  createClientFromEnv: jest.fn(),
+}));
+
+const { System, ActivityLog } = require('../models');
+const agiloft = require('../integrations/agiloft');
+const { register } = require('./agiloftAssetSync');
+
+register();
+const [[syncAsset]] = mockQueue.process.mock.calls;
+const [, onFailed] = mockQueue.on.mock.calls.find(([name]) => name === 'failed');
+
+const client = {
+  findAssetBySerial: jest.fn(),
+  createAsset: jest.fn(),
+  updateAsset: jest.fn(),
+};
+
+const mockJob = () => ({ data: { systemId: 5, userId: 2 }, discard: jest.fn() });
+
+const mockSystem = (fields) => ({
+  id: 5,
+  order_id: 9,
+  serial_number: 'SN-123',
+  asset_name: 'LT-0042',
+  agiloft_asset_id: null,
+  systemType: { name: 'Laptop' },
+  order: { customer_department: 'Physics', customer_name: 'Ada', customer_email: 'ada@example.com', woo_order_id: 'WC-1' },
+  update: jest.fn(),
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  agiloft.createClientFromEnv.mockReturnValue(client);
+  client.findAssetBySerial.mockResolvedValue(null);
+  client.createAsset.mockResolvedValue('A-100');
+  client.updateAsset.mockImplementation(async (id) => id);
+});
+
+describe('syncAsset', () => {
+  it('registers a new asset and remembers its id', async () => {
+    const system = mockSystem();
+    System.findByPk.mockResolvedValue(system);
+
+    const result = await syncAsset(mockJob());
+
+    expect(client.createAsset).toHaveBeenCalledWith({
+      serial_number: 'SN-123',
+      asset_name: 'LT-0042',
+      asset_type: 'Laptop',
+      department: 'Physics',
+      customer_name: 'Ada',
+      customer_email: 'ada@example.com',
+      order_number: 'WC-1',
+    });
+    expect(system.update).toHaveBeenCalledWith({ agiloft_asset_id: 'A-100' });
+    expect(result).toEqual({ agiloft_asset_id: 'A-100', created: true });
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'agiloft_asset_synced', system_id: 5, order_id: 9,
+    }));
+  });
+
+  it('updates the asset a system is already registered as', async () => {
+    System.findByPk.mockResolvedValue(mockSystem({ agiloft_asset_id: 'A-7' }));
+
+    const result = await syncAsset(mockJob());
+
+    expect(client.updateAsset).toHaveBeenCalledWith('A-7', expect.any(Object));
+    expect(client.createAsset).not.toHaveBeenCalled();
+    expect(result).toEqual({ agiloft_asset_id: 'A-7', created: false });
+  });
+
+  it('registers the asset again when Agiloft no longer has it', async () => {
+    System.findByPk.mockResolvedValue(mockSystem({ agiloft_asset_id: 'A-7' }));
+    client.updateAsset.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+
+    expect(await syncAsset(mockJob())).toEqual({ agiloft_asset_id: 'A-100', created: true });
+  });
+
+  it('adopts the asset an interrupted attempt already registered', async () => {
+    const system = mockSystem();
+    System.findByPk.mockResolvedValue(system);
+    client.findAssetBySerial.mockResolvedValue('A-55');
+
+    const result = await syncAsset(mockJob());
+
+    expect(client.findAssetBySerial).toHaveBeenCalledWith('SN-123');
+    expect(client.createAsset).not.toHaveBeenCalled();
+    expect(client.updateAsset).toHaveBeenCalledWith('A-55', expect.objectContaining({ serial_number: 'SN-123' }));
+    expect(system.update).toHaveBeenCalledWith({ agiloft_asset_id: 'A-55' });
+    expect(result).toEqual({ agiloft_asset_id: 'A-55', created: false });
+  });
+
+  it('does not create the asset when the lookup fails', async () => {
+    System.findByPk.mockResolvedValue(mockSystem());
+    client.findAssetBySerial.mockRejectedValue(new Error('timeout of 15000ms exceeded'));
+
+    await expect(syncAsset(mockJob())).rejects.toThrow('timeout');
+    expect(client.createAsset).not.toHaveBeenCalled();
+  });
+
+  it('lets other Agiloft errors fail the attempt so it is retried', async () => {
+    System.findByPk.mockResolvedValue(mockSystem({ agiloft_asset_id: 'A-7' }));
+    client.updateAsset.mockRejectedValue(Object.assign(new Error('Bad gateway'), { response: { status: 502 } }));
+    const job = mockJob();
+
+    await expect(syncAsset(job)).rejects.toThrow('Bad gateway');
+    expect(job.discard).not.toHaveBeenCalled();
+  });
+
+  it('does not retry systems without a serial number', async () => {
+    System.findByPk.mockResolvedValue(mockSystem({ serial_number: null }));
+    const job = mockJob();
+
+    await expect(syncAsset(job)).rejects.toThrow('System has no serial number');
+    expect(job.discard).toHaveBeenCalled();
+  });
+});
+
+describe('failed jobs', () => {
+  const failedJob = (attemptsMade) => ({
+    ...mockJob(), attemptsMade, opts: { attempts: 5 }, isDiscarded: () => false,
+  });
+
+  it('logs the failure once retries are exhausted', async () => {
+    System.findByPk.mockResolvedValue({ id: 5, order_id: 9 });
+
+    await onFailed(failedJob(4), new Error('timeout'));
+    await onFailed(failedJob(5), new Error('timeout'));
+
+    expect(ActivityLog.create).toHaveBeenCalledTimes(1);
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      system_id: 5, action: 'agiloft_asset_sync_failed', details: { error: 'timeout', attempts: 5 },
+    }));
+  });
+
+  it('never throws when the failure cannot be logged', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    System.findByPk.mockRejectedValue(new Error('connection refused'));
+
+    await expect(onFailed(failedJob(5), new Error('timeout'))).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,13 @@
+// Assigns new orders with the manager-configured strategy. Other intake steps
+// (e.g. the imaging queue) wait for order.intake_completed, so they always see
+// the order as auto-assignment left it, whether or not it succeeded.
+const { events } = require('../services/events');
+const { autoAssignOrder } = require('../services/assignmentService');
+
+const register = () => {
+  events.on('order.created', ({ orderId, userId }) => autoAssignOrder(orderId)
+    .catch((error) => console.error(`Failed to auto-assign order ${orderId}:`, error))
+    .then(() => events.emit('order.intake_completed', { orderId, userId })));
+};
+
+module.exports = { register };
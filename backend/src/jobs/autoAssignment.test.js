@@ -0,0 +1,50 @@
+jest.mock('../services/assignmentService', () => ({ autoAssignOrder: jest.fn() }));
+jest.mock('../services/imagingQueueService', () => ({ enqueueOrder: jest.fn() }));
+
+const { events } = require('../services/events');
+const { autoAssignOrder } = require('../services/assignmentService');
+const imagingQueueService = require('../services/imagingQueueService');
+const autoAssignment = require('./autoAssignment');
+const imagingQueue = require('./imagingQueue');
+
+// In startJobs' order: imaging registers first but still waits for assignment
+imagingQueue.register();
+autoAssignment.register();
+
+// Lets the listeners' promise chains settle
+const flush = () => new Promise((resolve) => { setImmediate(resolve); });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  imagingQueueService.enqueueOrder.mockResolvedValue([]);
+});
+
+describe('new orders', () => {
+  it('are queued for imaging only after auto-assignment has finished', async () => {
+    let finishAssignment;
+    autoAssignOrder.mockReturnValue(new Promise((resolve) => { finishAssignment = resolve; }));
+
+    events.emit('order.created', { orderId: 7, userId: 1 });
+    await flush();
+
+    expect(autoAssignOrder).toHaveBeenCalledWith(7);
+    expect(imagingQueueService.enqueueOrder).not.toHaveBeenCalled();
+
+    finishAssignment(null);
+    await flush();
+
+    expect(imagingQueueService.enqueueOrder).toHaveBeenCalledWith(7, { userId: 1 });
+  });
+
+  it('are still queued for imaging when auto-assignment fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    autoAssignOrder.mockRejectedValue(new Error('deadlock detected'));
+
+    events.emit('order.created', { orderId: 7, userId: null });
+    await flush();
+
+    expect(console.error).toHaveBeenCalledWith('Failed to auto-assign order 7:', expect.any(Error));
+    expect(imagingQueueService.enqueueOrder).toHaveBeenCalledWith(7, { userId: null });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,27 @@
+// Keeps the imaging queue in step with orders as they arrive, change
+// priority and close
+const { events } = require('../services/events');
+const imagingQueue = require('../services/imagingQueueService');
+
+const CLOSED_STATUSES = ['complete', 'cancelled'];
+
+const register = () => {
+  // After auto-assignment, which runs first for every new order
+  events.on('order.intake_completed', ({ orderId, userId }) => {
+    imagingQueue.enqueueOrder(orderId, { userId })
+      .catch((error) => console.error(`Failed to queue order ${orderId} for imaging:`, error));
+  });
+
+  events.on('order.priority_changed', ({ orderId }) => {
+    imagingQueue.repositionOrder(orderId)
+      .catch((error) => console.error(`Failed to reposition order ${orderId} in the imaging queue:`, error));
+  });
+
+  events.on('order.status_changed', ({ orderId, to }) => {
+    if (!CLOSED_STATUSES.includes(to)) return;
+    imagingQueue.dequeueOrder(orderId)
+      .catch((error) => console.error(`Failed to remove order ${orderId} from the imaging queue:`, error));
+  });
+};
+
+module.exports = { register };
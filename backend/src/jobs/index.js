@@ -0,0 +1,24 @@
+// Background job registration
+const woocommerceReconcile = require('./woocommerceReconcile');
+const agiloftAssetSync = require('./agiloftAssetSync');
+const inflowSync = require('./inflowSync');
+const imagingQueue = require('./imagingQueue');
+const autoAssignment = require('./autoAssignment');
+const slaMonitor = require('./slaMonitor');
+const notifications = require('./notifications');
+const performanceMetrics = require('./performanceMetrics');
+const reports = require('./reports');
+
+const startJobs = async () => {
+  agiloftAssetSync.register();
+  imagingQueue.register();
+  autoAssignment.register();
+  notifications.register();
+  await woocommerceReconcile.schedule();
+  await inflowSync.schedule();
+  await slaMonitor.schedule();
+  await performanceMetrics.schedule();
+  await reports.schedule();
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,266 @@
+// Two-way inFlow sync: pull received serials into inventory, and consume
+// stock in inFlow when a serial is assigned to a system
+const { QueryTypes } = require('sequelize');
+const { getQueue } = require('../config/queue');
+const {
+  sequelize,
+  ActivityLog,
+  Inventory,
+  IntegrationSyncRun,
+  System,
+  SystemType,
+} = require('../models');
+const inflow = require('../integrations/inflow');
+const { events } = require('../services/events');
+const { getIntegration, logIntegrationError } = require('../services/integrationService');
+const { recordReceivedSerial } = require('../services/inventoryService');
+
+const RECEIVE_QUEUE = 'inflow-receive';
+const CONSUME_QUEUE = 'inflow-consume';
+const DEFAULT_CRON = '*/30 * * * *';
+const PAGE_SIZE = 100;
+
+const CONSUME_JOB_OPTIONS = {
+  attempts: 6,
+  backoff: { type: 'exponential', delay: 30000 },
+  removeOnComplete: true,
+  removeOnFail: true,
+};
+
+// Pull purchase orders modified since the last sync and record their received serials
+const runReceiveSync = async ({ client = inflow.createClientFromEnv() } = {}) => {
+  if (!client) {
+    throw new Error('inFlow is not configured');
+  }
+
+  const integration = await getIntegration('inflow');
+  const startedAt = new Date();
+  const run = await IntegrationSyncRun.create({
+    integration_id: integration.id,
+    started_at: startedAt,
+    synced_since: integration.last_sync_at,
+  });
+
+  const report = {
+    created: 0,
+    unchanged: 0,
+    skipped: 0,
+    conflict: 0,
+    errors: [],
+  };
+  try {
+    let skip = 0;
+    let page;
+    do {
+      page = await client.listPurchaseOrders({
+        modifiedSince: integration.last_sync_at,
+        skip,
+        count: PAGE_SIZE,
+      });
+      for (const receipt of page.flatMap(inflow.extractReceivedSerials)) {
+        try {
+          report[await recordReceivedSerial(receipt)] += 1;
+        } catch (error) {
+          report.errors.push({ serial_number: receipt.serial_number, error: error.message });
+        }
+      }
+      skip += PAGE_SIZE;
+    } while (page.length === PAGE_SIZE);
+
+    if (!report.errors.length) {
+      await integration.update({ last_sync_at: startedAt });
+    }
+    await run.update({ status: 'succeeded', finished_at: new Date(), report });
+  } catch (error) {
+    await run.update({
+      status: 'failed',
+      finished_at: new Date(),
+      report: { ...report, failure: error.message },
+    });
+    throw error;
+  }
+
+  return run;
+};
+
+// Idempotency key for one assignment's stock adjustment, also its job id.
+// Retries of an assignment reuse it; assigning the serial again (to this or
+// another system) is a new adjustment.
+const consumeKey = ({ inventoryId, systemId, assignmentId }) => [
+  `inventory-${inventoryId}`,
+  `system-${systemId}`,
+  assignmentId && `assignment-${assignmentId}`,
+].filter(Boolean).join('-');
+
+// Error type for a consume inFlow rejected, or null when retrying may help
+// (network errors, timeouts, rate limits, server errors). Bad credentials
+// need the configuration fixed; a conflict, or a validation error naming the
+// serial, means inFlow doesn't have that serial in stock to consume.
+const consumeErrorType = (error) => {
+  const status = error.response ? error.response.status : null;
+  if (!status || status < 400 || status >= 500 || status === 408 || status === 429) {
+    return null;
+  }
+  if (status === 401 || status === 403) return 'auth_failed';
+  const mentionsSerial = /serial/i.test(JSON.stringify(error.response.data || ''));
+  if (status === 409 || ((status === 400 || status === 422) && mentionsSerial)) {
+    return 'serial_unavailable';
+  }
+  return 'invalid_request';
+};
+
+// Decrement inFlow stock for a serial that was assigned to a system
+const consumeSerial = async (job) => {
+  const {
+    inventoryId, systemId, userId, assignmentId,
+  } = job.data;
+  const client = inflow.createClientFromEnv();
+  if (!client) {
+    job.discard();
+    throw new Error('inFlow is not configured');
+  }
+
+  const item = await Inventory.findByPk(inventoryId, {
+    include: [{ model: SystemType, as: 'systemType' }],
+  });
+  const system = await System.findByPk(systemId);
+  if (!item || !system) {
+    job.discard();
+    throw new Error('Inventory item or system not found');
+  }
+
+  const product = await client.findProductBySku(item.systemType.code);
+  if (!product) {
+    job.discard();
+    await logIntegrationError('inflow', {
+      errorType: 'unknown_product',
+      reference: item.serial_number,
+      message: `No inFlow product with SKU "${item.systemType.code}"`,
+      details: { inventory_id: item.id, system_id: system.id },
+    });
+    throw new Error('inFlow product not found');
+  }
+
+  try {
+    await client.consumeSerial({
+      key: consumeKey({ inventoryId: item.id, systemId: system.id, assignmentId }),
+      productId: product.productId,
+      serialNumber: item.serial_number,
+      remarks: `Assigned to system ${system.id} (order ${system.order_id})`,
+    });
+  } catch (error) {
+    const errorType = consumeErrorType(error);
+    if (errorType) {
+      job.discard();
+      // Only a problem with the serial itself is filed under the serial
+      await logIntegrationError('inflow', {
+        errorType,
+        reference: errorType === 'serial_unavailable' ? item.serial_number : `inventory-${item.id}`,
+        message: `inFlow rejected consuming serial ${item.serial_number} (${error.response.status})`,
+        details: {
+          inventory_id: item.id,
+          system_id: system.id,
+          status: error.response.status,
+          response: error.response.data,
+        },
+      });
+    }
+    throw error;
+  }
+
+  await system.update({ inflow_item_id: product.productId });
+  await ActivityLog.create({
+    user_id: userId || null,
+    order_id: system.order_id,
+    system_id: system.id,
+    action: 'inflow_stock_consumed',
+    details: { serial_number: item.serial_number, inflow_item_id: product.productId },
+  });
+};
+
+const enqueueReceiveSync = (data = {}) => getQueue(RECEIVE_QUEUE).add(data, {
+  removeOnComplete: 50,
+  removeOnFail: 50,
+});
+
+const enqueueConsume = ({
+  inventoryId, systemId, userId, assignmentId,
+}) => getQueue(CONSUME_QUEUE).add(
+  {
+    inventoryId, systemId, userId, assignmentId,
+  },
+  { ...CONSUME_JOB_OPTIONS, jobId: consumeKey({ inventoryId, systemId, assignmentId }) }
+);
+
+// Assigned serials whose stock was never consumed in inFlow, e.g. because the
+// inventory.assigned event was lost to a restart. Serials with an unresolved
+// inFlow error wait for someone to sort that out instead of failing again.
+const enqueuePendingConsumes = async () => {
+  const pending = await sequelize.query(`
+    SELECT i.id AS inventory_id, i.assigned_to_system AS system_id,
+      (SELECT MAX(a.id) FROM activity_logs a
+        WHERE a.action = 'serial_assigned' AND a.system_id = i.assigned_to_system
+          AND (a.details->>'inventory_id')::int = i.id) AS assignment_id
+    FROM inventory i
+    JOIN systems s ON s.id = i.assigned_to_system
+    WHERE i.status = 'assigned'
+      AND s.inflow_item_id IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM integration_errors e
+        JOIN integrations n ON n.id = e.integration_id
+        WHERE n.name = 'inflow'
+          AND e.resolved_at IS NULL
+          AND e.reference IN (i.serial_number, 'inventory-' || i.id)
+      )`, { type: QueryTypes.SELECT });
+
+  // Jobs are keyed by assignment, so serials already queued aren't doubled
+  await Promise.all(pending.map((row) => enqueueConsume({
+    inventoryId: row.inventory_id, systemId: row.system_id, userId: null, assignmentId: row.assignment_id,
+  })));
+  return pending.length;
+};
+
+const schedule = async () => {
+  const receiveQueue = getQueue(RECEIVE_QUEUE);
+  const consumeQueue = getQueue(CONSUME_QUEUE);
+  receiveQueue.process(async () => {
+    await enqueuePendingConsumes();
+    return runReceiveSync();
+  });
+  consumeQueue.process(consumeSerial);
+
+  consumeQueue.on('failed', async (job, error) => {
+    // Discarded jobs log their own, more specific, error
+    if (job.isDiscarded() || job.attemptsMade < job.opts.attempts) return;
+    await logIntegrationError('inflow', {
+      errorType: 'sync_failed',
+      reference: `inventory-${job.data.inventoryId}`,
+      message: error.message,
+      details: { ...job.data, attempts: job.attemptsMade },
+    }).catch((logError) => console.error('Failed to log inFlow sync failure:', logError));
+  });
+
+  events.on('inventory.assigned', (payload) => {
+    if (!inflow.createClientFromEnv()) return;
+    enqueueConsume(payload)
+      .catch((error) => console.error(`Failed to queue inFlow consume for inventory ${payload.inventoryId}:`, error));
+  });
+
+  if (!inflow.createClientFromEnv()) {
+    console.log('ℹ️  inFlow not configured; inventory sync is disabled.');
+    return;
+  }
+
+  await receiveQueue.add({}, {
+    jobId: RECEIVE_QUEUE,
+    repeat: { cron: process.env.INFLOW_SYNC_CRON || DEFAULT_CRON },
+    removeOnComplete: 50,
+    removeOnFail: 50,
+  });
+};
+
+module.exports = {
+  runReceiveSync,
+  enqueueReceiveSync,
+  schedule,
+};
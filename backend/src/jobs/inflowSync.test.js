@@ -0,0 +1,152 @@
+const mockQueues = {};
+jest.mock('../config/queue', () => ({
+  getQueue: (name) => {
+    mockQueues[name] = mockQueues[name] || { process: jest.fn(), on: jest.fn(), add: jest.fn() };
+    return mockQueues[name];
+  },
+}));
+jest.mock('../models', () => ({
+  sequelize: { query: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+  Inventory: { findByPk: jest.fn() },
+  IntegrationSyncRun: { create: jest.fn() },
+  System: { findByPk: jest.fn() },
+  SystemType: {},
+}));
+jest.mock('../integrations/inflow', () => ({
+  ...jest.requireActual('../integrations/inflow'),
+  createClientFromEnv: jest.fn(),
+}));
+jest.mock('../services/integrationService', () => ({
+  getIntegration: jest.fn(),
+  logIntegrationError: jest.fn(),
+}));
+
+const {
+  sequelize, ActivityLog, Inventory, System,
+} = require('../models');
+const inflow = require('../integrations/inflow');
+const { logIntegrationError } = require('../services/integrationService');
+const { schedule } = require('./inflowSync');
+
+const client = {
+  findProductBySku: jest.fn(),
+  consumeSerial: jest.fn(),
+};
+
+let consumeSerial;
+let receive;
+beforeAll(async () => {
+  inflow.createClientFromEnv.mockReturnValue(null);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await schedule();
+  console.log.mockRestore();
+  [[consumeSerial]] = mockQueues['inflow-consume'].process.mock.calls;
+  [[receive]] = mockQueues['inflow-receive'].process.mock.calls;
+});
+
+const mockJob = () => ({
+  data: {
+    inventoryId: 4, systemId: 8, userId: 2, assignmentId: 61,
+  },
+  discard: jest.fn(),
+});
+const system = { id: 8, order_id: 3, update: jest.fn() };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  inflow.createClientFromEnv.mockReturnValue(client);
+  Inventory.findByPk.mockResolvedValue({ id: 4, serial_number: 'SN-1', systemType: { code: 'laptop' } });
+  System.findByPk.mockResolvedValue(system);
+  client.findProductBySku.mockResolvedValue({ productId: 'p-laptop' });
+  client.consumeSerial.mockResolvedValue('adjustment-id');
+});
+
+describe('consumeSerial', () => {
+  it('takes the serial out of inFlow stock and links the system to the product', async () => {
+    await consumeSerial(mockJob());
+
+    expect(client.consumeSerial).toHaveBeenCalledWith({
+      key: 'inventory-4-system-8-assignment-61',
+      productId: 'p-laptop',
+      serialNumber: 'SN-1',
+      remarks: 'Assigned to system 8 (order 3)',
+    });
+    expect(system.update).toHaveBeenCalledWith({ inflow_item_id: 'p-laptop' });
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'inflow_stock_consumed' }));
+  });
+
+  it('logs products inFlow does not know and stops retrying', async () => {
+    client.findProductBySku.mockResolvedValue(null);
+    const job = mockJob();
+
+    await expect(consumeSerial(job)).rejects.toThrow('inFlow product not found');
+    expect(job.discard).toHaveBeenCalled();
+    expect(logIntegrationError).toHaveBeenCalledWith('inflow', expect.objectContaining({ errorType: 'unknown_product' }));
+  });
+
+  it('logs a serial inFlow refuses to consume and stops retrying', async () => {
+    client.consumeSerial.mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { status: 400, data: { message: 'Serial not in stock' } },
+    }));
+    const job = mockJob();
+
+    await expect(consumeSerial(job)).rejects.toThrow('Request failed');
+    expect(job.discard).toHaveBeenCalled();
+    expect(logIntegrationError).toHaveBeenCalledWith('inflow', expect.objectContaining({
+      errorType: 'serial_unavailable',
+      reference: 'SN-1',
+    }));
+  });
+
+  // Rejects the next consume with the given response and resolves to the
+  // error type logged for it, or null when the job is left to retry
+  const loggedErrorFor = async (response) => {
+    client.consumeSerial.mockRejectedValue(Object.assign(new Error('Request failed'), { response }));
+    const job = mockJob();
+
+    await expect(consumeSerial(job)).rejects.toThrow('Request failed');
+    expect(job.discard).toHaveBeenCalledTimes(logIntegrationError.mock.calls.length);
+    return logIntegrationError.mock.calls.length ? logIntegrationError.mock.calls[0][1] : null;
+  };
+
+  it('treats a conflict or a validation error about the serial as the serial being unavailable', async () => {
+    expect(await loggedErrorFor({ status: 409, data: {} })).toMatchObject({ errorType: 'serial_unavailable' });
+    jest.clearAllMocks();
+    expect(await loggedErrorFor({ status: 422, data: { errors: { serialNumber: ['not in stock'] } } }))
+      .toMatchObject({ errorType: 'serial_unavailable', reference: 'SN-1' });
+  });
+
+  it('logs refused credentials and other rejected requests against the inventory item', async () => {
+    expect(await loggedErrorFor({ status: 401, data: {} }))
+      .toMatchObject({ errorType: 'auth_failed', reference: 'inventory-4' });
+    jest.clearAllMocks();
+    expect(await loggedErrorFor({ status: 403, data: {} })).toMatchObject({ errorType: 'auth_failed' });
+    jest.clearAllMocks();
+    expect(await loggedErrorFor({ status: 422, data: { errors: { quantity: ['must be positive'] } } }))
+      .toMatchObject({ errorType: 'invalid_request', reference: 'inventory-4' });
+  });
+
+  it('retries when inFlow is unavailable or rate limiting', async () => {
+    expect(await loggedErrorFor({ status: 503 })).toBeNull();
+    expect(await loggedErrorFor({ status: 429 })).toBeNull();
+    expect(await loggedErrorFor({ status: 408 })).toBeNull();
+    expect(system.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('receive sync', () => {
+  it('first queues consumes for assigned serials that were never consumed', async () => {
+    inflow.createClientFromEnv.mockReturnValue(null);
+    sequelize.query.mockResolvedValue([{ inventory_id: 4, system_id: 8, assignment_id: 61 }]);
+
+    await expect(receive()).rejects.toThrow('inFlow is not configured');
+
+    expect(mockQueues['inflow-consume'].add).toHaveBeenCalledWith(
+      {
+        inventoryId: 4, systemId: 8, userId: null, assignmentId: 61,
+      },
+      expect.objectContaining({ jobId: 'inventory-4-system-8-assignment-61' })
+    );
+  });
+});
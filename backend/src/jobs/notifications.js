@@ -0,0 +1,70 @@
+// Notifies staff and customers about order events and sends the emails
+const { getQueue } = require('../config/queue');
+const { ActivityLog } = require('../models');
+const { events } = require('../services/events');
+const notificationService = require('../services/notificationService');
+
+const QUEUE_NAME = 'notification-email';
+const JOB_OPTIONS = {
+  attempts: 5,
+  backoff: { type: 'exponential', delay: 60000 },
+  removeOnComplete: true,
+  removeOnFail: true,
+};
+
+const sendEmail = async (job) => {
+  const email = job.data;
+  try {
+    await notificationService.sendEmail(email);
+  } catch (error) {
+    // Retrying won't help until SMTP is configured
+    if (error instanceof notificationService.NotificationError) job.discard();
+    throw error;
+  }
+
+  if (email.audience === 'customer') {
+    await ActivityLog.create({
+      order_id: email.order_id,
+      action: 'customer_notified',
+      details: { type: email.type, to: email.to },
+    });
+  }
+};
+
+const enqueueEmail = (email) => getQueue(QUEUE_NAME).add(email, JOB_OPTIONS);
+
+// Listener that works out who to notify and queues their emails
+const deliver = (eventName, notify) => async (payload) => {
+  try {
+    const emails = await notify(payload);
+    await Promise.all(emails.map(enqueueEmail));
+  } catch (error) {
+    console.error(`Failed to send notifications for ${eventName}:`, error);
+  }
+};
+
+const register = () => {
+  const queue = getQueue(QUEUE_NAME);
+  queue.process(sendEmail);
+
+  // Record a customer email that never went out once retries are exhausted
+  queue.on('failed', async (job, error) => {
+    if (job.attemptsMade < job.opts.attempts && !job.isDiscarded()) return;
+    console.error(`Failed to email ${job.data.to} (${job.data.type}):`, error.message);
+    if (job.data.audience !== 'customer') return;
+    await ActivityLog.create({
+      order_id: job.data.order_id,
+      action: 'customer_notification_failed',
+      details: { type: job.data.type, to: job.data.to, error: error.message },
+    }).catch((logError) => console.error('Failed to log customer notification failure:', logError));
+  });
+
+  events.on('order.assigned', deliver('order.assigned', notificationService.notifyOrderAssigned));
+  events.on('order.status_changed', deliver('order.status_changed', notificationService.notifyStatusChanged));
+  events.on('order.sla_escalated', deliver('order.sla_escalated', notificationService.notifySlaEscalated));
+};
+
+module.exports = {
+  enqueueEmail,
+  register,
+};
@@ -0,0 +1,34 @@
+// Nightly rollup of per-user daily figures into performance_metrics
+const { getQueue } = require('../config/queue');
+const {
+  TIMEZONE, localDateString, addDays, rollupDay,
+} = require('../services/analyticsService');
+
+const QUEUE_NAME = 'performance-metrics';
+const DEFAULT_CRON = '15 1 * * *';
+
+// Queue a rollup of one day (e.g. a rebuild after a data fix)
+const enqueueRollup = (date) => getQueue(QUEUE_NAME).add({ date }, {
+  attempts: 3,
+  backoff: { type: 'exponential', delay: 60000 },
+  removeOnComplete: 100,
+  removeOnFail: 100,
+});
+
+const schedule = async () => {
+  const queue = getQueue(QUEUE_NAME);
+  // The repeating job carries no date and rolls up yesterday
+  queue.process((job) => rollupDay(job.data.date || addDays(localDateString(), -1)));
+
+  await queue.add({}, {
+    jobId: QUEUE_NAME,
+    repeat: { cron: process.env.METRICS_ROLLUP_CRON || DEFAULT_CRON, tz: TIMEZONE },
+    removeOnComplete: 50,
+    removeOnFail: 50,
+  });
+};
+
+module.exports = {
+  enqueueRollup,
+  schedule,
+};
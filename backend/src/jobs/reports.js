@@ -0,0 +1,50 @@
+// Background report exports, and the periodic check that starts scheduled
+// reports and clears out expired files
+const { getQueue } = require('../config/queue');
+const reportService = require('../services/reportService');
+
+const EXPORT_QUEUE = 'report-exports';
+const SCHEDULE_QUEUE = 'report-schedules';
+const DEFAULT_CRON = '*/15 * * * *';
+
+const enqueueExport = (exportId) => getQueue(EXPORT_QUEUE).add({ exportId }, {
+  attempts: 2,
+  backoff: { type: 'fixed', delay: 60000 },
+  removeOnComplete: 100,
+  removeOnFail: 100,
+});
+
+const processExport = async (job) => {
+  const reportExport = await reportService.generateExport(job.data.exportId);
+  if (reportExport.schedule_id) {
+    // A failed email shouldn't regenerate the report
+    await reportService.deliverScheduledExport(reportExport.id)
+      .catch((error) => console.error(`Failed to email report export ${reportExport.id}:`, error));
+  }
+  return { export_id: reportExport.id, rows: reportExport.row_count };
+};
+
+const runSchedules = async () => {
+  const exports = await reportService.claimDueSchedules();
+  await Promise.all(exports.map((reportExport) => enqueueExport(reportExport.id)));
+  const removed = await reportService.removeExpiredExports();
+  return { queued: exports.length, removed };
+};
+
+const schedule = async () => {
+  getQueue(EXPORT_QUEUE).process(processExport);
+
+  const queue = getQueue(SCHEDULE_QUEUE);
+  queue.process(runSchedules);
+  await queue.add({}, {
+    jobId: SCHEDULE_QUEUE,
+    repeat: { cron: process.env.REPORT_SCHEDULE_CRON || DEFAULT_CRON },
+    removeOnComplete: 50,
+    removeOnFail: 50,
+  });
+};
+
+module.exports = {
+  enqueueExport,
+  schedule,
+};
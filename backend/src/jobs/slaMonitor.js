@@ -0,0 +1,29 @@
+// Periodically re-syncs SLA deadlines and escalates orders past them
+const { getQueue } = require('../config/queue');
+const { runSlaCheck } = require('../services/slaService');
+
+const QUEUE_NAME = 'sla-monitor';
+const DEFAULT_CRON = '*/5 * * * *';
+
+// Queue a one-off check (e.g. after SLA policies change)
+const enqueueSlaCheck = (data = {}) => getQueue(QUEUE_NAME).add(data, {
+  removeOnComplete: 50,
+  removeOnFail: 50,
+});
+
+const schedule = async () => {
+  const queue = getQueue(QUEUE_NAME);
+  queue.process(() => runSlaCheck());
+
+  await queue.add({}, {
+    jobId: QUEUE_NAME,
+    repeat: { cron: process.env.SLA_CHECK_CRON || DEFAULT_CRON },
+    removeOnComplete: 50,
+    removeOnFail: 50,
+  });
+};
+
+module.exports = {
+  enqueueSlaCheck,
+  schedule,
+};
@@ -0,0 +1,106 @@
+// Periodically pulls recently modified WooCommerce orders to catch lost webhooks
+const { getQueue } = require('../config/queue');
+const { IntegrationSyncRun } = require('../models');
+const woocommerce = require('../integrations/woocommerce');
+const { reconcileOrder } = require('../services/woocommerceService');
+const { getIntegration } = require('../services/integrationService');
+
+const QUEUE_NAME = 'woocommerce-reconcile';
+const DEFAULT_CRON = '*/15 * * * *';
+// How far back the very first run looks when there is no last_sync_at
+const INITIAL_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Page through orders modified since the last sync and reconcile each one.
+// Every run is recorded as an IntegrationSyncRun report.
+const runReconciliation = async ({ client = woocommerce.createClientFromEnv() } = {}) => {
+  if (!client) {
+    throw new Error('WooCommerce is not configured');
+  }
+
+  const integration = await getIntegration('woocommerce');
+  const startedAt = new Date();
+  const since = integration.last_sync_at || new Date(startedAt.getTime() - INITIAL_LOOKBACK_MS);
+  const run = await IntegrationSyncRun.create({
+    integration_id: integration.id,
+    started_at: startedAt,
+    synced_since: since,
+  });
+
+  const report = {
+    created: [],
+    flagged: [],
+    cancelled: [],
+    errors: [],
+  };
+  let seen = 0;
+  const summary = () => ({
+    finished_at: new Date(),
+    orders_seen: seen,
+    orders_created: report.created.length,
+    orders_flagged: report.flagged.length,
+  });
+
+  try {
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const result = await client.listOrders({ modifiedAfter: since, page });
+      totalPages = result.totalPages;
+
+      for (const wooOrder of result.orders) {
+        seen += 1;
+        const wooOrderId = woocommerce.toWooOrderId(wooOrder);
+        try {
+          const { action } = await reconcileOrder(wooOrder);
+          if (report[action]) {
+            report[action].push(wooOrderId);
+          }
+        } catch (error) {
+          report.errors.push({ woo_order_id: wooOrderId, error: error.message });
+        }
+      }
+      page += 1;
+    } while (page <= totalPages);
+
+    // Keep the watermark where it was if any order failed, so it's retried next run
+    if (!report.errors.length) {
+      await integration.update({ last_sync_at: startedAt });
+    }
+    await run.update({ status: 'succeeded', report, ...summary() });
+  } catch (error) {
+    await run.update({ status: 'failed', report: { ...report, failure: error.message }, ...summary() });
+    throw error;
+  }
+
+  return run;
+};
+
+// Queue a one-off run (e.g. from the integrations API)
+const enqueueReconciliation = (data = {}) => getQueue(QUEUE_NAME).add(data, {
+  removeOnComplete: 50,
+  removeOnFail: 50,
+});
+
+// Register the processor and, when WooCommerce is configured, the repeating schedule
+const schedule = async () => {
+  const queue = getQueue(QUEUE_NAME);
+  queue.process(() => runReconciliation());
+
+  if (!woocommerce.createClientFromEnv()) {
+    console.log('ℹ️  WooCommerce not configured; order reconciliation is disabled.');
+    return;
+  }
+
+  await queue.add({}, {
+    jobId: QUEUE_NAME,
+    repeat: { cron: process.env.WOOCOMMERCE_SYNC_CRON || DEFAULT_CRON },
+    removeOnComplete: 50,
+    removeOnFail: 50,
+  });
+};
+
+module.exports = {
+  runReconciliation,
+  enqueueReconciliation,
+  schedule,
+};
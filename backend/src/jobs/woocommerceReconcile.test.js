@@ -0,0 +1,79 @@
+jest.mock('../models', () => ({
+  Integration: { findOrCreate: jest.fn() },
+  IntegrationSyncRun: { create: jest.fn() },
+}));
+jest.mock('../services/woocommerceService', () => ({
+  reconcileOrder: jest.fn(),
+}));
+
+const { Integration, IntegrationSyncRun } = require('../models');
+const { reconcileOrder } = require('../services/woocommerceService');
+const { runReconciliation } = require('./woocommerceReconcile');
+
+const lastSync = new Date('2024-03-01T00:00:00Z');
+
+let integration;
+let run;
+
+// A WooCommerce client serving the given pages of orders
+const mockClient = (pages) => ({
+  listOrders: jest.fn(async ({ page }) => ({ orders: pages[page - 1], totalPages: pages.length })),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  integration = { id: 1, last_sync_at: lastSync, update: jest.fn() };
+  run = { update: jest.fn() };
+  Integration.findOrCreate.mockResolvedValue([integration]);
+  IntegrationSyncRun.create.mockResolvedValue(run);
+});
+
+describe('runReconciliation', () => {
+  it('reconciles every page modified since the last sync and moves the watermark', async () => {
+    const client = mockClient([[{ id: 1 }, { id: 2 }], [{ id: 3 }]]);
+    reconcileOrder
+      .mockResolvedValueOnce({ action: 'created' })
+      .mockResolvedValueOnce({ action: 'unchanged' })
+      .mockResolvedValueOnce({ action: 'flagged' });
+
+    await runReconciliation({ client });
+
+    expect(client.listOrders).toHaveBeenCalledWith({ modifiedAfter: lastSync, page: 1 });
+    expect(client.listOrders).toHaveBeenCalledWith({ modifiedAfter: lastSync, page: 2 });
+    expect(integration.update).toHaveBeenCalledWith({ last_sync_at: expect.any(Date) });
+    expect(run.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'succeeded',
+      orders_seen: 3,
+      orders_created: 1,
+      orders_flagged: 1,
+      report: {
+        created: ['WC-1'], flagged: ['WC-3'], cancelled: [], errors: [],
+      },
+    }));
+  });
+
+  it('keeps the watermark when an order fails, so it is retried', async () => {
+    reconcileOrder
+      .mockResolvedValueOnce({ action: 'created' })
+      .mockRejectedValueOnce(new Error('deadlock detected'));
+
+    await runReconciliation({ client: mockClient([[{ id: 1 }, { id: 2 }]]) });
+
+    expect(integration.update).not.toHaveBeenCalled();
+    expect(run.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'succeeded',
+      report: expect.objectContaining({ errors: [{ woo_order_id: 'WC-2', error: 'deadlock detected' }] }),
+    }));
+  });
+
+  it('records a failed run when WooCommerce cannot be reached', async () => {
+    const client = { listOrders: jest.fn().mockRejectedValue(new Error('timeout of 15000ms exceeded')) };
+
+    await expect(runReconciliation({ client })).rejects.toThrow('timeout');
+
+    expect(run.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      report: expect.objectContaining({ failure: 'timeout of 15000ms exceeded' }),
+    }));
+  });
+});
@@ -1,24 +1,59 @@
 const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { isAccessTokenRevoked } = require('../services/tokenService');
+
+// Verify an access token and reload its user. Resolves to { user, decoded },
+// or { error } explaining why the token was rejected.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+  }
+
+  if (await isAccessTokenRevoked(decoded.jti)) {
+    return { error: 'Token revoked' };
+  }
+
+  // Re-check the account on every request so deactivation takes effect immediately
+  const user = await User.findByPk(decoded.id);
+  if (!user || !user.is_active) {
+    return { error: 'Account is inactive' };
+  }
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      can_qa: user.can_qa,
+      first_name: user.first_name,
+      last_name: user.last_name,
+    },
+    decoded,
+  };
+};
 
 // Main authentication middleware
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'No token provided' });
   }
   
-  const token = authHeader.substring(7);
-  
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    const { user, decoded, error } = await verifyAccessToken(authHeader.substring(7));
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
-    return res.status(401).json({ error: 'Invalid token' });
+    next(error);
   }
 };
 
@@ -39,5 +74,6 @@ const authorize = (roles) => {
 
 module.exports = {
   authenticate,
-  authorize
-};
\ No newline at end of file
+  authorize,
+  verifyAccessToken
+};
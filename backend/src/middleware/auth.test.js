@@ -0,0 +1,88 @@
+jest.mock('../models', () => ({ User: { findByPk: jest.fn() } }));
+jest.mock('../services/tokenService', () => ({ isAccessTokenRevoked: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { isAccessTokenRevoked } = require('../services/tokenService');
+const { verifyAccessToken, authenticate } = require('./auth');
+
+const sign = (claims, options = { expiresIn: '15m' }) => jwt.sign({ id: 3, jti: 'abc', ...claims }, 'test-secret', options);
+
+const mockUser = (fields) => ({
+  id: 3,
+  email: 'tech@example.com',
+  role: 'staff',
+  can_qa: false,
+  first_name: 'Tess',
+  last_name: 'Tech',
+  is_active: true,
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  isAccessTokenRevoked.mockResolvedValue(false);
+  User.findByPk.mockResolvedValue(mockUser());
+});
+
+describe('verifyAccessToken', () => {
+  it('resolves to the user and the decoded claims', async () => {
+    const { user, decoded, error } = await verifyAccessToken(sign());
+
+    expect(error).toBeUndefined();
+    expect(user).toEqual({
+      id: 3, email: 'tech@example.com', role: 'staff', can_qa: false, first_name: 'Tess', last_name: 'Tech',
+    });
+    expect(decoded.jti).toBe('abc');
+  });
+
+  it('tells expired tokens apart from invalid ones', async () => {
+    expect(await verifyAccessToken(sign({}, { expiresIn: -10 }))).toEqual({ error: 'Token expired' });
+    expect(await verifyAccessToken('not-a-token')).toEqual({ error: 'Invalid token' });
+  });
+
+  it('rejects revoked tokens', async () => {
+    isAccessTokenRevoked.mockResolvedValue(true);
+
+    expect(await verifyAccessToken(sign())).toEqual({ error: 'Token revoked' });
+  });
+
+  it('rejects tokens of deactivated users', async () => {
+    User.findByPk.mockResolvedValue(mockUser({ is_active: false }));
+
+    expect(await verifyAccessToken(sign())).toEqual({ error: 'Account is inactive' });
+  });
+});
+
+describe('authenticate', () => {
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  it('sets req.user from the bearer token', async () => {
+    const req = { headers: { authorization: `Bearer ${sign()}` } };
+    const next = jest.fn();
+
+    await authenticate(req, mockResponse(), next);
+
+    expect(req.user.id).toBe(3);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('answers 401 with the reason the token was rejected', async () => {
+    isAccessTokenRevoked.mockResolvedValue(true);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticate({ headers: { authorization: `Bearer ${sign()}` } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Token revoked' });
+    expect(next).not.toHaveBeenCalled();
+  });
+});
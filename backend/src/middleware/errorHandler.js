@@ -1,3 +1,5 @@
+const { ServiceError } = require('../services/errors');
+
 const errorHandler = (err, req, res, next) => {
     // Log error details for debugging
     console.error('Error:', err);
@@ -31,4 +33,13 @@ const errorHandler = (err, req, res, next) => {
     });
   };
   
-  module.exports = { errorHandler };
\ No newline at end of file
+// For controllers' own catch blocks: service errors answer with their status
+// and details, anything else with a 500
+const handleError = (res, error) => {
+  if (error instanceof ServiceError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  res.status(500).json({ error: error.message });
+};
+
+module.exports = { errorHandler, handleError };
\ No newline at end of file
@@ -0,0 +1,26 @@
+// Reads the version a client expects to be updating from an If-Match header
+// (the ETag of an earlier response) or a version field in the body, into
+// req.expectedVersion. Requests without either are not checked.
+const readExpectedVersion = (req, res, next) => {
+  const header = req.get('If-Match');
+  let raw = req.body ? req.body.version : undefined;
+  if (header && header.trim() !== '*') {
+    // Only a single entity tag is meaningful for one record
+    raw = header.split(',')[0].trim().replace(/^W\//, '').replace(/"/g, '');
+  }
+
+  if (raw === undefined || raw === null || raw === '') {
+    req.expectedVersion = undefined;
+    return next();
+  }
+
+  const version = Number(raw);
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: 'Invalid version precondition' });
+  }
+
+  req.expectedVersion = version;
+  next();
+};
+
+module.exports = { readExpectedVersion };
@@ -0,0 +1,53 @@
+const { readExpectedVersion } = require('./precondition');
+
+const mockRequest = ({ ifMatch, body } = {}) => ({
+  body,
+  get: (name) => (name === 'If-Match' ? ifMatch : undefined),
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('readExpectedVersion', () => {
+  it('reads the version from an If-Match entity tag', () => {
+    const req = mockRequest({ ifMatch: 'W/"1700000000000"', body: { version: 5 } });
+    const next = jest.fn();
+
+    readExpectedVersion(req, mockResponse(), next);
+
+    expect(req.expectedVersion).toBe(1700000000000);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('falls back to the version field of the body', () => {
+    const req = mockRequest({ ifMatch: '*', body: { version: '1700000000000' } });
+
+    readExpectedVersion(req, mockResponse(), jest.fn());
+
+    expect(req.expectedVersion).toBe(1700000000000);
+  });
+
+  it('leaves requests without a precondition unchecked', () => {
+    const req = mockRequest({ body: {} });
+    const next = jest.fn();
+
+    readExpectedVersion(req, mockResponse(), next);
+
+    expect(req.expectedVersion).toBeUndefined();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects a version that is not an integer', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    readExpectedVersion(mockRequest({ ifMatch: '"abc"' }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
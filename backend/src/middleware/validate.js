@@ -0,0 +1,12 @@
+const { validationResult } = require('express-validator');
+
+// Rejects the request when any of the preceding express-validator chains failed
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Verifies WooCommerce's X-WC-Webhook-Signature: base64 HMAC-SHA256 of the raw body
+const verifyWooCommerceSignature = (req, res, next) => {
+  const secret = process.env.WOOCOMMERCE_SECRET;
+  if (!secret) {
+    return res.status(500).json({ error: 'Webhook secret not configured' });
+  }
+
+  const signature = req.get('X-WC-Webhook-Signature');
+  if (!signature || !req.rawBody) {
+    return res.status(401).json({ error: 'Missing webhook signature' });
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(req.rawBody).digest('base64')
+  );
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  next();
+};
+
+module.exports = { verifyWooCommerceSignature };
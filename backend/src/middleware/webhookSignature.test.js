@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { verifyWooCommerceSignature } = require('./webhookSignature');
+
+const rawBody = Buffer.from('{"id":1234}');
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const mockRequest = (signature) => ({
+  rawBody,
+  get: (header) => (header === 'X-WC-Webhook-Signature' ? signature : undefined),
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  process.env.WOOCOMMERCE_SECRET = 'webhook-secret';
+});
+
+describe('verifyWooCommerceSignature', () => {
+  it('accepts a body signed with the shared secret', () => {
+    const next = jest.fn();
+
+    verifyWooCommerceSignature(mockRequest(sign(rawBody, 'webhook-secret')), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+
+    verifyWooCommerceSignature(mockRequest(sign(rawBody, 'other-secret')), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects unsigned and malformed requests', () => {
+    const unsigned = mockResponse();
+    const truncated = mockResponse();
+
+    verifyWooCommerceSignature(mockRequest(undefined), unsigned, jest.fn());
+    verifyWooCommerceSignature(mockRequest('abc'), truncated, jest.fn());
+
+    expect(unsigned.status).toHaveBeenCalledWith(401);
+    expect(truncated.status).toHaveBeenCalledWith(401);
+  });
+
+  it('refuses every delivery while no secret is configured', () => {
+    delete process.env.WOOCOMMERCE_SECRET;
+    const res = mockResponse();
+
+    verifyWooCommerceSignature(mockRequest(sign(rawBody, '')), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Append-only audit trail of actions on orders, systems, checklists, users and integrations
+const ActivityLog = sequelize.define('ActivityLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+  },
+  system_id: {
+    type: DataTypes.INTEGER,
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  details: {
+    type: DataTypes.JSONB,
+  },
+}, {
+  tableName: 'activity_logs',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = ActivityLog;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Template for generating systems.asset_name. A rule applies to orders from
+// department (any when null) for system_type_id (any when null).
+const AssetNamingRule = sequelize.define('AssetNamingRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  // Matched case-insensitively against orders.customer_department
+  department: {
+    type: DataTypes.STRING(255),
+  },
+  // Value of {DEPT}; derived from the department name when empty
+  department_code: {
+    type: DataTypes.STRING(20),
+  },
+  system_type_id: {
+    type: DataTypes.INTEGER,
+  },
+  template: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  // Last {SEQ} value handed out, keyed by the rest of the rendered name
+  sequences: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'asset_naming_rules',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+});
+
+module.exports = AssetNamingRule;
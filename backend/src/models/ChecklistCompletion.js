@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Completion and QA sign-off of a single step on a system checklist
+const ChecklistCompletion = sequelize.define('ChecklistCompletion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  system_checklist_id: {
+    type: DataTypes.INTEGER,
+  },
+  step_id: {
+    type: DataTypes.INTEGER,
+  },
+  completed_by: {
+    type: DataTypes.INTEGER,
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+  },
+  qa_checked_by: {
+    type: DataTypes.INTEGER,
+  },
+  qa_checked_at: {
+    type: DataTypes.DATE,
+  },
+  notes: {
+    type: DataTypes.TEXT,
+  },
+  time_spent_minutes: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'checklist_completions',
+  timestamps: false,
+});
+
+module.exports = ChecklistCompletion;
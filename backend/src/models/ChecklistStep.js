@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Ordered steps within a checklist template
+const ChecklistStep = sequelize.define('ChecklistStep', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  template_id: {
+    type: DataTypes.INTEGER,
+  },
+  step_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.TEXT,
+  },
+  requires_qa: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  estimated_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5,
+  },
+  step_weight: {
+    type: DataTypes.DECIMAL(3, 2),
+    defaultValue: 1.0,
+  },
+}, {
+  tableName: 'checklist_steps',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = ChecklistStep;
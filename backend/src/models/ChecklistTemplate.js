@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Reusable checklist definitions per system type. Each row is one version;
+// is_active marks the published version new checklists are created from.
+const ChecklistTemplate = sequelize.define('ChecklistTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+  },
+  system_type_id: {
+    type: DataTypes.INTEGER,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  // All versions of a template share the ID of its first version
+  family_id: {
+    type: DataTypes.INTEGER,
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+  },
+  // Null while the version is a draft; published versions are immutable
+  published_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'checklist_templates',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = ChecklistTemplate;
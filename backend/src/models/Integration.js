@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// External system connections (WooCommerce, Agiloft, inFlow)
+const Integration = sequelize.define('Integration', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  config: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  last_sync_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'integrations',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = Integration;
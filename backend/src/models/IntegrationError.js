@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Sync failures and data conflicts that need a person to look at them
+const IntegrationError = sequelize.define('IntegrationError', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  integration_id: {
+    type: DataTypes.INTEGER,
+  },
+  error_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  reference: {
+    type: DataTypes.STRING(255),
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  details: {
+    type: DataTypes.JSONB,
+  },
+  resolved_by: {
+    type: DataTypes.INTEGER,
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'integration_errors',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = IntegrationError;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Report of a single integration sync run
+const IntegrationSyncRun = sequelize.define('IntegrationSyncRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  integration_id: {
+    type: DataTypes.INTEGER,
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'running',
+    validate: { isIn: [['running', 'succeeded', 'failed']] },
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+  },
+  synced_since: {
+    type: DataTypes.DATE,
+  },
+  orders_seen: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  orders_created: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  orders_flagged: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  report: {
+    type: DataTypes.JSONB,
+  },
+}, {
+  tableName: 'integration_sync_runs',
+  timestamps: false,
+});
+
+module.exports = IntegrationSyncRun;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const STATUSES = ['available', 'assigned', 'consumed', 'returned'];
+
+// Serialized stock on hand, received from inFlow
+const Inventory = sequelize.define('Inventory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  system_type_id: {
+    type: DataTypes.INTEGER,
+  },
+  serial_number: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+  },
+  received_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'available',
+    validate: { isIn: [STATUSES] },
+  },
+  assigned_to_system: {
+    type: DataTypes.INTEGER,
+  },
+  notes: {
+    type: DataTypes.TEXT,
+  },
+}, {
+  tableName: 'inventory',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+Inventory.STATUSES = STATUSES;
+
+module.exports = Inventory;
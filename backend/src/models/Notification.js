@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// In-app notification for one user
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  body: {
+    type: DataTypes.TEXT,
+  },
+  read_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'notifications',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = Notification;
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Channels a user wants for one notification type
+const NotificationPreference = sequelize.define('NotificationPreference', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    primaryKey: true,
+  },
+  in_app: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  email: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+}, {
+  tableName: 'notification_preferences',
+  createdAt: false,
+  updatedAt: 'updated_at',
+});
+
+module.exports = NotificationPreference;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Admin-edited subject and body for a notification type. Types without a row
+// use the built-in wording; is_active false stops that type being sent.
+const NotificationTemplate = sequelize.define('NotificationTemplate', {
+  type: {
+    type: DataTypes.STRING(50),
+    primaryKey: true,
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'notification_templates',
+  createdAt: false,
+  updatedAt: 'updated_at',
+});
+
+module.exports = NotificationTemplate;
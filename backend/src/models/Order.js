@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// 'cancelled' is only ever set from WooCommerce; it isn't a board column
+const STATUSES = ['ordered', 'in_progress', 'qa_review', 'ready_to_deliver', 'complete', 'cancelled'];
+const DELIVERY_METHODS = ['delivery', 'shipping'];
+
+// Customer orders received from WooCommerce
+const Order = sequelize.define('Order', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  woo_order_id: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+  },
+  customer_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  customer_email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  customer_department: {
+    type: DataTypes.STRING(255),
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'ordered',
+    validate: { isIn: [STATUSES] },
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  assigned_to: {
+    type: DataTypes.INTEGER,
+  },
+  order_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  delivery_method: {
+    type: DataTypes.STRING(50),
+    validate: { isIn: [DELIVERY_METHODS] },
+  },
+  delivery_address: {
+    type: DataTypes.TEXT,
+  },
+  notes: {
+    type: DataTypes.TEXT,
+  },
+  tracking_number: {
+    type: DataTypes.STRING(100),
+  },
+  delivery_confirmation: {
+    type: DataTypes.TEXT,
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+  },
+  // Set by trigger whenever status changes
+  status_changed_at: {
+    type: DataTypes.DATE,
+  },
+  // Total and line items as received from WooCommerce at intake
+  woo_snapshot: {
+    type: DataTypes.JSONB,
+  },
+  // Set when WooCommerce changed the order after intake and a manager should review it
+  woo_discrepancy: {
+    type: DataTypes.JSONB,
+  },
+  // Optimistic concurrency token (updated_at in epoch milliseconds)
+  version: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const updatedAt = this.getDataValue('updated_at');
+      return updatedAt ? new Date(updatedAt).getTime() : null;
+    },
+  },
+  // on_track / at_risk / breached when loaded with its sla; null when no
+  // policy covers the order's status
+  sla_state: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const sla = this.getDataValue('sla');
+      return sla ? sla.state : null;
+    },
+  },
+}, {
+  tableName: 'orders',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+});
+
+Order.STATUSES = STATUSES;
+Order.DELIVERY_METHODS = DELIVERY_METHODS;
+
+module.exports = Order;
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SLA_STATES = ['on_track', 'at_risk', 'breached'];
+
+// SLA clock for an open order's current status. Kept apart from orders so
+// escalations don't change the order's version.
+const OrderSla = sequelize.define('OrderSla', {
+  order_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+  },
+  policy_id: {
+    type: DataTypes.INTEGER,
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  at_risk_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  due_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // 0 none, 1 assignee notified, 2 managers notified
+  escalation_level: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  breached_at: {
+    type: DataTypes.DATE,
+  },
+  escalated_at: {
+    type: DataTypes.DATE,
+  },
+  // on_track / at_risk / breached as of now
+  state: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const now = Date.now();
+      if (now >= new Date(this.getDataValue('due_at')).getTime()) return 'breached';
+      if (now >= new Date(this.getDataValue('at_risk_at')).getTime()) return 'at_risk';
+      return 'on_track';
+    },
+  },
+}, {
+  tableName: 'order_slas',
+  createdAt: false,
+  updatedAt: 'updated_at',
+});
+
+OrderSla.STATES = SLA_STATES;
+
+module.exports = OrderSla;
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One user's productivity on one day, rolled up nightly. Times are minutes
+// of recorded checklist work (time_spent_minutes), per order and per system
+// completed that day.
+const PerformanceMetric = sequelize.define('PerformanceMetric', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+  },
+  metric_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  orders_completed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  systems_completed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  total_steps_completed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  total_weight_completed: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  avg_time_per_order: {
+    type: DataTypes.DECIMAL(10, 2),
+  },
+  avg_time_per_system: {
+    type: DataTypes.DECIMAL(10, 2),
+  },
+}, {
+  tableName: 'performance_metrics',
+  timestamps: false,
+});
+
+module.exports = PerformanceMetric;
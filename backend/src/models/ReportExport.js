@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const EXPORT_STATUSES = ['queued', 'running', 'complete', 'failed'];
+
+// One generated report file, kept on disk until expires_at
+const ReportExport = sequelize.define('ReportExport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  report_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  format: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['csv', 'xlsx', 'pdf']] },
+  },
+  filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'queued',
+    validate: { isIn: [EXPORT_STATUSES] },
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+  },
+  file_size: {
+    type: DataTypes.INTEGER,
+  },
+  row_count: {
+    type: DataTypes.INTEGER,
+  },
+  error: {
+    type: DataTypes.TEXT,
+  },
+  requested_by: {
+    type: DataTypes.INTEGER,
+  },
+  schedule_id: {
+    type: DataTypes.INTEGER,
+  },
+  started_at: {
+    type: DataTypes.DATE,
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'report_exports',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+ReportExport.STATUSES = EXPORT_STATUSES;
+
+module.exports = ReportExport;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A report generated every day, week or month and emailed to recipients
+const ReportSchedule = sequelize.define('ReportSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  report_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  format: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['csv', 'xlsx', 'pdf']] },
+  },
+  frequency: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['daily', 'weekly', 'monthly']] },
+  },
+  // Report filters other than the date range, which is the previous period
+  filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  recipients: {
+    type: DataTypes.ARRAY(DataTypes.TEXT),
+    allowNull: false,
+    defaultValue: [],
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  next_run_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  last_run_at: {
+    type: DataTypes.DATE,
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'report_schedules',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+});
+
+module.exports = ReportSchedule;
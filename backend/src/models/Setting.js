@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Manager-editable application settings, one JSON document per key
+const Setting = sequelize.define('Setting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'app_settings',
+  createdAt: false,
+  updatedAt: 'updated_at',
+});
+
+module.exports = Setting;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// How long an order may stay in a status. priority and delivery_method narrow
+// the policy; null matches any.
+const SlaPolicy = sequelize.define('SlaPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+  },
+  delivery_method: {
+    type: DataTypes.STRING(50),
+    validate: { isIn: [['delivery', 'shipping']] },
+  },
+  target_hours: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: false,
+  },
+  // Share of the target after which the order is at risk
+  at_risk_percent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 75,
+  },
+  // Hours past the deadline before managers are told, not just the assignee
+  manager_escalation_hours: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: false,
+    defaultValue: 24,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'sla_policies',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+});
+
+module.exports = SlaPolicy;
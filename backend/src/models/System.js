@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Individual pieces of hardware within an order
+const System = sequelize.define('System', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+  },
+  system_type_id: {
+    type: DataTypes.INTEGER,
+  },
+  serial_number: {
+    type: DataTypes.STRING(100),
+  },
+  asset_name: {
+    type: DataTypes.STRING(100),
+  },
+  status: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'pending',
+  },
+  assigned_to: {
+    type: DataTypes.INTEGER,
+  },
+  queue_position: {
+    type: DataTypes.INTEGER,
+  },
+  skip_queue: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  agiloft_asset_id: {
+    type: DataTypes.STRING(100),
+  },
+  inflow_item_id: {
+    type: DataTypes.STRING(100),
+  },
+  // Optimistic concurrency token (updated_at in epoch milliseconds)
+  version: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const updatedAt = this.getDataValue('updated_at');
+      return updatedAt ? new Date(updatedAt).getTime() : null;
+    },
+  },
+}, {
+  tableName: 'systems',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+});
+
+module.exports = System;
@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A checklist template attached to a specific system
+const SystemChecklist = sequelize.define('SystemChecklist', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  system_id: {
+    type: DataTypes.INTEGER,
+  },
+  template_id: {
+    type: DataTypes.INTEGER,
+  },
+}, {
+  tableName: 'system_checklists',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = SystemChecklist;
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Kinds of hardware we build (desktops, laptops, monitors, ...)
+const SystemType = sequelize.define('SystemType', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+  },
+  requires_imaging: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  default_checklist_template: {
+    type: DataTypes.JSONB,
+  },
+}, {
+  tableName: 'system_types',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = SystemType;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ROLES = ['staff', 'manager', 'admin'];
+
+// Buildroom staff accounts
+const User = sequelize.define('User', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    validate: { isEmail: true },
+  },
+  password_hash: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  first_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  last_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  role: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: { isIn: [ROLES] },
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  // Lets staff sign off QA steps; managers and admins always can
+  can_qa: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  // Off while away; unavailable users are skipped by auto-assignment
+  is_available: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+  // Identity provider that owns the account; null for local password accounts
+  auth_provider: {
+    type: DataTypes.STRING(50),
+  },
+  // The user's id at that provider (LDAP DN, SAML NameID)
+  external_id: {
+    type: DataTypes.STRING(255),
+  },
+}, {
+  tableName: 'users',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  // Never send password hashes back to clients unless explicitly requested
+  defaultScope: {
+    attributes: { exclude: ['password_hash'] },
+  },
+  scopes: {
+    withPassword: {},
+  },
+});
+
+User.ROLES = ROLES;
+
+module.exports = User;
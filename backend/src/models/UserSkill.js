@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// System types a user is skilled in, used by skills-based auto-assignment
+const UserSkill = sequelize.define('UserSkill', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+  },
+  system_type_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+  },
+}, {
+  tableName: 'user_skills',
+  createdAt: 'created_at',
+  updatedAt: false,
+});
+
+module.exports = UserSkill;
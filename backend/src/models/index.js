@@ -0,0 +1,124 @@
+// Model registry - defines associations between models
+const { sequelize } = require('../config/database');
+const User = require('./User');
+const Order = require('./Order');
+const SystemType = require('./SystemType');
+const System = require('./System');
+const ActivityLog = require('./ActivityLog');
+const ChecklistTemplate = require('./ChecklistTemplate');
+const ChecklistStep = require('./ChecklistStep');
+const SystemChecklist = require('./SystemChecklist');
+const ChecklistCompletion = require('./ChecklistCompletion');
+const Integration = require('./Integration');
+const IntegrationSyncRun = require('./IntegrationSyncRun');
+const IntegrationError = require('./IntegrationError');
+const Inventory = require('./Inventory');
+const AssetNamingRule = require('./AssetNamingRule');
+const UserSkill = require('./UserSkill');
+const Setting = require('./Setting');
+const SlaPolicy = require('./SlaPolicy');
+const OrderSla = require('./OrderSla');
+const Notification = require('./Notification');
+const NotificationTemplate = require('./NotificationTemplate');
+const NotificationPreference = require('./NotificationPreference');
+const PerformanceMetric = require('./PerformanceMetric');
+const ReportSchedule = require('./ReportSchedule');
+const ReportExport = require('./ReportExport');
+
+// Orders
+Order.belongsTo(User, { as: 'assignee', foreignKey: 'assigned_to' });
+Order.hasMany(System, { as: 'systems', foreignKey: 'order_id' });
+Order.hasMany(ActivityLog, { as: 'activity', foreignKey: 'order_id' });
+Order.hasOne(OrderSla, { as: 'sla', foreignKey: 'order_id' });
+
+// Systems
+System.belongsTo(Order, { as: 'order', foreignKey: 'order_id' });
+System.belongsTo(SystemType, { as: 'systemType', foreignKey: 'system_type_id' });
+System.belongsTo(User, { as: 'assignee', foreignKey: 'assigned_to' });
+System.hasMany(SystemChecklist, { as: 'checklists', foreignKey: 'system_id' });
+
+// Checklists
+ChecklistTemplate.belongsTo(SystemType, { as: 'systemType', foreignKey: 'system_type_id' });
+ChecklistTemplate.hasMany(ChecklistStep, { as: 'steps', foreignKey: 'template_id' });
+ChecklistTemplate.hasMany(ChecklistTemplate, { as: 'versions', foreignKey: 'family_id' });
+ChecklistStep.belongsTo(ChecklistTemplate, { as: 'template', foreignKey: 'template_id' });
+SystemChecklist.belongsTo(System, { as: 'system', foreignKey: 'system_id' });
+SystemChecklist.belongsTo(ChecklistTemplate, { as: 'template', foreignKey: 'template_id' });
+SystemChecklist.hasMany(ChecklistCompletion, { as: 'completions', foreignKey: 'system_checklist_id' });
+ChecklistCompletion.belongsTo(SystemChecklist, { as: 'checklist', foreignKey: 'system_checklist_id' });
+ChecklistCompletion.belongsTo(ChecklistStep, { as: 'step', foreignKey: 'step_id' });
+ChecklistCompletion.belongsTo(User, { as: 'completedBy', foreignKey: 'completed_by' });
+ChecklistCompletion.belongsTo(User, { as: 'qaCheckedBy', foreignKey: 'qa_checked_by' });
+
+// Activity logs
+ActivityLog.belongsTo(User, { as: 'user', foreignKey: 'user_id' });
+ActivityLog.belongsTo(Order, { as: 'order', foreignKey: 'order_id' });
+ActivityLog.belongsTo(System, { as: 'system', foreignKey: 'system_id' });
+
+// Integrations
+Integration.hasMany(IntegrationSyncRun, { as: 'syncRuns', foreignKey: 'integration_id' });
+IntegrationSyncRun.belongsTo(Integration, { as: 'integration', foreignKey: 'integration_id' });
+Integration.hasMany(IntegrationError, { as: 'errors', foreignKey: 'integration_id' });
+IntegrationError.belongsTo(Integration, { as: 'integration', foreignKey: 'integration_id' });
+IntegrationError.belongsTo(User, { as: 'resolvedBy', foreignKey: 'resolved_by' });
+
+// Inventory
+Inventory.belongsTo(SystemType, { as: 'systemType', foreignKey: 'system_type_id' });
+Inventory.belongsTo(System, { as: 'system', foreignKey: 'assigned_to_system' });
+System.hasOne(Inventory, { as: 'inventoryItem', foreignKey: 'assigned_to_system' });
+
+// Asset naming
+AssetNamingRule.belongsTo(SystemType, { as: 'systemType', foreignKey: 'system_type_id' });
+AssetNamingRule.belongsTo(User, { as: 'creator', foreignKey: 'created_by' });
+
+// Assignment
+User.belongsToMany(SystemType, {
+  through: UserSkill, as: 'skills', foreignKey: 'user_id', otherKey: 'system_type_id',
+});
+Setting.belongsTo(User, { as: 'updatedBy', foreignKey: 'updated_by' });
+
+// SLAs
+OrderSla.belongsTo(Order, { as: 'order', foreignKey: 'order_id' });
+OrderSla.belongsTo(SlaPolicy, { as: 'policy', foreignKey: 'policy_id' });
+SlaPolicy.belongsTo(User, { as: 'creator', foreignKey: 'created_by' });
+
+// Notifications
+Notification.belongsTo(User, { as: 'user', foreignKey: 'user_id' });
+Notification.belongsTo(Order, { as: 'order', foreignKey: 'order_id' });
+NotificationTemplate.belongsTo(User, { as: 'updatedBy', foreignKey: 'updated_by' });
+
+// Analytics
+PerformanceMetric.belongsTo(User, { as: 'user', foreignKey: 'user_id' });
+
+// Reports
+ReportSchedule.belongsTo(User, { as: 'creator', foreignKey: 'created_by' });
+ReportExport.belongsTo(User, { as: 'requestedBy', foreignKey: 'requested_by' });
+ReportExport.belongsTo(ReportSchedule, { as: 'schedule', foreignKey: 'schedule_id' });
+
+module.exports = {
+  sequelize,
+  User,
+  Order,
+  SystemType,
+  System,
+  ActivityLog,
+  ChecklistTemplate,
+  ChecklistStep,
+  SystemChecklist,
+  ChecklistCompletion,
+  Integration,
+  IntegrationSyncRun,
+  IntegrationError,
+  Inventory,
+  AssetNamingRule,
+  UserSkill,
+  Setting,
+  SlaPolicy,
+  OrderSla,
+  Notification,
+  NotificationTemplate,
+  NotificationPreference,
+  PerformanceMetric,
+  ReportSchedule,
+  ReportExport,
+};
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const activityController = require('../controllers/activityController');
+
+/**
+ * @swagger
+ * /api/activity:
+ *   get:
+ *     summary: Query the audit trail across all orders, systems and users
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of actions
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: system_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Activity entries, newest first; X-Total-Count holds the number of matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ActivityEntry'
+ *       403:
+ *         description: Not authorized (managers only)
+ */
+router.get('/',
+  authorize(['manager', 'admin']),
+  [
+    query('user_id').optional().isInt({ min: 1 }),
+    query('order_id').optional().isInt({ min: 1 }),
+    query('system_id').optional().isInt({ min: 1 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ],
+  validate,
+  activityController.getActivity
+);
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const analyticsController = require('../controllers/analyticsController');
+
+const DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true };
+const rangeValidators = (field) => [
+  field('from').optional().isDate(DATE_FORMAT),
+  field('to').optional().isDate(DATE_FORMAT),
+];
+const filterValidators = [
+  ...rangeValidators(query),
+  query('department').optional().isString().trim().isLength({ max: 255 }),
+  query('system_type_id').optional().isInt({ min: 1 }),
+];
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AnalyticsFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: First day of the range (inclusive); defaults to 29 days before `to`
+ *     AnalyticsTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Last day of the range (inclusive); defaults to today. Days are in ANALYTICS_TIMEZONE.
+ *     AnalyticsDepartment:
+ *       in: query
+ *       name: department
+ *       schema:
+ *         type: string
+ *       description: Only orders for this customer department
+ *     AnalyticsSystemType:
+ *       in: query
+ *       name: system_type_id
+ *       schema:
+ *         type: integer
+ *       description: Only orders with a system of this type (for system figures, only those systems)
+ *   schemas:
+ *     DurationStats:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *         avg_hours:
+ *           type: number
+ *           nullable: true
+ *         median_hours:
+ *           type: number
+ *           nullable: true
+ *         p90_hours:
+ *           type: number
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/analytics/cycle-time:
+ *   get:
+ *     summary: Time orders spend in each status
+ *     description: Covers stays in a status that ended within the range, plus lead time (received to complete) for orders completed in it.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsDepartment'
+ *       - $ref: '#/components/parameters/AnalyticsSystemType'
+ *     responses:
+ *       200:
+ *         description: Cycle time per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 statuses:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/DurationStats'
+ *                       - type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                 lead_time:
+ *                   $ref: '#/components/schemas/DurationStats'
+ *       400:
+ *         description: Invalid range
+ */
+router.get('/cycle-time',
+  authorize(['manager', 'admin']),
+  filterValidators,
+  validate,
+  analyticsController.getCycleTime
+);
+
+/**
+ * @swagger
+ * /api/analytics/wip:
+ *   get:
+ *     summary: Current work in progress
+ *     description: Open orders per status, their systems per status, open orders per assignee, and per status how many are past (breached) or near (at_risk) their SLA deadline.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsDepartment'
+ *       - $ref: '#/components/parameters/AnalyticsSystemType'
+ *     responses:
+ *       200:
+ *         description: WIP counts
+ */
+router.get('/wip',
+  authorize(['manager', 'admin']),
+  filterValidators,
+  validate,
+  analyticsController.getWip
+);
+
+/**
+ * @swagger
+ * /api/analytics/bottlenecks:
+ *   get:
+ *     summary: Statuses that are accumulating work
+ *     description: Per open status, orders that entered and left it within the range, the net change, and the orders there now with their average age in the status. `bottleneck` is the status with the largest net gain, or null when none gained.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsDepartment'
+ *       - $ref: '#/components/parameters/AnalyticsSystemType'
+ *     responses:
+ *       200:
+ *         description: Flow per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 statuses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                       entered:
+ *                         type: integer
+ *                       exited:
+ *                         type: integer
+ *                       net:
+ *                         type: integer
+ *                       wip:
+ *                         type: integer
+ *                       avg_age_hours:
+ *                         type: number
+ *                         nullable: true
+ *                 bottleneck:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid range
+ */
+router.get('/bottlenecks',
+  authorize(['manager', 'admin']),
+  filterValidators,
+  validate,
+  analyticsController.getBottlenecks
+);
+
+/**
+ * @swagger
+ * /api/analytics/throughput:
+ *   get:
+ *     summary: Throughput over time
+ *     description: Orders received and completed, systems completed, checklist steps and step weight completed, and SLA breaches per bucket. Every bucket in the range is returned, including empty ones; each carries the days it covers within the range as from/to.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsDepartment'
+ *       - $ref: '#/components/parameters/AnalyticsSystemType'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Throughput buckets
+ *       400:
+ *         description: Invalid range or too many buckets
+ */
+router.get('/throughput',
+  authorize(['manager', 'admin']),
+  [
+    ...filterValidators,
+    query('interval').optional().isIn(['day', 'week', 'month']),
+  ],
+  validate,
+  analyticsController.getThroughput
+);
+
+/**
+ * @swagger
+ * /api/analytics/technicians:
+ *   get:
+ *     summary: Per-technician productivity
+ *     description: Totals from the nightly performance_metrics rollup, with today computed live. Average times are minutes of recorded step time, weighted by the number of orders or systems.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *     responses:
+ *       200:
+ *         description: Productivity per technician
+ *       400:
+ *         description: Invalid range
+ */
+router.get('/technicians',
+  authorize(['manager', 'admin']),
+  rangeValidators(query),
+  validate,
+  analyticsController.getTechnicians
+);
+
+/**
+ * @swagger
+ * /api/analytics/orders:
+ *   get:
+ *     summary: Orders behind a dashboard figure
+ *     description: |
+ *       Drill-down for a chart data point, newest first (up to 200; total is the full count).
+ *       - received, completed, systems_completed: as counted by throughput within the range
+ *       - sla_breached: orders that breached an SLA within the range, optionally while in `status`
+ *       - left_status: orders whose stay in `status` ended within the range (cycle time)
+ *       - wip: open orders now, optionally in `status` and/or for `assigned_to`; the range is ignored
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [received, completed, systems_completed, sla_breached, left_status, wip]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assigned_to
+ *         schema:
+ *           type: string
+ *         description: A user id, or "unassigned"
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsDepartment'
+ *       - $ref: '#/components/parameters/AnalyticsSystemType'
+ *     responses:
+ *       200:
+ *         description: Matching orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Unknown metric or missing status
+ */
+router.get('/orders',
+  authorize(['manager', 'admin']),
+  [
+    ...filterValidators,
+    query('metric').isString(),
+    query('status').optional().isString().trim().isLength({ max: 50 }),
+    query('assigned_to').optional().custom((value) => value === 'unassigned' || /^[1-9]\d*$/.test(value)),
+  ],
+  validate,
+  analyticsController.getOrders
+);
+
+/**
+ * @swagger
+ * /api/analytics/departments:
+ *   get:
+ *     summary: Customer departments on orders, for the department filter
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Department names
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: string
+ */
+router.get('/departments', authorize(['manager', 'admin']), analyticsController.getDepartments);
+
+/**
+ * @swagger
+ * /api/analytics/metrics/rebuild:
+ *   post:
+ *     summary: Recompute stored performance metrics
+ *     description: Queues a rollup for each past day in the range (up to 366 days), replacing what is stored for those days.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from, to]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       202:
+ *         description: Rollups queued
+ *       400:
+ *         description: Invalid range
+ */
+router.post('/metrics/rebuild',
+  authorize(['admin']),
+  [
+    body('from').isDate(DATE_FORMAT),
+    body('to').isDate(DATE_FORMAT),
+  ],
+  validate,
+  analyticsController.rebuildMetrics
+);
+
+module.exports = router;
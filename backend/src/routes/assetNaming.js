@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const assetNamingController = require('../controllers/assetNamingController');
+
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().isLength({ max: 100 }),
+    field('template').isString().trim().notEmpty().isLength({ max: 255 }),
+    body('department').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+    body('department_code').optional({ nullable: true }).isString().trim().isLength({ max: 20 }),
+    body('system_type_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('is_active').optional().isBoolean(),
+  ];
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AssetNamingRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         department:
+ *           type: string
+ *           nullable: true
+ *           description: Matched case-insensitively against the order's customer_department; null matches any
+ *         department_code:
+ *           type: string
+ *           nullable: true
+ *           description: Value of {DEPT}; derived from the department name when empty
+ *         system_type_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Null matches any system type
+ *         template:
+ *           type: string
+ *           description: Literal text with tokens {DEPT[:n]}, {TYPE}, {SERIAL[:n]}, {SEQ[:n]}, {YEAR} and {YY}
+ *           example: "{DEPT}-{TYPE}-{SEQ:4}"
+ *         sequences:
+ *           type: object
+ *           description: Last {SEQ} value used, keyed by the rest of the rendered name
+ *         is_active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/asset-naming/rules:
+ *   get:
+ *     summary: List asset naming rules
+ *     tags: [Asset Naming]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Naming rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AssetNamingRule'
+ */
+router.get('/rules', authorize(['manager', 'admin']), assetNamingController.getRules);
+
+/**
+ * @swagger
+ * /api/asset-naming/rules:
+ *   post:
+ *     summary: Create an asset naming rule
+ *     description: When several active rules match a system, one for its department and type wins over one for the department only, then the type only, then a catch-all rule.
+ *     tags: [Asset Naming]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetNamingRule'
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid template (unknown token)
+ */
+router.post('/rules',
+  authorize(['admin']),
+  ruleValidators(false),
+  validate,
+  assetNamingController.createRule
+);
+
+/**
+ * @swagger
+ * /api/asset-naming/rules/{id}:
+ *   patch:
+ *     summary: Update an asset naming rule
+ *     tags: [Asset Naming]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetNamingRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid template (unknown token)
+ *       404:
+ *         description: Rule not found
+ */
+router.patch('/rules/:id',
+  authorize(['admin']),
+  ruleValidators(true),
+  validate,
+  assetNamingController.updateRule
+);
+
+/**
+ * @swagger
+ * /api/asset-naming/rules/{id}:
+ *   delete:
+ *     summary: Delete an asset naming rule
+ *     description: Names already generated are kept.
+ *     tags: [Asset Naming]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/rules/:id', authorize(['admin']), assetNamingController.deleteRule);
+
+/**
+ * @swagger
+ * /api/asset-naming/preview:
+ *   post:
+ *     summary: Preview the asset name a rule would generate
+ *     description: Uses rule_id, an unsaved template, or the rule that applies to the context. The context is an existing system (system_id) or sample values. No sequence counter is advanced.
+ *     tags: [Asset Naming]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rule_id:
+ *                 type: integer
+ *               template:
+ *                 type: string
+ *               department_code:
+ *                 type: string
+ *               system_id:
+ *                 type: integer
+ *               department:
+ *                 type: string
+ *               system_type_id:
+ *                 type: integer
+ *               serial_number:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 asset_name:
+ *                   type: string
+ *                 rule_id:
+ *                   type: integer
+ *                   nullable: true
+ *                 sequence:
+ *                   type: integer
+ *                   nullable: true
+ *                 available:
+ *                   type: boolean
+ *                   description: False when the name is already used by another system
+ *       400:
+ *         description: Invalid template
+ *       404:
+ *         description: Rule or system not found, or no rule applies
+ */
+router.post('/preview',
+  authorize(['manager', 'admin']),
+  [
+    body('rule_id').optional().isInt({ min: 1 }),
+    body('template').optional().isString().isLength({ max: 255 }),
+    body('department_code').optional({ nullable: true }).isString().isLength({ max: 20 }),
+    body('system_id').optional().isInt({ min: 1 }),
+    body('department').optional({ nullable: true }).isString(),
+    body('system_type_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('serial_number').optional({ nullable: true }).isString(),
+  ],
+  validate,
+  assetNamingController.previewName
+);
+
+module.exports = router;
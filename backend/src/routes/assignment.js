@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const assignmentController = require('../controllers/assignmentController');
+const { STRATEGIES } = require('../services/assignmentService');
+
+const ROLES = ['staff', 'manager', 'admin'];
+const canManage = authorize(['manager', 'admin']);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AutoAssignmentSettings:
+ *       type: object
+ *       properties:
+ *         strategy:
+ *           type: string
+ *           enum: [off, round_robin, least_work, skills]
+ *           description: |
+ *             round_robin - next eligible user after the last one auto-assigned;
+ *             least_work - least remaining weighted checklist work;
+ *             skills - skilled in the most of the order's system types, then least work
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [staff, manager, admin]
+ *           description: Roles whose active, available users are eligible
+ *     TeamMember:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *         role:
+ *           type: string
+ *         is_available:
+ *           type: boolean
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: object
+ *         open_orders:
+ *           type: integer
+ *         remaining_weight:
+ *           type: number
+ *           description: Sum of step_weight of checklist steps still to do on the user's open orders
+ *         eligible:
+ *           type: boolean
+ *           description: Whether auto-assignment currently considers this user
+ */
+
+/**
+ * @swagger
+ * /api/assignment/settings:
+ *   get:
+ *     summary: Get the auto-assignment strategy for new orders
+ *     tags: [Assignment]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AutoAssignmentSettings'
+ */
+router.get('/settings', canManage, assignmentController.getSettings);
+
+/**
+ * @swagger
+ * /api/assignment/settings:
+ *   put:
+ *     summary: Change the auto-assignment strategy
+ *     tags: [Assignment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutoAssignmentSettings'
+ *     responses:
+ *       200:
+ *         description: Updated settings
+ *       403:
+ *         description: Not authorized (managers only)
+ */
+router.put('/settings',
+  canManage,
+  [
+    body('strategy').optional().isIn(STRATEGIES),
+    body('roles').optional().isArray({ min: 1 }),
+    body('roles.*').isIn(ROLES),
+  ],
+  validate,
+  assignmentController.updateSettings
+);
+
+/**
+ * @swagger
+ * /api/assignment/team:
+ *   get:
+ *     summary: Active users with availability, skills and current workload
+ *     tags: [Assignment]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Team members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TeamMember'
+ */
+router.get('/team', canManage, assignmentController.getTeam);
+
+/**
+ * @swagger
+ * /api/assignment/team/{userId}:
+ *   patch:
+ *     summary: Set a user's availability or system type skills
+ *     tags: [Assignment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               is_available:
+ *                 type: boolean
+ *               skill_type_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Replaces the user's skills
+ *     responses:
+ *       200:
+ *         description: Updated team member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TeamMember'
+ *       400:
+ *         description: Unknown system type
+ *       404:
+ *         description: User not found or inactive
+ */
+router.patch('/team/:userId',
+  canManage,
+  [
+    param('userId').isInt({ min: 1 }).toInt(),
+    body('is_available').optional().isBoolean().toBoolean(),
+    body('skill_type_ids').optional().isArray(),
+    body('skill_type_ids.*').isInt({ min: 1 }).toInt(),
+  ],
+  validate,
+  assignmentController.updateMember
+);
+
+/**
+ * @swagger
+ * /api/assignment/decisions:
+ *   get:
+ *     summary: Recent auto-assignment decisions, newest first
+ *     description: Activity entries (order_auto_assigned, order_auto_assign_skipped) whose details hold the strategy, the reason and every candidate weighed with their workload.
+ *     tags: [Assignment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Decisions
+ */
+router.get('/decisions',
+  canManage,
+  [query('limit').optional().isInt({ min: 1 })],
+  validate,
+  assignmentController.getDecisions
+);
+
+module.exports = router;
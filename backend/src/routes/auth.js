@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const authController = require('../controllers/authController');
+const ssoController = require('../controllers/ssoController');
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token, refresh token and user profile
+ *       401:
+ *         description: Invalid email or password
+ *       403:
+ *         description: Account is inactive
+ */
+router.post('/login',
+  [
+    body('email').isString().isEmail(),
+    body('password').isString().notEmpty(),
+  ],
+  validate,
+  authController.login
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single use. Reusing a rotated token revokes all of the user's sessions.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *       401:
+ *         description: Refresh token invalid, expired or already used
+ */
+router.post('/refresh',
+  [
+    body('refresh_token').isString().notEmpty(),
+  ],
+  validate,
+  authController.refresh
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the current access token and refresh token
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *               all_sessions:
+ *                 type: boolean
+ *                 description: Revoke every refresh token issued to this user
+ *     responses:
+ *       204:
+ *         description: Logged out
+ */
+router.post('/logout',
+  authenticate,
+  [
+    body('refresh_token').optional().isString(),
+    body('all_sessions').optional().isBoolean(),
+  ],
+  validate,
+  authController.logout
+);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the authenticated user's profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ */
+router.get('/me', authenticate, authController.me);
+
+/**
+ * @swagger
+ * /api/auth/password-reset:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Accepted (sent whether or not the account exists)
+ */
+router.post('/password-reset',
+  [
+    body('email').isString().isEmail(),
+  ],
+  validate,
+  authController.requestPasswordReset
+);
+
+/**
+ * @swagger
+ * /api/auth/password-reset/confirm:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password updated and existing sessions revoked
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/password-reset/confirm',
+  [
+    body('token').isString().notEmpty(),
+    body('password').isString().isLength({ min: 8 }),
+  ],
+  validate,
+  authController.confirmPasswordReset
+);
+
+/**
+ * @swagger
+ * /api/auth/providers:
+ *   get:
+ *     summary: List enabled single sign-on providers
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Providers with their login type (credentials or redirect)
+ */
+router.get('/providers', ssoController.getProviders);
+
+/**
+ * @swagger
+ * /api/auth/saml/login:
+ *   get:
+ *     summary: Start SAML single sign-on
+ *     tags: [Auth]
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ */
+router.get('/saml/login', ssoController.samlLogin);
+
+/**
+ * @swagger
+ * /api/auth/saml/callback:
+ *   post:
+ *     summary: SAML assertion consumer service
+ *     description: Provisions the user on first login and redirects to the frontend with tokens in the URL fragment.
+ *     tags: [Auth]
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.post('/saml/callback', ssoController.samlCallback);
+
+/**
+ * @swagger
+ * /api/auth/saml/metadata:
+ *   get:
+ *     summary: SAML service provider metadata
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: SP metadata XML
+ */
+router.get('/saml/metadata', ssoController.samlMetadata);
+
+/**
+ * @swagger
+ * /api/auth/{provider}/login:
+ *   post:
+ *     summary: Log in with directory credentials (e.g. LDAP)
+ *     description: Creates the local user on first login and maps directory groups to roles.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: ldap
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token, refresh token and user profile
+ *       401:
+ *         description: Invalid username or password
+ *       403:
+ *         description: No group grants buildroom access, or account inactive
+ */
+router.post('/:provider/login',
+  [
+    body('username').isString().notEmpty(),
+    body('password').isString().notEmpty(),
+  ],
+  validate,
+  ssoController.credentialsLogin
+);
+
+module.exports = router;
@@ -0,0 +1,696 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const checklistController = require('../controllers/checklistController');
+
+const canAuthor = authorize(['manager', 'admin']);
+
+const stepValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().trim(),
+    body('description').optional({ nullable: true }).isString(),
+    body('requires_qa').optional().isBoolean(),
+    body('estimated_minutes').optional().isInt({ min: 0 }),
+    body('step_weight').optional().isFloat({ min: 0, max: 9.99 }),
+  ];
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChecklistStep:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         step_order:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         requires_qa:
+ *           type: boolean
+ *         estimated_minutes:
+ *           type: integer
+ *         step_weight:
+ *           type: number
+ *     ChecklistTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         family_id:
+ *           type: integer
+ *           description: Shared by all versions of the template
+ *         version:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         system_type_id:
+ *           type: integer
+ *         is_active:
+ *           type: boolean
+ *           description: True for the published version used for new checklists
+ *         published_at:
+ *           type: string
+ *           format: date-time
+ *           description: Null while the version is an editable draft
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistStep'
+ */
+
+/**
+ * @swagger
+ * /api/checklists/templates:
+ *   get:
+ *     summary: List checklist templates
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: system_type_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, draft, all]
+ *           default: active
+ *     responses:
+ *       200:
+ *         description: List of template versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChecklistTemplate'
+ */
+router.get('/templates', checklistController.getTemplates);
+
+/**
+ * @swagger
+ * /api/checklists/templates:
+ *   post:
+ *     summary: Create a checklist template (as a draft of version 1)
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               system_type_id:
+ *                 type: integer
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ChecklistStep'
+ *     responses:
+ *       201:
+ *         description: Draft template created
+ */
+router.post('/templates',
+  canAuthor,
+  [
+    body('name').notEmpty().trim(),
+    body('system_type_id').optional().isInt({ min: 1 }),
+    body('steps').optional().isArray(),
+    body('steps.*.name').notEmpty().trim(),
+    body('steps.*.requires_qa').optional().isBoolean(),
+    body('steps.*.estimated_minutes').optional().isInt({ min: 0 }),
+    body('steps.*.step_weight').optional().isFloat({ min: 0, max: 9.99 }),
+  ],
+  validate,
+  checklistController.createTemplate
+);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}:
+ *   get:
+ *     summary: Get a template version with its steps
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistTemplate'
+ *       404:
+ *         description: Template not found
+ */
+router.get('/templates/:id', checklistController.getTemplateById);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}:
+ *   patch:
+ *     summary: Rename a draft or change its system type
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               system_type_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       409:
+ *         description: Version is published and immutable
+ */
+router.patch('/templates/:id',
+  canAuthor,
+  [
+    body('name').optional().notEmpty().trim(),
+    body('system_type_id').optional().isInt({ min: 1 }),
+  ],
+  validate,
+  checklistController.updateTemplate
+);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}:
+ *   delete:
+ *     summary: Delete a draft, or retire a published template
+ *     description: Retiring deactivates every version so no new checklists use it. Existing checklists are unaffected.
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Draft deleted or template retired
+ */
+router.delete('/templates/:id', canAuthor, checklistController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/versions:
+ *   get:
+ *     summary: List every version of a template
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Versions, newest first
+ */
+router.get('/templates/:id/versions', checklistController.getTemplateVersions);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/versions:
+ *   post:
+ *     summary: Start a new draft version from this version
+ *     description: Returns the existing draft if the template already has one.
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Draft version
+ */
+router.post('/templates/:id/versions', canAuthor, checklistController.createTemplateVersion);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/publish:
+ *   post:
+ *     summary: Publish a draft and make it the active version
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version published
+ *       400:
+ *         description: Template has no steps
+ *       409:
+ *         description: Version is already published
+ */
+router.post('/templates/:id/publish', canAuthor, checklistController.publishTemplate);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/clone:
+ *   post:
+ *     summary: Copy a template version into a new template
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: New draft template
+ */
+router.post('/templates/:id/clone',
+  canAuthor,
+  [
+    body('name').optional().notEmpty().trim(),
+  ],
+  validate,
+  checklistController.cloneTemplate
+);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/steps:
+ *   post:
+ *     summary: Add a step to a draft
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ChecklistStep'
+ *             description: step_order is optional; the step is appended when omitted
+ *     responses:
+ *       201:
+ *         description: Updated draft
+ *       409:
+ *         description: Version is published and immutable
+ */
+router.post('/templates/:id/steps',
+  canAuthor,
+  [
+    ...stepValidators(false),
+    body('step_order').optional().isInt({ min: 1 }),
+  ],
+  validate,
+  checklistController.addStep
+);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/steps/order:
+ *   put:
+ *     summary: Reorder a draft's steps
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - step_ids
+ *             properties:
+ *               step_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Every step ID of the template in the new order
+ *     responses:
+ *       200:
+ *         description: Updated draft
+ *       400:
+ *         description: step_ids doesn't match the template's steps
+ */
+router.put('/templates/:id/steps/order',
+  canAuthor,
+  [
+    body('step_ids').isArray({ min: 1 }),
+    body('step_ids.*').isInt(),
+  ],
+  validate,
+  checklistController.reorderSteps
+);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/steps/{stepId}:
+ *   patch:
+ *     summary: Update a step on a draft
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChecklistStep'
+ *     responses:
+ *       200:
+ *         description: Updated draft
+ *       409:
+ *         description: Version is published and immutable
+ */
+router.patch('/templates/:id/steps/:stepId',
+  canAuthor,
+  stepValidators(true),
+  validate,
+  checklistController.updateStep
+);
+
+/**
+ * @swagger
+ * /api/checklists/templates/{id}/steps/{stepId}:
+ *   delete:
+ *     summary: Remove a step from a draft
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Updated draft
+ *       409:
+ *         description: Version is published and immutable
+ */
+router.delete('/templates/:id/steps/:stepId', canAuthor, checklistController.deleteStep);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SystemChecklist:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         system_id:
+ *           type: integer
+ *         template:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             version:
+ *               type: integer
+ *         steps:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ChecklistStep'
+ *               - type: object
+ *                 properties:
+ *                   completion:
+ *                     type: object
+ *                     nullable: true
+ *                     properties:
+ *                       completed_by:
+ *                         type: integer
+ *                       completed_at:
+ *                         type: string
+ *                         format: date-time
+ *                       qa_checked_by:
+ *                         type: integer
+ *                       qa_checked_at:
+ *                         type: string
+ *                         format: date-time
+ *                       notes:
+ *                         type: string
+ *                       time_spent_minutes:
+ *                         type: integer
+ *         progress:
+ *           type: object
+ *           properties:
+ *             total_steps:
+ *               type: integer
+ *             completed_steps:
+ *               type: integer
+ *             completion_percentage:
+ *               type: number
+ *               description: Completed steps weighted by step_weight
+ *             pending_steps:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *             pending_qa:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *             is_complete:
+ *               type: boolean
+ *             is_qa_complete:
+ *               type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/checklists/{id}:
+ *   get:
+ *     summary: Get a system checklist with step completions and progress
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: System checklist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SystemChecklist'
+ *       404:
+ *         description: Checklist not found
+ */
+router.get('/:id', checklistController.getChecklist);
+
+/**
+ * @swagger
+ * /api/checklists/{id}/steps/{stepId}/completion:
+ *   put:
+ *     summary: Complete a step, or update the notes and time of a completed step
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               time_spent_minutes:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Updated checklist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SystemChecklist'
+ *       409:
+ *         description: Step has already been signed off by QA
+ */
+router.put('/:id/steps/:stepId/completion',
+  [
+    body('notes').optional({ nullable: true }).isString(),
+    body('time_spent_minutes').optional({ nullable: true }).isInt({ min: 0 }),
+  ],
+  validate,
+  checklistController.completeStep
+);
+
+/**
+ * @swagger
+ * /api/checklists/{id}/steps/{stepId}/reopen:
+ *   post:
+ *     summary: Undo a step's completion
+ *     description: Only steps that have not been signed off by QA can be reopened.
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated checklist
+ *       409:
+ *         description: Step is not completed or already signed off
+ */
+router.post('/:id/steps/:stepId/reopen',
+  [
+    body('reason').optional().isString().trim(),
+  ],
+  validate,
+  checklistController.reopenStep
+);
+
+/**
+ * @swagger
+ * /api/checklists/{id}/steps/{stepId}/qa:
+ *   post:
+ *     summary: Sign off a completed step that requires QA
+ *     description: Requires the manager or admin role, or a user with can_qa. The step must have been completed by someone else.
+ *     tags: [Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Updated checklist
+ *       400:
+ *         description: Step does not require QA
+ *       403:
+ *         description: User may not sign off this step
+ *       409:
+ *         description: Step not completed or already signed off
+ */
+router.post('/:id/steps/:stepId/qa', checklistController.signOffStep);
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const imagingQueueController = require('../controllers/imagingQueueController');
+
+const canManage = authorize(['manager', 'admin']);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QueuedSystem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         queue_position:
+ *           type: integer
+ *         skip_queue:
+ *           type: boolean
+ *         serial_number:
+ *           type: string
+ *         status:
+ *           type: string
+ *         systemType:
+ *           type: object
+ *         order:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             woo_order_id:
+ *               type: string
+ *             customer_name:
+ *               type: string
+ *             order_date:
+ *               type: string
+ *               format: date-time
+ *             priority:
+ *               type: integer
+ */
+
+/**
+ * @swagger
+ * /api/imaging-queue:
+ *   get:
+ *     summary: Systems waiting for imaging, in queue order
+ *     description: Systems that skip the queue come first, then the rest by order date with each priority level counting as IMAGING_PRIORITY_WEIGHT_HOURS (default 24) earlier, unless a manager moved them.
+ *     tags: [Imaging]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The queue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/QueuedSystem'
+ */
+router.get('/', imagingQueueController.getQueue);
+
+/**
+ * @swagger
+ * /api/imaging-queue/next:
+ *   post:
+ *     summary: Take the next system to image
+ *     description: Assigns the head of the queue to the current user, marks it in progress and removes it from the queue.
+ *     tags: [Imaging]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The system to image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueuedSystem'
+ *       204:
+ *         description: The queue is empty
+ */
+router.post('/next', imagingQueueController.claimNext);
+
+/**
+ * @swagger
+ * /api/imaging-queue/{systemId}/position:
+ *   put:
+ *     summary: Move a queued system to another position
+ *     description: Positions are clamped so systems that skip the queue stay ahead of the rest.
+ *     tags: [Imaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - position
+ *               - reason
+ *             properties:
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The reordered queue
+ *       403:
+ *         description: Not authorized (managers only)
+ *       404:
+ *         description: System is not in the queue
+ */
+router.put('/:systemId/position',
+  canManage,
+  [
+    body('position').isInt({ min: 1 }).toInt(),
+    body('reason').isString().trim().notEmpty(),
+  ],
+  validate,
+  imagingQueueController.moveSystem
+);
+
+/**
+ * @swagger
+ * /api/imaging-queue/{systemId}/skip:
+ *   put:
+ *     summary: Put a system at the front of the queue, or back in its place
+ *     tags: [Imaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - skip_queue
+ *               - reason
+ *             properties:
+ *               skip_queue:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The reordered queue
+ *       403:
+ *         description: Not authorized (managers only)
+ *       404:
+ *         description: System is not in the queue
+ */
+router.put('/:systemId/skip',
+  canManage,
+  [
+    body('skip_queue').isBoolean().toBoolean(),
+    body('reason').isString().trim().notEmpty(),
+  ],
+  validate,
+  imagingQueueController.setSkipQueue
+);
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const integrationController = require('../controllers/integrationController');
+
+/**
+ * @swagger
+ * /api/integrations/woocommerce/sync:
+ *   post:
+ *     summary: Run WooCommerce order reconciliation now
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Reconciliation job queued
+ *       400:
+ *         description: WooCommerce is not configured
+ */
+router.post('/woocommerce/sync',
+  authorize(['manager', 'admin']),
+  integrationController.syncWooCommerce
+);
+
+/**
+ * @swagger
+ * /api/integrations/{integration}/sync-runs:
+ *   get:
+ *     summary: List recent sync run reports for an integration
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: integration
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [woocommerce, inflow]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Sync runs, newest first
+ */
+router.get('/:integration/sync-runs',
+  authorize(['manager', 'admin']),
+  integrationController.getSyncRuns
+);
+
+/**
+ * @swagger
+ * /api/integrations/woocommerce/discrepancies:
+ *   get:
+ *     summary: List orders whose total or line items changed in WooCommerce after intake
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Flagged orders with their woo_discrepancy details
+ */
+router.get('/woocommerce/discrepancies',
+  authorize(['manager', 'admin']),
+  integrationController.getWooCommerceDiscrepancies
+);
+
+/**
+ * @swagger
+ * /api/integrations/woocommerce/discrepancies/{orderId}/resolve:
+ *   post:
+ *     summary: Clear an order's WooCommerce discrepancy flag
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Discrepancy resolved
+ *       404:
+ *         description: No open discrepancy for this order
+ */
+router.post('/woocommerce/discrepancies/:orderId/resolve',
+  authorize(['manager', 'admin']),
+  [
+    body('notes').optional().isString(),
+  ],
+  validate,
+  integrationController.resolveWooCommerceDiscrepancy
+);
+
+/**
+ * @swagger
+ * /api/integrations/agiloft/systems/{systemId}/resync:
+ *   post:
+ *     summary: Create or update a system's asset record in Agiloft
+ *     description: Queued with retries and exponential backoff; the resulting ID is stored in agiloft_asset_id.
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Asset sync queued
+ *       400:
+ *         description: Agiloft is not configured or the system has no serial number
+ *       404:
+ *         description: System not found
+ */
+router.post('/agiloft/systems/:systemId/resync',
+  authorize(['manager', 'admin']),
+  integrationController.resyncAgiloftAsset
+);
+
+/**
+ * @swagger
+ * /api/integrations/inflow/sync:
+ *   post:
+ *     summary: Pull received serials from inFlow now
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Sync job queued
+ *       400:
+ *         description: inFlow is not configured
+ */
+router.post('/inflow/sync',
+  authorize(['manager', 'admin']),
+  integrationController.syncInflow
+);
+
+/**
+ * @swagger
+ * /api/integrations/errors:
+ *   get:
+ *     summary: Integration error log (sync failures and data conflicts)
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: integration
+ *         schema:
+ *           type: string
+ *         description: Integration name, e.g. inflow
+ *       - in: query
+ *         name: error_type
+ *         schema:
+ *           type: string
+ *         description: e.g. serial_already_consumed, serial_unavailable, unknown_product, auth_failed, invalid_request
+ *       - in: query
+ *         name: resolved
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Error log entries, newest first
+ */
+router.get('/errors',
+  authorize(['manager', 'admin']),
+  integrationController.getIntegrationErrors
+);
+
+/**
+ * @swagger
+ * /api/integrations/errors/{id}/resolve:
+ *   post:
+ *     summary: Mark an integration error as resolved
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Error resolved
+ *       404:
+ *         description: Integration error not found
+ */
+router.post('/errors/:id/resolve',
+  authorize(['manager', 'admin']),
+  integrationController.resolveIntegrationError
+);
+
+module.exports = router;
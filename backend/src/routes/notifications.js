@@ -0,0 +1,325 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const notificationController = require('../controllers/notificationController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [order_assigned, order_status_changed, qa_rejected, sla_breached]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         order_id:
+ *           type: integer
+ *           nullable: true
+ *         order:
+ *           type: object
+ *           nullable: true
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     NotificationPreference:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *         label:
+ *           type: string
+ *         in_app:
+ *           type: boolean
+ *         email:
+ *           type: boolean
+ *     NotificationTemplate:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *         label:
+ *           type: string
+ *         audience:
+ *           type: string
+ *           enum: [staff, customer]
+ *         subject:
+ *           type: string
+ *         body:
+ *           type: string
+ *           description: Plain text; {{variable}} placeholders are filled from the order
+ *         is_active:
+ *           type: boolean
+ *           description: When false this type is not sent at all
+ *         customized:
+ *           type: boolean
+ *           description: False while the built-in wording is in use
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: The signed-in user's notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Notifications and the unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unread_count:
+ *                   type: integer
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ */
+router.get('/',
+  [
+    query('unread').optional().isBoolean(),
+    query('limit').optional().isInt({ min: 1 }),
+  ],
+  validate,
+  notificationController.getNotifications
+);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all of the signed-in user's notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked read
+ */
+router.post('/read-all', notificationController.markAllRead);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Channels the signed-in user gets each notification type on
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One entry per staff notification type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NotificationPreference'
+ */
+router.get('/preferences', notificationController.getPreferences);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Change the signed-in user's notification channels
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               preferences:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/NotificationPreference'
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *       400:
+ *         description: Unknown notification type
+ */
+router.put('/preferences',
+  [
+    body('preferences').isArray({ min: 1 }),
+    body('preferences.*.type').isString().notEmpty(),
+    body('preferences.*.in_app').optional().isBoolean(),
+    body('preferences.*.email').optional().isBoolean(),
+  ],
+  validate,
+  notificationController.updatePreferences
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates:
+ *   get:
+ *     summary: Templates for every notification type
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NotificationTemplate'
+ */
+router.get('/templates', authorize(['admin']), notificationController.getTemplates);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{type}:
+ *   put:
+ *     summary: Edit a notification type's template or turn it off
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated template
+ *       404:
+ *         description: Unknown notification type
+ */
+router.put('/templates/:type',
+  authorize(['admin']),
+  [
+    body('subject').optional().isString().trim().notEmpty()
+      .isLength({ max: 255 }),
+    body('body').optional().isString().trim().notEmpty(),
+    body('is_active').optional().isBoolean(),
+  ],
+  validate,
+  notificationController.updateTemplate
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{type}:
+ *   delete:
+ *     summary: Go back to the built-in wording for a notification type
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template in effect afterwards
+ *       404:
+ *         description: Unknown notification type
+ */
+router.delete('/templates/:type', authorize(['admin']), notificationController.resetTemplate);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{type}/test:
+ *   post:
+ *     summary: Email the template, filled with sample data, to the signed-in admin
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email sent
+ *       502:
+ *         description: The SMTP server refused or could not be reached
+ *       503:
+ *         description: Email is not configured
+ */
+router.post('/templates/:type/test', authorize(['admin']), notificationController.sendTestEmail);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark one of the signed-in user's notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The notification
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/read',
+  [param('id').isInt({ min: 1 }).toInt()],
+  validate,
+  notificationController.markRead
+);
+
+module.exports = router;
@@ -1,8 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query } = require('express-validator');
 const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 const orderController = require('../controllers/orderController');
+const checklistController = require('../controllers/checklistController');
+const trackingController = require('../controllers/trackingController');
+const { readExpectedVersion } = require('../middleware/precondition');
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       schema:
+ *         type: string
+ *       description: ETag (or version) of the order as last read; the update is rejected with 409 if it has changed since. A `version` body field works too.
+ *   responses:
+ *     VersionConflict:
+ *       description: The order changed since the given version; the response carries its current state
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 enum: [version_conflict]
+ *               expected_version:
+ *                 type: integer
+ *               current_version:
+ *                 type: integer
+ *               current:
+ *                 $ref: '#/components/schemas/Order'
+ */
 
 /**
  * @swagger
@@ -17,7 +52,7 @@ const orderController = require('../controllers/orderController');
  *         name: status
  *         schema:
  *           type: string
- *           enum: [ordered, in_progress, qa_review, ready_to_deliver, complete]
+ *           enum: [ordered, in_progress, qa_review, ready_to_deliver, complete, cancelled]
  *         description: Filter by order status
  *       - in: query
  *         name: assigned_to
@@ -59,6 +94,11 @@ router.get('/', orderController.getOrders);
  *     responses:
  *       200:
  *         description: Order details
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Current version, for use with If-Match
  *         content:
  *           application/json:
  *             schema:
@@ -126,7 +166,11 @@ router.post('/',
     body('customer_email').isEmail(),
     body('order_date').isISO8601(),
     body('delivery_method').isIn(['delivery', 'shipping']),
+    body('systems').optional().isArray(),
+    body('systems.*.type').notEmpty().trim(),
+    body('systems.*.quantity').optional().isInt({ min: 1 }),
   ],
+  validate,
   orderController.createOrder
 );
 
@@ -144,6 +188,7 @@ router.post('/',
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -158,19 +203,198 @@ router.post('/',
  *                 enum: [ordered, in_progress, qa_review, ready_to_deliver, complete]
  *               notes:
  *                 type: string
+ *                 description: Required when moving an order backwards
+ *               tracking_number:
+ *                 type: string
+ *                 description: Required to complete a shipping order
+ *               delivery_confirmation:
+ *                 type: string
+ *                 description: Required to complete a delivery order
  *     responses:
  *       200:
  *         description: Status updated successfully
  *       400:
- *         description: Invalid status transition
+ *         description: Invalid status transition or a transition guard failed (see `code` and `guard`)
+ *       403:
+ *         description: User's role may not make this transition
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         $ref: '#/components/responses/VersionConflict'
  */
 router.patch('/:id/status',
+  readExpectedVersion,
   [
     body('status').isIn(['ordered', 'in_progress', 'qa_review', 'ready_to_deliver', 'complete']),
+    body('notes').optional().isString(),
+    body('tracking_number').optional().isString().trim(),
+    body('delivery_confirmation').optional().isString().trim(),
   ],
+  validate,
   orderController.updateOrderStatus
 );
 
+/**
+ * @swagger
+ * /api/orders/{id}/transitions:
+ *   get:
+ *     summary: List status transitions available from the order's current status
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Candidate transitions with role and guard results for the current user
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/transitions', orderController.getOrderTransitions);
+
+/**
+ * @swagger
+ * /api/orders/{id}/tracking-link:
+ *   get:
+ *     summary: Public status page link to send the customer
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Signed token and the page URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/tracking-link', trackingController.getTrackingLink);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ActivityEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for actions taken by integrations
+ *         order_id:
+ *           type: integer
+ *         system_id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *         details:
+ *           type: object
+ *           description: Action-specific details; field changes appear as changes.{field}.from / .to
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             first_name:
+ *               type: string
+ *             last_name:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/orders/{id}/activity:
+ *   get:
+ *     summary: Audit timeline for an order, newest first
+ *     tags: [Orders, Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of actions
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: system_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Activity entries; X-Total-Count holds the number of matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ActivityEntry'
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/activity',
+  [
+    query('user_id').optional().isInt({ min: 1 }),
+    query('system_id').optional().isInt({ min: 1 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ],
+  validate,
+  orderController.getOrderActivity
+);
+
 /**
  * @swagger
  * /api/orders/{id}/assign:
@@ -185,6 +409,7 @@ router.patch('/:id/status',
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -202,12 +427,16 @@ router.patch('/:id/status',
  *         description: Order assigned successfully
  *       403:
  *         description: Not authorized (managers only)
+ *       409:
+ *         $ref: '#/components/responses/VersionConflict'
  */
 router.patch('/:id/assign',
   authorize(['manager', 'admin']),
+  readExpectedVersion,
   [
     body('user_id').isInt({ min: 1 }),
   ],
+  validate,
   orderController.assignOrder
 );
 
@@ -225,6 +454,7 @@ router.patch('/:id/assign',
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -242,12 +472,16 @@ router.patch('/:id/assign',
  *     responses:
  *       200:
  *         description: Priority updated successfully
+ *       409:
+ *         $ref: '#/components/responses/VersionConflict'
  */
 router.patch('/:id/priority',
   authorize(['manager', 'admin']),
+  readExpectedVersion,
   [
     body('priority').isInt({ min: 0, max: 5 }),
   ],
+  validate,
   orderController.updatePriority
 );
 
@@ -277,6 +511,44 @@ router.patch('/:id/priority',
  */
 router.get('/:id/systems', orderController.getOrderSystems);
 
+/**
+ * @swagger
+ * /api/orders/{id}/checklists:
+ *   post:
+ *     summary: Start the default checklist on every system in the order that has none
+ *     tags: [Orders, Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Checklists created, and systems skipped because their type has no published template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 created:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SystemChecklist'
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       system_id:
+ *                         type: integer
+ *                       error:
+ *                         type: string
+ */
+router.post('/:id/checklists', checklistController.startOrderChecklists);
+
 /**
  * @swagger
  * /api/orders/{id}/complete:
@@ -291,6 +563,7 @@ router.get('/:id/systems', orderController.getOrderSystems);
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -310,9 +583,13 @@ router.get('/:id/systems', orderController.getOrderSystems);
  *       200:
  *         description: Order completed successfully
  *       400:
- *         description: Cannot complete - systems not finished
+ *         description: Cannot complete - order not ready to deliver or delivery details missing
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         $ref: '#/components/responses/VersionConflict'
  */
-router.post('/:id/complete', orderController.completeOrder);
+router.post('/:id/complete', readExpectedVersion, orderController.completeOrder);
 
 /**
  * @swagger
@@ -338,9 +615,16 @@ router.post('/:id/complete', orderController.completeOrder);
  *                   type: integer
  *               user_id:
  *                 type: integer
+ *               versions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: integer
+ *                 description: Expected version per order ID; if any order has changed, nothing is assigned
  *     responses:
  *       200:
- *         description: Orders assigned successfully
+ *         description: Orders assigned; `order_ids` lists the orders that exist and were assigned
+ *       409:
+ *         description: Some orders changed since the given versions; `conflicts` carries their current state
  */
 router.post('/bulk-assign',
   authorize(['manager', 'admin']),
@@ -348,17 +632,11 @@ router.post('/bulk-assign',
     body('order_ids').isArray({ min: 1 }),
     body('order_ids.*').isInt(),
     body('user_id').isInt({ min: 1 }),
+    body('versions').optional().isObject(),
+    body('versions.*').isInt().toInt(),
   ],
+  validate,
   orderController.bulkAssignOrders
 );
 
-// Middleware to handle validation errors
-router.use((req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  next();
-});
-
 module.exports = router;
\ No newline at end of file
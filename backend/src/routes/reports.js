@@ -0,0 +1,394 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { Order } = require('../models');
+const reportController = require('../controllers/reportController');
+
+const REPORT_TYPES = ['orders', 'completion', 'technicians'];
+const FORMATS = ['csv', 'xlsx', 'pdf'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true };
+
+const filterValidators = [
+  body('filters').optional().isObject(),
+  body('filters.status').optional({ values: 'falsy' }).isIn(Order.STATUSES),
+  body('filters.department').optional({ values: 'falsy' }).isString().trim().isLength({ max: 255 }),
+  body('filters.system_type_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+];
+
+const scheduleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().isLength({ max: 100 }),
+    field('report_type').isIn(REPORT_TYPES),
+    field('format').isIn(FORMATS),
+    field('frequency').isIn(FREQUENCIES),
+    body('recipients').optional().isArray({ max: 50 }),
+    body('recipients.*').isEmail(),
+    body('is_active').optional().isBoolean(),
+    ...filterValidators,
+  ];
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportFilters:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           format: date
+ *           description: First day (inclusive); defaults to 29 days before `to`. Ignored on schedules.
+ *         to:
+ *           type: string
+ *           format: date
+ *           description: Last day (inclusive); defaults to today. Ignored on schedules.
+ *         status:
+ *           type: string
+ *           description: Order list only
+ *         department:
+ *           type: string
+ *         system_type_id:
+ *           type: integer
+ *     ReportExport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         report_type:
+ *           type: string
+ *           enum: [orders, completion, technicians]
+ *         format:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *         filters:
+ *           $ref: '#/components/schemas/ReportFilters'
+ *         status:
+ *           type: string
+ *           enum: [queued, running, complete, failed]
+ *         file_name:
+ *           type: string
+ *         file_size:
+ *           type: integer
+ *         row_count:
+ *           type: integer
+ *         error:
+ *           type: string
+ *         schedule_id:
+ *           type: integer
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *     ReportSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         report_type:
+ *           type: string
+ *           enum: [orders, completion, technicians]
+ *         format:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *           description: Each run covers the previous day, week (Monday to Sunday) or calendar month
+ *         filters:
+ *           $ref: '#/components/schemas/ReportFilters'
+ *         recipients:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: email
+ *         is_active:
+ *           type: boolean
+ *         next_run_at:
+ *           type: string
+ *           format: date-time
+ *         last_run_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/reports/types:
+ *   get:
+ *     summary: Available report types, formats and schedule frequencies
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report catalogue
+ */
+router.get('/types', authorize(['manager', 'admin']), reportController.getTypes);
+
+/**
+ * @swagger
+ * /api/reports/exports:
+ *   post:
+ *     summary: Export a report
+ *     description: Exports of up to REPORT_SYNC_MAX_ROWS rows are generated right away; larger ones are queued and can be polled until complete.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [report_type, format]
+ *             properties:
+ *               report_type:
+ *                 type: string
+ *                 enum: [orders, completion, technicians]
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx, pdf]
+ *               filters:
+ *                 $ref: '#/components/schemas/ReportFilters'
+ *     responses:
+ *       201:
+ *         description: Export generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReportExport'
+ *       202:
+ *         description: Export queued
+ *       400:
+ *         description: Invalid report, format or range
+ */
+router.post('/exports',
+  authorize(['manager', 'admin']),
+  [
+    body('report_type').isIn(REPORT_TYPES),
+    body('format').isIn(FORMATS),
+    body('filters.from').optional({ values: 'falsy' }).isDate(DATE_FORMAT),
+    body('filters.to').optional({ values: 'falsy' }).isDate(DATE_FORMAT),
+    ...filterValidators,
+  ],
+  validate,
+  reportController.createExport
+);
+
+/**
+ * @swagger
+ * /api/reports/exports:
+ *   get:
+ *     summary: Recent exports
+ *     description: The caller's own exports and all scheduled ones, newest first; admins see everyone's.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReportExport'
+ */
+router.get('/exports', authorize(['manager', 'admin']), reportController.getExports);
+
+/**
+ * @swagger
+ * /api/reports/exports/{id}:
+ *   get:
+ *     summary: Get an export's status
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Export
+ *       404:
+ *         description: Export not found
+ */
+router.get('/exports/:id',
+  authorize(['manager', 'admin']),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  reportController.getExport
+);
+
+/**
+ * @swagger
+ * /api/reports/exports/{id}/download:
+ *   get:
+ *     summary: Download a finished export
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The report file
+ *       404:
+ *         description: Export not found
+ *       409:
+ *         description: Export not finished
+ *       410:
+ *         description: Export expired
+ */
+router.get('/exports/:id/download',
+  authorize(['manager', 'admin']),
+  [param('id').isInt({ min: 1 })],
+  validate,
+  reportController.downloadExport
+);
+
+/**
+ * @swagger
+ * /api/reports/schedules:
+ *   get:
+ *     summary: List report schedules
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Schedules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReportSchedule'
+ */
+router.get('/schedules', authorize(['manager', 'admin']), reportController.getSchedules);
+
+/**
+ * @swagger
+ * /api/reports/schedules:
+ *   post:
+ *     summary: Schedule a recurring report
+ *     description: Runs after each period ends and emails the file to the recipients (attached when under 10 MB).
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportSchedule'
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *       400:
+ *         description: Invalid schedule
+ */
+router.post('/schedules',
+  authorize(['manager', 'admin']),
+  scheduleValidators(false),
+  validate,
+  reportController.createSchedule
+);
+
+/**
+ * @swagger
+ * /api/reports/schedules/{id}:
+ *   patch:
+ *     summary: Update a report schedule
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportSchedule'
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       404:
+ *         description: Schedule not found
+ */
+router.patch('/schedules/:id',
+  authorize(['manager', 'admin']),
+  scheduleValidators(true),
+  validate,
+  reportController.updateSchedule
+);
+
+/**
+ * @swagger
+ * /api/reports/schedules/{id}:
+ *   delete:
+ *     summary: Delete a report schedule
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       404:
+ *         description: Schedule not found
+ */
+router.delete('/schedules/:id', authorize(['manager', 'admin']), reportController.deleteSchedule);
+
+/**
+ * @swagger
+ * /api/reports/schedules/{id}/run:
+ *   post:
+ *     summary: Run a schedule now
+ *     description: Queues the schedule's report for the period up to yesterday and emails it to the recipients, without changing its next run.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReportExport'
+ *       404:
+ *         description: Schedule not found
+ */
+router.post('/schedules/:id/run', authorize(['manager', 'admin']), reportController.runSchedule);
+
+module.exports = router;
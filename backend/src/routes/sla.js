@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const slaController = require('../controllers/slaController');
+
+const policyValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().isLength({ max: 100 }),
+    field('status').isString().trim().notEmpty(),
+    field('target_hours').isFloat({ gt: 0, max: 9999 }).toFloat(),
+    body('priority').optional({ nullable: true }).isInt({ min: 0, max: 5 }).toInt(),
+    body('delivery_method').optional({ nullable: true }).isIn(['delivery', 'shipping']),
+    body('at_risk_percent').optional().isInt({ min: 1, max: 100 }).toInt(),
+    body('manager_escalation_hours').optional().isFloat({ min: 0, max: 9999 }).toFloat(),
+    body('is_active').optional().isBoolean(),
+  ];
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlaPolicy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         status:
+ *           type: string
+ *           description: Order status the target applies to (open statuses only)
+ *         priority:
+ *           type: integer
+ *           nullable: true
+ *           description: Null matches any priority
+ *         delivery_method:
+ *           type: string
+ *           enum: [delivery, shipping]
+ *           nullable: true
+ *           description: Null matches any delivery method
+ *         target_hours:
+ *           type: number
+ *           description: How long an order may stay in the status
+ *         at_risk_percent:
+ *           type: integer
+ *           description: Share of the target after which the order is at risk
+ *           default: 75
+ *         manager_escalation_hours:
+ *           type: number
+ *           description: Hours past the deadline before managers are notified as well as the assignee
+ *           default: 24
+ *         is_active:
+ *           type: boolean
+ *     OrderSla:
+ *       type: object
+ *       description: Returned as order.sla; order.sla_state is its state (null when no policy applies)
+ *       properties:
+ *         policy_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         at_risk_at:
+ *           type: string
+ *           format: date-time
+ *         due_at:
+ *           type: string
+ *           format: date-time
+ *         state:
+ *           type: string
+ *           enum: [on_track, at_risk, breached]
+ *         escalation_level:
+ *           type: integer
+ *           description: 0 none, 1 assignee notified, 2 managers notified
+ */
+
+/**
+ * @swagger
+ * /api/sla/policies:
+ *   get:
+ *     summary: List SLA policies
+ *     tags: [SLA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: SLA policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SlaPolicy'
+ */
+router.get('/policies', authorize(['manager', 'admin']), slaController.getPolicies);
+
+/**
+ * @swagger
+ * /api/sla/policies:
+ *   post:
+ *     summary: Create an SLA policy
+ *     description: When several active policies match an order, one for its priority and delivery method wins over one for the priority only, then the delivery method only, then one for the status alone.
+ *     tags: [SLA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlaPolicy'
+ *     responses:
+ *       201:
+ *         description: Policy created
+ *       400:
+ *         description: Invalid status
+ */
+router.post('/policies',
+  authorize(['admin']),
+  policyValidators(false),
+  validate,
+  slaController.createPolicy
+);
+
+/**
+ * @swagger
+ * /api/sla/policies/{id}:
+ *   patch:
+ *     summary: Update an SLA policy
+ *     tags: [SLA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlaPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       404:
+ *         description: Policy not found
+ */
+router.patch('/policies/:id',
+  authorize(['admin']),
+  policyValidators(true),
+  validate,
+  slaController.updatePolicy
+);
+
+/**
+ * @swagger
+ * /api/sla/policies/{id}:
+ *   delete:
+ *     summary: Delete an SLA policy
+ *     tags: [SLA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ *       404:
+ *         description: Policy not found
+ */
+router.delete('/policies/:id', authorize(['admin']), slaController.deletePolicy);
+
+module.exports = router;
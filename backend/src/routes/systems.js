@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const checklistController = require('../controllers/checklistController');
+const systemController = require('../controllers/systemController');
+const { readExpectedVersion } = require('../middleware/precondition');
+
+/**
+ * @swagger
+ * /api/systems/types:
+ *   get:
+ *     summary: List system types
+ *     tags: [Systems]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: System types by name
+ */
+router.get('/types', systemController.getSystemTypes);
+
+/**
+ * @swagger
+ * /api/systems/{id}/checklists:
+ *   get:
+ *     summary: Get the checklists attached to a system
+ *     tags: [Systems, Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Checklists with progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SystemChecklist'
+ *       404:
+ *         description: System not found
+ */
+router.get('/:id/checklists', checklistController.getSystemChecklists);
+
+/**
+ * @swagger
+ * /api/systems/{id}/checklists:
+ *   post:
+ *     summary: Start a checklist on a system
+ *     description: Uses the given published template version, or the system type's default_checklist_template. Returns the existing checklist if the system already has one from the same template.
+ *     tags: [Systems, Checklists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               template_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Checklist started
+ *       200:
+ *         description: System already has this checklist
+ *       409:
+ *         description: No published template for the system type
+ */
+router.post('/:id/checklists',
+  [
+    body('template_id').optional().isInt({ min: 1 }),
+  ],
+  validate,
+  checklistController.startSystemChecklist
+);
+
+/**
+ * @swagger
+ * /api/systems/{id}/serial:
+ *   put:
+ *     summary: Assign a scanned serial number to a system
+ *     description: Reserves the serial in inventory and records it on the system in one transaction. The serial must be in inventory, available and for the system's type. Assigning the serial a system already has is a no-op.
+ *     tags: [Systems]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serial_number
+ *             properties:
+ *               serial_number:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Serial reserved and recorded on the system
+ *       200:
+ *         description: System already has this serial
+ *       404:
+ *         description: System not found, or serial not in inventory (code serial_not_found)
+ *       409:
+ *         description: Serial unavailable, for another system type, already on another system, the system already has a serial, or a stale version
+ */
+router.put('/:id/serial',
+  readExpectedVersion,
+  [
+    body('serial_number').isString().trim().notEmpty().isLength({ max: 100 }),
+  ],
+  validate,
+  systemController.assignSerial
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const trackingController = require('../controllers/trackingController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrackingStatus:
+ *       type: object
+ *       description: What a customer may see about their order; no notes, serials or staff
+ *       properties:
+ *         order_number:
+ *           type: string
+ *         status:
+ *           type: string
+ *         status_label:
+ *           type: string
+ *         ordered_at:
+ *           type: string
+ *           format: date-time
+ *         delivery_method:
+ *           type: string
+ *           enum: [delivery, shipping]
+ *         tracking_number:
+ *           type: string
+ *           nullable: true
+ *           description: Only once the order is complete
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         timeline:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *                 enum: [done, current, upcoming]
+ *               reached_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *         systems:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *         estimate:
+ *           type: object
+ *           nullable: true
+ *           description: Only while setup work remains (ordered, in progress)
+ *           properties:
+ *             remaining_minutes:
+ *               type: integer
+ *               description: Sum of estimated_minutes of checklist steps still to do
+ *             ready_at:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/tracking/{token}:
+ *   get:
+ *     summary: Public order status for the customer
+ *     description: No authentication; the token from the order's tracking link is the credential.
+ *     tags: [Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrackingStatus'
+ *       404:
+ *         description: Invalid tracking link
+ */
+router.get('/:token', trackingController.getStatus);
+
+module.exports = router;
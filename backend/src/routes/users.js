@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const userController = require('../controllers/userController');
+const identity = require('../services/identity');
+
+const ROLES = ['staff', 'manager', 'admin'];
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [staff, manager, admin]
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of users
+ */
+router.get('/', authorize(['manager', 'admin']), userController.getUsers);
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a user account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - first_name
+ *               - last_name
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [staff, manager, admin]
+ *               can_qa:
+ *                 type: boolean
+ *                 description: Allow a staff member to sign off QA steps
+ *     responses:
+ *       201:
+ *         description: User created
+ *       409:
+ *         description: Email already in use
+ */
+router.post('/',
+  authorize(['admin']),
+  [
+    body('email').isEmail(),
+    body('password').isLength({ min: 8 }),
+    body('first_name').notEmpty().trim(),
+    body('last_name').notEmpty().trim(),
+    body('role').isIn(ROLES),
+    body('can_qa').optional().isBoolean(),
+  ],
+  validate,
+  userController.createUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   patch:
+ *     summary: Update a user's profile, role or active flag
+ *     description: Deactivating a user revokes their sessions immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [staff, manager, admin]
+ *               is_active:
+ *                 type: boolean
+ *               can_qa:
+ *                 type: boolean
+ *               is_available:
+ *                 type: boolean
+ *                 description: Unavailable users are skipped by auto-assignment
+ *               auth_provider:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Link the account to an identity provider (e.g. ldap, saml) so the user's next directory login with the same email signs into it and syncs its role from directory groups; null unlinks it
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id',
+  authorize(['admin']),
+  [
+    body('first_name').optional().notEmpty().trim(),
+    body('last_name').optional().notEmpty().trim(),
+    body('role').optional().isIn(ROLES),
+    body('is_active').optional().isBoolean(),
+    body('can_qa').optional().isBoolean(),
+    body('is_available').optional().isBoolean(),
+    body('auth_provider').optional({ values: 'null' }).custom((name) => !!identity.getProvider(name))
+      .withMessage('Unknown identity provider'),
+  ],
+  validate,
+  userController.updateUser
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { verifyWooCommerceSignature } = require('../middleware/webhookSignature');
+const webhookController = require('../controllers/webhookController');
+
+/**
+ * @swagger
+ * /api/webhooks/woocommerce:
+ *   post:
+ *     summary: Receive WooCommerce order webhooks
+ *     description: |
+ *       Handles order.created, order.updated, order.cancelled and order.deleted.
+ *       Requests must carry a valid X-WC-Webhook-Signature. Deliveries are
+ *       deduplicated by X-WC-Webhook-Delivery-ID and orders by woo_order_id.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: X-WC-Webhook-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Base64 HMAC-SHA256 of the raw body using WOOCOMMERCE_SECRET
+ *       - in: header
+ *         name: X-WC-Webhook-Topic
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook processed (or ignored/duplicate)
+ *       401:
+ *         description: Missing or invalid signature
+ */
+router.post('/woocommerce', verifyWooCommerceSignature, webhookController.woocommerce);
+
+module.exports = router;
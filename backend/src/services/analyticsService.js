@@ -0,0 +1,657 @@
+// Workflow analytics: time spent in each status, work in progress,
+// bottlenecks, throughput over time and per-technician productivity, plus the
+// orders behind any of those figures. Status history comes
+// from activity_logs (status_changed, order_cancelled, system_status_changed)
+// and step work from checklist_completions. Per-user daily figures are rolled
+// up into performance_metrics nightly; ranges reaching today add today's
+// figures computed live.
+//
+// Timestamps are stored in UTC; dates and ranges are calendar days in
+// ANALYTICS_TIMEZONE (default UTC), inclusive at both ends. Order-level
+// figures can be narrowed to a customer department and/or a system type.
+const { Op, QueryTypes } = require('sequelize');
+const {
+  sequelize, Order, User, PerformanceMetric,
+} = require('../models');
+const { ServiceError } = require('./errors');
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'UTC';
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+const MAX_BUCKETS = 400;
+const MAX_REBUILD_DAYS = 366;
+const DRILLDOWN_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OPEN_STATUSES = ['ordered', 'in_progress', 'qa_review', 'ready_to_deliver'];
+const INTERVALS = {
+  day: { step: '1 day', days: 1 },
+  week: { step: '1 week', days: 7 },
+  month: { step: '1 month', days: 30 },
+};
+
+class AnalyticsError extends ServiceError {}
+
+// SQL for a stored UTC timestamp as a calendar date in the analytics timezone
+const localDate = (column) => `((${column} AT TIME ZONE 'UTC') AT TIME ZONE :tz)::date`;
+// UTC bounds of the :from..:to calendar days, so indexed columns can be compared directly
+const RANGE_START = "(CAST(:from AS date)::timestamp AT TIME ZONE :tz) AT TIME ZONE 'UTC'";
+const RANGE_END = "((CAST(:to AS date) + 1)::timestamp AT TIME ZONE :tz) AT TIME ZONE 'UTC'";
+const inRange = (column) => `${column} >= ${RANGE_START} AND ${column} < ${RANGE_END}`;
+
+// Filter conditions on an orders alias (and a systems alias for system-level
+// figures); a null :department or :system_type_id leaves that filter off
+const orderFilter = (order) => `
+  AND (CAST(:department AS text) IS NULL OR ${order}.customer_department = :department)
+  AND (CAST(:system_type_id AS integer) IS NULL OR EXISTS (
+    SELECT 1 FROM systems fs WHERE fs.order_id = ${order}.id AND fs.system_type_id = :system_type_id
+  ))`;
+const systemFilter = (system, order) => `
+  AND (CAST(:department AS text) IS NULL OR ${order}.customer_department = :department)
+  AND (CAST(:system_type_id AS integer) IS NULL OR ${system}.system_type_id = :system_type_id)`;
+
+const select = (sql, replacements) => sequelize.query(sql, {
+  type: QueryTypes.SELECT,
+  replacements: {
+    tz: TIMEZONE, department: null, system_type_id: null, ...replacements,
+  },
+});
+
+const resolveFilters = ({ department, system_type_id: systemTypeId } = {}) => ({
+  department: department || null,
+  system_type_id: systemTypeId ? Number(systemTypeId) : null,
+});
+
+// YYYY-MM-DD of a moment in the analytics timezone
+const localDateString = (date = new Date()) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+}).format(date);
+
+const addDays = (dateString, days) => new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+// Validated { from, to }; defaults to the last 30 days up to today
+const resolveRange = ({ from, to } = {}) => {
+  const end = to || localDateString();
+  const start = from || addDays(end, 1 - DEFAULT_RANGE_DAYS);
+  if (start > end) {
+    throw new AnalyticsError('from must not be after to', 400, { code: 'invalid_range', from: start, to: end });
+  }
+  if (daysBetween(start, end) > MAX_RANGE_DAYS) {
+    throw new AnalyticsError(`Ranges are limited to ${MAX_RANGE_DAYS} days`, 400, {
+      code: 'range_too_long', max_days: MAX_RANGE_DAYS,
+    });
+  }
+  return { from: start, to: end };
+};
+
+// UTC instants bounding a resolved range, for queries built with the ORM
+const rangeBounds = async (range) => {
+  const [bounds] = await select(
+    `SELECT (${RANGE_START}) AT TIME ZONE 'UTC' AS start, (${RANGE_END}) AT TIME ZONE 'UTC' AS "end"`,
+    range
+  );
+  return bounds;
+};
+
+const toNumber = (value, digits = 2) => (
+  value === null || value === undefined ? null : Number(Number(value).toFixed(digits))
+);
+
+const SECONDS_TO_HOURS = 'EXTRACT(EPOCH FROM duration) / 3600';
+const DURATION_STATS = `
+  COUNT(*) AS count,
+  AVG(${SECONDS_TO_HOURS}) AS avg_hours,
+  percentile_cont(0.5) WITHIN GROUP (ORDER BY ${SECONDS_TO_HOURS}) AS median_hours,
+  percentile_cont(0.9) WITHIN GROUP (ORDER BY ${SECONDS_TO_HOURS}) AS p90_hours`;
+
+const formatDurationStats = (row = {}) => ({
+  count: Number(row.count || 0),
+  avg_hours: toNumber(row.avg_hours),
+  median_hours: toNumber(row.median_hours),
+  p90_hours: toNumber(row.p90_hours),
+});
+
+// Each stay of an order in a status, with left_at null while it is still
+// there, for orders received or moved within the range
+const STATUS_SPANS = `
+    touched AS (
+      SELECT o.id FROM orders o
+      WHERE ${inRange('o.created_at')} ${orderFilter('o')}
+      UNION
+      SELECT a.order_id FROM activity_logs a JOIN orders o ON o.id = a.order_id
+      WHERE a.action IN ('status_changed', 'order_cancelled') AND ${inRange('a.created_at')} ${orderFilter('o')}
+    ),
+    entries AS (
+      SELECT o.id AS order_id, 'ordered' AS status, o.created_at AS entered_at
+      FROM orders o JOIN touched t ON t.id = o.id
+      UNION ALL
+      SELECT a.order_id,
+        CASE WHEN a.action = 'order_cancelled' THEN 'cancelled' ELSE a.details->>'to' END,
+        a.created_at
+      FROM activity_logs a JOIN touched t ON t.id = a.order_id
+      WHERE a.action IN ('status_changed', 'order_cancelled')
+    ),
+    spans AS (
+      SELECT order_id, status, entered_at,
+        LEAD(entered_at) OVER (PARTITION BY order_id ORDER BY entered_at) AS left_at
+      FROM entries
+    )`;
+
+// Hours orders spent in each status, for stays that ended within the range,
+// and order lead time (received to complete) for orders completed in it
+const getCycleTime = async (params) => {
+  const range = resolveRange(params);
+  const replacements = { ...range, ...resolveFilters(params) };
+  const spans = await select(`
+    WITH ${STATUS_SPANS},
+    durations AS (
+      SELECT status, left_at - entered_at AS duration FROM spans
+      WHERE left_at IS NOT NULL AND ${inRange('left_at')}
+    )
+    SELECT status, ${DURATION_STATS} FROM durations GROUP BY status
+  `, replacements);
+
+  const [leadTime] = await select(`
+    WITH durations AS (
+      SELECT o.completed_at - o.created_at AS duration FROM orders o
+      WHERE o.status = 'complete' AND o.completed_at IS NOT NULL AND ${inRange('o.completed_at')}
+        ${orderFilter('o')}
+    )
+    SELECT ${DURATION_STATS} FROM durations
+  `, replacements);
+
+  return {
+    ...range,
+    statuses: OPEN_STATUSES.map((status) => ({
+      status,
+      ...formatDurationStats(spans.find((row) => row.status === status)),
+    })),
+    lead_time: formatDurationStats(leadTime),
+  };
+};
+
+const countBy = (rows, key) => rows.reduce((counts, row) => ({
+  ...counts, [row[key]]: Number(row.count),
+}), {});
+
+const userSummary = (user) => (user ? {
+  id: user.id, first_name: user.first_name, last_name: user.last_name,
+} : null);
+
+// Open orders and their systems right now, overall and per assignee, with
+// how many are past or near their SLA deadline
+const getWip = async (params) => {
+  const replacements = { ...resolveFilters(params), open: OPEN_STATUSES };
+  const [orders, systems, byAssignee, sla] = await Promise.all([
+    select(`
+      SELECT o.status, COUNT(*) AS count FROM orders o
+      WHERE o.status IN (:open) ${orderFilter('o')}
+      GROUP BY o.status
+    `, replacements),
+    select(`
+      SELECT s.status, COUNT(*) AS count
+      FROM systems s JOIN orders o ON o.id = s.order_id
+      WHERE o.status IN (:open) ${systemFilter('s', 'o')}
+      GROUP BY s.status
+    `, replacements),
+    select(`
+      SELECT o.assigned_to, o.status, COUNT(*) AS count FROM orders o
+      WHERE o.status IN (:open) ${orderFilter('o')}
+      GROUP BY o.assigned_to, o.status
+    `, replacements),
+    select(`
+      SELECT o.status,
+        COUNT(*) FILTER (WHERE sl.due_at <= now()) AS breached,
+        COUNT(*) FILTER (WHERE sl.at_risk_at <= now() AND sl.due_at > now()) AS at_risk
+      FROM order_slas sl JOIN orders o ON o.id = sl.order_id AND o.status = sl.status
+      WHERE o.status IN (:open) ${orderFilter('o')}
+      GROUP BY o.status
+    `, replacements),
+  ]);
+
+  const users = await User.findAll({
+    where: { id: byAssignee.map((row) => row.assigned_to).filter(Boolean) },
+    attributes: ['id', 'first_name', 'last_name'],
+  });
+  const orderCounts = countBy(orders, 'status');
+  const assignees = new Map();
+  byAssignee.forEach((row) => {
+    const key = row.assigned_to || 0;
+    if (!assignees.has(key)) {
+      assignees.set(key, {
+        user: userSummary(users.find((user) => user.id === row.assigned_to)),
+        total: 0,
+        ...Object.fromEntries(OPEN_STATUSES.map((status) => [status, 0])),
+      });
+    }
+    const entry = assignees.get(key);
+    const count = Number(row.count);
+    entry[row.status] += count;
+    entry.total += count;
+  });
+
+  return {
+    at: new Date(),
+    orders: {
+      total: Object.values(orderCounts).reduce((sum, n) => sum + n, 0),
+      ...Object.fromEntries(OPEN_STATUSES.map((status) => [status, orderCounts[status] || 0])),
+    },
+    systems: countBy(systems, 'status'),
+    sla: OPEN_STATUSES.map((status) => {
+      const row = sla.find((r) => r.status === status) || {};
+      return { status, breached: Number(row.breached || 0), at_risk: Number(row.at_risk || 0) };
+    }),
+    by_assignee: [...assignees.values()].sort((a, b) => b.total - a.total),
+  };
+};
+
+// Which open statuses are accumulating work: orders that entered and left
+// each status in the range, what is there now and for how long. The
+// bottleneck is the status that gained the most, oldest work breaking ties.
+const getBottlenecks = async (params) => {
+  const range = resolveRange(params);
+  const replacements = { ...range, ...resolveFilters(params), open: OPEN_STATUSES };
+  const [flow, current] = await Promise.all([
+    select(`
+      WITH ${STATUS_SPANS}
+      SELECT status,
+        COUNT(*) FILTER (WHERE ${inRange('entered_at')}) AS entered,
+        COUNT(*) FILTER (WHERE left_at IS NOT NULL AND ${inRange('left_at')}) AS exited
+      FROM spans GROUP BY status
+    `, replacements),
+    select(`
+      SELECT o.status, COUNT(*) AS wip,
+        AVG(EXTRACT(EPOCH FROM now() - COALESCE(last.created_at, o.created_at)) / 3600) AS avg_age_hours
+      FROM orders o
+      LEFT JOIN LATERAL (
+        SELECT a.created_at FROM activity_logs a
+        WHERE a.order_id = o.id AND a.action = 'status_changed' AND a.details->>'to' = o.status
+        ORDER BY a.created_at DESC LIMIT 1
+      ) last ON true
+      WHERE o.status IN (:open) ${orderFilter('o')}
+      GROUP BY o.status
+    `, replacements),
+  ]);
+
+  const statuses = OPEN_STATUSES.map((status) => {
+    const moved = flow.find((row) => row.status === status) || {};
+    const now = current.find((row) => row.status === status) || {};
+    const entered = Number(moved.entered || 0);
+    const exited = Number(moved.exited || 0);
+    return {
+      status,
+      entered,
+      exited,
+      net: entered - exited,
+      wip: Number(now.wip || 0),
+      avg_age_hours: toNumber(now.avg_age_hours),
+    };
+  });
+  const [bottleneck] = statuses
+    .filter((status) => status.net > 0)
+    .sort((a, b) => b.net - a.net || (b.avg_age_hours || 0) - (a.avg_age_hours || 0));
+
+  return { ...range, statuses, bottleneck: bottleneck ? bottleneck.status : null };
+};
+
+// Orders received and completed, systems completed and checklist work done
+// per day, week or month. Every bucket in the range is present.
+const getThroughput = async ({ interval = 'day', ...params } = {}) => {
+  const range = resolveRange(params);
+  const bucketing = INTERVALS[interval];
+  if (!bucketing) {
+    throw new AnalyticsError('Unknown interval', 400, { code: 'invalid_interval', intervals: Object.keys(INTERVALS) });
+  }
+  if (daysBetween(range.from, range.to) / bucketing.days > MAX_BUCKETS) {
+    throw new AnalyticsError('Too many buckets; use a longer interval or a shorter range', 400, {
+      code: 'too_many_buckets', max_buckets: MAX_BUCKETS,
+    });
+  }
+
+  const bucket = (column) => `date_trunc(:interval, ${localDate(column)})::date`;
+  const rows = await select(`
+    WITH buckets AS (
+      SELECT generate_series(
+        date_trunc(:interval, CAST(:from AS date)), CAST(:to AS date), CAST(:step AS interval)
+      )::date AS bucket
+    ),
+    received AS (
+      SELECT ${bucket('o.created_at')} AS bucket, COUNT(*) AS n
+      FROM orders o WHERE ${inRange('o.created_at')} ${orderFilter('o')} GROUP BY 1
+    ),
+    orders_completed AS (
+      SELECT ${bucket('a.created_at')} AS bucket, COUNT(DISTINCT a.order_id) AS n
+      FROM activity_logs a JOIN orders o ON o.id = a.order_id
+      WHERE a.action = 'status_changed' AND a.details->>'to' = 'complete' AND ${inRange('a.created_at')}
+        ${orderFilter('o')}
+      GROUP BY 1
+    ),
+    systems_completed AS (
+      SELECT ${bucket('a.created_at')} AS bucket, COUNT(DISTINCT a.system_id) AS n
+      FROM activity_logs a
+      JOIN systems s ON s.id = a.system_id
+      JOIN orders o ON o.id = s.order_id
+      WHERE a.action = 'system_status_changed' AND a.details->'changes'->'status'->>'to' = 'complete'
+        AND ${inRange('a.created_at')} ${systemFilter('s', 'o')}
+      GROUP BY 1
+    ),
+    steps AS (
+      SELECT ${bucket('cc.completed_at')} AS bucket, COUNT(*) AS n, SUM(cs.step_weight) AS weight
+      FROM checklist_completions cc
+      JOIN checklist_steps cs ON cs.id = cc.step_id
+      JOIN system_checklists sc ON sc.id = cc.system_checklist_id
+      JOIN systems s ON s.id = sc.system_id
+      JOIN orders o ON o.id = s.order_id
+      WHERE ${inRange('cc.completed_at')} ${systemFilter('s', 'o')}
+      GROUP BY 1
+    ),
+    sla_breaches AS (
+      SELECT ${bucket('a.created_at')} AS bucket, COUNT(*) AS n
+      FROM activity_logs a JOIN orders o ON o.id = a.order_id
+      WHERE a.action = 'sla_breached' AND ${inRange('a.created_at')} ${orderFilter('o')}
+      GROUP BY 1
+    )
+    SELECT to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+      to_char(GREATEST(b.bucket, CAST(:from AS date)), 'YYYY-MM-DD') AS bucket_from,
+      to_char(LEAST((b.bucket + CAST(:step AS interval))::date - 1, CAST(:to AS date)), 'YYYY-MM-DD') AS bucket_to,
+      COALESCE(r.n, 0) AS orders_received,
+      COALESCE(oc.n, 0) AS orders_completed,
+      COALESCE(sc.n, 0) AS systems_completed,
+      COALESCE(s.n, 0) AS steps_completed,
+      COALESCE(s.weight, 0) AS weight_completed,
+      COALESCE(sb.n, 0) AS sla_breaches
+    FROM buckets b
+    LEFT JOIN received r ON r.bucket = b.bucket
+    LEFT JOIN orders_completed oc ON oc.bucket = b.bucket
+    LEFT JOIN systems_completed sc ON sc.bucket = b.bucket
+    LEFT JOIN steps s ON s.bucket = b.bucket
+    LEFT JOIN sla_breaches sb ON sb.bucket = b.bucket
+    ORDER BY b.bucket
+  `, {
+    ...range, ...resolveFilters(params), interval, step: bucketing.step,
+  });
+
+  return {
+    ...range,
+    interval,
+    // from/to are the days each bucket covers within the range, for drilling down
+    buckets: rows.map((row) => ({
+      bucket: row.bucket,
+      from: row.bucket_from,
+      to: row.bucket_to,
+      orders_received: Number(row.orders_received),
+      orders_completed: Number(row.orders_completed),
+      systems_completed: Number(row.systems_completed),
+      steps_completed: Number(row.steps_completed),
+      weight_completed: toNumber(row.weight_completed),
+      sla_breaches: Number(row.sla_breaches),
+    })),
+  };
+};
+
+// Per-user figures for one calendar day, straight from the source tables.
+// Orders count for their assignee and systems for theirs (else the order's);
+// steps count for whoever completed them.
+const computeDailyMetrics = async (date) => {
+  const range = { from: date, to: date };
+  const [steps, systems, orders] = await Promise.all([
+    select(`
+      SELECT cc.completed_by AS user_id, COUNT(*) AS steps, COALESCE(SUM(cs.step_weight), 0) AS weight
+      FROM checklist_completions cc JOIN checklist_steps cs ON cs.id = cc.step_id
+      WHERE cc.completed_by IS NOT NULL AND ${inRange('cc.completed_at')}
+      GROUP BY cc.completed_by
+    `, range),
+    select(`
+      WITH completed AS (
+        SELECT DISTINCT ON (a.system_id) a.system_id,
+          COALESCE(s.assigned_to, o.assigned_to, a.user_id) AS user_id
+        FROM activity_logs a
+        JOIN systems s ON s.id = a.system_id
+        JOIN orders o ON o.id = s.order_id
+        WHERE a.action = 'system_status_changed'
+          AND a.details->'changes'->'status'->>'to' = 'complete'
+          AND ${inRange('a.created_at')}
+        ORDER BY a.system_id, a.created_at DESC
+      )
+      SELECT c.user_id, COUNT(*) AS completed, AVG(w.minutes) AS avg_minutes
+      FROM completed c
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(cc.time_spent_minutes), 0) AS minutes
+        FROM system_checklists sc JOIN checklist_completions cc ON cc.system_checklist_id = sc.id
+        WHERE sc.system_id = c.system_id
+      ) w ON true
+      WHERE c.user_id IS NOT NULL
+      GROUP BY c.user_id
+    `, range),
+    select(`
+      WITH completed AS (
+        SELECT DISTINCT ON (a.order_id) a.order_id, COALESCE(o.assigned_to, a.user_id) AS user_id
+        FROM activity_logs a JOIN orders o ON o.id = a.order_id
+        WHERE a.action = 'status_changed' AND a.details->>'to' = 'complete'
+          AND ${inRange('a.created_at')}
+        ORDER BY a.order_id, a.created_at DESC
+      )
+      SELECT c.user_id, COUNT(*) AS completed, AVG(w.minutes) AS avg_minutes
+      FROM completed c
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(cc.time_spent_minutes), 0) AS minutes
+        FROM systems s
+        JOIN system_checklists sc ON sc.system_id = s.id
+        JOIN checklist_completions cc ON cc.system_checklist_id = sc.id
+        WHERE s.order_id = c.order_id
+      ) w ON true
+      WHERE c.user_id IS NOT NULL
+      GROUP BY c.user_id
+    `, range),
+  ]);
+
+  const metrics = new Map();
+  const metricFor = (userId) => {
+    if (!metrics.has(userId)) {
+      metrics.set(userId, {
+        user_id: userId,
+        metric_date: date,
+        orders_completed: 0,
+        systems_completed: 0,
+        total_steps_completed: 0,
+        total_weight_completed: 0,
+        avg_time_per_order: null,
+        avg_time_per_system: null,
+      });
+    }
+    return metrics.get(userId);
+  };
+  steps.forEach((row) => {
+    Object.assign(metricFor(row.user_id), {
+      total_steps_completed: Number(row.steps),
+      total_weight_completed: toNumber(row.weight),
+    });
+  });
+  systems.forEach((row) => {
+    Object.assign(metricFor(row.user_id), {
+      systems_completed: Number(row.completed),
+      avg_time_per_system: toNumber(row.avg_minutes),
+    });
+  });
+  orders.forEach((row) => {
+    Object.assign(metricFor(row.user_id), {
+      orders_completed: Number(row.completed),
+      avg_time_per_order: toNumber(row.avg_minutes),
+    });
+  });
+  return [...metrics.values()];
+};
+
+// Recompute and store one day's performance_metrics. Safe to re-run.
+const rollupDay = async (date) => {
+  const metrics = await computeDailyMetrics(date);
+  await sequelize.transaction(async (transaction) => {
+    await PerformanceMetric.destroy({ where: { metric_date: date }, transaction });
+    await PerformanceMetric.bulkCreate(metrics, { transaction });
+  });
+  return { date, users: metrics.length };
+};
+
+// Dates a rebuild would cover, oldest first, never past yesterday
+const rollupDates = (params) => {
+  const range = resolveRange(params);
+  if (daysBetween(range.from, range.to) > MAX_REBUILD_DAYS) {
+    throw new AnalyticsError(`Rebuilds are limited to ${MAX_REBUILD_DAYS} days`, 400, {
+      code: 'range_too_long', max_days: MAX_REBUILD_DAYS,
+    });
+  }
+  const yesterday = addDays(localDateString(), -1);
+  const dates = [];
+  for (let date = range.from; date <= range.to && date <= yesterday; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+// Averages over several days weighted by how many orders/systems each covered
+const weightedAverage = (rows, avgField, countField) => {
+  const counted = rows.filter((row) => row[avgField] !== null && row[countField] > 0);
+  const total = counted.reduce((sum, row) => sum + row[countField], 0);
+  return total
+    ? toNumber(counted.reduce((sum, row) => sum + Number(row[avgField]) * row[countField], 0) / total)
+    : null;
+};
+
+// Per-technician totals over the range from the nightly rollups, plus today
+// computed live when the range includes it
+const getTechnicianProductivity = async (params) => {
+  const range = resolveRange(params);
+  const today = localDateString();
+  const stored = await PerformanceMetric.findAll({
+    where: {
+      metric_date: {
+        [Op.between]: [range.from, range.to < today ? range.to : addDays(today, -1)],
+      },
+    },
+    raw: true,
+  });
+  const rows = stored.concat(range.to >= today && range.from <= today ? await computeDailyMetrics(today) : []);
+
+  const byUser = rows.reduce((groups, row) => (
+    groups.set(row.user_id, [...(groups.get(row.user_id) || []), row])
+  ), new Map());
+  const users = await User.findAll({
+    where: { id: [...byUser.keys()] },
+    attributes: ['id', 'first_name', 'last_name', 'role'],
+  });
+
+  return {
+    ...range,
+    technicians: users.map((user) => {
+      const days = byUser.get(user.id);
+      const sum = (field) => days.reduce((total, day) => total + Number(day[field] || 0), 0);
+      return {
+        user: user.get({ plain: true }),
+        days_active: days.length,
+        orders_completed: sum('orders_completed'),
+        systems_completed: sum('systems_completed'),
+        steps_completed: sum('total_steps_completed'),
+        weight_completed: toNumber(sum('total_weight_completed')),
+        avg_time_per_order: weightedAverage(days, 'avg_time_per_order', 'orders_completed'),
+        avg_time_per_system: weightedAverage(days, 'avg_time_per_system', 'systems_completed'),
+      };
+    }).sort((a, b) => b.weight_completed - a.weight_completed),
+  };
+};
+
+// Order ids behind each drill-down; all but wip are limited to the range
+const DRILLDOWN_SQL = {
+  received: `
+    SELECT o.id FROM orders o WHERE ${inRange('o.created_at')} ${orderFilter('o')}`,
+  completed: `
+    SELECT a.order_id AS id FROM activity_logs a JOIN orders o ON o.id = a.order_id
+    WHERE a.action = 'status_changed' AND a.details->>'to' = 'complete' AND ${inRange('a.created_at')}
+      ${orderFilter('o')}`,
+  systems_completed: `
+    SELECT s.order_id AS id FROM activity_logs a
+    JOIN systems s ON s.id = a.system_id
+    JOIN orders o ON o.id = s.order_id
+    WHERE a.action = 'system_status_changed' AND a.details->'changes'->'status'->>'to' = 'complete'
+      AND ${inRange('a.created_at')} ${systemFilter('s', 'o')}`,
+  sla_breached: `
+    SELECT a.order_id AS id FROM activity_logs a JOIN orders o ON o.id = a.order_id
+    WHERE a.action = 'sla_breached' AND ${inRange('a.created_at')}
+      AND (CAST(:status AS text) IS NULL OR a.details->>'status' = :status) ${orderFilter('o')}`,
+  // Orders whose stay in :status ended in the range (a cycle time figure)
+  left_status: `
+    WITH ${STATUS_SPANS}
+    SELECT order_id AS id FROM spans
+    WHERE status = :status AND left_at IS NOT NULL AND ${inRange('left_at')}`,
+  // Open orders now, optionally in one status and/or for one assignee
+  wip: `
+    SELECT o.id FROM orders o
+    WHERE o.status IN (:statuses)
+      AND (CAST(:assigned_to AS integer) IS NULL OR o.assigned_to = :assigned_to)
+      AND (NOT :unassigned OR o.assigned_to IS NULL) ${orderFilter('o')}`,
+};
+
+const DRILLDOWN_METRICS = Object.keys(DRILLDOWN_SQL);
+
+// The orders behind a dashboard figure, newest first
+const getDrilldownOrders = async ({
+  metric, status, assigned_to: assignedTo, ...params
+} = {}) => {
+  if (!DRILLDOWN_SQL[metric]) {
+    throw new AnalyticsError('Unknown metric', 400, { code: 'invalid_metric', metrics: DRILLDOWN_METRICS });
+  }
+  if (metric === 'left_status' && !status) {
+    throw new AnalyticsError('status is required for this metric', 400, { code: 'status_required' });
+  }
+
+  const range = resolveRange(params);
+  const rows = await select(`SELECT DISTINCT id FROM (${DRILLDOWN_SQL[metric]}) ids`, {
+    ...range,
+    ...resolveFilters(params),
+    status: status || null,
+    statuses: status ? [status] : OPEN_STATUSES,
+    assigned_to: assignedTo && assignedTo !== 'unassigned' ? Number(assignedTo) : null,
+    unassigned: assignedTo === 'unassigned',
+  });
+
+  const orders = await Order.findAll({
+    where: { id: rows.map((row) => row.id) },
+    include: [{ model: User, as: 'assignee', attributes: ['id', 'first_name', 'last_name'] }],
+    order: [['created_at', 'DESC']],
+    limit: DRILLDOWN_LIMIT,
+  });
+  return { total: rows.length, orders };
+};
+
+// Customer departments that appear on orders, for the dashboard filter
+const getDepartments = async () => {
+  const rows = await select(`
+    SELECT DISTINCT customer_department AS department FROM orders
+    WHERE customer_department IS NOT NULL AND customer_department <> ''
+    ORDER BY customer_department
+  `);
+  return rows.map((row) => row.department);
+};
+
+module.exports = {
+  AnalyticsError,
+  TIMEZONE,
+  localDateString,
+  addDays,
+  resolveRange,
+  rangeBounds,
+  DRILLDOWN_METRICS,
+  getCycleTime,
+  getWip,
+  getBottlenecks,
+  getThroughput,
+  getTechnicianProductivity,
+  getDrilldownOrders,
+  getDepartments,
+  computeDailyMetrics,
+  rollupDay,
+  rollupDates,
+};
@@ -0,0 +1,188 @@
+jest.mock('../models', () => ({
+  sequelize: {
+    query: jest.fn(),
+    transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })),
+  },
+  Order: { findAll: jest.fn() },
+  User: { findAll: jest.fn() },
+  PerformanceMetric: { findAll: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() },
+}));
+
+const { Op } = require('sequelize');
+const {
+  sequelize, Order, User, PerformanceMetric,
+} = require('../models');
+const analyticsService = require('./analyticsService');
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers({ now: new Date('2024-03-15T12:00:00Z') });
+  sequelize.query.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('date ranges', () => {
+  it('defaults to the last 30 days up to today', async () => {
+    const throughput = await analyticsService.getThroughput();
+
+    expect(throughput).toMatchObject({ from: '2024-02-15', to: '2024-03-15', interval: 'day' });
+  });
+
+  it('rejects a range that ends before it starts', async () => {
+    const error = await rejection(analyticsService.getCycleTime({ from: '2024-03-10', to: '2024-03-01' }));
+
+    expect(error).toBeInstanceOf(analyticsService.AnalyticsError);
+    expect(error.status).toBe(400);
+    expect(error.details.code).toBe('invalid_range');
+    expect(sequelize.query).not.toHaveBeenCalled();
+  });
+
+  it('limits daily buckets and unknown intervals', async () => {
+    const tooMany = await rejection(analyticsService.getThroughput({ from: '2022-01-01', to: '2024-01-01' }));
+    const unknown = await rejection(analyticsService.getThroughput({ interval: 'hour' }));
+
+    expect(tooMany.details.code).toBe('too_many_buckets');
+    expect(unknown.details.code).toBe('invalid_interval');
+    expect(await analyticsService.getThroughput({ from: '2022-01-01', to: '2024-01-01', interval: 'week' }))
+      .toMatchObject({ interval: 'week' });
+  });
+});
+
+describe('rollupDates', () => {
+  it('covers the range day by day but never today or later', () => {
+    expect(analyticsService.rollupDates({ from: '2024-03-12', to: '2024-03-20' }))
+      .toEqual(['2024-03-12', '2024-03-13', '2024-03-14']);
+  });
+
+  it('limits rebuilds to a year', () => {
+    expect(() => analyticsService.rollupDates({ from: '2022-01-01', to: '2024-01-01' }))
+      .toThrow('Rebuilds are limited to 366 days');
+  });
+});
+
+describe('getTechnicianProductivity', () => {
+  it('sums the stored days and weights averages by what they covered', async () => {
+    PerformanceMetric.findAll.mockResolvedValue([
+      {
+        user_id: 3, orders_completed: 1, systems_completed: 2, total_steps_completed: 10,
+        total_weight_completed: '12.5', avg_time_per_order: '10', avg_time_per_system: null,
+      },
+      {
+        user_id: 3, orders_completed: 3, systems_completed: 0, total_steps_completed: 4,
+        total_weight_completed: '2', avg_time_per_order: '2', avg_time_per_system: null,
+      },
+    ]);
+    User.findAll.mockResolvedValue([{ id: 3, get: () => ({ id: 3, first_name: 'Grace' }) }]);
+
+    const productivity = await analyticsService.getTechnicianProductivity({ from: '2024-03-01', to: '2024-03-10' });
+
+    expect(PerformanceMetric.findAll.mock.calls[0][0].where.metric_date).toEqual({
+      [Op.between]: ['2024-03-01', '2024-03-10'],
+    });
+    expect(sequelize.query).not.toHaveBeenCalled();
+    expect(productivity.technicians).toEqual([{
+      user: { id: 3, first_name: 'Grace' },
+      days_active: 2,
+      orders_completed: 4,
+      systems_completed: 2,
+      steps_completed: 14,
+      weight_completed: 14.5,
+      avg_time_per_order: 4,
+      avg_time_per_system: null,
+    }]);
+  });
+
+  it('adds today computed live when the range reaches it', async () => {
+    PerformanceMetric.findAll.mockResolvedValue([]);
+    User.findAll.mockResolvedValue([]);
+
+    await analyticsService.getTechnicianProductivity({ from: '2024-03-10', to: '2024-03-15' });
+
+    expect(PerformanceMetric.findAll.mock.calls[0][0].where.metric_date).toEqual({
+      [Op.between]: ['2024-03-10', '2024-03-14'],
+    });
+    expect(sequelize.query).toHaveBeenCalled();
+  });
+});
+
+describe('getWip', () => {
+  it('groups open orders by assignee with SLA counts for every open status', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([{ status: 'ordered', count: '2' }, { status: 'qa_review', count: '1' }])
+      .mockResolvedValueOnce([{ status: 'pending', count: '4' }])
+      .mockResolvedValueOnce([
+        { assigned_to: null, status: 'ordered', count: '2' },
+        { assigned_to: 3, status: 'qa_review', count: '1' },
+      ])
+      .mockResolvedValueOnce([{ status: 'qa_review', breached: '1', at_risk: '0' }]);
+    User.findAll.mockResolvedValue([{ id: 3, first_name: 'Grace', last_name: 'Hopper' }]);
+
+    const wip = await analyticsService.getWip({ department: 'Finance', system_type_id: '2' });
+
+    expect(sequelize.query.mock.calls[0][1].replacements).toMatchObject({ department: 'Finance', system_type_id: 2 });
+    expect(wip.orders).toEqual({
+      total: 3, ordered: 2, in_progress: 0, qa_review: 1, ready_to_deliver: 0,
+    });
+    expect(wip.sla).toContainEqual({ status: 'qa_review', breached: 1, at_risk: 0 });
+    expect(wip.sla).toContainEqual({ status: 'ordered', breached: 0, at_risk: 0 });
+    expect(wip.by_assignee.map((entry) => [entry.user && entry.user.id, entry.total])).toEqual([[null, 2], [3, 1]]);
+  });
+});
+
+describe('getBottlenecks', () => {
+  it('picks the status that gained the most work, the oldest breaking ties', async () => {
+    sequelize.query
+      .mockResolvedValueOnce([
+        { status: 'ordered', entered: '5', exited: '5' },
+        { status: 'in_progress', entered: '5', exited: '2' },
+        { status: 'qa_review', entered: '4', exited: '1' },
+      ])
+      .mockResolvedValueOnce([
+        { status: 'in_progress', wip: '3', avg_age_hours: '10' },
+        { status: 'qa_review', wip: '3', avg_age_hours: '30.126' },
+      ]);
+
+    const result = await analyticsService.getBottlenecks({ from: '2024-03-01', to: '2024-03-10' });
+
+    expect(result.bottleneck).toBe('qa_review');
+    expect(result.statuses).toContainEqual({
+      status: 'qa_review', entered: 4, exited: 1, net: 3, wip: 3, avg_age_hours: 30.13,
+    });
+  });
+
+  it('reports no bottleneck while work is not piling up', async () => {
+    sequelize.query.mockResolvedValueOnce([{ status: 'ordered', entered: '2', exited: '3' }]).mockResolvedValueOnce([]);
+
+    expect((await analyticsService.getBottlenecks()).bottleneck).toBeNull();
+  });
+});
+
+describe('getDrilldownOrders', () => {
+  it('rejects unknown metrics and left_status without a status', async () => {
+    const unknown = await rejection(analyticsService.getDrilldownOrders({ metric: 'revenue' }));
+    const noStatus = await rejection(analyticsService.getDrilldownOrders({ metric: 'left_status' }));
+
+    expect(unknown.details.code).toBe('invalid_metric');
+    expect(noStatus.details.code).toBe('status_required');
+  });
+
+  it('loads the orders behind a figure with the total before the limit', async () => {
+    sequelize.query.mockResolvedValue([{ id: 4 }, { id: 9 }]);
+    Order.findAll.mockResolvedValue([{ id: 9 }]);
+
+    const result = await analyticsService.getDrilldownOrders({ metric: 'wip', assigned_to: 'unassigned' });
+
+    expect(sequelize.query.mock.calls[0][1].replacements).toMatchObject({ assigned_to: null, unassigned: true });
+    expect(Order.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { id: [4, 9] }, limit: 200 }));
+    expect(result).toEqual({ total: 2, orders: [{ id: 9 }] });
+  });
+});
@@ -0,0 +1,308 @@
+// Asset name generation. Admins define rules whose templates mix literal text
+// with tokens:
+//
+//   {DEPT} / {DEPT:n}      department code (rule's department_code, else the
+//                          order's customer_department), first n characters
+//   {TYPE}                 system_types.code
+//   {SERIAL} / {SERIAL:n}  serial number, last n characters
+//   {SEQ} / {SEQ:n}        per-rule counter, zero-padded to n digits
+//   {YEAR} / {YY}          current year
+//
+// e.g. "{DEPT}-{TYPE}-{SERIAL:6}" or "{DEPT:4}{YY}-{SEQ:4}". Counters are kept
+// per distinct rendering of the rest of the template, so one rule shared by
+// several departments numbers each department separately.
+const { Op } = require('sequelize');
+const {
+  sequelize, AssetNamingRule, Order, System, SystemType, ActivityLog,
+} = require('../models');
+const { diffChanges } = require('./auditService');
+const { ServiceError } = require('./errors');
+const { pick } = require('../utils/objects');
+
+const RULE_FIELDS = ['name', 'department', 'department_code', 'system_type_id', 'template', 'is_active'];
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const TOKENS = ['DEPT', 'TYPE', 'SERIAL', 'SEQ', 'YEAR', 'YY'];
+const MAX_NAME_LENGTH = 100;
+// How many sequence values to skip past names that were set by hand
+const MAX_SEQUENCE_ATTEMPTS = 50;
+
+class AssetNamingError extends ServiceError {}
+
+// Reject unknown tokens and templates that render to nothing
+const validateTemplate = (template) => {
+  const unknown = [...template.matchAll(TOKEN_PATTERN)]
+    .map(([, token]) => token)
+    .filter((token) => !TOKENS.includes(token));
+  if (unknown.length) {
+    throw new AssetNamingError(`Unknown token: ${[...new Set(unknown)].join(', ')}`, 400, {
+      code: 'invalid_template',
+      tokens: TOKENS,
+    });
+  }
+  if (!template.trim()) {
+    throw new AssetNamingError('Template is empty', 400, { code: 'invalid_template' });
+  }
+};
+
+const usesSequence = (template) => [...template.matchAll(TOKEN_PATTERN)].some(([, token]) => token === 'SEQ');
+
+const departmentCode = (rule, department) => (
+  rule.department_code || (department || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+);
+
+// Render a template for a context; {SEQ} is left in place when seq is undefined
+const render = (rule, context, seq) => rule.template.replace(TOKEN_PATTERN, (match, token, arg) => {
+  const length = arg === undefined ? undefined : parseInt(arg, 10);
+  const year = String(new Date().getFullYear());
+  switch (token) {
+    case 'DEPT': {
+      const code = departmentCode(rule, context.department);
+      return length ? code.slice(0, length) : code;
+    }
+    case 'TYPE':
+      return (context.systemTypeCode || '').toUpperCase();
+    case 'SERIAL': {
+      const serial = context.serialNumber || '';
+      return length ? serial.slice(-length) : serial;
+    }
+    case 'SEQ':
+      return seq === undefined ? match : String(seq).padStart(length || 1, '0');
+    case 'YEAR':
+      return year;
+    case 'YY':
+      return year.slice(-2);
+    default:
+      return match;
+  }
+});
+
+// The most specific active rule for a department and system type: department
+// and type beat department only, which beats type only, which beats neither
+const findRule = async ({ department, systemTypeId }, { transaction, lock } = {}) => {
+  const rules = await AssetNamingRule.findAll({
+    where: {
+      is_active: true,
+      department: department
+        ? { [Op.or]: { [Op.is]: null, [Op.iLike]: department.replace(/[\\%_]/g, '\\$&') } }
+        : null,
+      system_type_id: systemTypeId ? { [Op.or]: { [Op.is]: null, [Op.eq]: systemTypeId } } : null,
+    },
+    order: [['id', 'ASC']],
+    transaction,
+  });
+  const score = (rule) => (rule.department ? 2 : 0) + (rule.system_type_id ? 1 : 0);
+  const rule = rules.reduce((best, candidate) => (
+    !best || score(candidate) > score(best) ? candidate : best
+  ), null);
+
+  // Lock the chosen rule so concurrent generations take turns on its counters
+  if (rule && lock) {
+    return AssetNamingRule.findByPk(rule.id, { lock: transaction.LOCK.UPDATE, transaction });
+  }
+  return rule;
+};
+
+const isNameTaken = async (name, excludeSystemId, { transaction } = {}) => !!await System.findOne({
+  where: {
+    asset_name: name,
+    ...(excludeSystemId && { id: { [Op.ne]: excludeSystemId } }),
+  },
+  transaction,
+});
+
+const assertLength = (name) => {
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new AssetNamingError(`Generated asset name is longer than ${MAX_NAME_LENGTH} characters`, 409, {
+      code: 'asset_name_too_long',
+      asset_name: name,
+    });
+  }
+};
+
+// Pick the next free name for a rule, skipping sequence values already in
+// use. With save set, the counter is advanced on the (locked) rule.
+const nextName = async (rule, context, { transaction, excludeSystemId, save }) => {
+  if (!usesSequence(rule.template)) {
+    const name = render(rule, context);
+    assertLength(name);
+    if (await isNameTaken(name, excludeSystemId, { transaction })) {
+      throw new AssetNamingError(`Asset name ${name} is already in use`, 409, {
+        code: 'asset_name_taken',
+        asset_name: name,
+        rule_id: rule.id,
+      });
+    }
+    return { name };
+  }
+
+  const sequenceKey = render(rule, context);
+  let seq = rule.sequences[sequenceKey] || 0;
+  for (let attempt = 0; attempt < MAX_SEQUENCE_ATTEMPTS; attempt += 1) {
+    seq += 1;
+    const name = render(rule, context, seq);
+    assertLength(name);
+    if (!await isNameTaken(name, excludeSystemId, { transaction })) {
+      if (save) {
+        await rule.update({ sequences: { ...rule.sequences, [sequenceKey]: seq } }, { transaction });
+      }
+      return { name, sequence: seq };
+    }
+  }
+  throw new AssetNamingError(`No free asset name for ${sequenceKey}`, 409, {
+    code: 'asset_name_taken',
+    rule_id: rule.id,
+  });
+};
+
+// Naming context for a system from its order and type
+const loadContext = async (system, { transaction } = {}) => {
+  const order = system.order_id ? await Order.findByPk(system.order_id, { transaction }) : null;
+  const systemType = system.system_type_id
+    ? await SystemType.findByPk(system.system_type_id, { transaction })
+    : null;
+  return {
+    department: order ? order.customer_department : null,
+    systemTypeId: system.system_type_id,
+    systemTypeCode: systemType ? systemType.code : null,
+    serialNumber: system.serial_number,
+  };
+};
+
+// Asset name for a system getting serialNumber, or null when no rule
+// applies. Must run inside the transaction that saves the name.
+const generateAssetName = async (system, { serialNumber, transaction }) => {
+  const context = {
+    ...await loadContext(system, { transaction }),
+    serialNumber: serialNumber || system.serial_number,
+  };
+  const rule = await findRule(context, { transaction, lock: true });
+  if (!rule) {
+    return null;
+  }
+  const { name } = await nextName(rule, context, { transaction, excludeSystemId: system.id, save: true });
+  return { name, ruleId: rule.id };
+};
+
+// What a rule would produce, without advancing any counter. The rule comes
+// from rule_id, an unsaved template, or whichever rule applies to the context;
+// the context from an existing system or sample values.
+const previewName = async ({
+  ruleId, template, departmentCode: code, systemId, department, systemTypeId, serialNumber,
+}) => {
+  let context;
+  if (systemId) {
+    const system = await System.findByPk(systemId);
+    if (!system) {
+      throw new AssetNamingError('System not found', 404);
+    }
+    context = await loadContext(system);
+    if (serialNumber) {
+      context.serialNumber = serialNumber;
+    }
+  } else {
+    const systemType = systemTypeId ? await SystemType.findByPk(systemTypeId) : null;
+    context = {
+      department,
+      systemTypeId,
+      systemTypeCode: systemType ? systemType.code : null,
+      serialNumber,
+    };
+  }
+
+  let rule;
+  if (template) {
+    validateTemplate(template);
+    rule = AssetNamingRule.build({ template, department_code: code, sequences: {} });
+  } else if (ruleId) {
+    rule = await AssetNamingRule.findByPk(ruleId);
+    if (!rule) {
+      throw new AssetNamingError('Naming rule not found', 404);
+    }
+  } else {
+    rule = await findRule(context);
+    if (!rule) {
+      throw new AssetNamingError('No naming rule applies', 404, { code: 'no_rule' });
+    }
+  }
+
+  try {
+    const { name, sequence } = await nextName(rule, context, { excludeSystemId: systemId });
+    return {
+      asset_name: name, rule_id: rule.id || null, sequence: sequence || null, available: true,
+    };
+  } catch (error) {
+    if (error instanceof AssetNamingError && error.details.code === 'asset_name_taken') {
+      return {
+        asset_name: error.details.asset_name || null, rule_id: rule.id || null, sequence: null, available: false,
+      };
+    }
+    throw error;
+  }
+};
+
+const ruleIncludes = [{ model: SystemType, as: 'systemType', attributes: ['id', 'name', 'code'] }];
+
+const loadRule = async (id, { transaction } = {}) => {
+  const rule = await AssetNamingRule.findByPk(id, { include: ruleIncludes, transaction });
+  if (!rule) {
+    throw new AssetNamingError('Naming rule not found', 404);
+  }
+  return rule;
+};
+
+const listRules = () => AssetNamingRule.findAll({
+  include: ruleIncludes,
+  order: [['department', 'ASC NULLS LAST'], ['system_type_id', 'ASC NULLS LAST'], ['id', 'ASC']],
+});
+
+const logRuleActivity = (user, action, rule, details, transaction) => ActivityLog.create({
+  user_id: user.id,
+  action,
+  details: { rule_id: rule.id, ...details },
+}, { transaction });
+
+const createRule = async (data, user) => {
+  const fields = pick(data, RULE_FIELDS);
+  validateTemplate(fields.template);
+  const id = await sequelize.transaction(async (transaction) => {
+    const rule = await AssetNamingRule.create({ ...fields, created_by: user.id }, { transaction });
+    await logRuleActivity(user, 'asset_naming_rule_created', rule, fields, transaction);
+    return rule.id;
+  });
+  return loadRule(id);
+};
+
+const updateRule = async (id, changes, user) => {
+  const updates = pick(changes, RULE_FIELDS);
+  if (updates.template !== undefined) {
+    validateTemplate(updates.template);
+  }
+  await sequelize.transaction(async (transaction) => {
+    const rule = await loadRule(id, { transaction });
+    await logRuleActivity(user, 'asset_naming_rule_updated', rule, {
+      changes: diffChanges(rule, updates),
+    }, transaction);
+    await rule.update(updates, { transaction });
+  });
+  return loadRule(id);
+};
+
+const deleteRule = async (id, user) => sequelize.transaction(async (transaction) => {
+  const rule = await loadRule(id, { transaction });
+  await logRuleActivity(user, 'asset_naming_rule_deleted', rule, {
+    name: rule.name, template: rule.template,
+  }, transaction);
+  await rule.destroy({ transaction });
+  return { deleted: true };
+});
+
+module.exports = {
+  AssetNamingError,
+  TOKENS,
+  generateAssetName,
+  previewName,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,131 @@
+jest.mock('../models', () => ({
+  sequelize: { transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' } })) },
+  AssetNamingRule: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    build: jest.fn((fields) => fields),
+  },
+  Order: { findByPk: jest.fn() },
+  System: { findByPk: jest.fn(), findOne: jest.fn() },
+  SystemType: { findByPk: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+}));
+
+const {
+  AssetNamingRule, Order, System, SystemType,
+} = require('../models');
+const namingService = require('./assetNamingService');
+
+const mockRule = (fields) => ({
+  id: 1,
+  department: null,
+  department_code: null,
+  system_type_id: null,
+  template: '{DEPT}-{TYPE}-{SEQ:4}',
+  sequences: {},
+  update: jest.fn(),
+  ...fields,
+});
+
+const system = { id: 5, order_id: 9, system_type_id: 2 };
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Order.findByPk.mockResolvedValue({ customer_department: 'Finance & Ops' });
+  SystemType.findByPk.mockResolvedValue({ code: 'laptop' });
+  System.findOne.mockResolvedValue(null);
+});
+
+// Active rules matching the lookup; the chosen one is reloaded with a row lock
+const useRules = (rules) => {
+  AssetNamingRule.findAll.mockResolvedValue(rules);
+  AssetNamingRule.findByPk.mockImplementation(async (id) => rules.find((rule) => rule.id === id));
+};
+
+describe('generateAssetName', () => {
+  it('renders the template and advances the counter for that prefix', async () => {
+    const rule = mockRule({ sequences: { 'FINANCEOPS-LAPTOP-{SEQ:4}': 6 } });
+    useRules([rule]);
+
+    const generated = await namingService.generateAssetName(system, { serialNumber: 'SN-1', transaction });
+
+    expect(generated).toEqual({ name: 'FINANCEOPS-LAPTOP-0007', ruleId: 1 });
+    expect(rule.update).toHaveBeenCalledWith(
+      { sequences: { 'FINANCEOPS-LAPTOP-{SEQ:4}': 7 } },
+      expect.anything()
+    );
+  });
+
+  it('skips sequence values whose names were set by hand', async () => {
+    useRules([mockRule()]);
+    System.findOne.mockResolvedValueOnce({ id: 6 }).mockResolvedValueOnce(null);
+
+    const generated = await namingService.generateAssetName(system, { transaction });
+
+    expect(generated.name).toBe('FINANCEOPS-LAPTOP-0002');
+  });
+
+  it('prefers the rule for the department and type over broader ones', async () => {
+    useRules([
+      mockRule({ id: 1, template: 'ANY-{SERIAL}' }),
+      mockRule({ id: 2, department: 'finance & ops', template: 'DEPT-{SERIAL}' }),
+      mockRule({
+        id: 3, department: 'finance & ops', system_type_id: 2, department_code: 'FIN', template: '{DEPT}-{SERIAL:3}',
+      }),
+      mockRule({ id: 4, system_type_id: 2, template: 'TYPE-{SERIAL}' }),
+    ]);
+
+    const generated = await namingService.generateAssetName(system, { serialNumber: 'SN-12345', transaction });
+
+    expect(generated).toEqual({ name: 'FIN-345', ruleId: 3 });
+  });
+
+  it('returns null when no rule applies', async () => {
+    useRules([]);
+
+    expect(await namingService.generateAssetName(system, { transaction })).toBeNull();
+  });
+
+  it('refuses a fixed name that is already in use', async () => {
+    useRules([mockRule({ template: '{TYPE}-{SERIAL}' })]);
+    System.findOne.mockResolvedValue({ id: 6 });
+
+    const error = await rejection(namingService.generateAssetName(system, { serialNumber: 'SN-1', transaction }));
+
+    expect(error).toBeInstanceOf(namingService.AssetNamingError);
+    expect(error.details).toMatchObject({ code: 'asset_name_taken', asset_name: 'LAPTOP-SN-1' });
+  });
+});
+
+describe('previewName', () => {
+  it('renders an unsaved template without touching counters', async () => {
+    const preview = await namingService.previewName({
+      template: '{DEPT:3}{YY}-{SEQ:3}', department: 'Finance', systemTypeId: 2,
+    });
+
+    expect(preview).toEqual({
+      asset_name: `FIN${String(new Date().getFullYear()).slice(-2)}-001`,
+      rule_id: null,
+      sequence: 1,
+      available: true,
+    });
+  });
+});
+
+describe('createRule', () => {
+  it('rejects unknown tokens', async () => {
+    const error = await rejection(namingService.createRule({ name: 'Bad', template: '{DEPT}-{COLOUR}' }, { id: 1 }));
+
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Unknown token: COLOUR');
+    expect(AssetNamingRule.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,356 @@
+// Automatic assignment of new orders. Managers choose one strategy:
+//
+//   off          orders wait for a manager to assign them
+//   round_robin  the next eligible user after the last one auto-assigned
+//   least_work   the eligible user with the least remaining weighted work
+//   skills       eligible users skilled in the most of the order's system
+//                types, then the least remaining work among them
+//
+// Eligible means active, available and in one of the configured roles.
+// Remaining work is the step_weight of checklist steps not yet completed on
+// the systems of a user's open orders; systems whose checklist hasn't been
+// started count every step of their type's active template. Each decision is
+// logged with the candidates weighed so managers can see why an order went
+// to whom.
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Order,
+  System,
+  SystemType,
+  User,
+  Setting,
+  SystemChecklist,
+  ChecklistTemplate,
+  ChecklistStep,
+  ChecklistCompletion,
+  ActivityLog,
+} = require('../models');
+const { events } = require('./events');
+const { diffChanges } = require('./auditService');
+const { activeTemplateSteps } = require('./checklistService');
+const { ServiceError } = require('./errors');
+
+const SETTINGS_KEY = 'auto_assignment';
+const STRATEGIES = ['off', 'round_robin', 'least_work', 'skills'];
+const DEFAULT_SETTINGS = { strategy: 'off', roles: ['staff'], last_user_id: null };
+const CLOSED_ORDER_STATUSES = ['complete', 'cancelled'];
+const DECISION_ACTIONS = ['order_auto_assigned', 'order_auto_assign_skipped'];
+const MAX_DECISIONS = 200;
+
+class AssignmentError extends ServiceError {}
+
+const userAttributes = ['id', 'first_name', 'last_name', 'role', 'is_available'];
+const skillsInclude = {
+  model: SystemType, as: 'skills', attributes: ['id', 'name', 'code'], through: { attributes: [] },
+};
+
+const fullName = (user) => `${user.first_name} ${user.last_name}`;
+
+// The settings row, created with defaults on first use and locked for the
+// rest of the transaction so auto-assignments take turns
+const lockSettings = async (transaction) => {
+  await Setting.findOrCreate({
+    where: { key: SETTINGS_KEY },
+    defaults: { value: DEFAULT_SETTINGS },
+    transaction,
+  });
+  return Setting.findByPk(SETTINGS_KEY, { lock: transaction.LOCK.UPDATE, transaction });
+};
+
+const getSettings = async () => {
+  const setting = await Setting.findByPk(SETTINGS_KEY, {
+    include: [{ model: User, as: 'updatedBy', attributes: ['id', 'first_name', 'last_name'] }],
+  });
+  const { strategy, roles } = { ...DEFAULT_SETTINGS, ...(setting && setting.value) };
+  return {
+    strategy,
+    roles,
+    strategies: STRATEGIES,
+    updated_at: setting ? setting.updated_at : null,
+    updated_by: setting ? setting.updatedBy : null,
+  };
+};
+
+const updateSettings = async ({ strategy, roles }, user) => {
+  const updates = {};
+  if (strategy !== undefined) {
+    updates.strategy = strategy;
+  }
+  if (roles !== undefined) {
+    updates.roles = [...new Set(roles)];
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const setting = await lockSettings(transaction);
+    const current = { ...DEFAULT_SETTINGS, ...setting.value };
+    await ActivityLog.create({
+      user_id: user.id,
+      action: 'auto_assignment_settings_updated',
+      details: { changes: diffChanges(current, updates) },
+    }, { transaction });
+    await setting.update({ value: { ...current, ...updates }, updated_by: user.id }, { transaction });
+  });
+  return getSettings();
+};
+
+const sumWeights = (steps, doneStepIds = new Set()) => steps
+  .filter((step) => !doneStepIds.has(step.id))
+  .reduce((sum, step) => sum + Number(step.step_weight), 0);
+
+// Open orders and remaining weighted checklist work per user id
+const computeWorkloads = async (userIds, { transaction } = {}) => {
+  const workloads = new Map(userIds.map((id) => [id, { open_orders: 0, remaining_weight: 0 }]));
+  if (!userIds.length) {
+    return workloads;
+  }
+
+  const orders = await Order.findAll({
+    attributes: ['id', 'assigned_to'],
+    where: { assigned_to: userIds, status: { [Op.notIn]: CLOSED_ORDER_STATUSES } },
+    include: [{
+      model: System,
+      as: 'systems',
+      attributes: ['id', 'system_type_id', 'status'],
+      include: [{
+        model: SystemChecklist,
+        as: 'checklists',
+        attributes: ['id'],
+        include: [
+          {
+            model: ChecklistTemplate,
+            as: 'template',
+            attributes: ['id'],
+            include: [{ model: ChecklistStep, as: 'steps', attributes: ['id', 'step_weight'] }],
+          },
+          // Loaded separately so steps and completions don't multiply each other's rows
+          {
+            model: ChecklistCompletion,
+            as: 'completions',
+            attributes: ['id', 'system_checklist_id', 'step_id', 'completed_at'],
+            separate: true,
+          },
+        ],
+      }],
+    }],
+    transaction,
+  });
+
+  const openSystems = (order) => order.systems.filter((system) => system.status !== 'complete');
+  const unstartedTypeIds = orders.flatMap(openSystems)
+    .filter((system) => !system.checklists.length)
+    .map((system) => system.system_type_id);
+  const templateSteps = await activeTemplateSteps([...new Set(unstartedTypeIds)], { transaction });
+
+  orders.forEach((order) => {
+    const workload = workloads.get(order.assigned_to);
+    workload.open_orders += 1;
+    openSystems(order).forEach((system) => {
+      if (!system.checklists.length) {
+        workload.remaining_weight += sumWeights(templateSteps.get(system.system_type_id) || []);
+        return;
+      }
+      system.checklists.forEach((checklist) => {
+        const done = new Set(checklist.completions.filter((c) => c.completed_at).map((c) => c.step_id));
+        workload.remaining_weight += sumWeights(checklist.template ? checklist.template.steps : [], done);
+      });
+    });
+  });
+
+  workloads.forEach((workload) => {
+    workload.remaining_weight = Math.round(workload.remaining_weight * 100) / 100;
+  });
+  return workloads;
+};
+
+const describeWork = (candidate) => (
+  `${candidate.remaining_weight} weighted steps across ${candidate.open_orders} open orders`
+);
+
+const byLeastWork = (a, b) => (
+  a.remaining_weight - b.remaining_weight || a.open_orders - b.open_orders || a.id - b.id
+);
+
+const pickLeastWork = (candidates) => {
+  const [pick] = [...candidates].sort(byLeastWork);
+  return { pick, reason: `least remaining work (${describeWork(pick)})` };
+};
+
+// Each strategy picks one candidate (sorted by id) and says why
+const STRATEGY_PICKERS = {
+  round_robin: (candidates, { lastUserId }) => {
+    const pick = candidates.find((candidate) => candidate.id > (lastUserId || 0)) || candidates[0];
+    return {
+      pick,
+      reason: lastUserId ? `next in rotation after user #${lastUserId}` : 'first in rotation',
+    };
+  },
+
+  least_work: pickLeastWork,
+
+  skills: (candidates, { systemTypeIds }) => {
+    const best = Math.max(...candidates.map((candidate) => candidate.skills_matched));
+    if (best === 0) {
+      const { pick, reason } = pickLeastWork(candidates);
+      return { pick, reason: `no available user is skilled in this order's system types; ${reason}` };
+    }
+    const [pick] = candidates.filter((candidate) => candidate.skills_matched === best).sort(byLeastWork);
+    return {
+      pick,
+      reason: `skilled in ${best} of ${systemTypeIds.length} system types on the order, `
+        + `with the least remaining work among them (${describeWork(pick)})`,
+    };
+  },
+};
+
+// Eligible users for the configured roles, with their workload and how many
+// of the order's system types they are skilled in
+const loadCandidates = async (roles, systemTypeIds, { transaction }) => {
+  const users = await User.findAll({
+    where: { is_active: true, is_available: true, role: roles },
+    attributes: userAttributes,
+    include: [skillsInclude],
+    order: [['id', 'ASC']],
+    transaction,
+  });
+  const workloads = await computeWorkloads(users.map((user) => user.id), { transaction });
+  return users.map((user) => ({
+    id: user.id,
+    name: fullName(user),
+    ...workloads.get(user.id),
+    skills_matched: user.skills.filter((type) => systemTypeIds.includes(type.id)).length,
+  }));
+};
+
+// Assign a new order with the configured strategy. Resolves to the logged
+// decision, or null when auto-assignment is off or the order is already
+// assigned or closed.
+const autoAssignOrder = async (orderId) => sequelize.transaction(async (transaction) => {
+  const setting = await lockSettings(transaction);
+  const settings = { ...DEFAULT_SETTINGS, ...setting.value };
+  const pickCandidate = STRATEGY_PICKERS[settings.strategy];
+  if (!pickCandidate) {
+    return null;
+  }
+
+  const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+  if (!order || order.assigned_to || CLOSED_ORDER_STATUSES.includes(order.status)) {
+    return null;
+  }
+  const systems = await System.findAll({ where: { order_id: order.id }, attributes: ['system_type_id'], transaction });
+  const systemTypeIds = [...new Set(systems.map((system) => system.system_type_id))];
+
+  const candidates = await loadCandidates(settings.roles, systemTypeIds, { transaction });
+  if (!candidates.length) {
+    const details = {
+      strategy: settings.strategy,
+      reason: `No active, available user with role ${settings.roles.join(' or ')}`,
+      candidates,
+    };
+    await ActivityLog.create({
+      order_id: order.id, action: 'order_auto_assign_skipped', details,
+    }, { transaction });
+    return details;
+  }
+
+  const { pick, reason } = pickCandidate(candidates, { lastUserId: settings.last_user_id, systemTypeIds });
+  const details = {
+    changes: diffChanges(order, { assigned_to: pick.id }),
+    strategy: settings.strategy,
+    assigned_to_name: pick.name,
+    reason: `${pick.name}: ${reason}`,
+    candidates,
+  };
+  await ActivityLog.create({
+    order_id: order.id, action: 'order_auto_assigned', details,
+  }, { transaction });
+  await order.update({ assigned_to: pick.id }, { transaction });
+  await setting.update({ value: { ...setting.value, last_user_id: pick.id } }, { transaction });
+
+  transaction.afterCommit(() => events.emit('order.assigned', {
+    orderId: order.id, assignedTo: pick.id, userId: null,
+  }));
+  return details;
+});
+
+// Recent auto-assignment decisions, newest first
+const listDecisions = ({ limit } = {}) => ActivityLog.findAll({
+  where: { action: DECISION_ACTIONS },
+  include: [{ model: Order, as: 'order', attributes: ['id', 'woo_order_id', 'customer_name', 'assigned_to'] }],
+  order: [['created_at', 'DESC'], ['id', 'DESC']],
+  limit: Math.min(parseInt(limit, 10) || 50, MAX_DECISIONS),
+});
+
+// Active users with availability, skills and current workload. eligible
+// says whether auto-assignment would consider them.
+const listTeam = async ({ userIds } = {}) => {
+  const { roles } = await getSettings();
+  const users = await User.findAll({
+    where: { is_active: true, ...(userIds && { id: userIds }) },
+    attributes: userAttributes,
+    include: [skillsInclude],
+    order: [['last_name', 'ASC'], ['first_name', 'ASC']],
+  });
+  const workloads = await computeWorkloads(users.map((user) => user.id));
+  return users.map((user) => ({
+    ...user.toJSON(),
+    ...workloads.get(user.id),
+    eligible: user.is_available && roles.includes(user.role),
+  }));
+};
+
+// Change a user's availability and/or skills (system type ids)
+const updateMember = async (userId, { is_available, skill_type_ids }, actor) => {
+  await sequelize.transaction(async (transaction) => {
+    const member = await User.findOne({
+      where: { id: userId, is_active: true },
+      include: [skillsInclude],
+      transaction,
+    });
+    if (!member) {
+      throw new AssignmentError('User not found or inactive', 404);
+    }
+
+    const before = {
+      is_available: member.is_available,
+      skill_type_ids: member.skills.map((type) => type.id).sort((a, b) => a - b),
+    };
+    const after = {};
+    if (is_available !== undefined) {
+      after.is_available = is_available;
+    }
+    if (skill_type_ids !== undefined) {
+      after.skill_type_ids = [...new Set(skill_type_ids)].sort((a, b) => a - b);
+      const known = await SystemType.count({ where: { id: after.skill_type_ids }, transaction });
+      if (known !== after.skill_type_ids.length) {
+        throw new AssignmentError('Unknown system type', 400, { code: 'unknown_system_type' });
+      }
+    }
+
+    await ActivityLog.create({
+      user_id: actor.id,
+      action: 'assignment_profile_updated',
+      details: { target_user_id: member.id, changes: diffChanges(before, after) },
+    }, { transaction });
+    if (after.is_available !== undefined) {
+      await member.update({ is_available: after.is_available }, { transaction });
+    }
+    if (after.skill_type_ids) {
+      await member.setSkills(after.skill_type_ids, { transaction });
+    }
+  });
+  const [member] = await listTeam({ userIds: [userId] });
+  return member;
+};
+
+module.exports = {
+  AssignmentError,
+  STRATEGIES,
+  getSettings,
+  updateSettings,
+  computeWorkloads,
+  autoAssignOrder,
+  listDecisions,
+  listTeam,
+  updateMember,
+};
@@ -0,0 +1,163 @@
+jest.mock('../models', () => ({
+  sequelize: {
+    transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })),
+  },
+  Order: { findAll: jest.fn(), findByPk: jest.fn() },
+  System: { findAll: jest.fn() },
+  SystemType: { count: jest.fn() },
+  User: { findAll: jest.fn(), findOne: jest.fn() },
+  Setting: { findOrCreate: jest.fn(), findByPk: jest.fn() },
+  SystemChecklist: {},
+  ChecklistTemplate: { findAll: jest.fn() },
+  ChecklistStep: {},
+  ChecklistCompletion: {},
+  ActivityLog: { create: jest.fn(), findAll: jest.fn() },
+}));
+
+const {
+  Order, System, User, Setting, ChecklistTemplate, ActivityLog,
+} = require('../models');
+const { events } = require('./events');
+const assignmentService = require('./assignmentService');
+
+const mockUser = (id, skillTypeIds = []) => ({
+  id,
+  first_name: `User${id}`,
+  last_name: 'Tech',
+  skills: skillTypeIds.map((typeId) => ({ id: typeId })),
+});
+
+// An open order for userId with one started checklist; doneStepIds are completed
+const mockOpenOrder = (userId, weights, doneStepIds = []) => ({
+  id: 100 + userId,
+  assigned_to: userId,
+  systems: [{
+    id: 1,
+    system_type_id: 1,
+    status: 'in_progress',
+    checklists: [{
+      template: { steps: weights.map((weight, index) => ({ id: index + 1, step_weight: String(weight) })) },
+      completions: doneStepIds.map((stepId) => ({ step_id: stepId, completed_at: new Date() })),
+    }],
+  }],
+});
+
+let setting;
+let order;
+
+const useSettings = (value) => {
+  setting = { value, update: jest.fn() };
+  Setting.findByPk.mockResolvedValue(setting);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(events, 'emit').mockImplementation(() => true);
+  order = {
+    id: 50, assigned_to: null, status: 'ordered', update: jest.fn(),
+  };
+  Order.findByPk.mockResolvedValue(order);
+  System.findAll.mockResolvedValue([{ system_type_id: 2 }]);
+  Order.findAll.mockResolvedValue([]);
+  ChecklistTemplate.findAll.mockResolvedValue([]);
+});
+
+describe('computeWorkloads', () => {
+  it('sums the weight of steps not yet completed on open orders', async () => {
+    Order.findAll.mockResolvedValue([mockOpenOrder(1, [2, 1.5, 1], [1])]);
+
+    const workloads = await assignmentService.computeWorkloads([1, 2]);
+
+    expect(workloads.get(1)).toEqual({ open_orders: 1, remaining_weight: 2.5 });
+    expect(workloads.get(2)).toEqual({ open_orders: 0, remaining_weight: 0 });
+  });
+
+  it('counts every step of the active template for unstarted systems', async () => {
+    Order.findAll.mockResolvedValue([{
+      id: 101, assigned_to: 1, systems: [{ id: 1, system_type_id: 3, status: 'pending', checklists: [] }],
+    }]);
+    ChecklistTemplate.findAll.mockResolvedValue([
+      { system_type_id: 3, steps: [{ id: 1, step_weight: '1' }, { id: 2, step_weight: '4' }] },
+    ]);
+
+    const workloads = await assignmentService.computeWorkloads([1]);
+
+    expect(workloads.get(1).remaining_weight).toBe(5);
+  });
+});
+
+describe('autoAssignOrder', () => {
+  it('does nothing while auto-assignment is off', async () => {
+    useSettings({ strategy: 'off' });
+
+    expect(await assignmentService.autoAssignOrder(50)).toBeNull();
+    expect(Order.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('leaves orders that already have an assignee alone', async () => {
+    useSettings({ strategy: 'least_work' });
+    order.assigned_to = 4;
+
+    expect(await assignmentService.autoAssignOrder(50)).toBeNull();
+    expect(order.update).not.toHaveBeenCalled();
+  });
+
+  it('round-robins to the next user after the last one assigned', async () => {
+    useSettings({ strategy: 'round_robin', roles: ['staff'], last_user_id: 2 });
+    User.findAll.mockResolvedValue([mockUser(1), mockUser(2), mockUser(3)]);
+
+    const decision = await assignmentService.autoAssignOrder(50);
+
+    expect(order.update).toHaveBeenCalledWith({ assigned_to: 3 }, expect.anything());
+    expect(decision.reason).toBe('User3 Tech: next in rotation after user #2');
+    expect(setting.update).toHaveBeenCalledWith({ value: expect.objectContaining({ last_user_id: 3 }) }, expect.anything());
+    expect(events.emit).toHaveBeenCalledWith('order.assigned', { orderId: 50, assignedTo: 3, userId: null });
+  });
+
+  it('wraps the rotation around to the first user', async () => {
+    useSettings({ strategy: 'round_robin', roles: ['staff'], last_user_id: 3 });
+    User.findAll.mockResolvedValue([mockUser(1), mockUser(3)]);
+
+    await assignmentService.autoAssignOrder(50);
+
+    expect(order.update).toHaveBeenCalledWith({ assigned_to: 1 }, expect.anything());
+  });
+
+  it('picks the user with the least remaining weighted work', async () => {
+    useSettings({ strategy: 'least_work', roles: ['staff'] });
+    User.findAll.mockResolvedValue([mockUser(1), mockUser(2)]);
+    Order.findAll.mockResolvedValue([mockOpenOrder(1, [3, 3]), mockOpenOrder(2, [1, 1, 1], [1])]);
+
+    const decision = await assignmentService.autoAssignOrder(50);
+
+    expect(order.update).toHaveBeenCalledWith({ assigned_to: 2 }, expect.anything());
+    expect(decision.candidates).toEqual([
+      expect.objectContaining({ id: 1, remaining_weight: 6 }),
+      expect.objectContaining({ id: 2, remaining_weight: 2 }),
+    ]);
+  });
+
+  it('prefers users skilled in the order system types, then least work', async () => {
+    useSettings({ strategy: 'skills', roles: ['staff'] });
+    User.findAll.mockResolvedValue([mockUser(1), mockUser(2, [2]), mockUser(3, [2])]);
+    Order.findAll.mockResolvedValue([mockOpenOrder(2, [5])]);
+
+    const decision = await assignmentService.autoAssignOrder(50);
+
+    expect(order.update).toHaveBeenCalledWith({ assigned_to: 3 }, expect.anything());
+    expect(decision.reason).toMatch(/^User3 Tech: skilled in 1 of 1 system types/);
+  });
+
+  it('logs why nobody was assigned when no user is eligible', async () => {
+    useSettings({ strategy: 'least_work', roles: ['staff', 'manager'] });
+    User.findAll.mockResolvedValue([]);
+
+    await assignmentService.autoAssignOrder(50);
+
+    expect(order.update).not.toHaveBeenCalled();
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'order_auto_assign_skipped',
+      details: expect.objectContaining({ reason: 'No active, available user with role staff or manager' }),
+    }), expect.anything());
+  });
+});
@@ -0,0 +1,57 @@
+// Audit trail queries and helpers. Every mutation appends an activity_logs
+// row; field changes are recorded as details.changes = { field: { from, to } }.
+const { Op } = require('sequelize');
+const { ActivityLog, User } = require('../models');
+
+const MAX_LIMIT = 500;
+
+const toComparable = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Fields whose value differs between two snapshots. before may be a model
+// instance or plain object; only the fields present in after are compared.
+const diffChanges = (before, after) => Object.keys(after).reduce((changes, field) => {
+  const from = before && before.get ? before.get(field) : (before || {})[field];
+  const to = after[field];
+  if (JSON.stringify(toComparable(from)) === JSON.stringify(toComparable(to))) {
+    return changes;
+  }
+  return { ...changes, [field]: { from: from === undefined ? null : from, to } };
+}, {});
+
+// Activity entries filtered by order, system, user, action(s) and date range, newest first
+const listActivity = ({
+  orderId, systemId, userId, action, from, to, limit, offset,
+} = {}) => {
+  const where = {};
+  if (orderId) {
+    where.order_id = orderId;
+  }
+  if (systemId) {
+    where.system_id = systemId;
+  }
+  if (userId) {
+    where.user_id = userId;
+  }
+  if (action) {
+    where.action = action.split(',').map((a) => a.trim());
+  }
+  if (from || to) {
+    where.created_at = {
+      ...(from && { [Op.gte]: new Date(from) }),
+      ...(to && { [Op.lte]: new Date(to) }),
+    };
+  }
+
+  return ActivityLog.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'user', attributes: ['id', 'first_name', 'last_name', 'email'] }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: Math.min(parseInt(limit, 10) || 100, MAX_LIMIT),
+    offset: parseInt(offset, 10) || 0,
+  });
+};
+
+module.exports = {
+  diffChanges,
+  listActivity,
+};
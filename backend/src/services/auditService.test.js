@@ -0,0 +1,50 @@
+jest.mock('../models', () => ({
+  ActivityLog: { findAndCountAll: jest.fn() },
+  User: {},
+}));
+
+const { Op } = require('sequelize');
+const { ActivityLog } = require('../models');
+const { diffChanges, listActivity } = require('./auditService');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('diffChanges', () => {
+  it('lists only the fields whose value changes', () => {
+    expect(diffChanges(
+      { status: 'ordered', priority: 'normal', assigned_to: null },
+      { status: 'in_progress', priority: 'normal', assigned_to: 3 }
+    )).toEqual({
+      status: { from: 'ordered', to: 'in_progress' },
+      assigned_to: { from: null, to: 3 },
+    });
+  });
+
+  it('compares dates by value and reads model instances through get', () => {
+    const shipped = new Date('2024-03-01T10:00:00Z');
+    const order = { get: (field) => ({ shipped_at: shipped, notes: undefined })[field] };
+
+    expect(diffChanges(order, { shipped_at: new Date(shipped), notes: 'Left at desk' })).toEqual({
+      notes: { from: null, to: 'Left at desk' },
+    });
+  });
+});
+
+describe('listActivity', () => {
+  it('filters by record, actions and date range with a capped page size', async () => {
+    await listActivity({
+      orderId: '7', action: 'order_assigned, status_changed', from: '2024-03-01', limit: '5000',
+    });
+
+    const [{ where, limit, offset }] = ActivityLog.findAndCountAll.mock.calls[0];
+    expect(where).toEqual({
+      order_id: '7',
+      action: ['order_assigned', 'status_changed'],
+      created_at: { [Op.gte]: new Date('2024-03-01') },
+    });
+    expect(limit).toBe(500);
+    expect(offset).toBe(0);
+  });
+});
@@ -0,0 +1,514 @@
+// Checklist execution: attaching templates to systems, completing steps and
+// QA sign-off. A system is complete once every step of every checklist on it
+// is done and, where required, signed off by QA.
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  System,
+  SystemType,
+  SystemChecklist,
+  ChecklistTemplate,
+  ChecklistStep,
+  ChecklistCompletion,
+  ActivityLog,
+  User,
+} = require('../models');
+const { events } = require('./events');
+const { diffChanges } = require('./auditService');
+const { ServiceError } = require('./errors');
+
+// Roles that can always sign off QA; other users need can_qa
+const QA_ROLES = ['manager', 'admin'];
+
+class ChecklistError extends ServiceError {}
+
+const userAttributes = ['id', 'first_name', 'last_name'];
+
+const checklistIncludes = [
+  {
+    model: ChecklistTemplate,
+    as: 'template',
+    include: [{ model: ChecklistStep, as: 'steps' }],
+  },
+  {
+    model: ChecklistCompletion,
+    as: 'completions',
+    include: [
+      { model: User, as: 'completedBy', attributes: userAttributes },
+      { model: User, as: 'qaCheckedBy', attributes: userAttributes },
+    ],
+  },
+];
+
+// DECIMAL columns come back as strings
+const stepWeight = (step) => {
+  const weight = parseFloat(step.step_weight);
+  return Number.isNaN(weight) ? 1 : weight;
+};
+
+const canSignOffQa = (user) => QA_ROLES.includes(user.role) || !!user.can_qa;
+
+// Summarize a system checklist loaded with its template steps and completions.
+// completion_percentage weighs each completed step by its step_weight.
+const summarizeChecklist = (checklist) => {
+  const steps = checklist.template ? checklist.template.steps : [];
+  const completionsByStep = new Map(
+    (checklist.completions || []).map((c) => [c.step_id, c])
+  );
+
+  const pendingSteps = [];
+  const pendingQa = [];
+  let totalWeight = 0;
+  let completedWeight = 0;
+  steps.forEach((step) => {
+    const completion = completionsByStep.get(step.id);
+    totalWeight += stepWeight(step);
+    if (!completion || !completion.completed_at) {
+      pendingSteps.push(step.id);
+      return;
+    }
+    completedWeight += stepWeight(step);
+    if (step.requires_qa && !completion.qa_checked_by) {
+      pendingQa.push(step.id);
+    }
+  });
+
+  let completionPercentage = pendingSteps.length === 0 ? 100 : 0;
+  if (totalWeight > 0) {
+    completionPercentage = Math.round((completedWeight / totalWeight) * 1000) / 10;
+  }
+
+  return {
+    system_checklist_id: checklist.id,
+    template_id: checklist.template_id,
+    total_steps: steps.length,
+    completed_steps: steps.length - pendingSteps.length,
+    completion_percentage: completionPercentage,
+    pending_steps: pendingSteps,
+    pending_qa: pendingQa,
+    is_complete: pendingSteps.length === 0,
+    is_qa_complete: pendingSteps.length === 0 && pendingQa.length === 0,
+  };
+};
+
+// Checklist with its steps in order, each carrying its completion (if any)
+const serializeChecklist = (checklist) => {
+  const completionsByStep = new Map(checklist.completions.map((c) => [c.step_id, c]));
+  const steps = [...checklist.template.steps].sort((a, b) => a.step_order - b.step_order);
+
+  return {
+    id: checklist.id,
+    system_id: checklist.system_id,
+    created_at: checklist.created_at,
+    template: {
+      id: checklist.template.id,
+      name: checklist.template.name,
+      version: checklist.template.version,
+    },
+    steps: steps.map((step) => ({
+      id: step.id,
+      step_order: step.step_order,
+      name: step.name,
+      description: step.description,
+      requires_qa: step.requires_qa,
+      estimated_minutes: step.estimated_minutes,
+      step_weight: stepWeight(step),
+      completion: completionsByStep.get(step.id) || null,
+    })),
+    progress: summarizeChecklist(checklist),
+  };
+};
+
+// With lock, concurrent changes to the checklist queue up behind this
+// transaction. FOR UPDATE can't cover the outer joins of the includes, so the
+// checklist row is locked on its own first.
+const loadChecklist = async (id, { transaction, lock = false } = {}) => {
+  if (lock) {
+    await SystemChecklist.findByPk(id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+  }
+  const checklist = await SystemChecklist.findByPk(id, {
+    include: [{ model: System, as: 'system' }, ...checklistIncludes],
+    transaction,
+  });
+  if (!checklist) {
+    throw new ChecklistError('Checklist not found', 404);
+  }
+  return checklist;
+};
+
+const findStep = (checklist, stepId) => {
+  const step = checklist.template.steps.find((s) => s.id === parseInt(stepId, 10));
+  if (!step) {
+    throw new ChecklistError('Step is not part of this checklist', 404);
+  }
+  return step;
+};
+
+const findCompletion = (checklist, step) => checklist.completions.find((c) => c.step_id === step.id);
+
+// Completion fields kept in the audit trail when a completion is removed
+const pickCompletion = (completion) => ({
+  completed_by: completion.completed_by,
+  completed_at: completion.completed_at,
+  notes: completion.notes,
+  time_spent_minutes: completion.time_spent_minutes,
+});
+
+// Checklist status for every system in an order
+const getOrderChecklistSummaries = async (orderId, { transaction } = {}) => {
+  const systems = await System.findAll({
+    where: { order_id: orderId },
+    include: [{
+      model: SystemChecklist,
+      as: 'checklists',
+      include: checklistIncludes,
+    }],
+    transaction,
+  });
+
+  return systems.map((system) => {
+    const checklists = system.checklists.map(summarizeChecklist);
+    return {
+      system_id: system.id,
+      has_checklist: checklists.length > 0,
+      is_complete: checklists.length > 0 && checklists.every((c) => c.is_complete),
+      is_qa_complete: checklists.length > 0 && checklists.every((c) => c.is_qa_complete),
+      checklists,
+    };
+  });
+};
+
+// Template used for new checklists on a system. system_types.default_checklist_template
+// holds { "template_id": <id> }; any version may be referenced and the
+// template's currently published version is used. Without it, the active
+// template for the system type is used.
+const resolveDefaultTemplate = async (system, transaction) => {
+  const systemType = await SystemType.findByPk(system.system_type_id, { transaction });
+  const config = (systemType && systemType.default_checklist_template) || {};
+  const where = { is_active: true, published_at: { [Op.ne]: null } };
+
+  if (config.template_id) {
+    const referenced = await ChecklistTemplate.findByPk(config.template_id, { transaction });
+    if (!referenced) {
+      throw new ChecklistError('The default checklist template for this system type no longer exists', 409, {
+        system_type_id: system.system_type_id,
+      });
+    }
+    where.family_id = referenced.family_id;
+  } else {
+    where.system_type_id = system.system_type_id;
+  }
+
+  const template = await ChecklistTemplate.findOne({
+    where,
+    order: [['published_at', 'DESC']],
+    transaction,
+  });
+  if (!template) {
+    throw new ChecklistError('No published checklist template for this system type', 409, {
+      system_type_id: system.system_type_id,
+    });
+  }
+  return template;
+};
+
+// Steps of the active template for each system type, e.g. to estimate the
+// work left on systems whose checklist hasn't been started yet
+const activeTemplateSteps = async (systemTypeIds, { transaction } = {}) => {
+  if (!systemTypeIds.length) {
+    return new Map();
+  }
+  const templates = await ChecklistTemplate.findAll({
+    where: { system_type_id: systemTypeIds, is_active: true, published_at: { [Op.ne]: null } },
+    attributes: ['id', 'system_type_id'],
+    include: [{ model: ChecklistStep, as: 'steps', attributes: ['id', 'step_weight', 'estimated_minutes'] }],
+    order: [['published_at', 'DESC']],
+    transaction,
+  });
+  return templates.reduce((steps, template) => (
+    steps.has(template.system_type_id) ? steps : steps.set(template.system_type_id, template.steps)
+  ), new Map());
+};
+
+const listSystemChecklists = async (systemId) => {
+  const system = await System.findByPk(systemId, { attributes: ['id'] });
+  if (!system) {
+    throw new ChecklistError('System not found', 404);
+  }
+
+  const checklists = await SystemChecklist.findAll({
+    where: { system_id: system.id },
+    include: checklistIncludes,
+    order: [['id', 'ASC']],
+  });
+  return checklists.map(serializeChecklist);
+};
+
+// Attach a checklist to a system, from the given template or the system
+// type's default. Returns the existing checklist if the system already has
+// one from the same template.
+const startChecklist = async (systemId, { templateId, user } = {}) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    // Lock the system so concurrent requests can't attach the same template twice
+    const system = await System.findByPk(systemId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!system) {
+      throw new ChecklistError('System not found', 404);
+    }
+
+    let template;
+    if (templateId) {
+      template = await ChecklistTemplate.findByPk(templateId, { transaction });
+      if (!template) {
+        throw new ChecklistError('Checklist template not found', 404);
+      }
+      if (!template.published_at) {
+        throw new ChecklistError('Draft templates cannot be used for checklists', 400);
+      }
+    } else {
+      template = await resolveDefaultTemplate(system, transaction);
+    }
+
+    const existing = await SystemChecklist.findOne({
+      where: { system_id: system.id },
+      include: [{
+        model: ChecklistTemplate,
+        as: 'template',
+        where: { family_id: template.family_id },
+      }],
+      transaction,
+    });
+    if (existing) {
+      return { id: existing.id, created: false };
+    }
+
+    const checklist = await SystemChecklist.create({
+      system_id: system.id,
+      template_id: template.id,
+    }, { transaction });
+    await ActivityLog.create({
+      user_id: user ? user.id : null,
+      order_id: system.order_id,
+      system_id: system.id,
+      action: 'checklist_started',
+      details: { system_checklist_id: checklist.id, template_id: template.id, version: template.version },
+    }, { transaction });
+    return { id: checklist.id, created: true };
+  });
+
+  const checklist = await loadChecklist(result.id);
+  const serialized = serializeChecklist(checklist);
+  if (result.created) {
+    events.emit('checklist.progress', {
+      checklistId: checklist.id,
+      systemId: checklist.system_id,
+      orderId: checklist.system.order_id,
+      userId: user ? user.id : null,
+      progress: serialized.progress,
+    });
+  }
+  return { checklist: serialized, created: result.created };
+};
+
+// Start the default checklist on every system in an order that has none yet
+const startOrderChecklists = async (orderId, { user } = {}) => {
+  const systems = await System.findAll({
+    where: { order_id: orderId },
+    include: [{ model: SystemChecklist, as: 'checklists', attributes: ['id'] }],
+    order: [['id', 'ASC']],
+  });
+
+  const created = [];
+  const skipped = [];
+  for (const system of systems) {
+    if (system.checklists.length) {
+      continue;
+    }
+    try {
+      const { checklist } = await startChecklist(system.id, { user });
+      created.push(checklist);
+    } catch (error) {
+      if (!(error instanceof ChecklistError)) {
+        throw error;
+      }
+      skipped.push({ system_id: system.id, error: error.message });
+    }
+  }
+  return { created, skipped };
+};
+
+// Keep systems.status in step with checklist progress. Returns true when the
+// system has just become complete.
+const syncSystemStatus = async (system, user, transaction) => {
+  const checklists = await SystemChecklist.findAll({
+    where: { system_id: system.id },
+    include: checklistIncludes,
+    transaction,
+  });
+  const summaries = checklists.map(summarizeChecklist);
+  const done = summaries.length > 0 && summaries.every((s) => s.is_qa_complete);
+  const started = summaries.some((s) => s.completed_steps > 0);
+
+  let status = system.status;
+  if (done) {
+    status = 'complete';
+  } else if (system.status === 'complete' || (system.status === 'pending' && started)) {
+    status = 'in_progress';
+  }
+  if (status === system.status) {
+    return false;
+  }
+
+  await ActivityLog.create({
+    user_id: user.id,
+    order_id: system.order_id,
+    system_id: system.id,
+    action: 'system_status_changed',
+    details: { changes: diffChanges(system, { status }), reason: 'checklist_progress' },
+  }, { transaction });
+  await system.update({ status }, { transaction });
+  return status === 'complete';
+};
+
+// Record a checklist change, update the system status and announce completion
+const applyChange = async (checklistId, stepId, user, change) => {
+  const completed = await sequelize.transaction(async (transaction) => {
+    // Locked so two requests can't both find a step not done yet and complete it
+    const checklist = await loadChecklist(checklistId, { transaction, lock: true });
+    const step = findStep(checklist, stepId);
+    const { action, details } = await change(checklist, step, transaction);
+
+    await ActivityLog.create({
+      user_id: user.id,
+      order_id: checklist.system.order_id,
+      system_id: checklist.system_id,
+      action,
+      details: {
+        system_checklist_id: checklist.id, step_id: step.id, step_name: step.name, ...details,
+      },
+    }, { transaction });
+
+    return (await syncSystemStatus(checklist.system, user, transaction)) ? checklist.system : null;
+  });
+
+  const checklist = await loadChecklist(checklistId);
+  const serialized = serializeChecklist(checklist);
+  events.emit('checklist.progress', {
+    checklistId: checklist.id,
+    systemId: checklist.system_id,
+    orderId: checklist.system.order_id,
+    userId: user.id,
+    progress: serialized.progress,
+  });
+  if (completed) {
+    events.emit('system.completed', {
+      systemId: completed.id,
+      orderId: completed.order_id,
+      userId: user.id,
+    });
+  }
+  return serialized;
+};
+
+// Mark a step done, or update the notes and time of a step already done
+const completeStep = (checklistId, stepId, { user, notes, time_spent_minutes }) => applyChange(
+  checklistId,
+  stepId,
+  user,
+  async (checklist, step, transaction) => {
+    const completion = findCompletion(checklist, step);
+    if (completion && completion.qa_checked_by) {
+      throw new ChecklistError('Step has already been signed off by QA', 409);
+    }
+
+    if (completion) {
+      const updates = {
+        ...(notes !== undefined && { notes }),
+        ...(time_spent_minutes !== undefined && { time_spent_minutes }),
+      };
+      const changes = diffChanges(completion, updates);
+      await completion.update(updates, { transaction });
+      return { action: 'step_updated', details: { changes } };
+    }
+
+    await ChecklistCompletion.create({
+      system_checklist_id: checklist.id,
+      step_id: step.id,
+      completed_by: user.id,
+      completed_at: new Date(),
+      notes,
+      time_spent_minutes,
+    }, { transaction });
+    return { action: 'step_completed', details: { notes, time_spent_minutes } };
+  }
+);
+
+// Undo a step's completion, e.g. when QA finds a problem
+const reopenStep = (checklistId, stepId, { user, reason }) => applyChange(
+  checklistId,
+  stepId,
+  user,
+  async (checklist, step, transaction) => {
+    const completion = findCompletion(checklist, step);
+    if (!completion) {
+      throw new ChecklistError('Step has not been completed', 409);
+    }
+    if (completion.qa_checked_by) {
+      throw new ChecklistError('Step has already been signed off by QA', 409);
+    }
+
+    await completion.destroy({ transaction });
+    return {
+      action: 'step_reopened',
+      details: {
+        reason,
+        before: pickCompletion(completion),
+      },
+    };
+  }
+);
+
+// QA sign-off by someone other than the technician who did the step
+const signOffStep = (checklistId, stepId, { user }) => applyChange(
+  checklistId,
+  stepId,
+  user,
+  async (checklist, step, transaction) => {
+    if (!step.requires_qa) {
+      throw new ChecklistError('Step does not require QA sign-off', 400);
+    }
+    const completion = findCompletion(checklist, step);
+    if (!completion) {
+      throw new ChecklistError('Step must be completed before QA sign-off', 409);
+    }
+    if (completion.qa_checked_by) {
+      throw new ChecklistError('Step has already been signed off by QA', 409);
+    }
+    if (!canSignOffQa(user)) {
+      throw new ChecklistError('QA sign-off requires a manager or a user with QA permission', 403);
+    }
+    if (completion.completed_by === user.id) {
+      throw new ChecklistError('QA sign-off must be done by someone other than the technician who completed the step', 403);
+    }
+
+    const updates = { qa_checked_by: user.id, qa_checked_at: new Date() };
+    const changes = diffChanges(completion, updates);
+    await completion.update(updates, { transaction });
+    return { action: 'step_qa_signed_off', details: { changes } };
+  }
+);
+
+const getChecklist = async (id) => serializeChecklist(await loadChecklist(id));
+
+module.exports = {
+  ChecklistError,
+  summarizeChecklist,
+  getOrderChecklistSummaries,
+  activeTemplateSteps,
+  listSystemChecklists,
+  getChecklist,
+  startChecklist,
+  startOrderChecklists,
+  completeStep,
+  reopenStep,
+  signOffStep,
+};
@@ -0,0 +1,179 @@
+const mockTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+jest.mock('../models', () => ({
+  sequelize: { transaction: jest.fn((work) => work(mockTransaction)) },
+  System: { findByPk: jest.fn(), findAll: jest.fn() },
+  SystemType: { findByPk: jest.fn() },
+  SystemChecklist: { findByPk: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  ChecklistTemplate: { findByPk: jest.fn(), findOne: jest.fn() },
+  ChecklistStep: {},
+  ChecklistCompletion: { create: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+  User: {},
+}));
+
+const { SystemChecklist, ChecklistCompletion, ActivityLog } = require('../models');
+const { events } = require('./events');
+const checklistService = require('./checklistService');
+
+const steps = [
+  { id: 1, step_order: 1, name: 'Image', step_weight: '3.00', requires_qa: false },
+  { id: 2, step_order: 2, name: 'Burn-in', step_weight: '1.00', requires_qa: true },
+];
+
+const mockChecklist = (completions = [], system = {}) => ({
+  id: 7,
+  system_id: 5,
+  template_id: 4,
+  template: { id: 4, name: 'Laptop build', version: 2, steps },
+  completions,
+  system: {
+    id: 5, order_id: 9, status: 'in_progress', update: jest.fn(), ...system,
+  },
+});
+
+const mockCompletion = (fields) => ({
+  completed_at: new Date(),
+  qa_checked_by: null,
+  update: jest.fn(),
+  destroy: jest.fn(),
+  ...fields,
+});
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(events, 'emit').mockImplementation(() => true);
+});
+
+describe('summarizeChecklist', () => {
+  it('weighs progress by step_weight', () => {
+    const summary = checklistService.summarizeChecklist(mockChecklist([
+      mockCompletion({ step_id: 1 }),
+    ]));
+
+    expect(summary).toMatchObject({
+      total_steps: 2,
+      completed_steps: 1,
+      completion_percentage: 75,
+      pending_steps: [2],
+      is_complete: false,
+    });
+  });
+
+  it('is complete but awaiting QA until QA steps are signed off', () => {
+    const summary = checklistService.summarizeChecklist(mockChecklist([
+      mockCompletion({ step_id: 1 }),
+      mockCompletion({ step_id: 2 }),
+    ]));
+
+    expect(summary).toMatchObject({
+      completion_percentage: 100,
+      pending_qa: [2],
+      is_complete: true,
+      is_qa_complete: false,
+    });
+  });
+});
+
+describe('completeStep', () => {
+  it('records the completion and the activity', async () => {
+    const checklist = mockChecklist();
+    SystemChecklist.findByPk.mockResolvedValue(checklist);
+    SystemChecklist.findAll.mockResolvedValue([mockChecklist([mockCompletion({ step_id: 1 })])]);
+
+    await checklistService.completeStep(7, '1', { user: { id: 3 }, time_spent_minutes: 20 });
+
+    expect(ChecklistCompletion.create).toHaveBeenCalledWith(expect.objectContaining({
+      system_checklist_id: 7, step_id: 1, completed_by: 3, time_spent_minutes: 20,
+    }), { transaction: mockTransaction });
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'step_completed', order_id: 9, system_id: 5,
+    }), { transaction: mockTransaction });
+    expect(events.emit).toHaveBeenCalledWith('checklist.progress', expect.objectContaining({
+      checklistId: 7, systemId: 5, orderId: 9, userId: 3,
+    }));
+    expect(events.emit).not.toHaveBeenCalledWith('system.completed', expect.anything());
+  });
+
+  it('completes the system and announces it once every step is signed off', async () => {
+    const checklist = mockChecklist([mockCompletion({ step_id: 2, qa_checked_by: 8 })]);
+    SystemChecklist.findByPk.mockResolvedValue(checklist);
+    SystemChecklist.findAll.mockResolvedValue([mockChecklist([
+      mockCompletion({ step_id: 1 }),
+      mockCompletion({ step_id: 2, qa_checked_by: 8 }),
+    ])]);
+
+    await checklistService.completeStep(7, 1, { user: { id: 3 } });
+
+    expect(checklist.system.update).toHaveBeenCalledWith({ status: 'complete' }, { transaction: mockTransaction });
+    expect(events.emit).toHaveBeenCalledWith('system.completed', { systemId: 5, orderId: 9, userId: 3 });
+  });
+
+  it('locks the checklist before reading its completions', async () => {
+    SystemChecklist.findByPk.mockResolvedValue(mockChecklist());
+    SystemChecklist.findAll.mockResolvedValue([]);
+
+    await checklistService.completeStep(7, 1, { user: { id: 3 } });
+
+    expect(SystemChecklist.findByPk.mock.calls[0]).toEqual([
+      7, { attributes: ['id'], transaction: mockTransaction, lock: 'UPDATE' },
+    ]);
+    expect(SystemChecklist.findByPk.mock.calls[1][1]).toMatchObject({ transaction: mockTransaction });
+  });
+
+  it('rejects steps from another template', async () => {
+    SystemChecklist.findByPk.mockResolvedValue(mockChecklist());
+
+    const error = await rejection(checklistService.completeStep(7, 99, { user: { id: 3 } }));
+
+    expect(error).toBeInstanceOf(checklistService.ChecklistError);
+    expect(error.status).toBe(404);
+  });
+});
+
+describe('signOffStep', () => {
+  const completed = () => mockChecklist([mockCompletion({ step_id: 2, completed_by: 3 })]);
+
+  it('needs a manager or a user with QA permission', async () => {
+    SystemChecklist.findByPk.mockResolvedValue(completed());
+
+    const error = await rejection(checklistService.signOffStep(7, 2, { user: { id: 4, role: 'staff' } }));
+
+    expect(error.status).toBe(403);
+  });
+
+  it('cannot be done by the technician who completed the step', async () => {
+    SystemChecklist.findByPk.mockResolvedValue(completed());
+
+    const error = await rejection(checklistService.signOffStep(7, 2, { user: { id: 3, role: 'staff', can_qa: true } }));
+
+    expect(error.status).toBe(403);
+  });
+
+  it('signs off a completed step', async () => {
+    const checklist = completed();
+    SystemChecklist.findByPk.mockResolvedValue(checklist);
+    SystemChecklist.findAll.mockResolvedValue([checklist]);
+
+    await checklistService.signOffStep(7, 2, { user: { id: 8, role: 'manager' } });
+
+    expect(checklist.completions[0].update).toHaveBeenCalledWith(
+      { qa_checked_by: 8, qa_checked_at: expect.any(Date) },
+      { transaction: mockTransaction }
+    );
+  });
+
+  it('refuses steps that do not require QA', async () => {
+    SystemChecklist.findByPk.mockResolvedValue(mockChecklist([mockCompletion({ step_id: 1, completed_by: 3 })]));
+
+    const error = await rejection(checklistService.signOffStep(7, 1, { user: { id: 8, role: 'manager' } }));
+
+    expect(error.status).toBe(400);
+  });
+});
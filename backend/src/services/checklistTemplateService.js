@@ -0,0 +1,318 @@
+// Checklist template authoring. Templates are versioned: a version starts
+// as an editable draft and becomes immutable once published, so checklists
+// already attached to systems never change underneath a technician.
+const { Op } = require('sequelize');
+const {
+  sequelize, ChecklistTemplate, ChecklistStep, ActivityLog,
+} = require('../models');
+const { diffChanges } = require('./auditService');
+const { ServiceError } = require('./errors');
+const { pick } = require('../utils/objects');
+
+const STEP_FIELDS = ['name', 'description', 'requires_qa', 'estimated_minutes', 'step_weight'];
+
+class TemplateError extends ServiceError {}
+
+const loadTemplate = async (id, { transaction } = {}) => {
+  const template = await ChecklistTemplate.findByPk(id, {
+    include: [{ model: ChecklistStep, as: 'steps' }],
+    order: [[{ model: ChecklistStep, as: 'steps' }, 'step_order', 'ASC']],
+    transaction,
+  });
+  if (!template) {
+    throw new TemplateError('Checklist template not found', 404);
+  }
+  return template;
+};
+
+const assertDraft = (template) => {
+  if (template.published_at) {
+    throw new TemplateError(
+      'Published template versions are immutable; create a new version to edit',
+      409,
+      { template_id: template.id, version: template.version }
+    );
+  }
+};
+
+const copySteps = (steps, templateId, transaction) => ChecklistStep.bulkCreate(
+  steps.map((step, index) => ({
+    ...pick(step, STEP_FIELDS),
+    template_id: templateId,
+    step_order: index + 1,
+  })),
+  { transaction }
+);
+
+// Renumber a draft's steps 1..n in the given order
+const renumberSteps = async (stepIds, transaction) => {
+  for (const [index, id] of stepIds.entries()) {
+    await ChecklistStep.update({ step_order: index + 1 }, { where: { id }, transaction });
+  }
+};
+
+// Templates filtered by system type and status (active, draft or all)
+const listTemplates = async ({ systemTypeId, status = 'active' } = {}) => {
+  const where = {};
+  if (systemTypeId) {
+    where.system_type_id = systemTypeId;
+  }
+  if (status === 'active') {
+    where.is_active = true;
+    where.published_at = { [Op.ne]: null };
+  } else if (status === 'draft') {
+    where.published_at = null;
+  }
+
+  return ChecklistTemplate.findAll({
+    where,
+    include: [{ model: ChecklistStep, as: 'steps' }],
+    order: [['name', 'ASC'], ['version', 'DESC'], [{ model: ChecklistStep, as: 'steps' }, 'step_order', 'ASC']],
+  });
+};
+
+// Every version in a template's family, newest first
+const listVersions = async (id) => {
+  const template = await loadTemplate(id);
+  return ChecklistTemplate.findAll({
+    where: { family_id: template.family_id },
+    order: [['version', 'DESC']],
+  });
+};
+
+// Audit entry for a template change
+const logTemplateActivity = (user, action, template, details, transaction) => ActivityLog.create({
+  user_id: user ? user.id : null,
+  action,
+  details: {
+    template_id: template.id, family_id: template.family_id, version: template.version, ...details,
+  },
+}, { transaction });
+
+// New template family, starting as a draft of version 1
+const createTemplate = async ({ name, system_type_id, steps = [] }, user, details = {}) => {
+  const id = await sequelize.transaction(async (transaction) => {
+    const template = await ChecklistTemplate.create({
+      name,
+      system_type_id,
+      version: 1,
+      is_active: false,
+    }, { transaction });
+    await template.update({ family_id: template.id }, { transaction });
+    await copySteps(steps, template.id, transaction);
+    await logTemplateActivity(user, 'checklist_template_created', template, {
+      name, system_type_id, step_count: steps.length, ...details,
+    }, transaction);
+    return template.id;
+  });
+  return loadTemplate(id);
+};
+
+const updateTemplate = async (id, changes, user) => {
+  await sequelize.transaction(async (transaction) => {
+    const template = await loadTemplate(id, { transaction });
+    assertDraft(template);
+
+    const updates = pick(changes, ['name', 'system_type_id']);
+    await logTemplateActivity(user, 'checklist_template_updated', template, {
+      changes: diffChanges(template, updates),
+    }, transaction);
+    await template.update(updates, { transaction });
+  });
+  return loadTemplate(id);
+};
+
+// Start a new draft version from an existing version. Returns the family's
+// existing draft instead if there already is one.
+const createVersion = async (id, user) => {
+  const draftId = await sequelize.transaction(async (transaction) => {
+    const source = await loadTemplate(id, { transaction });
+    const existingDraft = await ChecklistTemplate.findOne({
+      where: { family_id: source.family_id, published_at: null },
+      transaction,
+    });
+    if (existingDraft) {
+      return existingDraft.id;
+    }
+
+    const latest = await ChecklistTemplate.max('version', {
+      where: { family_id: source.family_id },
+      transaction,
+    });
+    const draft = await ChecklistTemplate.create({
+      name: source.name,
+      system_type_id: source.system_type_id,
+      family_id: source.family_id,
+      version: latest + 1,
+      is_active: false,
+    }, { transaction });
+    await copySteps(source.steps, draft.id, transaction);
+    await logTemplateActivity(user, 'checklist_template_version_created', draft, {
+      source_template_id: source.id,
+    }, transaction);
+    return draft.id;
+  });
+  return loadTemplate(draftId);
+};
+
+// Publish a draft and make it the family's active version
+const publishTemplate = async (id, user) => {
+  await sequelize.transaction(async (transaction) => {
+    const template = await loadTemplate(id, { transaction });
+    assertDraft(template);
+    if (!template.steps.length) {
+      throw new TemplateError('A template needs at least one step before it can be published', 400);
+    }
+
+    const previous = await ChecklistTemplate.findOne({
+      where: { family_id: template.family_id, is_active: true },
+      transaction,
+    });
+    await ChecklistTemplate.update(
+      { is_active: false },
+      { where: { family_id: template.family_id }, transaction }
+    );
+    await template.update({ published_at: new Date(), is_active: true }, { transaction });
+    await logTemplateActivity(user, 'checklist_template_published', template, {
+      replaced_template_id: previous ? previous.id : null,
+    }, transaction);
+  });
+  return loadTemplate(id);
+};
+
+// Copy a version into a brand new template family
+const cloneTemplate = async (id, { name } = {}, user) => {
+  const source = await loadTemplate(id);
+  return createTemplate({
+    name: name || `${source.name} (copy)`,
+    system_type_id: source.system_type_id,
+    steps: source.steps,
+  }, user, { cloned_from: source.id });
+};
+
+// Drafts are deleted outright; deleting a published version retires the
+// whole family so it's no longer used for new checklists
+const deleteTemplate = async (id, user) => sequelize.transaction(async (transaction) => {
+  const template = await loadTemplate(id, { transaction });
+  if (!template.published_at) {
+    await logTemplateActivity(user, 'checklist_template_deleted', template, {
+      name: template.name,
+    }, transaction);
+    await template.destroy({ transaction });
+    return { deleted: true };
+  }
+
+  await ChecklistTemplate.update(
+    { is_active: false },
+    { where: { family_id: template.family_id }, transaction }
+  );
+  await logTemplateActivity(user, 'checklist_template_retired', template, {
+    name: template.name,
+  }, transaction);
+  return { retired: true };
+});
+
+const addStep = async (templateId, data, user) => {
+  await sequelize.transaction(async (transaction) => {
+    const template = await loadTemplate(templateId, { transaction });
+    assertDraft(template);
+
+    const ids = template.steps.map((step) => step.id);
+    const step = await ChecklistStep.create({
+      ...pick(data, STEP_FIELDS),
+      template_id: template.id,
+      step_order: ids.length + 1,
+    }, { transaction });
+
+    // Insert at the requested position, if any
+    const position = data.step_order
+      ? Math.min(Math.max(data.step_order, 1), ids.length + 1)
+      : ids.length + 1;
+    ids.splice(position - 1, 0, step.id);
+    await renumberSteps(ids, transaction);
+    await logTemplateActivity(user, 'checklist_step_added', template, {
+      step_id: step.id, step_order: position, after: pick(step, STEP_FIELDS),
+    }, transaction);
+  });
+  return loadTemplate(templateId);
+};
+
+const findStep = (template, stepId) => {
+  const step = template.steps.find((s) => s.id === parseInt(stepId, 10));
+  if (!step) {
+    throw new TemplateError('Checklist step not found', 404);
+  }
+  return step;
+};
+
+const updateStep = async (templateId, stepId, changes, user) => {
+  await sequelize.transaction(async (transaction) => {
+    const template = await loadTemplate(templateId, { transaction });
+    assertDraft(template);
+
+    const step = findStep(template, stepId);
+    const updates = pick(changes, STEP_FIELDS);
+    await logTemplateActivity(user, 'checklist_step_updated', template, {
+      step_id: step.id, changes: diffChanges(step, updates),
+    }, transaction);
+    await step.update(updates, { transaction });
+  });
+  return loadTemplate(templateId);
+};
+
+const deleteStep = async (templateId, stepId, user) => {
+  await sequelize.transaction(async (transaction) => {
+    const template = await loadTemplate(templateId, { transaction });
+    assertDraft(template);
+
+    const step = findStep(template, stepId);
+    await step.destroy({ transaction });
+    await renumberSteps(
+      template.steps.filter((s) => s.id !== step.id).map((s) => s.id),
+      transaction
+    );
+    await logTemplateActivity(user, 'checklist_step_deleted', template, {
+      step_id: step.id, before: { step_order: step.step_order, ...pick(step, STEP_FIELDS) },
+    }, transaction);
+  });
+  return loadTemplate(templateId);
+};
+
+// Reorder a draft's steps; stepIds must list every step exactly once
+const reorderSteps = async (templateId, stepIds, user) => {
+  await sequelize.transaction(async (transaction) => {
+    const template = await loadTemplate(templateId, { transaction });
+    assertDraft(template);
+
+    const current = template.steps.map((s) => s.id).sort((a, b) => a - b);
+    const requested = [...stepIds].sort((a, b) => a - b);
+    if (JSON.stringify(current) !== JSON.stringify(requested)) {
+      throw new TemplateError('step_ids must contain every step of the template exactly once', 400, {
+        step_ids: current,
+      });
+    }
+
+    await renumberSteps(stepIds, transaction);
+    await logTemplateActivity(user, 'checklist_steps_reordered', template, {
+      changes: { step_order: { from: template.steps.map((s) => s.id), to: stepIds } },
+    }, transaction);
+  });
+  return loadTemplate(templateId);
+};
+
+module.exports = {
+  TemplateError,
+  listTemplates,
+  listVersions,
+  loadTemplate,
+  createTemplate,
+  updateTemplate,
+  createVersion,
+  publishTemplate,
+  cloneTemplate,
+  deleteTemplate,
+  addStep,
+  updateStep,
+  deleteStep,
+  reorderSteps,
+};
@@ -0,0 +1,150 @@
+jest.mock('../models', () => ({
+  sequelize: { transaction: jest.fn((work) => work('tx')) },
+  ChecklistTemplate: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    max: jest.fn(),
+  },
+  ChecklistStep: {
+    create: jest.fn(),
+    update: jest.fn(),
+    bulkCreate: jest.fn(),
+  },
+  ActivityLog: { create: jest.fn() },
+}));
+
+const { ChecklistTemplate, ChecklistStep } = require('../models');
+const templateService = require('./checklistTemplateService');
+const { ServiceError } = require('./errors');
+
+const mockTemplate = (fields) => ({
+  id: 1,
+  family_id: 1,
+  name: 'Laptop build',
+  system_type_id: 2,
+  version: 1,
+  published_at: null,
+  steps: [
+    { id: 11, name: 'Image', update: jest.fn() },
+    { id: 12, name: 'Label', update: jest.fn() },
+  ],
+  update: jest.fn(),
+  ...fields,
+});
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+// step_order given to each step id by the renumbering updates
+const stepOrders = () => ChecklistStep.update.mock.calls.map(([{ step_order: order }, { where }]) => [where.id, order]);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('published versions', () => {
+  it('cannot be edited', async () => {
+    ChecklistTemplate.findByPk.mockResolvedValue(mockTemplate({ published_at: new Date(), version: 3 }));
+
+    const error = await rejection(templateService.updateStep(1, 11, { name: 'Re-image' }));
+
+    expect(error).toBeInstanceOf(templateService.TemplateError);
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.status).toBe(409);
+    expect(error.details).toEqual({ template_id: 1, version: 3 });
+  });
+
+  it('are retired as a family rather than deleted', async () => {
+    const template = mockTemplate({ published_at: new Date(), destroy: jest.fn() });
+    ChecklistTemplate.findByPk.mockResolvedValue(template);
+
+    expect(await templateService.deleteTemplate(1)).toEqual({ retired: true });
+    expect(template.destroy).not.toHaveBeenCalled();
+    expect(ChecklistTemplate.update).toHaveBeenCalledWith({ is_active: false }, { where: { family_id: 1 }, transaction: 'tx' });
+  });
+});
+
+describe('publishTemplate', () => {
+  it('makes the draft the only active version of its family', async () => {
+    const template = mockTemplate();
+    ChecklistTemplate.findByPk.mockResolvedValue(template);
+
+    await templateService.publishTemplate(1);
+
+    expect(ChecklistTemplate.update).toHaveBeenCalledWith(
+      { is_active: false },
+      { where: { family_id: 1 }, transaction: 'tx' }
+    );
+    expect(template.update).toHaveBeenCalledWith(
+      { published_at: expect.any(Date), is_active: true },
+      { transaction: 'tx' }
+    );
+  });
+
+  it('refuses an empty template', async () => {
+    ChecklistTemplate.findByPk.mockResolvedValue(mockTemplate({ steps: [] }));
+
+    expect((await rejection(templateService.publishTemplate(1))).status).toBe(400);
+  });
+});
+
+describe('createVersion', () => {
+  it('copies the steps into the next version number', async () => {
+    ChecklistTemplate.findByPk.mockResolvedValue(mockTemplate({ published_at: new Date() }));
+    ChecklistTemplate.findOne.mockResolvedValue(null);
+    ChecklistTemplate.max.mockResolvedValue(4);
+    ChecklistTemplate.create.mockResolvedValue({ id: 9 });
+
+    await templateService.createVersion(1);
+
+    expect(ChecklistTemplate.create).toHaveBeenCalledWith(expect.objectContaining({
+      family_id: 1, version: 5, is_active: false,
+    }), expect.anything());
+    expect(ChecklistStep.bulkCreate).toHaveBeenCalledWith([
+      { name: 'Image', template_id: 9, step_order: 1 },
+      { name: 'Label', template_id: 9, step_order: 2 },
+    ], expect.anything());
+  });
+
+  it('returns the existing draft instead of starting a second one', async () => {
+    ChecklistTemplate.findByPk.mockResolvedValue(mockTemplate({ published_at: new Date() }));
+    ChecklistTemplate.findOne.mockResolvedValue({ id: 8 });
+
+    await templateService.createVersion(1);
+
+    expect(ChecklistTemplate.create).not.toHaveBeenCalled();
+    expect(ChecklistTemplate.findByPk).toHaveBeenLastCalledWith(8, expect.anything());
+  });
+});
+
+describe('steps', () => {
+  it('are inserted at the requested position', async () => {
+    ChecklistTemplate.findByPk.mockResolvedValue(mockTemplate());
+    ChecklistStep.create.mockResolvedValue({ id: 13 });
+
+    await templateService.addStep(1, { name: 'Asset tag', step_order: 1, unknown_field: true });
+
+    expect(ChecklistStep.create).toHaveBeenCalledWith(
+      { name: 'Asset tag', template_id: 1, step_order: 3 },
+      expect.anything()
+    );
+    expect(stepOrders()).toEqual([[13, 1], [11, 2], [12, 3]]);
+  });
+
+  it('can only be reordered as a whole', async () => {
+    ChecklistTemplate.findByPk.mockResolvedValue(mockTemplate());
+
+    const error = await rejection(templateService.reorderSteps(1, [12]));
+
+    expect(error.status).toBe(400);
+    expect(error.details).toEqual({ step_ids: [11, 12] });
+
+    await templateService.reorderSteps(1, [12, 11]);
+    expect(stepOrders()).toEqual([[12, 1], [11, 2]]);
+  });
+});
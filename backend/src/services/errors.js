@@ -0,0 +1,18 @@
+// Base class for the errors services raise to reject a request. status is
+// the HTTP status to answer with and details are merged into the response
+// body next to the message. Each service subclasses it so callers can tell
+// where an error came from.
+class ServiceError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, ...this.details };
+  }
+}
+
+module.exports = { ServiceError };
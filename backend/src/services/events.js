@@ -0,0 +1,44 @@
+// In-process domain events, emitted after the change has been committed.
+// Listeners trigger side effects such as integration syncs.
+//
+//   order.created          { orderId, userId }                 new order (userId null for imports)
+//   order.intake_completed { orderId, userId }                 order.created, once auto-assignment has run
+//   order.status_changed   { orderId, from, to, userId, notes }  notes is the reason given, if any
+//   order.assigned         { orderId, assignedTo, userId }     userId null when auto-assigned
+//   order.priority_changed { orderId, priority, userId }
+//   order.updated          { orderId }                         changed in WooCommerce
+//   order.sla_escalated    { orderId, level, status, notifyUserIds }  past its SLA deadline (1 assignee, 2 managers)
+//   checklist.progress     { checklistId, systemId, orderId, userId, progress }
+//   system.completed       { systemId, orderId, userId }       every checklist step done and QA signed off
+//   inventory.assigned     { inventoryId, systemId, userId, assignmentId }  serial reserved for a system (assignmentId: its activity log)
+//   imaging.queue_changed  { userId }                          imaging queue reordered, grown or shrunk
+//   notification.created   { userIds }                         in-app notifications stored for these users
+const { EventEmitter } = require('events');
+
+const logListenerError = (name, error) => {
+  console.error(`Listener for ${name} failed:`, error);
+};
+
+// A failing listener must never break the request that emitted the event or
+// the other listeners: each one is called in isolation, and both thrown
+// errors and rejected promises are logged
+class DomainEvents extends EventEmitter {
+  emit(name, ...args) {
+    const listeners = this.rawListeners(name);
+    listeners.forEach((listener) => {
+      try {
+        const result = listener.apply(this, args);
+        if (result && typeof result.catch === 'function') {
+          result.catch((error) => logListenerError(name, error));
+        }
+      } catch (error) {
+        logListenerError(name, error);
+      }
+    });
+    return listeners.length > 0;
+  }
+}
+
+const events = new DomainEvents();
+
+module.exports = { events };
@@ -0,0 +1,45 @@
+const { events } = require('./events');
+
+beforeEach(() => {
+  events.removeAllListeners('test.event');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('events', () => {
+  it('keeps calling listeners after one throws', () => {
+    const after = jest.fn();
+    events.on('test.event', () => { throw new Error('boom'); });
+    events.on('test.event', after);
+
+    expect(events.emit('test.event', { orderId: 1 })).toBe(true);
+    expect(after).toHaveBeenCalledWith({ orderId: 1 });
+    expect(console.error).toHaveBeenCalledWith('Listener for test.event failed:', expect.any(Error));
+  });
+
+  it('logs listeners that reject instead of leaving the rejection unhandled', async () => {
+    events.on('test.event', async () => { throw new Error('boom'); });
+
+    events.emit('test.event');
+    await new Promise(setImmediate);
+
+    expect(console.error).toHaveBeenCalledWith('Listener for test.event failed:', expect.any(Error));
+  });
+
+  it('calls once listeners a single time', () => {
+    const listener = jest.fn();
+    events.once('test.event', listener);
+
+    events.emit('test.event');
+    events.emit('test.event');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports whether anyone was listening', () => {
+    expect(events.emit('test.event')).toBe(false);
+  });
+});
@@ -0,0 +1,50 @@
+// Identity provider registry. Providers are enabled by their environment
+// variables; additional providers can be added with registerProvider().
+const { createLdapProvider } = require('./ldapProvider');
+const { createSamlProvider } = require('./samlProvider');
+const { ProvisioningError, provisionUser } = require('./provisioning');
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => providers.get(name);
+
+const listProviders = () => [...providers.values()].map(({ name, type, label }) => ({
+  name,
+  type,
+  label,
+}));
+
+if (process.env.LDAP_URL) {
+  registerProvider(createLdapProvider({
+    url: process.env.LDAP_URL,
+    bindDN: process.env.LDAP_BIND_DN,
+    bindPassword: process.env.LDAP_BIND_PASSWORD,
+    searchBase: process.env.LDAP_SEARCH_BASE,
+    usernameAttribute: process.env.LDAP_USERNAME_ATTRIBUTE,
+    groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE,
+  }));
+}
+
+if (process.env.SAML_ENTRY_POINT) {
+  registerProvider(createSamlProvider({
+    entryPoint: process.env.SAML_ENTRY_POINT,
+    issuer: process.env.SAML_ISSUER || 'buildroom-workflow',
+    callbackUrl: process.env.SAML_CALLBACK_URL,
+    idpCert: process.env.SAML_IDP_CERT,
+    spCert: process.env.SAML_SP_CERT,
+    emailAttribute: process.env.SAML_EMAIL_ATTRIBUTE,
+    groupsAttribute: process.env.SAML_GROUPS_ATTRIBUTE,
+  }));
+}
+
+module.exports = {
+  ProvisioningError,
+  registerProvider,
+  getProvider,
+  listProviders,
+  provisionUser,
+};
@@ -0,0 +1,69 @@
+// LDAP bind provider - verifies credentials by binding as the user
+const { Client, EqualityFilter, InvalidCredentialsError } = require('ldapts');
+const { toArray } = require('../../utils/objects');
+
+const createLdapProvider = ({
+  url,
+  bindDN,
+  bindPassword,
+  searchBase,
+  usernameAttribute = 'uid',
+  emailAttribute = 'mail',
+  firstNameAttribute = 'givenName',
+  lastNameAttribute = 'sn',
+  groupAttribute = 'memberOf',
+  timeout = 5000,
+}) => {
+  const newClient = () => new Client({ url, timeout, connectTimeout: timeout });
+
+  return {
+    name: 'ldap',
+    type: 'credentials',
+    label: 'Directory login',
+
+    // Resolves to a profile, or null when the credentials are wrong
+    authenticate: async ({ username, password }) => {
+      // An empty password would be an anonymous bind, which always succeeds
+      if (!username || !password) {
+        return null;
+      }
+
+      const client = newClient();
+      try {
+        // Find the user's DN with the service account
+        if (bindDN) {
+          await client.bind(bindDN, bindPassword);
+        }
+        const { searchEntries } = await client.search(searchBase, {
+          scope: 'sub',
+          filter: new EqualityFilter({ attribute: usernameAttribute, value: username }),
+          attributes: [emailAttribute, firstNameAttribute, lastNameAttribute, groupAttribute],
+        });
+        if (searchEntries.length !== 1) {
+          return null;
+        }
+
+        const entry = searchEntries[0];
+        await client.bind(entry.dn, password);
+
+        return {
+          provider: 'ldap',
+          external_id: entry.dn,
+          email: toArray(entry[emailAttribute])[0],
+          first_name: toArray(entry[firstNameAttribute])[0],
+          last_name: toArray(entry[lastNameAttribute])[0],
+          groups: toArray(entry[groupAttribute]),
+        };
+      } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+          return null;
+        }
+        throw error;
+      } finally {
+        await client.unbind().catch(() => {});
+      }
+    },
+  };
+};
+
+module.exports = { createLdapProvider };
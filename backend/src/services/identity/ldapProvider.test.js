@@ -0,0 +1,83 @@
+const mockClient = {
+  bind: jest.fn(),
+  search: jest.fn(),
+  unbind: jest.fn(),
+};
+jest.mock('ldapts', () => {
+  const actual = jest.requireActual('ldapts');
+  return {
+    ...actual,
+    Client: jest.fn(() => mockClient),
+  };
+});
+
+const { InvalidCredentialsError } = require('ldapts');
+const { createLdapProvider } = require('./ldapProvider');
+
+const provider = createLdapProvider({
+  url: 'ldap://directory.example.com',
+  bindDN: 'cn=service,dc=example,dc=com',
+  bindPassword: 'service-secret',
+  searchBase: 'ou=people,dc=example,dc=com',
+});
+
+const entry = {
+  dn: 'uid=tess,ou=people,dc=example,dc=com',
+  mail: 'tess@example.com',
+  givenName: 'Tess',
+  sn: 'Tech',
+  memberOf: 'cn=buildroom-techs,ou=groups,dc=example,dc=com',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient.bind.mockResolvedValue();
+  mockClient.unbind.mockResolvedValue();
+  mockClient.search.mockResolvedValue({ searchEntries: [entry] });
+});
+
+describe('ldap provider', () => {
+  it('binds as the user found by the service account and returns their profile', async () => {
+    const result = await provider.authenticate({ username: 'tess', password: 'secret' });
+
+    expect(mockClient.bind).toHaveBeenNthCalledWith(1, 'cn=service,dc=example,dc=com', 'service-secret');
+    expect(mockClient.bind).toHaveBeenNthCalledWith(2, entry.dn, 'secret');
+    expect(result).toEqual({
+      provider: 'ldap',
+      external_id: entry.dn,
+      email: 'tess@example.com',
+      first_name: 'Tess',
+      last_name: 'Tech',
+      groups: ['cn=buildroom-techs,ou=groups,dc=example,dc=com'],
+    });
+    expect(mockClient.unbind).toHaveBeenCalled();
+  });
+
+  it('never binds with an empty password', async () => {
+    expect(await provider.authenticate({ username: 'tess', password: '' })).toBeNull();
+    expect(mockClient.bind).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong password', async () => {
+    mockClient.bind
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new InvalidCredentialsError('Invalid Credentials'));
+
+    expect(await provider.authenticate({ username: 'tess', password: 'wrong' })).toBeNull();
+    expect(mockClient.unbind).toHaveBeenCalled();
+  });
+
+  it('rejects a username that matches no entry or several', async () => {
+    mockClient.search.mockResolvedValueOnce({ searchEntries: [] });
+    expect(await provider.authenticate({ username: 'nobody', password: 'secret' })).toBeNull();
+
+    mockClient.search.mockResolvedValueOnce({ searchEntries: [entry, { ...entry, dn: 'uid=tess2' }] });
+    expect(await provider.authenticate({ username: 'tess*', password: 'secret' })).toBeNull();
+  });
+
+  it('passes directory outages on to the caller', async () => {
+    mockClient.search.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(provider.authenticate({ username: 'tess', password: 'secret' })).rejects.toThrow('ECONNREFUSED');
+  });
+});
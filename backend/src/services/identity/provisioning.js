@@ -0,0 +1,128 @@
+// Maps directory identities onto local users, creating them on first login
+const crypto = require('crypto');
+const { User, ActivityLog } = require('../../models');
+const { ServiceError } = require('../errors');
+
+// Highest role first so a member of several groups gets the most privileged one
+const ROLE_GROUP_ENV = [
+  ['admin', 'SSO_ADMIN_GROUPS'],
+  ['manager', 'SSO_MANAGER_GROUPS'],
+  ['staff', 'SSO_STAFF_GROUPS'],
+];
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim().toLowerCase())
+  .filter(Boolean);
+
+// Groups may arrive as full DNs ("cn=buildroom-admins,ou=groups,...") or bare
+// names; configured groups match either form.
+const groupNames = (group) => {
+  const lower = group.toLowerCase();
+  const cn = lower.match(/^cn=([^,]+)/);
+  return cn ? [lower, cn[1]] : [lower];
+};
+
+const mapGroupsToRole = (groups = []) => {
+  const names = new Set(groups.flatMap(groupNames));
+
+  const match = ROLE_GROUP_ENV.find(([, envVar]) => parseList(process.env[envVar])
+    .some((group) => names.has(group)));
+  if (match) {
+    return match[0];
+  }
+  return process.env.SSO_DEFAULT_ROLE || null;
+};
+
+class ProvisioningError extends ServiceError {}
+
+// SSO users never log in with a local password; store a value bcrypt can't match
+const unusablePasswordHash = () => `!sso:${crypto.randomBytes(16).toString('hex')}`;
+
+// The account a profile belongs to: the one holding its external id, else an
+// account with the same email that an admin has linked to the provider.
+// Local accounts are never taken over by a matching directory email.
+const findLinkedUser = async (profile, email) => {
+  if (profile.external_id) {
+    const linked = await User.findOne({
+      where: { auth_provider: profile.provider, external_id: profile.external_id },
+    });
+    if (linked) {
+      return linked;
+    }
+  }
+
+  const existing = await User.findOne({ where: { email } });
+  if (!existing) {
+    return null;
+  }
+  const ownedByProvider = existing.auth_provider === profile.provider
+    && (!existing.external_id || existing.external_id === profile.external_id);
+  if (!ownedByProvider) {
+    throw new ProvisioningError('An account with this email already exists; ask an admin to link it to this sign-in method', 409);
+  }
+  return existing;
+};
+
+// Find or create the local user for a provider profile and sync their role
+const provisionUser = async (profile) => {
+  if (!profile.email) {
+    throw new ProvisioningError('Identity provider did not return an email address', 400);
+  }
+
+  const role = mapGroupsToRole(profile.groups);
+  if (!role) {
+    throw new ProvisioningError('Not a member of any group with buildroom access', 403);
+  }
+
+  const email = profile.email.toLowerCase();
+  const existing = await findLinkedUser(profile, email);
+
+  if (!existing) {
+    const created = await User.create({
+      email,
+      password_hash: unusablePasswordHash(),
+      first_name: profile.first_name || email.split('@')[0],
+      last_name: profile.last_name || '',
+      role,
+      auth_provider: profile.provider,
+      external_id: profile.external_id || null,
+    });
+    await ActivityLog.create({
+      user_id: created.id,
+      action: 'user_provisioned',
+      details: { target_user_id: created.id, provider: profile.provider, after: { email, role } },
+    });
+    return created;
+  }
+
+  if (!existing.is_active) {
+    throw new ProvisioningError('Account is inactive', 403);
+  }
+
+  // First login after an admin linked the account pins it to this identity
+  if (!existing.external_id && profile.external_id) {
+    await existing.update({ external_id: profile.external_id });
+  }
+
+  // The directory is the source of truth for roles of accounts it owns
+  if (existing.role !== role) {
+    await ActivityLog.create({
+      user_id: existing.id,
+      action: 'user_role_synced',
+      details: {
+        target_user_id: existing.id,
+        provider: profile.provider,
+        changes: { role: { from: existing.role, to: role } },
+      },
+    });
+    await existing.update({ role });
+  }
+  return existing;
+};
+
+module.exports = {
+  ProvisioningError,
+  mapGroupsToRole,
+  provisionUser,
+};
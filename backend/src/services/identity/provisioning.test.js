@@ -0,0 +1,144 @@
+jest.mock('../../models', () => ({
+  User: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  ActivityLog: { create: jest.fn() },
+}));
+
+const { User } = require('../../models');
+const { ProvisioningError, mapGroupsToRole, provisionUser } = require('./provisioning');
+
+const GROUP_ENV = {
+  SSO_ADMIN_GROUPS: 'buildroom-admins',
+  SSO_MANAGER_GROUPS: 'buildroom-managers, it-leads',
+  SSO_STAFF_GROUPS: 'buildroom-techs',
+};
+
+const profile = {
+  provider: 'ldap',
+  external_id: 'uid=tess,ou=people,dc=example,dc=com',
+  email: 'Tess@Example.com',
+  first_name: 'Tess',
+  last_name: 'Tech',
+  groups: ['cn=buildroom-techs,ou=groups,dc=example,dc=com'],
+};
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Object.assign(process.env, GROUP_ENV);
+  delete process.env.SSO_DEFAULT_ROLE;
+});
+
+describe('mapGroupsToRole', () => {
+  it('matches groups given as full DNs or bare names, ignoring case', () => {
+    expect(mapGroupsToRole(['CN=Buildroom-Techs,OU=Groups,DC=example,DC=com'])).toBe('staff');
+    expect(mapGroupsToRole(['IT-Leads'])).toBe('manager');
+  });
+
+  it('picks the most privileged role across several groups', () => {
+    expect(mapGroupsToRole(['buildroom-techs', 'cn=buildroom-admins,ou=groups'])).toBe('admin');
+  });
+
+  it('falls back to the default role, if one is configured', () => {
+    expect(mapGroupsToRole(['marketing'])).toBeNull();
+
+    process.env.SSO_DEFAULT_ROLE = 'staff';
+    expect(mapGroupsToRole(['marketing'])).toBe('staff');
+  });
+});
+
+describe('provisionUser', () => {
+  it('creates a user that cannot log in with a local password', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockImplementation(async (fields) => fields);
+
+    const user = await provisionUser(profile);
+
+    expect(User.findOne).toHaveBeenCalledWith({ where: { email: 'tess@example.com' } });
+    expect(user).toMatchObject({
+      email: 'tess@example.com',
+      first_name: 'Tess',
+      last_name: 'Tech',
+      role: 'staff',
+      auth_provider: 'ldap',
+      external_id: profile.external_id,
+    });
+    expect(user.password_hash).toMatch(/^!sso:/);
+  });
+
+  it('syncs the role of an existing user from the directory', async () => {
+    const existing = {
+      is_active: true, role: 'manager', auth_provider: 'ldap', external_id: profile.external_id, update: jest.fn(),
+    };
+    User.findOne.mockResolvedValue(existing);
+
+    expect(await provisionUser(profile)).toBe(existing);
+    expect(User.findOne).toHaveBeenCalledWith({
+      where: { auth_provider: 'ldap', external_id: profile.external_id },
+    });
+    expect(existing.update).toHaveBeenCalledWith({ role: 'staff' });
+  });
+
+  it('pins an account an admin linked to the provider on its first login', async () => {
+    const existing = {
+      is_active: true, role: 'staff', auth_provider: 'ldap', external_id: null, update: jest.fn(),
+    };
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+    expect(await provisionUser(profile)).toBe(existing);
+    expect(existing.update).toHaveBeenCalledWith({ external_id: profile.external_id });
+  });
+
+  it('does not take over a local account with the same email', async () => {
+    const local = {
+      is_active: true, role: 'admin', auth_provider: null, external_id: null, update: jest.fn(),
+    };
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(local);
+
+    const error = await rejection(provisionUser(profile));
+
+    expect(error).toBeInstanceOf(ProvisioningError);
+    expect(error.status).toBe(409);
+    expect(local.update).not.toHaveBeenCalled();
+  });
+
+  it('does not take over an account pinned to another directory identity', async () => {
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({
+      is_active: true, role: 'staff', auth_provider: 'ldap', external_id: 'uid=other,dc=example,dc=com',
+    });
+
+    expect((await rejection(provisionUser(profile))).status).toBe(409);
+  });
+
+  it('refuses profiles without an email', async () => {
+    const error = await rejection(provisionUser({ ...profile, email: undefined }));
+
+    expect(error).toBeInstanceOf(ProvisioningError);
+    expect(error.status).toBe(400);
+  });
+
+  it('refuses users outside every buildroom group', async () => {
+    const error = await rejection(provisionUser({ ...profile, groups: ['marketing'] }));
+
+    expect(error.status).toBe(403);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses deactivated users', async () => {
+    User.findOne.mockResolvedValue({
+      is_active: false, role: 'staff', auth_provider: 'ldap', external_id: profile.external_id, update: jest.fn(),
+    });
+
+    const error = await rejection(provisionUser(profile));
+
+    expect(error.status).toBe(403);
+    expect(error.toJSON()).toEqual({ error: 'Account is inactive' });
+  });
+});
@@ -0,0 +1,52 @@
+// SAML 2.0 service provider - redirects to the IdP and validates its POSTed response
+const { SAML } = require('@node-saml/node-saml');
+const { toArray } = require('../../utils/objects');
+
+const createSamlProvider = ({
+  entryPoint,
+  issuer,
+  callbackUrl,
+  idpCert,
+  spCert,
+  emailAttribute = 'email',
+  firstNameAttribute = 'firstName',
+  lastNameAttribute = 'lastName',
+  groupsAttribute = 'groups',
+}) => {
+  const saml = new SAML({
+    entryPoint,
+    issuer,
+    callbackUrl,
+    idpCert,
+    wantAssertionsSigned: true,
+  });
+
+  return {
+    name: 'saml',
+    type: 'redirect',
+    label: 'Single sign-on',
+
+    getLoginUrl: (relayState = '') => saml.getAuthorizeUrlAsync(relayState, undefined, {}),
+
+    // Validates the IdP's POST body and resolves to a profile
+    handleCallback: async (body) => {
+      const { profile } = await saml.validatePostResponseAsync(body);
+      if (!profile) {
+        return null;
+      }
+
+      return {
+        provider: 'saml',
+        external_id: profile.nameID,
+        email: toArray(profile[emailAttribute] || profile.email || profile.mail)[0] || profile.nameID,
+        first_name: toArray(profile[firstNameAttribute])[0],
+        last_name: toArray(profile[lastNameAttribute])[0],
+        groups: toArray(profile[groupsAttribute]),
+      };
+    },
+
+    getMetadata: () => saml.generateServiceProviderMetadata(null, spCert || null),
+  };
+};
+
+module.exports = { createSamlProvider };
@@ -0,0 +1,248 @@
+// Imaging bench queue. Systems whose type requires imaging are queued when
+// their order comes in, in order-date order with higher-priority orders
+// counted as if placed earlier. skip_queue systems always come first.
+// Positions are kept as 1..n; every change reads the whole queue under a row
+// lock, rearranges it and writes back the positions that moved.
+const { Op } = require('sequelize');
+const {
+  sequelize, Order, System, SystemType, ActivityLog, User,
+} = require('../models');
+const { events } = require('./events');
+const { diffChanges } = require('./auditService');
+const { ServiceError } = require('./errors');
+
+// Each priority level moves an order this far ahead of its order date
+const PRIORITY_WEIGHT_HOURS = parseInt(process.env.IMAGING_PRIORITY_WEIGHT_HOURS, 10) || 24;
+
+// Orders in these statuses have nothing left to image
+const CLOSED_ORDER_STATUSES = ['complete', 'cancelled'];
+
+class QueueError extends ServiceError {}
+
+const queueIncludes = [
+  {
+    model: Order,
+    as: 'order',
+    attributes: ['id', 'woo_order_id', 'customer_name', 'customer_department', 'order_date', 'priority', 'status'],
+  },
+  { model: SystemType, as: 'systemType', attributes: ['id', 'name', 'code'] },
+];
+
+// Weighted FIFO: earlier effective date first, then order and system id
+const sortKey = (system) => (
+  new Date(system.order.order_date).getTime() - (system.order.priority || 0) * PRIORITY_WEIGHT_HOURS * 3600000
+);
+
+const compareKeys = (a, b) => (
+  sortKey(a) - sortKey(b) || a.order.id - b.order.id || a.id - b.id
+);
+
+// Queued systems in position order, skip_queue first. Locks the rows when
+// given a transaction.
+const loadQueue = async ({ transaction } = {}) => {
+  const queued = await System.findAll({
+    where: { queue_position: { [Op.ne]: null } },
+    include: queueIncludes,
+    order: [['queue_position', 'ASC'], ['id', 'ASC']],
+    ...(transaction && { lock: { level: transaction.LOCK.UPDATE, of: System }, transaction }),
+  });
+  return [...queued.filter((s) => s.skip_queue), ...queued.filter((s) => !s.skip_queue)];
+};
+
+// Write 1..n positions for the queue as arranged; dropped systems leave it
+const savePositions = async (queue, dropped, { transaction }) => {
+  for (const system of dropped) {
+    await system.update({ queue_position: null, skip_queue: false }, { transaction });
+  }
+  for (let index = 0; index < queue.length; index += 1) {
+    if (queue[index].queue_position !== index + 1) {
+      await queue[index].update({ queue_position: index + 1 }, { transaction });
+    }
+  }
+};
+
+// Index a system belongs at among non-skipped systems by its sort key
+const weightedIndex = (queue, system) => {
+  const index = queue.findIndex((other) => !other.skip_queue && compareKeys(system, other) < 0);
+  return index === -1 ? queue.length : index;
+};
+
+const queueChanged = (transaction, userId) => {
+  transaction.afterCommit(() => events.emit('imaging.queue_changed', { userId }));
+};
+
+// Queue an order's systems that need imaging and aren't queued or started yet
+const enqueueOrder = async (orderId, { userId = null } = {}) => sequelize.transaction(async (transaction) => {
+  const candidates = await System.findAll({
+    where: { order_id: orderId, queue_position: null, status: 'pending' },
+    include: [
+      queueIncludes[0],
+      {
+        model: SystemType,
+        as: 'systemType',
+        attributes: ['id', 'name', 'code'],
+        where: { requires_imaging: true },
+      },
+    ],
+    transaction,
+  });
+  const pending = candidates.filter((system) => !CLOSED_ORDER_STATUSES.includes(system.order.status));
+  if (!pending.length) {
+    return [];
+  }
+
+  const queue = await loadQueue({ transaction });
+  pending.sort(compareKeys).forEach((system) => {
+    queue.splice(weightedIndex(queue, system), 0, system);
+  });
+  await savePositions(queue, [], { transaction });
+
+  await ActivityLog.bulkCreate(pending.map((system) => ({
+    user_id: userId,
+    order_id: system.order_id,
+    system_id: system.id,
+    action: 'imaging_queued',
+    details: { queue_position: system.queue_position },
+  })), { transaction });
+  queueChanged(transaction, userId);
+  return pending.map((system) => system.id);
+});
+
+// Re-place an order's queued systems after its priority changed. Systems a
+// manager moved by hand are re-placed too; skipped ones stay at the front.
+const repositionOrder = async (orderId) => sequelize.transaction(async (transaction) => {
+  const queue = await loadQueue({ transaction });
+  const affected = queue.filter((system) => system.order_id === orderId && !system.skip_queue);
+  if (!affected.length) {
+    return;
+  }
+
+  const order = await Order.findByPk(orderId, { transaction });
+  const rest = queue.filter((system) => !affected.includes(system));
+  affected.forEach((system) => {
+    system.order.priority = order.priority;
+  });
+  affected.sort(compareKeys).forEach((system) => {
+    rest.splice(weightedIndex(rest, system), 0, system);
+  });
+  await savePositions(rest, [], { transaction });
+  queueChanged(transaction, null);
+});
+
+// Take an order's systems out of the queue (order closed)
+const dequeueOrder = async (orderId) => sequelize.transaction(async (transaction) => {
+  const queue = await loadQueue({ transaction });
+  const dropped = queue.filter((system) => system.order_id === orderId);
+  if (!dropped.length) {
+    return;
+  }
+  await savePositions(queue.filter((system) => !dropped.includes(system)), dropped, { transaction });
+  queueChanged(transaction, null);
+});
+
+const findQueued = (queue, systemId) => {
+  const system = queue.find((s) => s.id === parseInt(systemId, 10));
+  if (!system) {
+    throw new QueueError('System is not in the imaging queue', 404);
+  }
+  return system;
+};
+
+// Manager move to a 1-based position. Skipped systems can only be moved
+// among themselves, and others can't be moved ahead of them.
+const moveSystem = async (systemId, { position, reason, user }) => sequelize.transaction(async (transaction) => {
+  const queue = await loadQueue({ transaction });
+  const system = findQueued(queue, systemId);
+  const from = system.queue_position;
+
+  const skipped = queue.filter((s) => s.skip_queue).length;
+  const [min, max] = system.skip_queue ? [1, skipped] : [skipped + 1, queue.length];
+  const target = Math.min(Math.max(position, min), max);
+
+  const rest = queue.filter((s) => s !== system);
+  rest.splice(target - 1, 0, system);
+  await savePositions(rest, [], { transaction });
+
+  await ActivityLog.create({
+    user_id: user.id,
+    order_id: system.order_id,
+    system_id: system.id,
+    action: 'imaging_queue_moved',
+    details: { changes: { queue_position: { from, to: target } }, reason },
+  }, { transaction });
+  queueChanged(transaction, user.id);
+  return system;
+});
+
+// Put a system at the front of the queue, or send it back to its weighted place
+const setSkipQueue = async (systemId, { skip, reason, user }) => sequelize.transaction(async (transaction) => {
+  const queue = await loadQueue({ transaction });
+  const system = findQueued(queue, systemId);
+  if (system.skip_queue === skip) {
+    return system;
+  }
+
+  const changes = diffChanges(system, { skip_queue: skip });
+  const rest = queue.filter((s) => s !== system);
+  await system.update({ skip_queue: skip }, { transaction });
+  if (skip) {
+    // Behind systems that were already skipped
+    rest.splice(rest.filter((s) => s.skip_queue).length, 0, system);
+  } else {
+    rest.splice(weightedIndex(rest, system), 0, system);
+  }
+  await savePositions(rest, [], { transaction });
+
+  await ActivityLog.create({
+    user_id: user.id,
+    order_id: system.order_id,
+    system_id: system.id,
+    action: skip ? 'imaging_queue_skipped' : 'imaging_queue_unskipped',
+    details: { changes, reason },
+  }, { transaction });
+  queueChanged(transaction, user.id);
+  return system;
+});
+
+// Hand the head of the queue to user: assigns it, starts it and removes it
+// from the queue. Resolves to null when the queue is empty.
+const claimNext = async ({ user }) => sequelize.transaction(async (transaction) => {
+  const queue = await loadQueue({ transaction });
+  const [next, ...rest] = queue;
+  if (!next) {
+    return null;
+  }
+
+  const updates = { assigned_to: user.id, status: 'in_progress' };
+  await ActivityLog.create({
+    user_id: user.id,
+    order_id: next.order_id,
+    system_id: next.id,
+    action: 'imaging_started',
+    details: {
+      changes: diffChanges(next, updates),
+      queue_position: next.queue_position,
+      skipped_queue: next.skip_queue,
+    },
+  }, { transaction });
+  await next.update(updates, { transaction });
+  await savePositions(rest, [next], { transaction });
+  queueChanged(transaction, user.id);
+  return next.id;
+}).then((systemId) => systemId && System.findByPk(systemId, {
+  include: [...queueIncludes, { model: User, as: 'assignee', attributes: ['id', 'first_name', 'last_name'] }],
+}));
+
+const listQueue = () => loadQueue();
+
+module.exports = {
+  QueueError,
+  PRIORITY_WEIGHT_HOURS,
+  listQueue,
+  enqueueOrder,
+  repositionOrder,
+  dequeueOrder,
+  moveSystem,
+  setSkipQueue,
+  claimNext,
+};
@@ -0,0 +1,170 @@
+jest.mock('../models', () => ({
+  sequelize: {
+    transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })),
+  },
+  Order: { findByPk: jest.fn() },
+  System: { findAll: jest.fn(), findByPk: jest.fn() },
+  SystemType: {},
+  ActivityLog: { create: jest.fn(), bulkCreate: jest.fn() },
+  User: {},
+}));
+
+const { Order, System, ActivityLog } = require('../models');
+const { events } = require('./events');
+const imagingQueue = require('./imagingQueueService');
+
+// Queued (or queueable) system whose update writes through like a model
+const mockSystem = (id, {
+  orderId = id * 10, orderDate = '2024-03-01', priority = 0, position = null, skip = false, status = 'open',
+} = {}) => {
+  const system = {
+    id,
+    order_id: orderId,
+    queue_position: position,
+    skip_queue: skip,
+    status: 'pending',
+    order: {
+      id: orderId, order_date: new Date(orderDate), priority, status,
+    },
+  };
+  system.update = jest.fn(async (changes) => Object.assign(system, changes));
+  return system;
+};
+
+// Ids of the systems in queue_position order
+const positions = (systems) => systems
+  .filter((s) => s.queue_position !== null)
+  .sort((a, b) => a.queue_position - b.queue_position)
+  .map((s) => s.id);
+
+const useQueue = (queue, candidates = []) => {
+  System.findAll.mockImplementation(async ({ where }) => (where.order_id ? candidates : queue));
+};
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(events, 'emit').mockImplementation(() => true);
+});
+
+describe('enqueueOrder', () => {
+  it('places new systems by order date with priority counted as an earlier date', async () => {
+    const queue = [
+      mockSystem(1, { orderDate: '2024-03-01', position: 1 }),
+      mockSystem(2, { orderDate: '2024-03-03', position: 2 }),
+    ];
+    // A day newer than system 2's order, but two priority levels ahead
+    const urgent = mockSystem(3, { orderDate: '2024-03-04', priority: 2 });
+    useQueue(queue, [urgent]);
+
+    expect(await imagingQueue.enqueueOrder(30, { userId: 7 })).toEqual([3]);
+
+    expect(positions([...queue, urgent])).toEqual([1, 3, 2]);
+    expect(ActivityLog.bulkCreate).toHaveBeenCalledWith([expect.objectContaining({
+      system_id: 3, action: 'imaging_queued', details: { queue_position: 2 },
+    })], expect.anything());
+    expect(events.emit).toHaveBeenCalledWith('imaging.queue_changed', { userId: 7 });
+  });
+
+  it('keeps skipped systems in front', async () => {
+    const queue = [mockSystem(1, { orderDate: '2024-03-05', position: 1, skip: true })];
+    const early = mockSystem(2, { orderDate: '2024-02-01' });
+    useQueue(queue, [early]);
+
+    await imagingQueue.enqueueOrder(20);
+
+    expect(positions([...queue, early])).toEqual([1, 2]);
+  });
+
+  it('ignores systems of closed orders', async () => {
+    useQueue([], [mockSystem(1, { status: 'cancelled' })]);
+
+    expect(await imagingQueue.enqueueOrder(10)).toEqual([]);
+    expect(ActivityLog.bulkCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('repositionOrder', () => {
+  it('moves an order up when its priority goes up', async () => {
+    const queue = [
+      mockSystem(1, { orderDate: '2024-03-01', position: 1 }),
+      mockSystem(2, { orderDate: '2024-03-01T12:00:00Z', position: 2 }),
+    ];
+    useQueue(queue);
+    Order.findByPk.mockResolvedValue({ id: 20, priority: 1 });
+
+    await imagingQueue.repositionOrder(20);
+
+    expect(positions(queue)).toEqual([2, 1]);
+  });
+});
+
+describe('moveSystem', () => {
+  const user = { id: 7 };
+
+  it('cannot move a system ahead of skipped ones', async () => {
+    const queue = [
+      mockSystem(1, { position: 1, skip: true }),
+      mockSystem(2, { position: 2 }),
+      mockSystem(3, { position: 3 }),
+    ];
+    useQueue(queue);
+
+    await imagingQueue.moveSystem(3, { position: 1, reason: 'VIP', user });
+
+    expect(positions(queue)).toEqual([1, 3, 2]);
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'imaging_queue_moved',
+      details: { changes: { queue_position: { from: 3, to: 2 } }, reason: 'VIP' },
+    }), expect.anything());
+  });
+
+  it('answers 404 for systems not in the queue', async () => {
+    useQueue([]);
+
+    const error = await rejection(imagingQueue.moveSystem(9, { position: 1, user }));
+
+    expect(error).toBeInstanceOf(imagingQueue.QueueError);
+    expect(error.status).toBe(404);
+  });
+});
+
+describe('setSkipQueue', () => {
+  it('puts the system behind the ones already skipped', async () => {
+    const queue = [
+      mockSystem(1, { position: 1, skip: true }),
+      mockSystem(2, { position: 2 }),
+      mockSystem(3, { position: 3 }),
+    ];
+    useQueue(queue);
+
+    await imagingQueue.setSkipQueue(3, { skip: true, user: { id: 7 } });
+
+    expect(positions(queue)).toEqual([1, 3, 2]);
+    expect(queue[2].skip_queue).toBe(true);
+  });
+});
+
+describe('claimNext', () => {
+  it('assigns and starts the head of the queue and closes the gap', async () => {
+    const queue = [mockSystem(1, { position: 1 }), mockSystem(2, { position: 2 })];
+    useQueue(queue);
+    System.findByPk.mockResolvedValue(queue[0]);
+
+    expect(await imagingQueue.claimNext({ user: { id: 7 } })).toBe(queue[0]);
+
+    expect(queue[0]).toMatchObject({ assigned_to: 7, status: 'in_progress', queue_position: null });
+    expect(queue[1].queue_position).toBe(1);
+  });
+
+  it('resolves to null when the queue is empty', async () => {
+    useQueue([]);
+
+    expect(await imagingQueue.claimNext({ user: { id: 7 } })).toBeNull();
+  });
+});
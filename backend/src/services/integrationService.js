@@ -0,0 +1,31 @@
+// Shared bookkeeping for external integrations
+const { Integration, IntegrationError } = require('../models');
+
+// The integrations row for a named integration, created on first use
+const getIntegration = async (name, { transaction } = {}) => {
+  const [integration] = await Integration.findOrCreate({
+    where: { name },
+    defaults: { type: name, config: {} },
+    transaction,
+  });
+  return integration;
+};
+
+// Append an entry to the integration error log
+const logIntegrationError = async (name, {
+  errorType, reference, message, details,
+}, { transaction } = {}) => {
+  const integration = await getIntegration(name, { transaction });
+  return IntegrationError.create({
+    integration_id: integration.id,
+    error_type: errorType,
+    reference: reference ? String(reference) : null,
+    message,
+    details,
+  }, { transaction });
+};
+
+module.exports = {
+  getIntegration,
+  logIntegrationError,
+};
@@ -0,0 +1,177 @@
+// Serialized inventory bookkeeping
+const {
+  sequelize,
+  Inventory,
+  System,
+  SystemType,
+  ActivityLog,
+} = require('../models');
+const { logIntegrationError } = require('./integrationService');
+const { events } = require('./events');
+const { diffChanges } = require('./auditService');
+const { assertVersion } = require('./versioning');
+const { AssetNamingError, generateAssetName } = require('./assetNamingService');
+const { ServiceError } = require('./errors');
+
+class InventoryError extends ServiceError {}
+
+// Record a serial received in inFlow. Resolves to 'created', 'unchanged',
+// 'skipped' (product isn't a system type) or 'conflict'.
+const recordReceivedSerial = async (receipt) => sequelize.transaction(async (transaction) => {
+  const systemType = receipt.sku
+    ? await SystemType.findOne({ where: { code: receipt.sku }, transaction })
+    : null;
+  if (!systemType) {
+    await logIntegrationError('inflow', {
+      errorType: 'unknown_product',
+      reference: receipt.serial_number,
+      message: `No system type matches inFlow SKU "${receipt.sku}"`,
+      details: receipt,
+    }, { transaction });
+    return 'skipped';
+  }
+
+  const existing = await Inventory.findOne({
+    where: { serial_number: receipt.serial_number },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  if (!existing) {
+    await Inventory.create({
+      system_type_id: systemType.id,
+      serial_number: receipt.serial_number,
+      received_date: receipt.received_date,
+      notes: receipt.purchase_order ? `inFlow PO ${receipt.purchase_order}` : null,
+    }, { transaction });
+    return 'created';
+  }
+
+  if (existing.status === 'available') {
+    return 'unchanged';
+  }
+  if (existing.status === 'returned') {
+    await existing.update({ status: 'available', received_date: receipt.received_date }, { transaction });
+    return 'created';
+  }
+
+  // inFlow says it just arrived, but we already handed it out
+  await logIntegrationError('inflow', {
+    errorType: 'serial_already_consumed',
+    reference: receipt.serial_number,
+    message: `Serial ${receipt.serial_number} was received again but is already ${existing.status}`,
+    details: {
+      receipt,
+      inventory_id: existing.id,
+      status: existing.status,
+      assigned_to_system: existing.assigned_to_system,
+    },
+  }, { transaction });
+  return 'conflict';
+});
+
+// Reserve a scanned serial for a system and record it on the system. The
+// inventory row and the system are locked together so a serial can only ever
+// go to one system; assigning the same serial again is a no-op. Systems
+// without an asset name get one from the matching naming rule.
+const assignSerialToSystem = async (systemId, { serialNumber, user, expectedVersion }) => {
+  const serial = serialNumber.trim();
+
+  return sequelize.transaction(async (transaction) => {
+    const system = await System.findByPk(systemId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!system) {
+      throw new InventoryError('System not found', 404);
+    }
+    assertVersion(system, expectedVersion);
+
+    const item = await Inventory.findOne({
+      where: { serial_number: serial },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!item) {
+      throw new InventoryError(`Serial ${serial} is not in inventory`, 404, { code: 'serial_not_found' });
+    }
+    if (item.assigned_to_system === system.id && system.serial_number === serial) {
+      return { system, inventory: item, assigned: false };
+    }
+    if (item.status !== 'available') {
+      throw new InventoryError(`Serial ${serial} is ${item.status}`, 409, {
+        code: 'serial_unavailable',
+        status: item.status,
+        assigned_to_system: item.assigned_to_system,
+      });
+    }
+    if (item.system_type_id && system.system_type_id && item.system_type_id !== system.system_type_id) {
+      throw new InventoryError(`Serial ${serial} is for a different system type`, 409, {
+        code: 'serial_type_mismatch',
+      });
+    }
+    // Serials are consumed in inFlow once assigned, so a wrong one has to be
+    // sorted out by hand rather than swapped here
+    if (system.serial_number) {
+      throw new InventoryError(`System already has serial ${system.serial_number}`, 409, {
+        code: 'system_has_serial',
+      });
+    }
+    const duplicate = await System.findOne({ where: { serial_number: serial }, transaction });
+    if (duplicate) {
+      throw new InventoryError(`Serial ${serial} is already on system ${duplicate.id}`, 409, {
+        code: 'serial_duplicate',
+        system_id: duplicate.id,
+      });
+    }
+
+    // Name the asset from the department's naming rule unless it already has one
+    const generated = system.asset_name
+      ? null
+      : await generateAssetName(system, { serialNumber: serial, transaction });
+    const changes = { serial_number: serial, ...(generated && { asset_name: generated.name }) };
+
+    const assignment = await ActivityLog.create({
+      user_id: user.id,
+      order_id: system.order_id,
+      system_id: system.id,
+      action: 'serial_assigned',
+      details: {
+        changes: diffChanges(system, changes),
+        inventory_id: item.id,
+        ...(generated && { naming_rule_id: generated.ruleId }),
+      },
+    }, { transaction });
+    await item.update({ status: 'assigned', assigned_to_system: system.id }, { transaction });
+    await system.update(changes, { transaction });
+    // The updated_at trigger sets the new version
+    await system.reload({ transaction });
+
+    transaction.afterCommit(() => {
+      events.emit('inventory.assigned', {
+        inventoryId: item.id, systemId: system.id, userId: user.id, assignmentId: assignment.id,
+      });
+    });
+    return { system, inventory: item, assigned: true };
+  }).catch((error) => {
+    // Lost a race with another scan of the same serial, or another rule
+    // produced the same name
+    if (error.name === 'SequelizeUniqueConstraintError' && error.fields) {
+      if (error.fields.serial_number) {
+        throw new InventoryError(`Serial ${serial} is already assigned to another system`, 409, {
+          code: 'serial_duplicate',
+        });
+      }
+      if (error.fields.asset_name) {
+        throw new AssetNamingError(`Asset name ${error.fields.asset_name} is already in use`, 409, {
+          code: 'asset_name_taken',
+          asset_name: error.fields.asset_name,
+        });
+      }
+    }
+    throw error;
+  });
+};
+
+module.exports = {
+  InventoryError,
+  recordReceivedSerial,
+  assignSerialToSystem,
+};
@@ -0,0 +1,228 @@
+jest.mock('../models', () => ({
+  sequelize: {
+    transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })),
+  },
+  Inventory: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  System: { findByPk: jest.fn(), findOne: jest.fn() },
+  SystemType: { findOne: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+}));
+jest.mock('./integrationService', () => ({
+  logIntegrationError: jest.fn(),
+}));
+jest.mock('./assetNamingService', () => ({
+  ...jest.requireActual('./assetNamingService'),
+  generateAssetName: jest.fn(),
+}));
+
+const {
+  Inventory, System, SystemType, ActivityLog,
+} = require('../models');
+const { logIntegrationError } = require('./integrationService');
+const { events } = require('./events');
+const { VersionConflictError } = require('./versioning');
+const { AssetNamingError, generateAssetName } = require('./assetNamingService');
+const { InventoryError, recordReceivedSerial, assignSerialToSystem } = require('./inventoryService');
+
+const receipt = {
+  serial_number: 'SN-1',
+  sku: 'laptop',
+  received_date: '2024-03-02',
+  purchase_order: 'PO-000123',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  SystemType.findOne.mockResolvedValue({ id: 1, code: 'laptop' });
+});
+
+describe('recordReceivedSerial', () => {
+  it('adds a new serial to stock', async () => {
+    Inventory.findOne.mockResolvedValue(null);
+
+    expect(await recordReceivedSerial(receipt)).toBe('created');
+    expect(Inventory.create).toHaveBeenCalledWith({
+      system_type_id: 1,
+      serial_number: 'SN-1',
+      received_date: '2024-03-02',
+      notes: 'inFlow PO PO-000123',
+    }, expect.anything());
+  });
+
+  it('skips products that are not a system type', async () => {
+    SystemType.findOne.mockResolvedValue(null);
+
+    expect(await recordReceivedSerial({ ...receipt, sku: 'usb-cable' })).toBe('skipped');
+    expect(logIntegrationError).toHaveBeenCalledWith('inflow', expect.objectContaining({
+      errorType: 'unknown_product',
+    }), expect.anything());
+  });
+
+  it('leaves serials already in stock alone and restocks returned ones', async () => {
+    Inventory.findOne.mockResolvedValueOnce({ status: 'available' });
+    expect(await recordReceivedSerial(receipt)).toBe('unchanged');
+
+    const returned = { status: 'returned', update: jest.fn() };
+    Inventory.findOne.mockResolvedValueOnce(returned);
+    expect(await recordReceivedSerial(receipt)).toBe('created');
+    expect(returned.update).toHaveBeenCalledWith({ status: 'available', received_date: '2024-03-02' }, expect.anything());
+  });
+
+  it('reports a serial received again after it was handed out', async () => {
+    Inventory.findOne.mockResolvedValue({
+      id: 4, status: 'assigned', assigned_to_system: 8, update: jest.fn(),
+    });
+
+    expect(await recordReceivedSerial(receipt)).toBe('conflict');
+    expect(logIntegrationError).toHaveBeenCalledWith('inflow', expect.objectContaining({
+      errorType: 'serial_already_consumed',
+      reference: 'SN-1',
+    }), expect.anything());
+  });
+});
+
+describe('assignSerialToSystem', () => {
+  const user = { id: 3 };
+
+  const mockSystem = (fields) => ({
+    id: 5,
+    order_id: 9,
+    system_type_id: 1,
+    serial_number: null,
+    version: 100,
+    update: jest.fn(),
+    reload: jest.fn(),
+    ...fields,
+  });
+
+  const mockItem = (fields) => ({
+    id: 21,
+    serial_number: 'SN-1',
+    system_type_id: 1,
+    status: 'available',
+    assigned_to_system: null,
+    update: jest.fn(),
+    ...fields,
+  });
+
+  // Resolves the error a rejected promise was rejected with
+  const rejection = (promise) => promise.then(
+    () => { throw new Error('expected a rejection'); },
+    (error) => error,
+  );
+
+  beforeEach(() => {
+    jest.spyOn(events, 'emit').mockImplementation(() => true);
+    System.findOne.mockResolvedValue(null);
+    generateAssetName.mockResolvedValue(null);
+    ActivityLog.create.mockResolvedValue({ id: 61 });
+  });
+
+  it('reserves an available serial and records it on the system', async () => {
+    const system = mockSystem();
+    const item = mockItem();
+    System.findByPk.mockResolvedValue(system);
+    Inventory.findOne.mockResolvedValue(item);
+
+    const result = await assignSerialToSystem(5, { serialNumber: ' SN-1 ', user });
+
+    expect(result.assigned).toBe(true);
+    expect(item.update).toHaveBeenCalledWith({ status: 'assigned', assigned_to_system: 5 }, expect.anything());
+    expect(system.update).toHaveBeenCalledWith({ serial_number: 'SN-1' }, expect.anything());
+    expect(events.emit).toHaveBeenCalledWith('inventory.assigned', {
+      inventoryId: 21, systemId: 5, userId: 3, assignmentId: 61,
+    });
+  });
+
+  it('names the asset from the matching naming rule', async () => {
+    const system = mockSystem();
+    System.findByPk.mockResolvedValue(system);
+    Inventory.findOne.mockResolvedValue(mockItem());
+    generateAssetName.mockResolvedValue({ name: 'FIN-LAPTOP-0007', ruleId: 4 });
+
+    await assignSerialToSystem(5, { serialNumber: 'SN-1', user });
+
+    expect(system.update).toHaveBeenCalledWith(
+      { serial_number: 'SN-1', asset_name: 'FIN-LAPTOP-0007' },
+      expect.anything()
+    );
+  });
+
+  it('keeps an asset name that was already set', async () => {
+    const system = mockSystem({ asset_name: 'HAND-NAMED' });
+    System.findByPk.mockResolvedValue(system);
+    Inventory.findOne.mockResolvedValue(mockItem());
+
+    await assignSerialToSystem(5, { serialNumber: 'SN-1', user });
+
+    expect(generateAssetName).not.toHaveBeenCalled();
+    expect(system.update).toHaveBeenCalledWith({ serial_number: 'SN-1' }, expect.anything());
+  });
+
+  it('is a no-op when the serial is already on the system', async () => {
+    const system = mockSystem({ serial_number: 'SN-1' });
+    System.findByPk.mockResolvedValue(system);
+    Inventory.findOne.mockResolvedValue(mockItem({ status: 'assigned', assigned_to_system: 5 }));
+
+    const result = await assignSerialToSystem(5, { serialNumber: 'SN-1', user });
+
+    expect(result.assigned).toBe(false);
+    expect(system.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses serials that are not available', async () => {
+    System.findByPk.mockResolvedValue(mockSystem());
+    Inventory.findOne.mockResolvedValue(mockItem({ status: 'assigned', assigned_to_system: 6 }));
+
+    const error = await rejection(assignSerialToSystem(5, { serialNumber: 'SN-1', user }));
+
+    expect(error).toBeInstanceOf(InventoryError);
+    expect(error.status).toBe(409);
+    expect(error.details).toEqual({ code: 'serial_unavailable', status: 'assigned', assigned_to_system: 6 });
+  });
+
+  it('refuses serials of another system type', async () => {
+    System.findByPk.mockResolvedValue(mockSystem({ system_type_id: 2 }));
+    Inventory.findOne.mockResolvedValue(mockItem());
+
+    const error = await rejection(assignSerialToSystem(5, { serialNumber: 'SN-1', user }));
+
+    expect(error.details.code).toBe('serial_type_mismatch');
+  });
+
+  it('checks the version the client saw', async () => {
+    System.findByPk.mockResolvedValue(mockSystem());
+
+    const error = await rejection(assignSerialToSystem(5, { serialNumber: 'SN-1', user, expectedVersion: 50 }));
+
+    expect(error).toBeInstanceOf(VersionConflictError);
+    expect(Inventory.findOne).not.toHaveBeenCalled();
+  });
+
+  // A unique constraint violation on the given field
+  const uniqueViolation = (fields) => Object.assign(new Error('duplicate'), {
+    name: 'SequelizeUniqueConstraintError',
+    fields,
+  });
+
+  it('reports a lost race on the unique serial as a duplicate', async () => {
+    System.findByPk.mockRejectedValueOnce(uniqueViolation({ serial_number: 'SN-1' }));
+
+    const error = await rejection(assignSerialToSystem(5, { serialNumber: 'SN-1', user }));
+
+    expect(error).toBeInstanceOf(InventoryError);
+    expect(error.details).toEqual({ code: 'serial_duplicate' });
+  });
+
+  it('reports a lost race on the unique asset name as a naming conflict', async () => {
+    System.findByPk.mockRejectedValueOnce(uniqueViolation({ asset_name: 'FIN-LAPTOP-0007' }));
+
+    const error = await rejection(assignSerialToSystem(5, { serialNumber: 'SN-1', user }));
+
+    expect(error).toBeInstanceOf(AssetNamingError);
+    expect(error.details).toEqual({ code: 'asset_name_taken', asset_name: 'FIN-LAPTOP-0007' });
+  });
+});
@@ -0,0 +1,424 @@
+// Notifications about order events, delivered in-app and by email. Each type
+// has a template - the built-in wording unless an admin edited it - rendered
+// with {{variables}} from the order. Staff choose their channels per type;
+// customer notifications go by email to the order's customer_email. Emails
+// are sent from a queue (jobs/notifications), so the functions that work out
+// who to notify resolve to the emails still to send.
+const {
+  sequelize, Order, User, OrderSla, Notification, NotificationTemplate, NotificationPreference,
+  ActivityLog,
+} = require('../models');
+const { events } = require('./events');
+const { diffChanges } = require('./auditService');
+const { getMailTransport, mailFrom } = require('../config/mail');
+const { trackingUrl } = require('./trackingService');
+const { ServiceError } = require('./errors');
+const { pick } = require('../utils/objects');
+
+const MAX_NOTIFICATIONS = 200;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const TEMPLATE_FIELDS = ['subject', 'body', 'is_active'];
+
+class NotificationError extends ServiceError {}
+
+const STATUS_LABELS = {
+  ordered: 'Ordered',
+  in_progress: 'In Progress',
+  qa_review: 'QA Review',
+  ready_to_deliver: 'Ready to Deliver',
+  complete: 'Complete',
+  cancelled: 'Cancelled',
+};
+
+// Built-in wording and default channels per type. Staff types go to users
+// picked by the event; customer types to the order's customer.
+const NOTIFICATION_TYPES = {
+  order_assigned: {
+    label: 'An order is assigned to me',
+    audience: 'staff',
+    defaults: { in_app: true, email: true },
+    subject: 'Order #{{order_number}} assigned to you',
+    body: '{{actor_name}} assigned order #{{order_number}} for {{customer_name}} to you.\n\n{{order_url}}',
+  },
+  order_status_changed: {
+    label: 'One of my orders changes status',
+    audience: 'staff',
+    defaults: { in_app: true, email: false },
+    subject: 'Order #{{order_number}} moved to {{status}}',
+    body: '{{actor_name}} moved order #{{order_number}} for {{customer_name}} from {{from_status}} to {{status}}.\n\n{{order_url}}',
+  },
+  qa_rejected: {
+    label: 'One of my orders is sent back from QA',
+    audience: 'staff',
+    defaults: { in_app: true, email: true },
+    subject: 'Order #{{order_number}} was sent back from QA',
+    body: '{{actor_name}} sent order #{{order_number}} for {{customer_name}} back to In Progress.\n\nReason: {{reason}}\n\n{{order_url}}',
+  },
+  sla_breached: {
+    label: 'An order is past its SLA',
+    audience: 'staff',
+    defaults: { in_app: true, email: true },
+    subject: 'Order #{{order_number}} is past its SLA',
+    body: 'Order #{{order_number}} for {{customer_name}} has been in {{status}} longer than its SLA allows (due {{sla_due_at}}). Assigned to: {{assignee_name}}.\n\n{{order_url}}',
+  },
+  order_completed: {
+    label: 'Customer: order completed',
+    audience: 'customer',
+    subject: 'Your order #{{order_number}} is complete',
+    body: 'Hello {{customer_name}},\n\nYour order #{{order_number}} is complete.\n{{delivery_details}}\n\nOrder status: {{tracking_url}}\n\nThank you,\nBuildroom',
+  },
+};
+
+const TEMPLATE_VARIABLES = [
+  'order_number', 'customer_name', 'customer_email', 'status', 'from_status', 'assignee_name',
+  'actor_name', 'reason', 'tracking_number', 'delivery_method', 'delivery_details', 'sla_due_at',
+  'order_url', 'tracking_url',
+];
+
+// Stand-in order for test emails
+const SAMPLE_ORDER = {
+  id: 0,
+  woo_order_id: '1001',
+  customer_name: 'Sample Customer',
+  customer_email: 'customer@example.com',
+  status: 'in_progress',
+  delivery_method: 'shipping',
+  tracking_number: '1Z999AA10123456784',
+  assignee: { first_name: 'Sample', last_name: 'Technician' },
+  sla: { due_at: new Date() },
+};
+
+const fullName = (user) => (user ? `${user.first_name} ${user.last_name}` : null);
+
+const statusLabel = (status) => (status ? STATUS_LABELS[status] || status : '');
+
+const deliveryDetails = (order) => {
+  if (order.tracking_number) return `Tracking number: ${order.tracking_number}`;
+  if (order.delivery_confirmation) return `Delivery: ${order.delivery_confirmation}`;
+  return '';
+};
+
+// Values templates can refer to as {{name}}
+const orderVariables = (order, { actor, from, reason } = {}) => ({
+  order_number: order.woo_order_id,
+  customer_name: order.customer_name,
+  customer_email: order.customer_email,
+  status: statusLabel(order.status),
+  from_status: statusLabel(from),
+  assignee_name: fullName(order.assignee) || 'nobody',
+  actor_name: fullName(actor) || 'The system',
+  reason: reason || '',
+  tracking_number: order.tracking_number || '',
+  delivery_method: order.delivery_method || '',
+  delivery_details: deliveryDetails(order),
+  sla_due_at: order.sla ? new Date(order.sla.due_at).toLocaleString() : '',
+  order_url: `${FRONTEND_URL}/orders/${order.id}`,
+  tracking_url: trackingUrl(order.id),
+});
+
+// Replace {{name}} placeholders; unknown names render empty
+const render = (text, variables) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+  variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+));
+
+const assertType = (type) => {
+  if (!NOTIFICATION_TYPES[type]) {
+    throw new NotificationError('Unknown notification type', 404, {
+      code: 'unknown_type',
+      types: Object.keys(NOTIFICATION_TYPES),
+    });
+  }
+};
+
+// The template in effect for a type: the admin's edit, else the built-in wording
+const getTemplate = async (type, { transaction } = {}) => {
+  const custom = await NotificationTemplate.findByPk(type, { transaction });
+  const builtIn = NOTIFICATION_TYPES[type];
+  return {
+    subject: custom ? custom.subject : builtIn.subject,
+    body: custom ? custom.body : builtIn.body,
+    is_active: custom ? custom.is_active : true,
+  };
+};
+
+const renderTemplate = (template, variables) => ({
+  subject: render(template.subject, variables),
+  text: render(template.body, variables),
+});
+
+const loadOrder = (orderId) => Order.findByPk(orderId, {
+  include: [
+    { model: User, as: 'assignee', attributes: ['id', 'first_name', 'last_name'] },
+    { model: OrderSla, as: 'sla' },
+  ],
+});
+
+const loadActor = (userId) => (userId
+  ? User.findByPk(userId, { attributes: ['id', 'first_name', 'last_name'] })
+  : null);
+
+// Store in-app notifications for the users who want them. Resolves to the
+// emails for those who want email.
+const notifyUsers = async (type, userIds, order, context = {}) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (!ids.length) {
+    return [];
+  }
+  const template = await getTemplate(type);
+  if (!template.is_active) {
+    return [];
+  }
+
+  const [users, preferences] = await Promise.all([
+    User.findAll({ where: { id: ids, is_active: true }, attributes: ['id', 'email'] }),
+    NotificationPreference.findAll({ where: { user_id: ids, type } }),
+  ]);
+  const message = renderTemplate(template, orderVariables(order, context));
+  const { defaults } = NOTIFICATION_TYPES[type];
+  const channels = (user) => preferences.find((p) => p.user_id === user.id) || defaults;
+
+  const inAppUserIds = users.filter((user) => channels(user).in_app).map((user) => user.id);
+  if (inAppUserIds.length) {
+    await Notification.bulkCreate(inAppUserIds.map((userId) => ({
+      user_id: userId,
+      order_id: order.id,
+      type,
+      title: message.subject,
+      body: message.text,
+    })));
+    events.emit('notification.created', { userIds: inAppUserIds });
+  }
+
+  return users
+    .filter((user) => channels(user).email && user.email)
+    .map((user) => ({
+      to: user.email, ...message, type, order_id: order.id, audience: 'staff',
+    }));
+};
+
+// Resolves to the email for the order's customer, if the type is enabled
+const notifyCustomer = async (type, order, context = {}) => {
+  const template = await getTemplate(type);
+  if (!template.is_active || !order.customer_email) {
+    return [];
+  }
+  return [{
+    to: order.customer_email,
+    ...renderTemplate(template, orderVariables(order, context)),
+    type,
+    order_id: order.id,
+    audience: 'customer',
+  }];
+};
+
+// order.assigned: tell the new assignee, unless they assigned it to themselves
+const notifyOrderAssigned = async ({ orderId, assignedTo, userId }) => {
+  if (!assignedTo || assignedTo === userId) {
+    return [];
+  }
+  const [order, actor] = await Promise.all([loadOrder(orderId), loadActor(userId)]);
+  return order ? notifyUsers('order_assigned', [assignedTo], order, { actor }) : [];
+};
+
+// order.status_changed: tell the assignee (a QA rejection has its own type)
+// and the customer once the order is complete
+const notifyStatusChanged = async ({
+  orderId, from, to, userId, notes,
+}) => {
+  const [order, actor] = await Promise.all([loadOrder(orderId), loadActor(userId)]);
+  if (!order) {
+    return [];
+  }
+  const context = { actor, from, reason: notes };
+  const type = from === 'qa_review' && to === 'in_progress' ? 'qa_rejected' : 'order_status_changed';
+  const emails = order.assigned_to && order.assigned_to !== userId
+    ? await notifyUsers(type, [order.assigned_to], order, context)
+    : [];
+  if (to === 'complete') {
+    emails.push(...await notifyCustomer('order_completed', order, context));
+  }
+  return emails;
+};
+
+// order.sla_escalated: tell whoever the escalation level calls for
+const notifySlaEscalated = async ({ orderId, notifyUserIds }) => {
+  const order = await loadOrder(orderId);
+  return order ? notifyUsers('sla_breached', notifyUserIds || [], order) : [];
+};
+
+// Send one email now. Throws when SMTP isn't configured or the server refuses it.
+const sendEmail = async ({ to, subject, text }) => {
+  const transport = getMailTransport();
+  if (!transport) {
+    throw new NotificationError('Email is not configured (set SMTP_HOST)', 503, { code: 'email_disabled' });
+  }
+  return transport.sendMail({
+    from: mailFrom(), to, subject, text,
+  });
+};
+
+// A user's own notifications, newest first, with their unread count
+const listNotifications = async (userId, { unreadOnly, limit } = {}) => {
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.findAll({
+      where: { user_id: userId, ...(unreadOnly && { read_at: null }) },
+      include: [{ model: Order, as: 'order', attributes: ['id', 'woo_order_id', 'customer_name', 'status'] }],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: Math.min(parseInt(limit, 10) || 50, MAX_NOTIFICATIONS),
+    }),
+    Notification.count({ where: { user_id: userId, read_at: null } }),
+  ]);
+  return { unread_count: unreadCount, notifications };
+};
+
+const markRead = async (userId, id) => {
+  const notification = await Notification.findOne({ where: { id, user_id: userId } });
+  if (!notification) {
+    throw new NotificationError('Notification not found', 404);
+  }
+  if (!notification.read_at) {
+    await notification.update({ read_at: new Date() });
+  }
+  return notification;
+};
+
+const markAllRead = async (userId) => {
+  const [updated] = await Notification.update(
+    { read_at: new Date() },
+    { where: { user_id: userId, read_at: null } }
+  );
+  return { updated };
+};
+
+const staffTypes = () => Object.keys(NOTIFICATION_TYPES)
+  .filter((type) => NOTIFICATION_TYPES[type].audience === 'staff');
+
+// Channels per staff type, with the defaults filled in for types never changed
+const getPreferences = async (userId, { transaction } = {}) => {
+  const rows = await NotificationPreference.findAll({ where: { user_id: userId }, transaction });
+  return staffTypes().map((type) => {
+    const row = rows.find((r) => r.type === type);
+    const { label, defaults } = NOTIFICATION_TYPES[type];
+    return {
+      type,
+      label,
+      in_app: row ? row.in_app : defaults.in_app,
+      email: row ? row.email : defaults.email,
+    };
+  });
+};
+
+// preferences: [{ type, in_app?, email? }]; channels left out keep their value
+const updatePreferences = async (userId, preferences) => {
+  const unknown = preferences.filter((p) => !staffTypes().includes(p.type)).map((p) => p.type);
+  if (unknown.length) {
+    throw new NotificationError('Unknown notification type', 400, {
+      code: 'unknown_type',
+      unknown,
+      types: staffTypes(),
+    });
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const current = await getPreferences(userId, { transaction });
+    for (const preference of preferences) {
+      const existing = current.find((p) => p.type === preference.type);
+      await NotificationPreference.upsert({
+        user_id: userId,
+        type: preference.type,
+        in_app: preference.in_app === undefined ? existing.in_app : preference.in_app,
+        email: preference.email === undefined ? existing.email : preference.email,
+      }, { transaction });
+    }
+    return getPreferences(userId, { transaction });
+  });
+};
+
+// Every type with the template in effect and whether an admin changed it
+const listTemplates = async () => {
+  const custom = await NotificationTemplate.findAll({
+    include: [{ model: User, as: 'updatedBy', attributes: ['id', 'first_name', 'last_name'] }],
+  });
+  return Object.entries(NOTIFICATION_TYPES).map(([type, builtIn]) => {
+    const row = custom.find((t) => t.type === type);
+    return {
+      type,
+      label: builtIn.label,
+      audience: builtIn.audience,
+      subject: row ? row.subject : builtIn.subject,
+      body: row ? row.body : builtIn.body,
+      is_active: row ? row.is_active : true,
+      customized: !!row,
+      updated_by: row ? row.updatedBy : null,
+      updated_at: row ? row.updated_at : null,
+      variables: TEMPLATE_VARIABLES,
+    };
+  });
+};
+
+const updateTemplate = async (type, changes, user) => {
+  assertType(type);
+  const updates = pick(changes, TEMPLATE_FIELDS);
+  await sequelize.transaction(async (transaction) => {
+    const before = await getTemplate(type, { transaction });
+    await NotificationTemplate.upsert({
+      ...before, ...updates, type, updated_by: user.id,
+    }, { transaction });
+    await ActivityLog.create({
+      user_id: user.id,
+      action: 'notification_template_updated',
+      details: { type, changes: diffChanges(before, updates) },
+    }, { transaction });
+  });
+  return (await listTemplates()).find((template) => template.type === type);
+};
+
+// Go back to the built-in wording
+const resetTemplate = async (type, user) => {
+  assertType(type);
+  await sequelize.transaction(async (transaction) => {
+    const removed = await NotificationTemplate.destroy({ where: { type }, transaction });
+    if (removed) {
+      await ActivityLog.create({
+        user_id: user.id,
+        action: 'notification_template_reset',
+        details: { type },
+      }, { transaction });
+    }
+  });
+  return (await listTemplates()).find((template) => template.type === type);
+};
+
+// Render a type's template with sample data and email it to the admin
+const sendTestEmail = async (type, user) => {
+  assertType(type);
+  const message = renderTemplate(
+    await getTemplate(type),
+    orderVariables(SAMPLE_ORDER, { actor: user, from: 'ordered', reason: 'Sample reason' })
+  );
+  try {
+    await sendEmail({ to: user.email, ...message });
+  } catch (error) {
+    if (error instanceof NotificationError) throw error;
+    throw new NotificationError(`Email could not be sent: ${error.message}`, 502, { code: 'email_failed' });
+  }
+  return { sent: true, to: user.email };
+};
+
+module.exports = {
+  NotificationError,
+  NOTIFICATION_TYPES,
+  notifyOrderAssigned,
+  notifyStatusChanged,
+  notifySlaEscalated,
+  sendEmail,
+  listNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  listTemplates,
+  updateTemplate,
+  resetTemplate,
+  sendTestEmail,
+};
@@ -0,0 +1,181 @@
+jest.mock('../models', () => ({
+  sequelize: {
+    transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })),
+  },
+  Order: { findByPk: jest.fn() },
+  User: { findByPk: jest.fn(), findAll: jest.fn() },
+  OrderSla: {},
+  Notification: { bulkCreate: jest.fn() },
+  NotificationTemplate: { findByPk: jest.fn() },
+  NotificationPreference: { findAll: jest.fn(), upsert: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+}));
+jest.mock('../config/mail', () => ({
+  getMailTransport: jest.fn(),
+  mailFrom: jest.fn(() => 'buildroom@example.com'),
+}));
+jest.mock('./trackingService', () => ({
+  trackingUrl: jest.fn((orderId) => `http://localhost:3000/track/${orderId}.signature`),
+}));
+
+const {
+  Order, User, Notification, NotificationTemplate, NotificationPreference,
+} = require('../models');
+const { getMailTransport } = require('../config/mail');
+const { events } = require('./events');
+const notificationService = require('./notificationService');
+
+const mockOrder = (fields) => ({
+  id: 7,
+  woo_order_id: '1042',
+  customer_name: 'Ada Lovelace',
+  customer_email: 'ada@example.com',
+  status: 'in_progress',
+  assigned_to: 3,
+  tracking_number: null,
+  assignee: { first_name: 'Grace', last_name: 'Hopper' },
+  sla: null,
+  ...fields,
+});
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(events, 'emit').mockImplementation(() => true);
+  NotificationTemplate.findByPk.mockResolvedValue(null);
+  NotificationPreference.findAll.mockResolvedValue([]);
+  User.findByPk.mockResolvedValue({ id: 9, first_name: 'Alan', last_name: 'Turing' });
+  User.findAll.mockResolvedValue([{ id: 3, email: 'grace@example.com' }]);
+});
+
+describe('notifyOrderAssigned', () => {
+  it('renders the built-in template for the new assignee', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder());
+
+    const emails = await notificationService.notifyOrderAssigned({ orderId: 7, assignedTo: 3, userId: 9 });
+
+    expect(emails).toEqual([{
+      to: 'grace@example.com',
+      subject: 'Order #1042 assigned to you',
+      text: 'Alan Turing assigned order #1042 for Ada Lovelace to you.\n\nhttp://localhost:3000/orders/7',
+      type: 'order_assigned',
+      order_id: 7,
+      audience: 'staff',
+    }]);
+    expect(Notification.bulkCreate).toHaveBeenCalledWith([expect.objectContaining({
+      user_id: 3, type: 'order_assigned', title: 'Order #1042 assigned to you',
+    })]);
+    expect(events.emit).toHaveBeenCalledWith('notification.created', { userIds: [3] });
+  });
+
+  it('uses the admin template and renders unknown placeholders empty', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder());
+    NotificationTemplate.findByPk.mockResolvedValue({
+      subject: '{{ order_number }} for {{assignee_name}}', body: 'Hi{{nickname}}!', is_active: true,
+    });
+
+    const [email] = await notificationService.notifyOrderAssigned({ orderId: 7, assignedTo: 3, userId: 9 });
+
+    expect(email).toMatchObject({ subject: '1042 for Grace Hopper', text: 'Hi!' });
+  });
+
+  it('skips users who assigned the order to themselves', async () => {
+    expect(await notificationService.notifyOrderAssigned({ orderId: 7, assignedTo: 3, userId: 3 })).toEqual([]);
+    expect(Order.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('follows the user channel preferences', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder());
+    NotificationPreference.findAll.mockResolvedValue([{ user_id: 3, in_app: true, email: false }]);
+
+    expect(await notificationService.notifyOrderAssigned({ orderId: 7, assignedTo: 3, userId: 9 })).toEqual([]);
+    expect(Notification.bulkCreate).toHaveBeenCalled();
+  });
+
+  it('sends nothing for a disabled template', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder());
+    NotificationTemplate.findByPk.mockResolvedValue({ subject: 's', body: 'b', is_active: false });
+
+    expect(await notificationService.notifyOrderAssigned({ orderId: 7, assignedTo: 3, userId: 9 })).toEqual([]);
+    expect(Notification.bulkCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('notifyStatusChanged', () => {
+  it('uses the QA rejection type with its reason when sent back from QA', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder());
+
+    const [email] = await notificationService.notifyStatusChanged({
+      orderId: 7, from: 'qa_review', to: 'in_progress', userId: 9, notes: 'Missing sticker',
+    });
+
+    expect(email.type).toBe('qa_rejected');
+    expect(email.text).toContain('Reason: Missing sticker');
+  });
+
+  it('emails the customer once the order is complete', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'complete', tracking_number: '1Z999' }));
+    // The assignee keeps the default of in-app only for status changes
+    const emails = await notificationService.notifyStatusChanged({
+      orderId: 7, from: 'ready_to_deliver', to: 'complete', userId: 9,
+    });
+
+    expect(emails).toEqual([expect.objectContaining({
+      to: 'ada@example.com',
+      type: 'order_completed',
+      audience: 'customer',
+      text: expect.stringContaining('Tracking number: 1Z999'),
+    })]);
+    expect(emails[0].text).toContain('Order status: http://localhost:3000/track/7.signature');
+  });
+});
+
+describe('getPreferences', () => {
+  it('fills in the defaults for staff types the user never changed', async () => {
+    NotificationPreference.findAll.mockResolvedValue([{ type: 'order_assigned', in_app: false, email: false }]);
+
+    const preferences = await notificationService.getPreferences(3);
+
+    expect(preferences.map((p) => p.type)).toEqual(['order_assigned', 'order_status_changed', 'qa_rejected', 'sla_breached']);
+    expect(preferences[0]).toMatchObject({ in_app: false, email: false });
+    expect(preferences[1]).toMatchObject({ in_app: true, email: false });
+  });
+});
+
+describe('updatePreferences', () => {
+  it('keeps the current value of channels left out', async () => {
+    await notificationService.updatePreferences(3, [{ type: 'order_status_changed', email: true }]);
+
+    expect(NotificationPreference.upsert).toHaveBeenCalledWith({
+      user_id: 3, type: 'order_status_changed', in_app: true, email: true,
+    }, expect.anything());
+  });
+
+  it('rejects unknown and customer types with a 400', async () => {
+    const error = await rejection(notificationService.updatePreferences(3, [
+      { type: 'order_completed', email: false },
+      { type: 'bogus', email: false },
+    ]));
+
+    expect(error).toBeInstanceOf(notificationService.NotificationError);
+    expect(error.status).toBe(400);
+    expect(error.details.unknown).toEqual(['order_completed', 'bogus']);
+    expect(NotificationPreference.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendTestEmail', () => {
+  it('answers 503 while email is not configured', async () => {
+    getMailTransport.mockReturnValue(null);
+
+    const error = await rejection(notificationService.sendTestEmail('order_assigned', { id: 1, email: 'admin@example.com' }));
+
+    expect(error.status).toBe(503);
+    expect(error.details.code).toBe('email_disabled');
+  });
+});
@@ -0,0 +1,210 @@
+// Live board updates over WebSockets. Domain events are published to a Redis
+// channel so every backend instance sees them, and each instance forwards
+// them to its own connected clients. Messages are JSON { type, data, at }:
+//
+//   order.created        { order, user_id }
+//   order.moved          { order, from, to, user_id }
+//   order.assigned       { order, user_id }
+//   order.priority       { order, user_id }
+//   order.updated        { order }                      changed in WooCommerce
+//   checklist.progress   { order_id, system_id, system_status, checklist_id, progress, user_id }
+//   sla.escalated        { order, level, notify_user_ids }
+//   notification.created { user_ids }                   those users have new in-app notifications
+const { WebSocketServer, WebSocket } = require('ws');
+const { redis } = require('../config/redis');
+const { verifyAccessToken } = require('../middleware/auth');
+const {
+  Order, System, User, OrderSla,
+} = require('../models');
+const { events } = require('./events');
+
+const CHANNEL = 'board:events';
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Close codes clients use to decide whether to refresh their token first
+const CLOSE_TOKEN_EXPIRED = 4001;
+const CLOSE_UNAUTHORIZED = 4003;
+
+let wss;
+let subscriber;
+let heartbeat;
+
+// The order fields a board card needs
+const loadBoardOrder = (orderId) => Order.findByPk(orderId, {
+  attributes: { exclude: ['woo_snapshot'] },
+  include: [
+    { model: User, as: 'assignee', attributes: ['id', 'first_name', 'last_name', 'email'] },
+    { model: System, as: 'systems', attributes: ['id', 'status', 'system_type_id', 'assigned_to'] },
+    { model: OrderSla, as: 'sla' },
+  ],
+});
+
+const publish = (type, data) => redis.publish(CHANNEL, JSON.stringify({
+  type,
+  data,
+  at: new Date().toISOString(),
+}));
+
+// Listener that publishes the current state of the order an event refers to
+const forwardOrder = (type, extra = () => ({})) => async (payload) => {
+  try {
+    const order = await loadBoardOrder(payload.orderId);
+    if (order) {
+      await publish(type, { order, ...extra(payload) });
+    }
+  } catch (error) {
+    console.error(`Failed to publish ${type}:`, error.message);
+  }
+};
+
+const forwardChecklistProgress = async (payload) => {
+  try {
+    const system = await System.findByPk(payload.systemId, { attributes: ['id', 'status'] });
+    await publish('checklist.progress', {
+      order_id: payload.orderId,
+      system_id: payload.systemId,
+      system_status: system ? system.status : null,
+      checklist_id: payload.checklistId,
+      progress: payload.progress,
+      user_id: payload.userId,
+    });
+  } catch (error) {
+    console.error('Failed to publish checklist.progress:', error.message);
+  }
+};
+
+const registerForwarders = () => {
+  events.on('order.created', forwardOrder('order.created', (p) => ({ user_id: p.userId })));
+  events.on('order.status_changed', forwardOrder('order.moved', (p) => ({
+    from: p.from, to: p.to, user_id: p.userId,
+  })));
+  events.on('order.assigned', forwardOrder('order.assigned', (p) => ({ user_id: p.userId })));
+  events.on('order.priority_changed', forwardOrder('order.priority', (p) => ({ user_id: p.userId })));
+  events.on('order.updated', forwardOrder('order.updated'));
+  events.on('order.sla_escalated', forwardOrder('sla.escalated', (p) => ({
+    level: p.level, notify_user_ids: p.notifyUserIds,
+  })));
+  events.on('checklist.progress', forwardChecklistProgress);
+  events.on('notification.created', ({ userIds }) => {
+    publish('notification.created', { user_ids: userIds })
+      .catch((error) => console.error('Failed to publish notification.created:', error.message));
+  });
+  events.on('imaging.queue_changed', ({ userId }) => {
+    publish('imaging.queue', { user_id: userId })
+      .catch((error) => console.error('Failed to publish imaging.queue:', error.message));
+  });
+};
+
+const broadcast = (message) => {
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+};
+
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Browsers only report a rejected handshake as a generic 1006 close, so auth
+// failures complete the handshake and close with a code the client can act on
+const closeUnauthorized = (req, socket, head, code, reason) => {
+  wss.handleUpgrade(req, socket, head, (ws) => ws.close(code, reason));
+};
+
+// Browsers can't set headers on WebSocket requests, so the access token is
+// passed as ?token= and checked exactly like the Authorization header
+const handleUpgrade = async (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== WS_PATH) {
+    socket.destroy();
+    return;
+  }
+
+  const token = url.searchParams.get('token');
+  if (!token) {
+    closeUnauthorized(req, socket, head, CLOSE_UNAUTHORIZED, 'Unauthorized');
+    return;
+  }
+
+  let auth;
+  try {
+    auth = await verifyAccessToken(token);
+  } catch (error) {
+    console.error('WebSocket authentication failed:', error.message);
+    rejectUpgrade(socket, 500, 'Internal Server Error');
+    return;
+  }
+  if (auth.error) {
+    const expired = auth.error === 'Token expired';
+    closeUnauthorized(
+      req, socket, head,
+      expired ? CLOSE_TOKEN_EXPIRED : CLOSE_UNAUTHORIZED,
+      expired ? 'Token expired' : 'Unauthorized'
+    );
+    return;
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, auth));
+};
+
+const handleConnection = (ws, { user, decoded }) => {
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  // Drop the connection when the access token expires; the client reconnects
+  // with a refreshed token
+  const expiry = setTimeout(
+    () => ws.close(CLOSE_TOKEN_EXPIRED, 'Token expired'),
+    Math.max(decoded.exp * 1000 - Date.now(), 0)
+  );
+  ws.on('close', () => clearTimeout(expiry));
+
+  ws.send(JSON.stringify({ type: 'connected', data: { user_id: user.id }, at: new Date().toISOString() }));
+};
+
+// Attach the WebSocket endpoint to the HTTP server and start relaying events
+const attachWebSocketServer = async (server) => {
+  wss = new WebSocketServer({ noServer: true });
+  wss.on('connection', handleConnection);
+  server.on('upgrade', handleUpgrade);
+
+  subscriber = redis.duplicate();
+  subscriber.on('message', (channel, message) => broadcast(message));
+  await subscriber.subscribe(CHANNEL);
+
+  // Terminate clients that stopped answering pings
+  heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  registerForwarders();
+};
+
+const closeWebSocketServer = async () => {
+  if (!wss) {
+    return;
+  }
+  clearInterval(heartbeat);
+  wss.clients.forEach((ws) => ws.close(1001, 'Server shutting down'));
+  wss.close();
+  await subscriber.quit();
+};
+
+module.exports = {
+  WS_PATH,
+  attachWebSocketServer,
+  closeWebSocketServer,
+};
@@ -0,0 +1,575 @@
+// Report exports: order lists, completion reports (one row per system, with
+// serials, asset names and tracking numbers) and technician productivity, as
+// CSV, XLSX or PDF. Each export is a report_exports row and a file under
+// REPORTS_DIR, kept for REPORT_RETENTION_DAYS. Small exports are generated
+// during the request; larger ones and scheduled reports run as background
+// jobs (jobs/reports.js). Schedules produce the previous day, week or month
+// and email the file to their recipients.
+const fs = require('fs');
+const path = require('path');
+const { Op, QueryTypes } = require('sequelize');
+const {
+  sequelize, Order, System, SystemType, User, ActivityLog, ReportExport, ReportSchedule,
+} = require('../models');
+const { getMailTransport, mailFrom } = require('../config/mail');
+const { diffChanges } = require('./auditService');
+const analyticsService = require('./analyticsService');
+const { FORMATS } = require('./reportWriters');
+const { ServiceError } = require('./errors');
+const { pickFilled } = require('../utils/objects');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, '../../storage/reports');
+const RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS, 10) || 14;
+// Exports up to this many rows are generated inline instead of queued
+const SYNC_MAX_ROWS = parseInt(process.env.REPORT_SYNC_MAX_ROWS, 10) || 1000;
+// Larger attachments are left for recipients to download in the app
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXPORTS_LISTED = 50;
+
+const FREQUENCIES = {
+  daily: { unit: 'day', step: '1 day' },
+  weekly: { unit: 'week', step: '1 week' },
+  monthly: { unit: 'month', step: '1 month' },
+};
+// Scheduled reports run this long after their period ends, once the nightly
+// performance metrics rollup has covered its last day
+const SCHEDULE_DELAY = '3 hours';
+const SCHEDULE_FIELDS = ['name', 'report_type', 'format', 'frequency', 'filters', 'recipients', 'is_active'];
+const FILTER_FIELDS = ['status', 'department', 'system_type_id'];
+
+class ReportError extends ServiceError {}
+
+const formatDateTime = (value) => (value ? new Intl.DateTimeFormat('en-CA', {
+  timeZone: analyticsService.TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+}).format(new Date(value)).replace(',', '') : null);
+
+const personName = (user) => (user ? `${user.first_name} ${user.last_name}` : null);
+
+// An order's systems that match the system type filter, if any
+const matchingSystems = (order, filters) => (filters.system_type_id
+  ? order.systems.filter((system) => system.system_type_id === Number(filters.system_type_id))
+  : order.systems);
+
+// Orders narrowed by the report filters; the date column decides the range
+const orderWhere = async (filters, dateColumn) => {
+  const bounds = await analyticsService.rangeBounds(filters);
+  const where = {
+    [dateColumn]: { [Op.gte]: bounds.start, [Op.lt]: bounds.end },
+  };
+  if (filters.status) where.status = filters.status;
+  if (filters.department) where.customer_department = filters.department;
+  if (filters.system_type_id) {
+    where.id = {
+      [Op.in]: sequelize.literal(
+        `(SELECT order_id FROM systems WHERE system_type_id = ${sequelize.escape(Number(filters.system_type_id))})`
+      ),
+    };
+  }
+  return where;
+};
+
+const REPORT_TYPES = {
+  orders: {
+    label: 'Order list',
+    description: 'Orders received in the range',
+    filters: ['status', 'department', 'system_type_id'],
+    columns: [
+      { key: 'order_number', header: 'Order #', width: 10 },
+      { key: 'ordered_at', header: 'Ordered', width: 16 },
+      { key: 'customer', header: 'Customer', width: 22 },
+      { key: 'email', header: 'Email', width: 26 },
+      { key: 'department', header: 'Department', width: 22 },
+      { key: 'status', header: 'Status', width: 14 },
+      { key: 'priority', header: 'Priority', width: 8 },
+      { key: 'assignee', header: 'Assignee', width: 18 },
+      { key: 'systems', header: 'Systems', width: 8 },
+      { key: 'delivery_method', header: 'Delivery', width: 10 },
+      { key: 'completed_at', header: 'Completed', width: 16 },
+    ],
+    count: async (filters) => Order.count({ where: await orderWhere(filters, 'created_at') }),
+    load: async (filters) => {
+      const orders = await Order.findAll({
+        where: await orderWhere(filters, 'created_at'),
+        include: [
+          { model: User, as: 'assignee', attributes: ['first_name', 'last_name'] },
+          { model: System, as: 'systems', attributes: ['id'] },
+        ],
+        order: [['created_at', 'ASC']],
+      });
+      return orders.map((order) => ({
+        order_number: order.woo_order_id,
+        ordered_at: formatDateTime(order.order_date || order.created_at),
+        customer: order.customer_name,
+        email: order.customer_email,
+        department: order.customer_department,
+        status: order.status,
+        priority: order.priority,
+        assignee: personName(order.assignee),
+        systems: order.systems.length,
+        delivery_method: order.delivery_method,
+        completed_at: formatDateTime(order.completed_at),
+      }));
+    },
+  },
+
+  completion: {
+    label: 'Completion report',
+    description: 'Orders completed in the range, one row per system',
+    filters: ['department', 'system_type_id'],
+    columns: [
+      { key: 'order_number', header: 'Order #', width: 10 },
+      { key: 'completed_at', header: 'Completed', width: 16 },
+      { key: 'customer', header: 'Customer', width: 20 },
+      { key: 'department', header: 'Department', width: 20 },
+      { key: 'assignee', header: 'Technician', width: 16 },
+      { key: 'system_type', header: 'System type', width: 16 },
+      { key: 'serial_number', header: 'Serial', width: 16 },
+      { key: 'asset_name', header: 'Asset name', width: 16 },
+      { key: 'agiloft_asset_id', header: 'Agiloft asset', width: 14 },
+      { key: 'delivery_method', header: 'Delivery', width: 10 },
+      { key: 'tracking_number', header: 'Tracking #', width: 20 },
+    ],
+    // One row per matching system, or one for an order without any
+    count: async (filters) => {
+      const orders = await Order.findAll({
+        where: { ...(await orderWhere(filters, 'completed_at')), status: 'complete' },
+        attributes: ['id'],
+        include: [{ model: System, as: 'systems', attributes: ['system_type_id'] }],
+      });
+      return orders.reduce((rows, order) => rows + Math.max(matchingSystems(order, filters).length, 1), 0);
+    },
+    load: async (filters) => {
+      const orders = await Order.findAll({
+        where: { ...(await orderWhere(filters, 'completed_at')), status: 'complete' },
+        include: [
+          { model: User, as: 'assignee', attributes: ['first_name', 'last_name'] },
+          {
+            model: System,
+            as: 'systems',
+            attributes: ['id', 'system_type_id', 'serial_number', 'asset_name', 'agiloft_asset_id'],
+            include: [{ model: SystemType, as: 'systemType', attributes: ['name'] }],
+          },
+        ],
+        order: [['completed_at', 'ASC'], [{ model: System, as: 'systems' }, 'id', 'ASC']],
+      });
+      return orders.flatMap((order) => {
+        const base = {
+          order_number: order.woo_order_id,
+          completed_at: formatDateTime(order.completed_at),
+          customer: order.customer_name,
+          department: order.customer_department,
+          assignee: personName(order.assignee),
+          delivery_method: order.delivery_method,
+          tracking_number: order.tracking_number,
+        };
+        const systems = matchingSystems(order, filters);
+        if (!systems.length) return [base];
+        return systems.map((system) => ({
+          ...base,
+          system_type: system.systemType ? system.systemType.name : null,
+          serial_number: system.serial_number,
+          asset_name: system.asset_name,
+          agiloft_asset_id: system.agiloft_asset_id,
+        }));
+      });
+    },
+  },
+
+  technicians: {
+    label: 'Technician productivity',
+    description: 'Completed work per technician in the range',
+    filters: [],
+    columns: [
+      { key: 'technician', header: 'Technician', width: 22 },
+      { key: 'role', header: 'Role', width: 10 },
+      { key: 'days_active', header: 'Days active', width: 10 },
+      { key: 'orders_completed', header: 'Orders', width: 8 },
+      { key: 'systems_completed', header: 'Systems', width: 8 },
+      { key: 'steps_completed', header: 'Steps', width: 8 },
+      { key: 'weight_completed', header: 'Weight', width: 8 },
+      { key: 'avg_time_per_order', header: 'Avg min / order', width: 14 },
+      { key: 'avg_time_per_system', header: 'Avg min / system', width: 14 },
+    ],
+    count: async (filters) => (await analyticsService.getTechnicianProductivity(filters)).technicians.length,
+    load: async (filters) => {
+      const { technicians } = await analyticsService.getTechnicianProductivity(filters);
+      return technicians.map((row) => ({
+        technician: personName(row.user),
+        role: row.user.role,
+        days_active: row.days_active,
+        orders_completed: row.orders_completed,
+        systems_completed: row.systems_completed,
+        steps_completed: row.steps_completed,
+        weight_completed: row.weight_completed,
+        avg_time_per_order: row.avg_time_per_order,
+        avg_time_per_system: row.avg_time_per_system,
+      }));
+    },
+  },
+};
+
+const getReportTypes = () => ({
+  types: Object.entries(REPORT_TYPES).map(([type, report]) => ({
+    type, label: report.label, description: report.description, filters: report.filters,
+  })),
+  formats: Object.keys(FORMATS),
+  frequencies: Object.keys(FREQUENCIES),
+});
+
+const validateReport = ({ report_type: reportType, format }) => {
+  if (!REPORT_TYPES[reportType]) {
+    throw new ReportError('Unknown report type', 400, {
+      code: 'invalid_report_type', report_types: Object.keys(REPORT_TYPES),
+    });
+  }
+  if (!FORMATS[format]) {
+    throw new ReportError('Unknown format', 400, { code: 'invalid_format', formats: Object.keys(FORMATS) });
+  }
+};
+
+// Date range resolved up front so the export records exactly what it covers
+const resolveFilters = (reportType, filters = {}) => {
+  try {
+    return {
+      ...analyticsService.resolveRange(filters),
+      ...pickFilled(filters, REPORT_TYPES[reportType].filters),
+    };
+  } catch (error) {
+    if (error instanceof analyticsService.AnalyticsError) {
+      throw new ReportError(error.message, error.status, error.details);
+    }
+    throw error;
+  }
+};
+
+const exportPath = (reportExport) => path.join(
+  REPORTS_DIR, `${reportExport.id}.${FORMATS[reportExport.format].extension}`
+);
+
+const exportFileName = (reportExport) => {
+  const { from, to } = reportExport.filters;
+  const period = from === to ? from : `${from}_to_${to}`;
+  return `${reportExport.report_type}-report_${period}.${FORMATS[reportExport.format].extension}`;
+};
+
+// Queued export for a user's request (or a schedule); the caller generates
+// it inline or queues it depending on shouldQueue
+const createExport = async ({ report_type: reportType, format, filters }, user, scheduleId = null) => {
+  validateReport({ report_type: reportType, format });
+  return ReportExport.create({
+    report_type: reportType,
+    format,
+    filters: resolveFilters(reportType, filters),
+    status: 'queued',
+    requested_by: user ? user.id : null,
+    schedule_id: scheduleId,
+  });
+};
+
+// Whether an export is big enough to leave to a background job
+const shouldQueue = async (reportExport) => (
+  await REPORT_TYPES[reportExport.report_type].count(reportExport.filters)
+) > SYNC_MAX_ROWS;
+
+// Build the file for an export. Failures are recorded on the export and rethrown.
+const generateExport = async (exportId) => {
+  const reportExport = await ReportExport.findByPk(exportId);
+  if (!reportExport) {
+    throw new ReportError('Export not found', 404);
+  }
+  if (reportExport.status === 'complete') {
+    return reportExport;
+  }
+
+  await reportExport.update({ status: 'running', started_at: new Date(), error: null });
+  try {
+    const report = REPORT_TYPES[reportExport.report_type];
+    const rows = await report.load(reportExport.filters);
+    const { from, to } = reportExport.filters;
+    await fs.promises.mkdir(REPORTS_DIR, { recursive: true });
+    await FORMATS[reportExport.format].write(exportPath(reportExport), {
+      title: report.label,
+      subtitle: `${from === to ? from : `${from} to ${to}`} · generated ${formatDateTime(new Date())}`,
+      columns: report.columns,
+      rows,
+    });
+    const { size } = await fs.promises.stat(exportPath(reportExport));
+    const completedAt = new Date();
+    return reportExport.update({
+      status: 'complete',
+      file_name: exportFileName(reportExport),
+      file_size: size,
+      row_count: rows.length,
+      completed_at: completedAt,
+      expires_at: new Date(completedAt.getTime() + RETENTION_DAYS * DAY_MS),
+    });
+  } catch (error) {
+    await reportExport.update({ status: 'failed', error: error.message, completed_at: new Date() });
+    throw error;
+  }
+};
+
+// Exports a user can see: their own and every scheduled one, since schedule
+// recipients are sent to Reports for files too large to email. Admins see all.
+const visibleExportsWhere = (user) => (user.role === 'admin' ? {} : {
+  [Op.or]: [{ requested_by: user.id }, { schedule_id: { [Op.ne]: null } }],
+});
+const canSeeExport = (reportExport, user) => (
+  user.role === 'admin' || reportExport.requested_by === user.id || !!reportExport.schedule_id
+);
+
+// A user's recent exports, newest first
+const listExports = async (user) => ReportExport.findAll({
+  where: visibleExportsWhere(user),
+  include: [
+    { model: User, as: 'requestedBy', attributes: ['id', 'first_name', 'last_name'] },
+    { model: ReportSchedule, as: 'schedule', attributes: ['id', 'name'] },
+  ],
+  order: [['created_at', 'DESC'], ['id', 'DESC']],
+  limit: MAX_EXPORTS_LISTED,
+});
+
+const loadExport = async (id, user) => {
+  const reportExport = await ReportExport.findByPk(id);
+  // Someone else's export looks the same as a missing one
+  if (!reportExport || !canSeeExport(reportExport, user)) {
+    throw new ReportError('Export not found', 404);
+  }
+  return reportExport;
+};
+
+const getExport = (id, user) => loadExport(id, user);
+
+// Where to stream a finished export from
+const getExportFile = async (id, user) => {
+  const reportExport = await loadExport(id, user);
+  if (reportExport.status !== 'complete') {
+    throw new ReportError('The export is not ready', 409, { code: 'not_ready', status: reportExport.status });
+  }
+  const filePath = exportPath(reportExport);
+  if (reportExport.expires_at < new Date() || !fs.existsSync(filePath)) {
+    throw new ReportError('The export has expired', 410, { code: 'expired' });
+  }
+  return {
+    path: filePath,
+    fileName: reportExport.file_name,
+    contentType: FORMATS[reportExport.format].contentType,
+  };
+};
+
+// Drop exports past their retention along with their files
+const removeExpiredExports = async (now = new Date()) => {
+  const expired = await ReportExport.findAll({
+    where: {
+      [Op.or]: [
+        { expires_at: { [Op.lt]: now } },
+        // Failed exports have no file worth keeping
+        { status: 'failed', completed_at: { [Op.lt]: new Date(now.getTime() - RETENTION_DAYS * DAY_MS) } },
+      ],
+    },
+  });
+  await Promise.all(expired.map((reportExport) => fs.promises.rm(exportPath(reportExport), { force: true })));
+  await ReportExport.destroy({ where: { id: expired.map((reportExport) => reportExport.id) } });
+  return expired.length;
+};
+
+// Start of the next period in the analytics timezone, plus the delay
+const nextRunAt = async (frequency, after = new Date()) => {
+  const { unit, step } = FREQUENCIES[frequency];
+  const [row] = await sequelize.query(`
+    SELECT (date_trunc(:unit, CAST(:after AS timestamptz) AT TIME ZONE :tz)
+      + CAST(:step AS interval) + CAST(:delay AS interval)) AT TIME ZONE :tz AS next_run_at
+  `, {
+    type: QueryTypes.SELECT,
+    replacements: {
+      unit, step, after, tz: analyticsService.TIMEZONE, delay: SCHEDULE_DELAY,
+    },
+  });
+  return row.next_run_at;
+};
+
+// The full day, week or month before the one a run falls in
+const previousPeriod = (frequency, runAt) => {
+  const today = analyticsService.localDateString(runAt);
+  const to = analyticsService.addDays(today, -1);
+  if (frequency === 'daily') {
+    return { from: to, to };
+  }
+  if (frequency === 'weekly') {
+    return { from: analyticsService.addDays(to, -6), to };
+  }
+  return { from: `${to.slice(0, 7)}-01`, to };
+};
+
+const validateSchedule = (fields) => {
+  validateReport(fields);
+  if (!FREQUENCIES[fields.frequency]) {
+    throw new ReportError('Unknown frequency', 400, {
+      code: 'invalid_frequency', frequencies: Object.keys(FREQUENCIES),
+    });
+  }
+};
+
+const logScheduleActivity = (user, action, schedule, details, transaction) => ActivityLog.create({
+  user_id: user.id,
+  action,
+  details: { schedule_id: schedule.id, ...details },
+}, { transaction });
+
+const loadSchedule = async (id, options = {}) => {
+  const schedule = await ReportSchedule.findByPk(id, options);
+  if (!schedule) {
+    throw new ReportError('Schedule not found', 404);
+  }
+  return schedule;
+};
+
+const scheduleFields = (data) => {
+  const fields = SCHEDULE_FIELDS.reduce((picked, field) => (
+    data[field] === undefined ? picked : { ...picked, [field]: data[field] }
+  ), {});
+  if (fields.filters) {
+    fields.filters = pickFilled(fields.filters, FILTER_FIELDS);
+  }
+  return fields;
+};
+
+const listSchedules = () => ReportSchedule.findAll({
+  include: [{ model: User, as: 'creator', attributes: ['id', 'first_name', 'last_name'] }],
+  order: [['name', 'ASC']],
+});
+
+const createSchedule = async (data, user) => {
+  const fields = scheduleFields(data);
+  validateSchedule(fields);
+  const next = await nextRunAt(fields.frequency);
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await ReportSchedule.create({
+      ...fields, next_run_at: next, created_by: user.id,
+    }, { transaction });
+    await logScheduleActivity(user, 'report_schedule_created', schedule, {
+      name: schedule.name, report_type: schedule.report_type, frequency: schedule.frequency,
+    }, transaction);
+    return schedule;
+  });
+};
+
+const updateSchedule = async (id, changes, user) => sequelize.transaction(async (transaction) => {
+  const schedule = await loadSchedule(id, { transaction });
+  const updates = scheduleFields(changes);
+  validateSchedule({ ...schedule.get(), ...updates });
+  if (updates.frequency && updates.frequency !== schedule.frequency) {
+    updates.next_run_at = await nextRunAt(updates.frequency);
+  }
+  await logScheduleActivity(user, 'report_schedule_updated', schedule, {
+    changes: diffChanges(schedule, updates),
+  }, transaction);
+  return schedule.update(updates, { transaction });
+});
+
+const deleteSchedule = async (id, user) => sequelize.transaction(async (transaction) => {
+  const schedule = await loadSchedule(id, { transaction });
+  await logScheduleActivity(user, 'report_schedule_deleted', schedule, { name: schedule.name }, transaction);
+  await schedule.destroy({ transaction });
+  return { deleted: true };
+});
+
+// Export of a schedule's report for the period before `runAt`, listed
+// under `user` (by default whoever created the schedule)
+const createScheduledExport = async (schedule, runAt = new Date(), user = null) => createExport({
+  report_type: schedule.report_type,
+  format: schedule.format,
+  filters: { ...schedule.filters, ...previousPeriod(schedule.frequency, runAt) },
+}, user || (schedule.created_by ? { id: schedule.created_by } : null), schedule.id);
+
+// Exports for every active schedule that is due, moving each to its next
+// run. The caller queues the returned exports.
+const claimDueSchedules = async (now = new Date()) => {
+  const due = await ReportSchedule.findAll({
+    where: { is_active: true, next_run_at: { [Op.lte]: now } },
+  });
+  const exports = [];
+  for (const schedule of due) {
+    const next = await nextRunAt(schedule.frequency, now);
+    // Claim before creating so an overlapping run skips it
+    const [claimed] = await ReportSchedule.update(
+      { next_run_at: next, last_run_at: now },
+      { where: { id: schedule.id, next_run_at: schedule.next_run_at } }
+    );
+    if (claimed) {
+      exports.push(await createScheduledExport(schedule, now));
+    }
+  }
+  return exports;
+};
+
+// Run a schedule now, outside its timetable, for the period up to yesterday
+const runScheduleNow = async (id, user) => {
+  const schedule = await loadSchedule(id);
+  return createScheduledExport(schedule, new Date(), user);
+};
+
+// Email a scheduled export to its schedule's recipients
+const deliverScheduledExport = async (exportId) => {
+  const reportExport = await ReportExport.findByPk(exportId, {
+    include: [{ model: ReportSchedule, as: 'schedule' }],
+  });
+  if (!reportExport || !reportExport.schedule || !reportExport.schedule.recipients.length) {
+    return { sent: false };
+  }
+  const transport = getMailTransport();
+  if (!transport) {
+    return { sent: false, reason: 'email_disabled' };
+  }
+
+  const { schedule } = reportExport;
+  const { from, to } = reportExport.filters;
+  const attach = reportExport.file_size <= MAX_ATTACHMENT_BYTES;
+  const text = [
+    `${schedule.name}: ${REPORT_TYPES[reportExport.report_type].label} for ${from === to ? from : `${from} to ${to}`}.`,
+    `${reportExport.row_count} rows.`,
+    attach
+      ? 'The report is attached.'
+      : `The report is too large to attach; download it from Reports in Buildroom Workflow: ${FRONTEND_URL}/reports`,
+  ].join('\n');
+  await transport.sendMail({
+    from: mailFrom(),
+    to: schedule.recipients,
+    subject: `${schedule.name} (${from === to ? from : `${from} to ${to}`})`,
+    text,
+    attachments: attach ? [{
+      filename: reportExport.file_name,
+      path: exportPath(reportExport),
+      contentType: FORMATS[reportExport.format].contentType,
+    }] : [],
+  });
+  return { sent: true, recipients: schedule.recipients.length };
+};
+
+module.exports = {
+  ReportError,
+  REPORT_TYPES,
+  getReportTypes,
+  createExport,
+  shouldQueue,
+  generateExport,
+  listExports,
+  getExport,
+  getExportFile,
+  removeExpiredExports,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  claimDueSchedules,
+  runScheduleNow,
+  deliverScheduledExport,
+};
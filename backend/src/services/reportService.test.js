@@ -0,0 +1,225 @@
+jest.mock('../models', () => ({
+  sequelize: {
+    query: jest.fn(),
+    escape: jest.fn(String),
+    literal: jest.fn((sql) => sql),
+    transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })),
+  },
+  Order: { count: jest.fn(), findAll: jest.fn() },
+  System: {},
+  SystemType: {},
+  User: { findAll: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+  PerformanceMetric: { findAll: jest.fn() },
+  ReportExport: { create: jest.fn((fields) => ({ id: 5, ...fields })), findAll: jest.fn(), findByPk: jest.fn() },
+  ReportSchedule: { findAll: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+}));
+jest.mock('../config/mail', () => ({
+  getMailTransport: jest.fn(),
+  mailFrom: jest.fn(() => 'buildroom@example.com'),
+}));
+
+const { Op } = require('sequelize');
+const {
+  sequelize, Order, ReportExport, ReportSchedule,
+} = require('../models');
+const { getMailTransport } = require('../config/mail');
+const analyticsService = require('./analyticsService');
+const reportService = require('./reportService');
+
+const NEXT_RUN = new Date('2024-03-16T03:00:00Z');
+
+const mockSchedule = (fields) => ({
+  id: 2,
+  name: 'Weekly completions',
+  report_type: 'completion',
+  format: 'csv',
+  frequency: 'weekly',
+  filters: { department: 'Finance' },
+  recipients: ['lead@example.com'],
+  created_by: 4,
+  next_run_at: new Date('2024-03-15T03:00:00Z'),
+  ...fields,
+});
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sequelize.query.mockResolvedValue([{ next_run_at: NEXT_RUN }]);
+});
+
+describe('scheduled periods', () => {
+  // Runs a schedule at runAt and resolves to the range its export covers
+  const periodAt = async (frequency, runAt) => {
+    ReportSchedule.findByPk.mockResolvedValue(mockSchedule({ frequency }));
+    jest.useFakeTimers({ now: runAt });
+    try {
+      const reportExport = await reportService.runScheduleNow(2, { id: 1 });
+      return { from: reportExport.filters.from, to: reportExport.filters.to };
+    } finally {
+      jest.useRealTimers();
+    }
+  };
+
+  it('covers the day, the seven days or the month before the run', async () => {
+    const runAt = new Date('2024-03-15T03:00:00Z');
+
+    expect(await periodAt('daily', runAt)).toEqual({ from: '2024-03-14', to: '2024-03-14' });
+    expect(await periodAt('weekly', runAt)).toEqual({ from: '2024-03-08', to: '2024-03-14' });
+    expect(await periodAt('monthly', runAt)).toEqual({ from: '2024-03-01', to: '2024-03-14' });
+  });
+
+  it('covers the whole previous month when run on the first', async () => {
+    expect(await periodAt('monthly', new Date('2024-03-01T03:00:00Z')))
+      .toEqual({ from: '2024-02-01', to: '2024-02-29' });
+  });
+
+  it('keeps the schedule filters and lists the export under whoever ran it', async () => {
+    ReportSchedule.findByPk.mockResolvedValue(mockSchedule());
+
+    await reportService.runScheduleNow(2, { id: 1 });
+
+    expect(ReportExport.create).toHaveBeenCalledWith(expect.objectContaining({
+      report_type: 'completion',
+      filters: expect.objectContaining({ department: 'Finance' }),
+      requested_by: 1,
+      schedule_id: 2,
+    }));
+  });
+});
+
+describe('claimDueSchedules', () => {
+  const now = new Date('2024-03-15T03:00:00Z');
+
+  it('moves each due schedule to the next run after now and exports it', async () => {
+    ReportSchedule.findAll.mockResolvedValue([mockSchedule()]);
+    ReportSchedule.update.mockResolvedValue([1]);
+
+    const exports = await reportService.claimDueSchedules(now);
+
+    expect(sequelize.query.mock.calls[0][1].replacements).toMatchObject({
+      unit: 'week', step: '1 week', after: now, delay: '3 hours',
+    });
+    expect(ReportSchedule.update).toHaveBeenCalledWith(
+      { next_run_at: NEXT_RUN, last_run_at: now },
+      { where: { id: 2, next_run_at: new Date('2024-03-15T03:00:00Z') } }
+    );
+    expect(exports).toEqual([expect.objectContaining({ schedule_id: 2, requested_by: 4 })]);
+  });
+
+  it('skips schedules an overlapping run already claimed', async () => {
+    ReportSchedule.findAll.mockResolvedValue([mockSchedule()]);
+    ReportSchedule.update.mockResolvedValue([0]);
+
+    expect(await reportService.claimDueSchedules(now)).toEqual([]);
+    expect(ReportExport.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('createExport', () => {
+  it('rejects unknown report types and formats', async () => {
+    const type = await rejection(reportService.createExport({ report_type: 'revenue', format: 'csv' }, { id: 1 }));
+    const format = await rejection(reportService.createExport({ report_type: 'orders', format: 'docx' }, { id: 1 }));
+
+    expect(type).toBeInstanceOf(reportService.ReportError);
+    expect(type.details.code).toBe('invalid_report_type');
+    expect(format.details.code).toBe('invalid_format');
+  });
+
+  it('reports an invalid range as a report error', async () => {
+    const error = await rejection(reportService.createExport({
+      report_type: 'orders', format: 'csv', filters: { from: '2024-03-10', to: '2024-03-01' },
+    }, { id: 1 }));
+
+    expect(error).toBeInstanceOf(reportService.ReportError);
+    expect(error.status).toBe(400);
+    expect(error.details.code).toBe('invalid_range');
+  });
+
+  it('records the resolved range and drops empty or unsupported filters', async () => {
+    const reportExport = await reportService.createExport({
+      report_type: 'completion',
+      format: 'xlsx',
+      filters: {
+        from: '2024-03-01', to: '2024-03-10', status: 'complete', department: '', system_type_id: 3,
+      },
+    }, { id: 1 });
+
+    expect(reportExport.filters).toEqual({ from: '2024-03-01', to: '2024-03-10', system_type_id: 3 });
+  });
+});
+
+describe('row counts', () => {
+  it('counts a completion row per matching system, and one for an order without any', async () => {
+    Order.findAll.mockResolvedValue([
+      { id: 1, systems: [{ system_type_id: 3 }, { system_type_id: 3 }, { system_type_id: 4 }] },
+      { id: 2, systems: [] },
+    ]);
+
+    expect(await reportService.REPORT_TYPES.completion.count({ from: '2024-03-01', to: '2024-03-10' })).toBe(4);
+    expect(await reportService.REPORT_TYPES.completion.count({
+      from: '2024-03-01', to: '2024-03-10', system_type_id: 3,
+    })).toBe(3);
+  });
+
+  it('counts a technician row per technician with completed work', async () => {
+    jest.spyOn(analyticsService, 'getTechnicianProductivity').mockResolvedValue({ technicians: [{}, {}] });
+
+    expect(await reportService.REPORT_TYPES.technicians.count({ from: '2024-03-01', to: '2024-03-10' })).toBe(2);
+    analyticsService.getTechnicianProductivity.mockRestore();
+  });
+});
+
+describe('export access', () => {
+  const manager = { id: 3, role: 'manager' };
+
+  it('shows managers their own exports and every scheduled one', async () => {
+    ReportExport.findAll.mockResolvedValue([]);
+
+    await reportService.listExports(manager);
+
+    expect(ReportExport.findAll.mock.calls[0][0].where).toEqual({
+      [Op.or]: [{ requested_by: 3 }, { schedule_id: { [Op.ne]: null } }],
+    });
+  });
+
+  it('lets managers open scheduled exports requested by someone else', async () => {
+    ReportExport.findByPk.mockResolvedValue({ id: 5, requested_by: 4, schedule_id: 2 });
+
+    expect(await reportService.getExport(5, manager)).toMatchObject({ id: 5 });
+  });
+
+  it('hides other users\' one-off exports', async () => {
+    ReportExport.findByPk.mockResolvedValue({ id: 5, requested_by: 4, schedule_id: null });
+
+    const error = await rejection(reportService.getExport(5, manager));
+
+    expect(error).toBeInstanceOf(reportService.ReportError);
+    expect(error.status).toBe(404);
+  });
+
+  it('links recipients to Reports when the file is too large to attach', async () => {
+    const sendMail = jest.fn().mockResolvedValue({});
+    getMailTransport.mockReturnValue({ sendMail });
+    ReportExport.findByPk.mockResolvedValue({
+      id: 5,
+      report_type: 'completion',
+      format: 'csv',
+      filters: { from: '2024-03-08', to: '2024-03-14' },
+      row_count: 90000,
+      file_size: 50 * 1024 * 1024,
+      file_name: 'completion-report.csv',
+      schedule: mockSchedule(),
+    });
+
+    await reportService.deliverScheduledExport(5);
+
+    expect(sendMail.mock.calls[0][0].attachments).toEqual([]);
+    expect(sendMail.mock.calls[0][0].text).toContain('http://localhost:3000/reports');
+  });
+});
@@ -0,0 +1,124 @@
+// Writes a report ({ title, subtitle, columns: [{ key, header, width }], rows })
+// to a file as CSV, XLSX or PDF. Values are expected to be strings, numbers
+// or null; width is a rough column width in characters.
+const fs = require('fs');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeLine = async (stream, line) => {
+  if (!stream.write(`${line}\r\n`)) {
+    await once(stream, 'drain');
+  }
+};
+
+const writeCsv = async (filePath, report) => {
+  const stream = fs.createWriteStream(filePath);
+  // BOM so Excel opens the file as UTF-8
+  stream.write('﻿');
+  await writeLine(stream, report.columns.map((column) => csvCell(column.header)).join(','));
+  for (const row of report.rows) {
+    await writeLine(stream, report.columns.map((column) => csvCell(row[column.key])).join(','));
+  }
+  stream.end();
+  await once(stream, 'finish');
+};
+
+// Streamed so large reports aren't built up in memory
+const writeXlsx = async (filePath, report) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
+  const sheet = workbook.addWorksheet(report.title.slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+  sheet.columns = report.columns.map((column) => ({
+    header: column.header, key: column.key, width: column.width,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  report.rows.forEach((row) => sheet.addRow(row).commit());
+  sheet.commit();
+  await workbook.commit();
+};
+
+const PDF_MARGIN = 36;
+const PDF_FONT_SIZE = 7;
+const PDF_ROW_HEIGHT = 12;
+
+// A plain table on landscape pages, header repeated on each page. Cells that
+// don't fit their column are cut off with an ellipsis.
+const writePdf = async (filePath, report) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN });
+  const stream = fs.createWriteStream(filePath);
+  doc.pipe(stream);
+
+  const tableWidth = doc.page.width - PDF_MARGIN * 2;
+  const totalWidth = report.columns.reduce((sum, column) => sum + column.width, 0);
+  let x = PDF_MARGIN;
+  const columns = report.columns.map((column) => {
+    const width = (column.width / totalWidth) * tableWidth;
+    const placed = { ...column, x, width };
+    x += width;
+    return placed;
+  });
+
+  const drawRow = (values, y, font) => {
+    doc.font(font).fontSize(PDF_FONT_SIZE);
+    columns.forEach((column, index) => {
+      const value = values[index];
+      doc.text(value === null || value === undefined ? '' : String(value), column.x, y, {
+        width: column.width - 4, height: PDF_ROW_HEIGHT, lineBreak: false, ellipsis: true,
+      });
+    });
+  };
+
+  const bottom = doc.page.height - PDF_MARGIN;
+  const drawHeader = (y) => {
+    drawRow(columns.map((column) => column.header), y, 'Helvetica-Bold');
+    doc.moveTo(PDF_MARGIN, y + PDF_ROW_HEIGHT - 2).lineTo(PDF_MARGIN + tableWidth, y + PDF_ROW_HEIGHT - 2).stroke();
+    return y + PDF_ROW_HEIGHT;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(14).text(report.title, PDF_MARGIN, PDF_MARGIN);
+  if (report.subtitle) {
+    doc.font('Helvetica').fontSize(9).text(report.subtitle);
+  }
+  let y = drawHeader(doc.y + 10);
+  report.rows.forEach((row) => {
+    if (y + PDF_ROW_HEIGHT > bottom) {
+      doc.addPage();
+      y = drawHeader(PDF_MARGIN);
+    }
+    drawRow(columns.map((column) => row[column.key]), y, 'Helvetica');
+    y += PDF_ROW_HEIGHT;
+  });
+  if (!report.rows.length) {
+    doc.font('Helvetica-Oblique').fontSize(PDF_FONT_SIZE).text('No rows', PDF_MARGIN, y);
+  }
+
+  doc.end();
+  await once(stream, 'finish');
+};
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    write: writeXlsx,
+  },
+  pdf: { extension: 'pdf', contentType: 'application/pdf', write: writePdf },
+};
+
+module.exports = { FORMATS };
@@ -0,0 +1,267 @@
+// Service level targets for how long an order may sit in a status. Policies
+// match on status and optionally priority and delivery method; the most
+// specific active one applies. Each open order covered by a policy has an
+// order_slas row with its deadlines for the current status, synced in the
+// same transaction as status, priority and delivery changes and again by the
+// scheduled check. Once past the deadline the assignee is notified (level 1),
+// then managers after the policy's manager_escalation_hours (level 2);
+// unassigned orders go straight to managers.
+const { Op } = require('sequelize');
+const {
+  sequelize, Order, OrderSla, SlaPolicy, User, ActivityLog,
+} = require('../models');
+const { events } = require('./events');
+const { diffChanges } = require('./auditService');
+const { ServiceError } = require('./errors');
+const { pick } = require('../utils/objects');
+
+const POLICY_FIELDS = [
+  'name', 'status', 'priority', 'delivery_method', 'target_hours', 'at_risk_percent',
+  'manager_escalation_hours', 'is_active',
+];
+const CLOSED_ORDER_STATUSES = ['complete', 'cancelled'];
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_MANAGER_ESCALATION_HOURS = 24;
+
+class SlaError extends ServiceError {}
+
+// Most specific matching policy: priority and delivery method beat priority
+// only, which beats delivery method only, which beats neither
+const findPolicy = (order, policies) => {
+  const matches = policies.filter((policy) => (
+    policy.status === order.status
+    && (policy.priority === null || policy.priority === order.priority)
+    && (policy.delivery_method === null || policy.delivery_method === order.delivery_method)
+  ));
+  const score = (policy) => (policy.priority !== null ? 2 : 0) + (policy.delivery_method !== null ? 1 : 0);
+  return matches.reduce((best, policy) => (
+    !best || score(policy) > score(best) ? policy : best
+  ), null);
+};
+
+const deadlinesFor = (policy, startedAt) => {
+  const start = new Date(startedAt).getTime();
+  const targetMs = Number(policy.target_hours) * HOUR_MS;
+  return {
+    at_risk_at: new Date(start + (targetMs * policy.at_risk_percent) / 100),
+    due_at: new Date(start + targetMs),
+  };
+};
+
+// Bring an order's SLA row in line with its current status and the policies.
+// Escalation starts over when the order changes status or its deadline moves
+// back into the future. Resolves to the row, or null when no policy applies.
+const syncOrderSla = async (orderId, { transaction } = {}) => {
+  const order = await Order.findByPk(orderId, {
+    attributes: ['id', 'status', 'priority', 'delivery_method', 'status_changed_at', 'created_at'],
+    include: [{ model: OrderSla, as: 'sla' }],
+    transaction,
+  });
+  if (!order) {
+    return null;
+  }
+
+  const policy = CLOSED_ORDER_STATUSES.includes(order.status) ? null : findPolicy(
+    order,
+    await SlaPolicy.findAll({ where: { status: order.status, is_active: true }, transaction })
+  );
+  if (!policy) {
+    if (order.sla) {
+      await order.sla.destroy({ transaction });
+    }
+    return null;
+  }
+
+  const startedAt = order.status_changed_at || order.created_at;
+  const deadlines = deadlinesFor(policy, startedAt);
+  const sameClock = order.sla && order.sla.status === order.status
+    && new Date(order.sla.started_at).getTime() === new Date(startedAt).getTime();
+  const values = {
+    policy_id: policy.id,
+    status: order.status,
+    started_at: startedAt,
+    ...deadlines,
+    ...((!sameClock || deadlines.due_at > new Date()) && {
+      escalation_level: 0, breached_at: null, escalated_at: null,
+    }),
+  };
+
+  if (order.sla) {
+    return order.sla.update(values, { transaction });
+  }
+  return OrderSla.create({ order_id: order.id, ...values }, { transaction });
+};
+
+// Re-sync every open order, e.g. after policies change. Resolves to the
+// number of orders now covered by a policy.
+const syncOpenOrders = async () => {
+  const orders = await Order.findAll({
+    attributes: ['id'],
+    where: { status: { [Op.notIn]: CLOSED_ORDER_STATUSES } },
+  });
+  let covered = 0;
+  for (const order of orders) {
+    if (await sequelize.transaction((transaction) => syncOrderSla(order.id, { transaction }))) {
+      covered += 1;
+    }
+  }
+  // Orders closed outside the usual paths no longer have an SLA
+  const closed = await OrderSla.findAll({
+    attributes: ['order_id'],
+    include: [{ model: Order, as: 'order', attributes: [], where: { status: CLOSED_ORDER_STATUSES } }],
+  });
+  if (closed.length) {
+    await OrderSla.destroy({ where: { order_id: closed.map((sla) => sla.order_id) } });
+  }
+  return covered;
+};
+
+// Escalate one breached order a level if it is due. Resolves to what was done, or null.
+const escalateOrder = async (orderId, now) => sequelize.transaction(async (transaction) => {
+  const sla = await OrderSla.findByPk(orderId, {
+    include: [
+      { model: Order, as: 'order', attributes: ['id', 'woo_order_id', 'status', 'assigned_to'] },
+      { model: SlaPolicy, as: 'policy' },
+    ],
+    lock: { level: transaction.LOCK.UPDATE, of: OrderSla },
+    transaction,
+  });
+  if (!sla || sla.due_at > now || sla.escalation_level >= 2 || sla.order.status !== sla.status) {
+    return null;
+  }
+
+  const managerAfterHours = sla.policy
+    ? Number(sla.policy.manager_escalation_hours)
+    : DEFAULT_MANAGER_ESCALATION_HOURS;
+  const managersDue = now.getTime() >= new Date(sla.due_at).getTime() + managerAfterHours * HOUR_MS;
+
+  let level;
+  if (sla.escalation_level === 0) {
+    level = sla.order.assigned_to ? 1 : 2;
+  } else if (managersDue) {
+    level = 2;
+  } else {
+    return null;
+  }
+
+  const notifyUserIds = level === 1
+    ? [sla.order.assigned_to]
+    : (await User.findAll({
+      where: { role: 'manager', is_active: true }, attributes: ['id'], transaction,
+    })).map((user) => user.id);
+
+  const action = sla.escalation_level === 0 ? 'sla_breached' : 'sla_escalated';
+  await ActivityLog.create({
+    order_id: sla.order_id,
+    action,
+    details: {
+      level,
+      status: sla.status,
+      policy_id: sla.policy_id,
+      policy_name: sla.policy ? sla.policy.name : null,
+      due_at: sla.due_at,
+      notified_user_ids: notifyUserIds,
+      reason: level === 1 ? 'Assignee notified' : 'Managers notified',
+    },
+  }, { transaction });
+  await sla.update({
+    escalation_level: level,
+    breached_at: sla.breached_at || now,
+    escalated_at: now,
+  }, { transaction });
+
+  transaction.afterCommit(() => events.emit('order.sla_escalated', {
+    orderId: sla.order_id, level, status: sla.status, notifyUserIds,
+  }));
+  return { order_id: sla.order_id, action, level };
+});
+
+// The scheduled check: re-sync deadlines, then escalate what is overdue
+const runSlaCheck = async ({ now = new Date() } = {}) => {
+  const covered = await syncOpenOrders();
+  const overdue = await OrderSla.findAll({
+    attributes: ['order_id'],
+    where: { due_at: { [Op.lte]: now }, escalation_level: { [Op.lt]: 2 } },
+  });
+
+  const report = { covered, escalations: [], errors: [] };
+  for (const { order_id: orderId } of overdue) {
+    try {
+      const escalation = await escalateOrder(orderId, now);
+      if (escalation) {
+        report.escalations.push(escalation);
+      }
+    } catch (error) {
+      report.errors.push({ order_id: orderId, error: error.message });
+    }
+  }
+  return report;
+};
+
+const validatePolicy = (policy) => {
+  if (!Order.STATUSES.includes(policy.status) || CLOSED_ORDER_STATUSES.includes(policy.status)) {
+    throw new SlaError('SLA policies apply to open statuses only', 400, {
+      code: 'invalid_status',
+      statuses: Order.STATUSES.filter((status) => !CLOSED_ORDER_STATUSES.includes(status)),
+    });
+  }
+};
+
+const loadPolicy = async (id, { transaction } = {}) => {
+  const policy = await SlaPolicy.findByPk(id, { transaction });
+  if (!policy) {
+    throw new SlaError('SLA policy not found', 404);
+  }
+  return policy;
+};
+
+const listPolicies = () => SlaPolicy.findAll({
+  order: [['status', 'ASC'], ['priority', 'ASC NULLS LAST'], ['delivery_method', 'ASC NULLS LAST'], ['id', 'ASC']],
+});
+
+const logPolicyActivity = (user, action, policy, details, transaction) => ActivityLog.create({
+  user_id: user.id,
+  action,
+  details: { policy_id: policy.id, ...details },
+}, { transaction });
+
+const createPolicy = async (data, user) => {
+  const fields = pick(data, POLICY_FIELDS);
+  validatePolicy(fields);
+  return sequelize.transaction(async (transaction) => {
+    const policy = await SlaPolicy.create({ ...fields, created_by: user.id }, { transaction });
+    await logPolicyActivity(user, 'sla_policy_created', policy, fields, transaction);
+    return policy;
+  });
+};
+
+const updatePolicy = async (id, changes, user) => sequelize.transaction(async (transaction) => {
+  const policy = await loadPolicy(id, { transaction });
+  const updates = pick(changes, POLICY_FIELDS);
+  validatePolicy({ ...policy.get(), ...updates });
+  await logPolicyActivity(user, 'sla_policy_updated', policy, {
+    changes: diffChanges(policy, updates),
+  }, transaction);
+  return policy.update(updates, { transaction });
+});
+
+const deletePolicy = async (id, user) => sequelize.transaction(async (transaction) => {
+  const policy = await loadPolicy(id, { transaction });
+  await logPolicyActivity(user, 'sla_policy_deleted', policy, {
+    name: policy.name, status: policy.status,
+  }, transaction);
+  await policy.destroy({ transaction });
+  return { deleted: true };
+});
+
+module.exports = {
+  SlaError,
+  findPolicy,
+  syncOrderSla,
+  syncOpenOrders,
+  runSlaCheck,
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+};
@@ -0,0 +1,204 @@
+jest.mock('../models', () => ({
+  sequelize: {
+    transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })),
+  },
+  Order: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    STATUSES: ['ordered', 'in_progress', 'qa_review', 'ready_to_deliver', 'complete', 'cancelled'],
+  },
+  OrderSla: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    destroy: jest.fn(),
+  },
+  SlaPolicy: { findAll: jest.fn(), create: jest.fn() },
+  User: { findAll: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+}));
+
+const {
+  Order, OrderSla, SlaPolicy, User, ActivityLog,
+} = require('../models');
+const { events } = require('./events');
+const slaService = require('./slaService');
+
+const HOUR = 3600000;
+
+const mockPolicy = (fields) => ({
+  id: 1,
+  name: 'In progress',
+  status: 'in_progress',
+  priority: null,
+  delivery_method: null,
+  target_hours: '48',
+  at_risk_percent: 75,
+  manager_escalation_hours: '24',
+  ...fields,
+});
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(events, 'emit').mockImplementation(() => true);
+});
+
+describe('findPolicy', () => {
+  const order = { status: 'in_progress', priority: 2, delivery_method: 'shipping' };
+
+  it('prefers priority and delivery method over priority over delivery method', () => {
+    const general = mockPolicy({ id: 1 });
+    const delivery = mockPolicy({ id: 2, delivery_method: 'shipping' });
+    const priority = mockPolicy({ id: 3, priority: 2 });
+    const both = mockPolicy({ id: 4, priority: 2, delivery_method: 'shipping' });
+
+    expect(slaService.findPolicy(order, [general, delivery, priority, both])).toBe(both);
+    expect(slaService.findPolicy(order, [general, delivery, priority])).toBe(priority);
+    expect(slaService.findPolicy(order, [general, delivery])).toBe(delivery);
+    expect(slaService.findPolicy(order, [general])).toBe(general);
+  });
+
+  it('ignores policies for another status or that do not match', () => {
+    expect(slaService.findPolicy(order, [
+      mockPolicy({ status: 'qa_review' }),
+      mockPolicy({ priority: 1 }),
+      mockPolicy({ delivery_method: 'pickup' }),
+    ])).toBeNull();
+  });
+});
+
+describe('syncOrderSla', () => {
+  const startedAt = new Date('2024-03-01T08:00:00Z');
+
+  it('starts the clock when the order enters a covered status', async () => {
+    Order.findByPk.mockResolvedValue({
+      id: 7, status: 'in_progress', priority: 0, status_changed_at: startedAt, sla: null,
+    });
+    SlaPolicy.findAll.mockResolvedValue([mockPolicy()]);
+
+    await slaService.syncOrderSla(7);
+
+    expect(OrderSla.create).toHaveBeenCalledWith({
+      order_id: 7,
+      policy_id: 1,
+      status: 'in_progress',
+      started_at: startedAt,
+      at_risk_at: new Date(startedAt.getTime() + 36 * HOUR),
+      due_at: new Date(startedAt.getTime() + 48 * HOUR),
+      escalation_level: 0,
+      breached_at: null,
+      escalated_at: null,
+    }, expect.anything());
+  });
+
+  it('keeps the escalation of a breached order whose clock has not changed', async () => {
+    const sla = { status: 'in_progress', started_at: startedAt, update: jest.fn() };
+    Order.findByPk.mockResolvedValue({
+      id: 7, status: 'in_progress', status_changed_at: startedAt, sla,
+    });
+    SlaPolicy.findAll.mockResolvedValue([mockPolicy()]);
+
+    await slaService.syncOrderSla(7);
+
+    expect(sla.update.mock.calls[0][0]).not.toHaveProperty('escalation_level');
+  });
+
+  it('drops the SLA of a closed order', async () => {
+    const sla = { destroy: jest.fn() };
+    Order.findByPk.mockResolvedValue({ id: 7, status: 'complete', sla });
+
+    expect(await slaService.syncOrderSla(7)).toBeNull();
+    expect(sla.destroy).toHaveBeenCalled();
+    expect(SlaPolicy.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('runSlaCheck', () => {
+  const dueAt = new Date('2024-03-03T08:00:00Z');
+
+  const mockSla = (fields, order = {}) => ({
+    order_id: 7,
+    policy_id: 1,
+    status: 'in_progress',
+    due_at: dueAt,
+    escalation_level: 0,
+    breached_at: null,
+    policy: mockPolicy(),
+    order: { id: 7, status: 'in_progress', assigned_to: 3, ...order },
+    update: jest.fn(),
+    ...fields,
+  });
+
+  // Runs the check at now with one overdue order
+  const checkWith = (sla, now) => {
+    Order.findAll.mockResolvedValue([]);
+    OrderSla.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([{ order_id: 7 }]);
+    OrderSla.findByPk.mockResolvedValue(sla);
+    return slaService.runSlaCheck({ now });
+  };
+
+  beforeEach(() => {
+    User.findAll.mockResolvedValue([{ id: 8 }, { id: 9 }]);
+  });
+
+  it('notifies the assignee first (level 1)', async () => {
+    const sla = mockSla();
+
+    const report = await checkWith(sla, new Date(dueAt.getTime() + HOUR));
+
+    expect(report.escalations).toEqual([{ order_id: 7, action: 'sla_breached', level: 1 }]);
+    expect(sla.update).toHaveBeenCalledWith(expect.objectContaining({ escalation_level: 1 }), expect.anything());
+    expect(events.emit).toHaveBeenCalledWith('order.sla_escalated', {
+      orderId: 7, level: 1, status: 'in_progress', notifyUserIds: [3],
+    });
+  });
+
+  it('goes straight to managers (level 2) for unassigned orders', async () => {
+    const report = await checkWith(mockSla({}, { assigned_to: null }), new Date(dueAt.getTime() + HOUR));
+
+    expect(report.escalations).toEqual([{ order_id: 7, action: 'sla_breached', level: 2 }]);
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      details: expect.objectContaining({ notified_user_ids: [8, 9], reason: 'Managers notified' }),
+    }), expect.anything());
+  });
+
+  it('escalates to managers once manager_escalation_hours have passed', async () => {
+    const early = await checkWith(mockSla({ escalation_level: 1 }), new Date(dueAt.getTime() + 23 * HOUR));
+    const late = await checkWith(mockSla({ escalation_level: 1 }), new Date(dueAt.getTime() + 24 * HOUR));
+
+    expect(early.escalations).toEqual([]);
+    expect(late.escalations).toEqual([{ order_id: 7, action: 'sla_escalated', level: 2 }]);
+  });
+
+  it('leaves orders that have moved on to another status alone', async () => {
+    const report = await checkWith(mockSla({}, { status: 'qa_review' }), new Date(dueAt.getTime() + HOUR));
+
+    expect(report.escalations).toEqual([]);
+  });
+
+  it('reports an order that failed without stopping the check', async () => {
+    Order.findAll.mockResolvedValue([]);
+    OrderSla.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([{ order_id: 7 }]);
+    OrderSla.findByPk.mockRejectedValue(new Error('deadlock detected'));
+
+    const report = await slaService.runSlaCheck({ now: new Date() });
+
+    expect(report.errors).toEqual([{ order_id: 7, error: 'deadlock detected' }]);
+  });
+});
+
+describe('createPolicy', () => {
+  it('only accepts open statuses', async () => {
+    const error = await rejection(slaService.createPolicy({ name: 'Done', status: 'complete', target_hours: 1 }, { id: 1 }));
+
+    expect(error).toBeInstanceOf(slaService.SlaError);
+    expect(error.status).toBe(400);
+    expect(SlaPolicy.create).not.toHaveBeenCalled();
+  });
+});
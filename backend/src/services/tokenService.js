@@ -0,0 +1,133 @@
+// Access/refresh token issuing and revocation, backed by Redis
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { redis } = require('../config/redis');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+const PASSWORD_RESET_TTL_SECONDS = parseInt(process.env.PASSWORD_RESET_TTL_SECONDS, 10) || 60 * 60;
+
+// Only hashes of opaque tokens are stored, so a Redis dump can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = () => crypto.randomBytes(48).toString('hex');
+
+const keys = {
+  refresh: (hash) => `auth:refresh:${hash}`,
+  usedRefresh: (hash) => `auth:refresh_used:${hash}`,
+  userRefresh: (userId) => `auth:user_refresh:${userId}`,
+  revokedAccess: (jti) => `auth:revoked:${jti}`,
+  passwordReset: (hash) => `auth:password_reset:${hash}`,
+};
+
+// Short-lived JWT carrying the user's identity and role
+const issueAccessToken = (user) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+// Long-lived opaque token that can be exchanged once for a new token pair
+const issueRefreshToken = async (userId) => {
+  const token = randomToken();
+  const hash = hashToken(token);
+
+  await redis.multi()
+    .set(keys.refresh(hash), userId, 'EX', REFRESH_TOKEN_TTL_SECONDS)
+    .sadd(keys.userRefresh(userId), hash)
+    .expire(keys.userRefresh(userId), REFRESH_TOKEN_TTL_SECONDS)
+    .exec();
+
+  return token;
+};
+
+const issueTokenPair = async (user) => {
+  const accessToken = issueAccessToken(user);
+  return {
+    access_token: accessToken,
+    refresh_token: await issueRefreshToken(user.id),
+    token_type: 'Bearer',
+    expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+  };
+};
+
+const revokeAllRefreshTokens = async (userId) => {
+  const hashes = await redis.smembers(keys.userRefresh(userId));
+  const pipeline = redis.multi();
+  hashes.forEach((hash) => pipeline.del(keys.refresh(hash)));
+  pipeline.del(keys.userRefresh(userId));
+  await pipeline.exec();
+};
+
+// Consume a refresh token and return its user ID. Presenting a token that
+// was already rotated revokes every session of that user, since it means
+// the token leaked.
+const consumeRefreshToken = async (token) => {
+  const hash = hashToken(token);
+  const [[, userId]] = await redis.multi()
+    .get(keys.refresh(hash))
+    .del(keys.refresh(hash))
+    .exec();
+
+  if (!userId) {
+    const reusedBy = await redis.get(keys.usedRefresh(hash));
+    if (reusedBy) {
+      await revokeAllRefreshTokens(reusedBy);
+    }
+    return null;
+  }
+
+  await redis.multi()
+    .srem(keys.userRefresh(userId), hash)
+    .set(keys.usedRefresh(hash), userId, 'EX', REFRESH_TOKEN_TTL_SECONDS)
+    .exec();
+
+  return parseInt(userId, 10);
+};
+
+const revokeRefreshToken = async (token) => {
+  const hash = hashToken(token);
+  const userId = await redis.get(keys.refresh(hash));
+  const pipeline = redis.multi().del(keys.refresh(hash));
+  if (userId) {
+    pipeline.srem(keys.userRefresh(userId), hash);
+  }
+  await pipeline.exec();
+};
+
+// Deny-list an access token until it would have expired anyway
+const revokeAccessToken = async ({ jti, exp }) => {
+  const ttl = exp - Math.floor(Date.now() / 1000);
+  if (jti && ttl > 0) {
+    await redis.set(keys.revokedAccess(jti), '1', 'EX', ttl);
+  }
+};
+
+const isAccessTokenRevoked = async (jti) => {
+  if (!jti) return false;
+  return (await redis.exists(keys.revokedAccess(jti))) === 1;
+};
+
+const createPasswordResetToken = async (userId) => {
+  const token = randomToken();
+  await redis.set(keys.passwordReset(hashToken(token)), userId, 'EX', PASSWORD_RESET_TTL_SECONDS);
+  return token;
+};
+
+// Single-use: returns the user ID and deletes the token
+const consumePasswordResetToken = async (token) => {
+  const key = keys.passwordReset(hashToken(token));
+  const [[, userId]] = await redis.multi().get(key).del(key).exec();
+  return userId ? parseInt(userId, 10) : null;
+};
+
+module.exports = {
+  issueTokenPair,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  PASSWORD_RESET_TTL_SECONDS,
+};
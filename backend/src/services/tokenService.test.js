@@ -0,0 +1,116 @@
+// In-memory stand-in for the ioredis commands the token store uses
+const createFakeRedis = () => {
+  const values = new Map();
+  const sets = new Map();
+  const commands = {
+    set: (key, value) => { values.set(key, String(value)); return 'OK'; },
+    get: (key) => (values.has(key) ? values.get(key) : null),
+    del: (key) => Number(values.delete(key)) + Number(sets.delete(key)),
+    exists: (key) => Number(values.has(key)),
+    expire: () => 1,
+    sadd: (key, member) => {
+      sets.set(key, new Set([...(sets.get(key) || []), member]));
+      return 1;
+    },
+    srem: (key, member) => Number(sets.has(key) && sets.get(key).delete(member)),
+    smembers: (key) => [...(sets.get(key) || [])],
+  };
+
+  const redis = {};
+  Object.entries(commands).forEach(([name, command]) => {
+    redis[name] = async (...args) => command(...args);
+  });
+  redis.multi = () => {
+    const queued = [];
+    const pipeline = { exec: async () => queued.map((run) => [null, run()]) };
+    Object.entries(commands).forEach(([name, command]) => {
+      pipeline[name] = (...args) => {
+        queued.push(() => command(...args));
+        return pipeline;
+      };
+    });
+    return pipeline;
+  };
+  return redis;
+};
+
+const mockRedis = createFakeRedis();
+jest.mock('../config/redis', () => ({ redis: mockRedis }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const tokenService = require('./tokenService');
+
+const user = { id: 42, email: 'tech@example.com', role: 'staff' };
+
+describe('issueTokenPair', () => {
+  it('signs an access token with the user claims and a unique id', async () => {
+    const tokens = await tokenService.issueTokenPair(user);
+    const claims = jwt.verify(tokens.access_token, 'test-secret');
+
+    expect(claims).toMatchObject({ id: 42, email: 'tech@example.com', role: 'staff' });
+    expect(claims.jti).toEqual(expect.any(String));
+    expect(tokens.token_type).toBe('Bearer');
+    expect(tokens.expires_in).toBeGreaterThan(0);
+  });
+});
+
+describe('consumeRefreshToken', () => {
+  it('exchanges a refresh token exactly once', async () => {
+    const { refresh_token: token } = await tokenService.issueTokenPair(user);
+
+    expect(await tokenService.consumeRefreshToken(token)).toBe(42);
+    expect(await tokenService.consumeRefreshToken(token)).toBeNull();
+  });
+
+  it('revokes every session of the user when a rotated token is replayed', async () => {
+    const { refresh_token: leaked } = await tokenService.issueTokenPair(user);
+    const { refresh_token: other } = await tokenService.issueTokenPair(user);
+
+    await tokenService.consumeRefreshToken(leaked);
+    await tokenService.consumeRefreshToken(leaked);
+
+    expect(await tokenService.consumeRefreshToken(other)).toBeNull();
+  });
+
+  it('rejects tokens it never issued', async () => {
+    expect(await tokenService.consumeRefreshToken('not-a-token')).toBeNull();
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('stops the token from being exchanged', async () => {
+    const { refresh_token: token } = await tokenService.issueTokenPair(user);
+
+    await tokenService.revokeRefreshToken(token);
+
+    expect(await tokenService.consumeRefreshToken(token)).toBeNull();
+  });
+});
+
+describe('revokeAccessToken', () => {
+  it('deny-lists the token until it expires', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+
+    await tokenService.revokeAccessToken({ jti: 'abc', exp });
+
+    expect(await tokenService.isAccessTokenRevoked('abc')).toBe(true);
+    expect(await tokenService.isAccessTokenRevoked('other')).toBe(false);
+  });
+
+  it('skips tokens that have already expired', async () => {
+    await tokenService.revokeAccessToken({ jti: 'old', exp: Math.floor(Date.now() / 1000) - 1 });
+
+    expect(await tokenService.isAccessTokenRevoked('old')).toBe(false);
+  });
+});
+
+describe('password reset tokens', () => {
+  it('can be used once', async () => {
+    const token = await tokenService.createPasswordResetToken(42);
+
+    expect(await tokenService.consumePasswordResetToken(token)).toBe(42);
+    expect(await tokenService.consumePasswordResetToken(token)).toBeNull();
+  });
+});
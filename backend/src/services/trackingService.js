@@ -0,0 +1,217 @@
+// Public order status for customers. A tracking link carries the order id and
+// an HMAC of it, so it can't be guessed from an order number and needs no
+// login. The status shown is limited to what a customer should see: progress,
+// system types, the delivery method and, once shipped, the tracking number -
+// never notes, serials or staff.
+const crypto = require('crypto');
+const {
+  Order, System, SystemType, SystemChecklist, ChecklistTemplate, ChecklistStep, ChecklistCompletion,
+  ActivityLog,
+} = require('../models');
+const { activeTemplateSteps } = require('./checklistService');
+const { ServiceError } = require('./errors');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const MINUTE_MS = 60 * 1000;
+
+// Customer-facing progress; the delivery method decides the wording of the last two
+const TIMELINE = [
+  { status: 'ordered', label: () => 'Order received' },
+  { status: 'in_progress', label: () => 'Being set up' },
+  { status: 'qa_review', label: () => 'Quality check' },
+  {
+    status: 'ready_to_deliver',
+    label: (order) => (order.delivery_method === 'delivery' ? 'Ready for delivery' : 'Ready to ship'),
+  },
+  { status: 'complete', label: (order) => (order.delivery_method === 'delivery' ? 'Delivered' : 'Shipped') },
+];
+
+// Until checklists are done there is setup work left to estimate
+const ESTIMATED_STATUSES = ['ordered', 'in_progress'];
+
+const SYSTEM_STATUS_LABELS = {
+  pending: 'Waiting',
+  in_progress: 'Being set up',
+  complete: 'Ready',
+};
+
+class TrackingError extends ServiceError {}
+
+const secret = () => process.env.TRACKING_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sign = (orderId) => crypto.createHmac('sha256', secret())
+  .update(`order-tracking:${orderId}`)
+  .digest('base64url');
+
+const createTrackingToken = (orderId) => `${orderId}.${sign(orderId)}`;
+
+const trackingUrl = (orderId) => `${FRONTEND_URL}/track/${createTrackingToken(orderId)}`;
+
+// The order id a token was issued for, or null when the signature doesn't match
+const verifyTrackingToken = (token) => {
+  const [id, signature] = String(token).split('.');
+  const orderId = parseInt(id, 10);
+  if (!orderId || String(orderId) !== id || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(sign(orderId));
+  const received = Buffer.from(signature);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+    ? orderId
+    : null;
+};
+
+// Staff-side: the link to send a customer for one of their orders
+const getTrackingLink = async (orderId) => {
+  const order = await Order.findByPk(orderId, { attributes: ['id'] });
+  if (!order) {
+    throw new TrackingError('Order not found', 404);
+  }
+  return { token: createTrackingToken(order.id), url: trackingUrl(order.id) };
+};
+
+const sumMinutes = (steps, doneStepIds = new Set()) => steps
+  .filter((step) => !doneStepIds.has(step.id))
+  .reduce((sum, step) => sum + (step.estimated_minutes || 0), 0);
+
+// Estimated minutes of checklist work left across the order's unfinished
+// systems; unstarted systems count their type's active template
+const remainingMinutes = async (systems) => {
+  const open = systems.filter((system) => system.status !== 'complete');
+  const unstartedTypeIds = open.filter((system) => !system.checklists.length)
+    .map((system) => system.system_type_id);
+  const templateSteps = await activeTemplateSteps([...new Set(unstartedTypeIds)]);
+
+  return open.reduce((total, system) => {
+    if (!system.checklists.length) {
+      return total + sumMinutes(templateSteps.get(system.system_type_id) || []);
+    }
+    return total + system.checklists.reduce((sum, checklist) => {
+      const done = new Set(checklist.completions.filter((c) => c.completed_at).map((c) => c.step_id));
+      return sum + sumMinutes(checklist.template ? checklist.template.steps : [], done);
+    }, 0);
+  }, 0);
+};
+
+// When the order last entered each status, from the audit trail
+const statusTimes = async (order) => {
+  const changes = await ActivityLog.findAll({
+    where: { order_id: order.id, action: ['status_changed', 'order_cancelled'] },
+    attributes: ['action', 'details', 'created_at'],
+    order: [['created_at', 'ASC']],
+  });
+  const times = new Map([['ordered', order.order_date || order.created_at]]);
+  changes.forEach((change) => {
+    const to = change.action === 'order_cancelled' ? 'cancelled' : change.details.to;
+    if (to) times.set(to, change.created_at);
+  });
+  return times;
+};
+
+const buildTimeline = (order, times) => {
+  if (order.status === 'cancelled') {
+    return [
+      {
+        status: 'ordered', label: 'Order received', state: 'done', reached_at: times.get('ordered'),
+      },
+      {
+        status: 'cancelled', label: 'Cancelled', state: 'current', reached_at: times.get('cancelled') || null,
+      },
+    ];
+  }
+
+  const currentIndex = TIMELINE.findIndex((step) => step.status === order.status);
+  return TIMELINE.map((step, index) => {
+    let state = 'upcoming';
+    if (index < currentIndex || order.status === 'complete') {
+      state = 'done';
+    } else if (index === currentIndex) {
+      state = 'current';
+    }
+    return {
+      status: step.status,
+      label: step.label(order),
+      state,
+      reached_at: state === 'upcoming' ? null : times.get(step.status) || null,
+    };
+  });
+};
+
+// Everything the public status page shows, looked up by tracking token
+const getTrackingStatus = async (token) => {
+  const orderId = verifyTrackingToken(token);
+  const order = orderId && await Order.findByPk(orderId, {
+    attributes: [
+      'id', 'woo_order_id', 'status', 'order_date', 'delivery_method', 'tracking_number', 'completed_at',
+      'created_at',
+    ],
+    include: [{
+      model: System,
+      as: 'systems',
+      attributes: ['id', 'system_type_id', 'status'],
+      include: [
+        { model: SystemType, as: 'systemType', attributes: ['name'] },
+        {
+          model: SystemChecklist,
+          as: 'checklists',
+          attributes: ['id'],
+          include: [
+            {
+              model: ChecklistTemplate,
+              as: 'template',
+              attributes: ['id'],
+              include: [{ model: ChecklistStep, as: 'steps', attributes: ['id', 'estimated_minutes'] }],
+            },
+            // Loaded separately so steps and completions don't multiply each other's rows
+            {
+              model: ChecklistCompletion,
+              as: 'completions',
+              attributes: ['id', 'system_checklist_id', 'step_id', 'completed_at'],
+              separate: true,
+            },
+          ],
+        },
+      ],
+    }],
+    order: [[{ model: System, as: 'systems' }, 'id', 'ASC']],
+  });
+  // Same answer for a forged token and a deleted order
+  if (!order) {
+    throw new TrackingError('This tracking link is not valid', 404);
+  }
+
+  let estimate = null;
+  if (ESTIMATED_STATUSES.includes(order.status)) {
+    const minutes = await remainingMinutes(order.systems);
+    estimate = {
+      remaining_minutes: minutes,
+      ready_at: new Date(Date.now() + minutes * MINUTE_MS),
+    };
+  }
+
+  const timeline = buildTimeline(order, await statusTimes(order));
+  return {
+    order_number: order.woo_order_id,
+    status: order.status,
+    status_label: (timeline.find((step) => step.state === 'current') || timeline[timeline.length - 1]).label,
+    ordered_at: order.order_date,
+    delivery_method: order.delivery_method,
+    tracking_number: order.status === 'complete' ? order.tracking_number : null,
+    completed_at: order.status === 'complete' ? order.completed_at : null,
+    timeline,
+    systems: order.systems.map((system) => ({
+      name: system.systemType ? system.systemType.name : 'System',
+      status: SYSTEM_STATUS_LABELS[system.status] || 'Being set up',
+    })),
+    estimate,
+  };
+};
+
+module.exports = {
+  TrackingError,
+  createTrackingToken,
+  trackingUrl,
+  verifyTrackingToken,
+  getTrackingLink,
+  getTrackingStatus,
+};
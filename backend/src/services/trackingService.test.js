@@ -0,0 +1,131 @@
+jest.mock('../models', () => ({
+  Order: { findByPk: jest.fn() },
+  System: {},
+  SystemType: {},
+  SystemChecklist: {},
+  ChecklistTemplate: {},
+  ChecklistStep: {},
+  ChecklistCompletion: {},
+  ActivityLog: { findAll: jest.fn() },
+}));
+jest.mock('./checklistService', () => ({ activeTemplateSteps: jest.fn() }));
+
+process.env.TRACKING_TOKEN_SECRET = 'tracking-test-secret';
+
+const { Order, ActivityLog } = require('../models');
+const { activeTemplateSteps } = require('./checklistService');
+const trackingService = require('./trackingService');
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ActivityLog.findAll.mockResolvedValue([]);
+  activeTemplateSteps.mockResolvedValue(new Map());
+});
+
+describe('verifyTrackingToken', () => {
+  it('resolves a token to the order it was issued for', () => {
+    expect(trackingService.verifyTrackingToken(trackingService.createTrackingToken(42))).toBe(42);
+  });
+
+  it('rejects a token moved to another order', () => {
+    const [, signature] = trackingService.createTrackingToken(42).split('.');
+
+    expect(trackingService.verifyTrackingToken(`43.${signature}`)).toBeNull();
+  });
+
+  it('rejects tampered and malformed tokens', () => {
+    const token = trackingService.createTrackingToken(42);
+
+    expect(trackingService.verifyTrackingToken(`${token}x`)).toBeNull();
+    expect(trackingService.verifyTrackingToken(token.slice(0, -1))).toBeNull();
+    expect(trackingService.verifyTrackingToken('042.abc')).toBeNull();
+    expect(trackingService.verifyTrackingToken('42')).toBeNull();
+    expect(trackingService.verifyTrackingToken('')).toBeNull();
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = trackingService.createTrackingToken(42);
+    process.env.TRACKING_TOKEN_SECRET = 'rotated-secret';
+    try {
+      expect(trackingService.verifyTrackingToken(token)).toBeNull();
+    } finally {
+      process.env.TRACKING_TOKEN_SECRET = 'tracking-test-secret';
+    }
+  });
+});
+
+describe('getTrackingStatus', () => {
+  const mockOrder = (fields) => ({
+    id: 42,
+    woo_order_id: '1042',
+    status: 'in_progress',
+    order_date: new Date('2024-03-01T08:00:00Z'),
+    delivery_method: 'shipping',
+    tracking_number: '1Z999',
+    completed_at: null,
+    systems: [],
+    ...fields,
+  });
+
+  it('answers 404 without a lookup for a forged token', async () => {
+    const error = await rejection(trackingService.getTrackingStatus('42.forged'));
+
+    expect(error).toBeInstanceOf(trackingService.TrackingError);
+    expect(error.status).toBe(404);
+    expect(Order.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('estimates the checklist work left and hides the tracking number until complete', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({
+      systems: [
+        {
+          id: 1,
+          system_type_id: 1,
+          status: 'in_progress',
+          systemType: { name: 'Laptop' },
+          checklists: [{
+            template: { steps: [{ id: 1, estimated_minutes: 10 }, { id: 2, estimated_minutes: 20 }] },
+            completions: [{ step_id: 1, completed_at: new Date() }],
+          }],
+        },
+        {
+          id: 2, system_type_id: 2, status: 'pending', systemType: { name: 'Desktop' }, checklists: [],
+        },
+      ],
+    }));
+    activeTemplateSteps.mockResolvedValue(new Map([[2, [{ id: 5, estimated_minutes: 15 }]]]));
+
+    const status = await trackingService.getTrackingStatus(trackingService.createTrackingToken(42));
+
+    expect(status.estimate.remaining_minutes).toBe(35);
+    expect(status.tracking_number).toBeNull();
+    expect(status.status_label).toBe('Being set up');
+    expect(status.systems).toEqual([
+      { name: 'Laptop', status: 'Being set up' },
+      { name: 'Desktop', status: 'Waiting' },
+    ]);
+  });
+
+  it('words the timeline by delivery method and dates steps from the audit trail', async () => {
+    const shippedAt = new Date('2024-03-04T10:00:00Z');
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'complete', delivery_method: 'delivery' }));
+    ActivityLog.findAll.mockResolvedValue([
+      { action: 'status_changed', details: { to: 'complete' }, created_at: shippedAt },
+    ]);
+
+    const status = await trackingService.getTrackingStatus(trackingService.createTrackingToken(42));
+
+    expect(status.estimate).toBeNull();
+    expect(status.tracking_number).toBe('1Z999');
+    expect(status.timeline[4]).toEqual({
+      status: 'complete', label: 'Delivered', state: 'done', reached_at: shippedAt,
+    });
+    expect(status.timeline.every((step) => step.state === 'done')).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+// Optimistic concurrency for orders and systems. A record's version is its
+// updated_at in epoch milliseconds; clients send it back with If-Match or a
+// version field and writes against an older version are rejected.
+const { ServiceError } = require('./errors');
+
+class VersionConflictError extends ServiceError {
+  constructor(record, expected) {
+    super('This record was changed by someone else', 409, {
+      code: 'version_conflict',
+      expected_version: expected,
+      current_version: record.version,
+    });
+    this.record = record;
+  }
+}
+
+// No expected version means the client didn't send a precondition
+const assertVersion = (record, expected) => {
+  if (expected !== undefined && record.version !== expected) {
+    throw new VersionConflictError(record, expected);
+  }
+};
+
+const etagFor = (record) => `"${record.version}"`;
+
+module.exports = {
+  VersionConflictError,
+  assertVersion,
+  etagFor,
+};
@@ -0,0 +1,296 @@
+// Keeps local orders in step with WooCommerce orders
+const {
+  sequelize,
+  Order,
+  System,
+  SystemType,
+  ActivityLog,
+} = require('../models');
+const woocommerce = require('../integrations/woocommerce');
+const { events } = require('./events');
+const { syncOrderSla } = require('./slaService');
+
+// Contact and delivery fields that WooCommerce remains the source of truth for
+const SYNCED_FIELDS = [
+  'customer_name',
+  'customer_email',
+  'customer_department',
+  'delivery_method',
+  'delivery_address',
+];
+
+// Resolve line items to system rows. Items whose SKU isn't a system type
+// code (cables, accessories, ...) are skipped and reported.
+const buildSystemRows = async (lineItems, orderId, transaction) => {
+  const codes = [...new Set(lineItems.map((item) => item.type))];
+  const types = codes.length
+    ? await SystemType.findAll({ where: { code: codes }, transaction })
+    : [];
+  const idsByCode = new Map(types.map((t) => [t.code, t.id]));
+
+  const rows = lineItems
+    .filter((item) => idsByCode.has(item.type))
+    .flatMap((item) => Array.from(
+      { length: item.quantity },
+      () => ({ order_id: orderId, system_type_id: idsByCode.get(item.type) })
+    ));
+
+  return { rows, skipped: codes.filter((code) => !idsByCode.has(code)) };
+};
+
+// Count of systems per type code, for comparing against line items
+const countByType = (entries) => entries.reduce((counts, { type, quantity = 1 }) => ({
+  ...counts,
+  [type]: (counts[type] || 0) + quantity,
+}), {});
+
+// Differences between an order's systems and WooCommerce line items, as
+// { [code]: { local, woocommerce } }. Unknown SKUs are ignored.
+const diffLineItems = async (order, lineItems, transaction) => {
+  const systems = await System.findAll({
+    where: { order_id: order.id },
+    include: [{ model: SystemType, as: 'systemType', attributes: ['code'] }],
+    transaction,
+  });
+  const local = countByType(systems.map((s) => ({ type: s.systemType && s.systemType.code })));
+
+  const knownTypes = await SystemType.findAll({
+    where: { code: lineItems.map((item) => item.type) },
+    attributes: ['code'],
+    transaction,
+  });
+  const known = new Set(knownTypes.map((t) => t.code));
+  const remote = countByType(lineItems.filter((item) => known.has(item.type)));
+
+  const diff = {};
+  new Set([...Object.keys(local), ...Object.keys(remote)]).forEach((code) => {
+    if ((local[code] || 0) !== (remote[code] || 0)) {
+      diff[code] = { local: local[code] || 0, woocommerce: remote[code] || 0 };
+    }
+  });
+  return { diff, systems };
+};
+
+// Create an order from a WooCommerce payload. Returns the existing order
+// when it has already been imported.
+const importOrder = async (wooOrder, { source = 'webhook' } = {}) => sequelize.transaction(
+  async (transaction) => {
+    const attrs = woocommerce.mapOrder(wooOrder);
+    const [order, created] = await Order.findOrCreate({
+      where: { woo_order_id: attrs.woo_order_id },
+      defaults: { ...attrs, woo_snapshot: woocommerce.buildSnapshot(wooOrder) },
+      transaction,
+    });
+    if (!created) {
+      return { order, created: false };
+    }
+
+    const { rows, skipped } = await buildSystemRows(
+      woocommerce.mapLineItems(wooOrder),
+      order.id,
+      transaction
+    );
+    if (rows.length) {
+      await System.bulkCreate(rows, { transaction });
+    }
+
+    await ActivityLog.create({
+      order_id: order.id,
+      action: 'order_imported',
+      details: { source, woo_id: wooOrder.id, skipped_skus: skipped },
+    }, { transaction });
+    await syncOrderSla(order.id, { transaction });
+
+    transaction.afterCommit(() => events.emit('order.created', { orderId: order.id, userId: null }));
+    return { order, created: true, skipped };
+  }
+);
+
+// Mark an order cancelled in WooCommerce. Completed orders are left alone.
+const cancelOrder = async (wooOrder) => sequelize.transaction(async (transaction) => {
+  const order = await Order.findOne({
+    where: { woo_order_id: woocommerce.toWooOrderId(wooOrder) },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+  if (!order || order.status === 'cancelled') {
+    return { order, cancelled: false };
+  }
+
+  if (order.status === 'complete') {
+    await ActivityLog.create({
+      order_id: order.id,
+      action: 'woocommerce_cancel_ignored',
+      details: { reason: 'Order already complete', woo_status: wooOrder.status },
+    }, { transaction });
+    return { order, cancelled: false };
+  }
+
+  const from = order.status;
+  await order.update({ status: 'cancelled' }, { transaction });
+  await ActivityLog.create({
+    order_id: order.id,
+    action: 'order_cancelled',
+    details: {
+      from,
+      source: 'woocommerce',
+      woo_status: wooOrder.status,
+      changes: { status: { from, to: 'cancelled' } },
+    },
+  }, { transaction });
+  await syncOrderSla(order.id, { transaction });
+
+  transaction.afterCommit(() => events.emit('order.status_changed', {
+    orderId: order.id, from, to: 'cancelled', userId: null,
+  }));
+  return { order, cancelled: true };
+});
+
+// Flag an order whose WooCommerce total or line items changed after intake.
+// Returns false when the same changes were already flagged.
+const flagDiscrepancy = async (order, changes, { source, transaction }) => {
+  const previous = order.woo_discrepancy && JSON.stringify(order.woo_discrepancy.changes);
+  if (previous === JSON.stringify(changes)) {
+    return false;
+  }
+
+  await order.update({
+    woo_discrepancy: { changes, source, detected_at: new Date() },
+  }, { transaction });
+  await ActivityLog.create({
+    order_id: order.id,
+    action: 'woocommerce_order_changed',
+    details: { source, changes },
+  }, { transaction });
+  return true;
+};
+
+// Apply a WooCommerce order update. Line item changes replace the systems
+// only while no work has started; otherwise they're flagged for a manager.
+const updateOrder = async (wooOrder) => {
+  if (woocommerce.isCancelled(wooOrder)) {
+    return cancelOrder(wooOrder);
+  }
+
+  const existing = await Order.findOne({
+    where: { woo_order_id: woocommerce.toWooOrderId(wooOrder) },
+  });
+  if (!existing) {
+    return importOrder(wooOrder);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const order = await Order.findByPk(existing.id, { lock: transaction.LOCK.UPDATE, transaction });
+    const attrs = woocommerce.mapOrder(wooOrder);
+
+    const changes = {};
+    SYNCED_FIELDS.forEach((field) => {
+      if (attrs[field] !== order[field]) {
+        changes[field] = { from: order[field], to: attrs[field] };
+        order.set(field, attrs[field]);
+      }
+    });
+
+    const lineItems = woocommerce.mapLineItems(wooOrder);
+    const { diff, systems } = await diffLineItems(order, lineItems, transaction);
+    const lineItemsChanged = Object.keys(diff).length > 0;
+    const untouched = order.status === 'ordered' && systems.every((s) => !s.serial_number);
+    const systemsReplaced = lineItemsChanged && untouched;
+
+    if (systemsReplaced) {
+      await System.destroy({ where: { order_id: order.id }, transaction });
+      const { rows } = await buildSystemRows(lineItems, order.id, transaction);
+      await System.bulkCreate(rows, { transaction });
+      // The replaced systems become the new intake baseline
+      order.set('woo_snapshot', woocommerce.buildSnapshot(wooOrder));
+      order.set('woo_discrepancy', null);
+    }
+    await order.save({ transaction });
+    if (changes.delivery_method) {
+      await syncOrderSla(order.id, { transaction });
+    }
+
+    if (Object.keys(changes).length || systemsReplaced) {
+      await ActivityLog.create({
+        order_id: order.id,
+        action: 'order_updated_from_woocommerce',
+        details: {
+          changes,
+          line_items: systemsReplaced ? diff : undefined,
+          systems_replaced: systemsReplaced,
+        },
+      }, { transaction });
+    }
+
+    const discrepancy = !systemsReplaced && woocommerce.compareSnapshot(order.woo_snapshot, wooOrder);
+    if (discrepancy) {
+      await flagDiscrepancy(order, discrepancy, { source: 'webhook', transaction });
+    }
+
+    if (Object.keys(changes).length || systemsReplaced || discrepancy) {
+      transaction.afterCommit(() => events.emit('order.updated', { orderId: order.id }));
+    }
+
+    return { order, updated: true, flagged: !!discrepancy };
+  });
+};
+
+// Reconcile one order from a WooCommerce poll: import it if a webhook was
+// missed, cancel it, or flag changes since intake.
+const reconcileOrder = async (wooOrder) => {
+  if (woocommerce.isCancelled(wooOrder)) {
+    const { cancelled } = await cancelOrder(wooOrder);
+    return { action: cancelled ? 'cancelled' : 'unchanged' };
+  }
+
+  const existing = await Order.findOne({
+    where: { woo_order_id: woocommerce.toWooOrderId(wooOrder) },
+  });
+  if (!existing) {
+    const { order, created } = await importOrder(wooOrder, { source: 'reconciliation' });
+    return { action: created ? 'created' : 'unchanged', order };
+  }
+
+  const discrepancy = woocommerce.compareSnapshot(existing.woo_snapshot, wooOrder);
+  if (!discrepancy) {
+    return { action: 'unchanged', order: existing };
+  }
+
+  const flagged = await sequelize.transaction((transaction) => flagDiscrepancy(
+    existing,
+    discrepancy,
+    { source: 'reconciliation', transaction }
+  ));
+  if (flagged) {
+    events.emit('order.updated', { orderId: existing.id });
+  }
+  return { action: flagged ? 'flagged' : 'unchanged', order: existing, changes: discrepancy };
+};
+
+// Clear a discrepancy flag once a manager has reviewed it
+const resolveDiscrepancy = async (orderId, user, notes) => sequelize.transaction(
+  async (transaction) => {
+    const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!order || !order.woo_discrepancy) {
+      return null;
+    }
+
+    const resolved = order.woo_discrepancy;
+    await order.update({ woo_discrepancy: null }, { transaction });
+    await ActivityLog.create({
+      user_id: user.id,
+      order_id: order.id,
+      action: 'woocommerce_discrepancy_resolved',
+      details: { resolved, notes: notes || null },
+    }, { transaction });
+    return order;
+  }
+);
+
+module.exports = {
+  importOrder,
+  updateOrder,
+  cancelOrder,
+  reconcileOrder,
+  resolveDiscrepancy,
+};
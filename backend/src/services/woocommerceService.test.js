@@ -0,0 +1,137 @@
+jest.mock('../models', () => ({
+  sequelize: { transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })) },
+  Order: {
+    findOne: jest.fn(),
+    findOrCreate: jest.fn(),
+  },
+  System: {
+    findAll: jest.fn(),
+    bulkCreate: jest.fn(),
+  },
+  SystemType: { findAll: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+}));
+jest.mock('./slaService', () => ({
+  syncOrderSla: jest.fn(),
+}));
+
+const {
+  Order,
+  System,
+  SystemType,
+  ActivityLog,
+} = require('../models');
+const woocommerceService = require('./woocommerceService');
+
+const wooOrder = {
+  id: 1234,
+  status: 'processing',
+  date_created: '2024-03-01T09:30:00',
+  billing: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+  line_items: [{ sku: 'laptop', quantity: 2 }, { sku: 'usb-cable', quantity: 3 }],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('importOrder', () => {
+  it('creates systems for known SKUs and reports the rest', async () => {
+    Order.findOrCreate.mockResolvedValue([{ id: 7 }, true]);
+    SystemType.findAll.mockResolvedValue([{ id: 1, code: 'laptop' }]);
+
+    const result = await woocommerceService.importOrder(wooOrder);
+
+    expect(System.bulkCreate).toHaveBeenCalledWith([
+      { order_id: 7, system_type_id: 1 },
+      { order_id: 7, system_type_id: 1 },
+    ], expect.anything());
+    expect(result).toEqual({ order: { id: 7 }, created: true, skipped: ['usb-cable'] });
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'order_imported',
+      details: { source: 'webhook', woo_id: 1234, skipped_skus: ['usb-cable'] },
+    }), expect.anything());
+  });
+
+  it('leaves an already imported order alone', async () => {
+    Order.findOrCreate.mockResolvedValue([{ id: 7 }, false]);
+
+    expect(await woocommerceService.importOrder(wooOrder)).toEqual({ order: { id: 7 }, created: false });
+    expect(System.bulkCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelOrder', () => {
+  it('cancels an order that is still in progress', async () => {
+    const order = { id: 7, status: 'in_progress', update: jest.fn() };
+    Order.findOne.mockResolvedValue(order);
+
+    const result = await woocommerceService.cancelOrder({ ...wooOrder, status: 'cancelled' });
+
+    expect(result.cancelled).toBe(true);
+    expect(order.update).toHaveBeenCalledWith({ status: 'cancelled' }, expect.anything());
+  });
+
+  it('records but ignores the cancellation of a completed order', async () => {
+    const order = { id: 7, status: 'complete', update: jest.fn() };
+    Order.findOne.mockResolvedValue(order);
+
+    const result = await woocommerceService.cancelOrder({ ...wooOrder, status: 'refunded' });
+
+    expect(result.cancelled).toBe(false);
+    expect(order.update).not.toHaveBeenCalled();
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'woocommerce_cancel_ignored',
+    }), expect.anything());
+  });
+});
+
+describe('reconcileOrder', () => {
+  const snapshot = {
+    total: '1800.00',
+    line_items: [{
+      product_id: 11, sku: 'laptop', quantity: 2, total: '1800.00',
+    }],
+  };
+  const polled = {
+    ...wooOrder,
+    total: '1800.00',
+    line_items: [{
+      product_id: 11, sku: 'laptop', quantity: 2, total: '1800.00',
+    }],
+  };
+
+  it('imports an order whose webhook was missed', async () => {
+    Order.findOne.mockResolvedValue(null);
+    Order.findOrCreate.mockResolvedValue([{ id: 7 }, true]);
+    SystemType.findAll.mockResolvedValue([{ id: 1, code: 'laptop' }]);
+
+    const result = await woocommerceService.reconcileOrder(polled);
+
+    expect(result.action).toBe('created');
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      details: expect.objectContaining({ source: 'reconciliation' }),
+    }), expect.anything());
+  });
+
+  it('leaves an order that matches its intake snapshot alone', async () => {
+    Order.findOne.mockResolvedValue({ id: 7, woo_snapshot: snapshot });
+
+    expect((await woocommerceService.reconcileOrder(polled)).action).toBe('unchanged');
+  });
+
+  it('flags a total that changed after intake, once', async () => {
+    const order = { id: 7, woo_snapshot: snapshot, update: jest.fn() };
+    order.update.mockImplementation(async (fields) => Object.assign(order, fields));
+    Order.findOne.mockResolvedValue(order);
+    const changed = { ...polled, total: '1500.00' };
+
+    const first = await woocommerceService.reconcileOrder(changed);
+    const second = await woocommerceService.reconcileOrder(changed);
+
+    expect(first.action).toBe('flagged');
+    expect(first.changes).toEqual({ total: { intake: '1800.00', current: '1500.00' } });
+    expect(second.action).toBe('unchanged');
+    expect(ActivityLog.create).toHaveBeenCalledTimes(1);
+  });
+});
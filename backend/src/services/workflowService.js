@@ -0,0 +1,243 @@
+// Order status workflow - allowed transitions, their guards and permitted roles
+const { sequelize, Order, System, ActivityLog } = require('../models');
+const { getOrderChecklistSummaries } = require('./checklistService');
+const { events } = require('./events');
+const { assertVersion } = require('./versioning');
+const { diffChanges } = require('./auditService');
+const { syncOrderSla } = require('./slaService');
+const { ServiceError } = require('./errors');
+
+const ALL_ROLES = ['staff', 'manager', 'admin'];
+const MANAGER_ROLES = ['manager', 'admin'];
+
+// Raised when a status change is rejected; serialized straight into the response
+class WorkflowError extends ServiceError {}
+
+// Conditions checked before a transition is applied. Each check resolves to
+// { passed, details } where details explains a failure. Guards flagged with
+// fromPayload depend on data sent with the request itself.
+const guards = {
+  has_systems: {
+    description: 'Order must contain at least one system',
+    check: async (ctx) => ({ passed: (await ctx.getSystems()).length > 0 }),
+  },
+  assigned: {
+    description: 'Order must be assigned to a technician',
+    check: async ({ order }) => ({ passed: !!order.assigned_to }),
+  },
+  checklists_complete: {
+    description: 'All system checklists must be completed',
+    check: async (ctx) => {
+      const incomplete = (await ctx.getChecklists()).filter((s) => !s.is_complete);
+      return {
+        passed: incomplete.length === 0,
+        details: { incomplete_systems: incomplete.map((s) => s.system_id) },
+      };
+    },
+  },
+  qa_signed_off: {
+    description: 'All steps requiring QA must be signed off',
+    check: async (ctx) => {
+      const pending = (await ctx.getChecklists()).filter((s) => !s.is_qa_complete);
+      return {
+        passed: pending.length === 0,
+        details: { systems_pending_qa: pending.map((s) => s.system_id) },
+      };
+    },
+  },
+  delivery_details: {
+    description: 'Shipping orders need a tracking number, delivery orders a delivery confirmation',
+    fromPayload: true,
+    check: async ({ order, payload }) => {
+      const required = order.delivery_method === 'delivery' ? 'delivery_confirmation' : 'tracking_number';
+      return { passed: !!payload[required], details: { required } };
+    },
+  },
+  reason_provided: {
+    description: 'A reason (notes) is required when moving an order backwards',
+    fromPayload: true,
+    check: async ({ payload }) => ({ passed: !!(payload.notes && payload.notes.trim()) }),
+  },
+};
+
+const completionFields = (payload) => ({
+  tracking_number: payload.tracking_number || null,
+  delivery_confirmation: payload.delivery_confirmation || null,
+  completed_at: new Date(),
+});
+
+const TRANSITIONS = [
+  // Forward flow
+  {
+    from: 'ordered', to: 'in_progress', roles: ALL_ROLES, guards: ['has_systems', 'assigned'],
+  },
+  {
+    from: 'in_progress', to: 'qa_review', roles: ALL_ROLES, guards: ['checklists_complete'],
+  },
+  {
+    from: 'qa_review', to: 'ready_to_deliver', roles: MANAGER_ROLES, guards: ['qa_signed_off'],
+  },
+  {
+    from: 'ready_to_deliver',
+    to: 'complete',
+    roles: ALL_ROLES,
+    guards: ['delivery_details'],
+    apply: completionFields,
+  },
+
+  // Rollbacks
+  {
+    from: 'in_progress', to: 'ordered', roles: MANAGER_ROLES, guards: ['reason_provided'],
+  },
+  {
+    from: 'qa_review', to: 'in_progress', roles: MANAGER_ROLES, guards: ['reason_provided'],
+  },
+  {
+    from: 'ready_to_deliver', to: 'qa_review', roles: MANAGER_ROLES, guards: ['reason_provided'],
+  },
+  {
+    from: 'complete',
+    to: 'ready_to_deliver',
+    roles: ['admin'],
+    guards: ['reason_provided'],
+    apply: () => ({ completed_at: null }),
+  },
+];
+
+const findTransition = (from, to) => TRANSITIONS.find((t) => t.from === from && t.to === to);
+
+// Lazily loads the data guards need so each query runs at most once
+const createGuardContext = ({ order, user, payload, transaction }) => {
+  let systems;
+  let checklists;
+  return {
+    order,
+    user,
+    payload,
+    getSystems: () => {
+      systems = systems || System.findAll({ where: { order_id: order.id }, transaction });
+      return systems;
+    },
+    getChecklists: () => {
+      checklists = checklists || getOrderChecklistSummaries(order.id, { transaction });
+      return checklists;
+    },
+  };
+};
+
+// Returns the first failing guard, or null when all pass
+const findFailedGuard = async (transition, ctx) => {
+  for (const name of transition.guards) {
+    const result = await guards[name].check(ctx);
+    if (!result.passed) {
+      return { guard: name, message: guards[name].description, details: result.details };
+    }
+  }
+  return null;
+};
+
+// Move an order to a new status, enforcing transition rules. When
+// expectedVersion is given the order must not have changed since.
+const transitionOrder = async ({
+  orderId, to, user, payload = {}, expectedVersion,
+}) => sequelize.transaction(async (transaction) => {
+  const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+  if (!order) {
+    throw new WorkflowError('Order not found', 404);
+  }
+  assertVersion(order, expectedVersion);
+
+  const from = order.status;
+  const transition = findTransition(from, to);
+  if (!transition) {
+    throw new WorkflowError('Invalid status transition', 400, {
+      code: 'invalid_transition',
+      from,
+      to,
+      allowed: TRANSITIONS.filter((t) => t.from === from).map((t) => t.to),
+    });
+  }
+
+  if (!transition.roles.includes(user.role)) {
+    throw new WorkflowError('Insufficient permissions for this transition', 403, {
+      code: 'role_not_permitted',
+      from,
+      to,
+      roles: transition.roles,
+    });
+  }
+
+  const failed = await findFailedGuard(
+    transition,
+    createGuardContext({
+      order, user, payload, transaction,
+    })
+  );
+  if (failed) {
+    throw new WorkflowError('Transition guard failed', 400, {
+      code: 'guard_failed',
+      from,
+      to,
+      ...failed,
+    });
+  }
+
+  const changes = {
+    status: to,
+    ...(transition.apply ? transition.apply(payload) : {}),
+  };
+  await ActivityLog.create({
+    user_id: user.id,
+    order_id: order.id,
+    action: 'status_changed',
+    details: {
+      from, to, notes: payload.notes || null, changes: diffChanges(order, changes),
+    },
+  }, { transaction });
+
+  await order.update(changes, { transaction });
+  // The new status starts a new SLA clock
+  await syncOrderSla(order.id, { transaction });
+  // Pick up the updated_at the database trigger set, which is the new version
+  await order.reload({ transaction });
+
+  transaction.afterCommit(() => events.emit('order.status_changed', {
+    orderId: order.id, from, to, userId: user.id, notes: payload.notes || null,
+  }));
+  return order;
+});
+
+// List the transitions out of an order's current status and whether the user may take them
+const getAvailableTransitions = async (orderId, user) => {
+  const order = await Order.findByPk(orderId);
+  if (!order) {
+    throw new WorkflowError('Order not found', 404);
+  }
+
+  const ctx = createGuardContext({ order, user, payload: {} });
+  const candidates = TRANSITIONS.filter((t) => t.from === order.status);
+
+  return Promise.all(candidates.map(async (transition) => {
+    const failedGuards = [];
+    for (const name of transition.guards) {
+      if (!guards[name].fromPayload && !(await guards[name].check(ctx)).passed) {
+        failedGuards.push(name);
+      }
+    }
+
+    return {
+      to: transition.to,
+      roles: transition.roles,
+      role_allowed: transition.roles.includes(user.role),
+      failed_guards: failedGuards,
+      requires: transition.guards.filter((name) => guards[name].fromPayload),
+    };
+  }));
+};
+
+module.exports = {
+  TRANSITIONS,
+  WorkflowError,
+  transitionOrder,
+  getAvailableTransitions,
+};
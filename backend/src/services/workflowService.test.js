@@ -0,0 +1,206 @@
+jest.mock('../models', () => ({
+  sequelize: { transaction: jest.fn((work) => work({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (callback) => callback() })) },
+  Order: { findByPk: jest.fn() },
+  System: { findAll: jest.fn() },
+  ActivityLog: { create: jest.fn() },
+}));
+jest.mock('./checklistService', () => ({
+  getOrderChecklistSummaries: jest.fn(),
+}));
+jest.mock('./slaService', () => ({
+  syncOrderSla: jest.fn(),
+}));
+
+const { Order, System, ActivityLog } = require('../models');
+const { getOrderChecklistSummaries } = require('./checklistService');
+const { syncOrderSla } = require('./slaService');
+const { WorkflowError, transitionOrder, getAvailableTransitions } = require('./workflowService');
+const { ServiceError } = require('./errors');
+const { VersionConflictError } = require('./versioning');
+
+const staff = { id: 1, role: 'staff' };
+const manager = { id: 2, role: 'manager' };
+
+const mockOrder = (fields) => ({
+  id: 10,
+  status: 'ordered',
+  assigned_to: 5,
+  delivery_method: 'shipping',
+  version: 1700000000000,
+  update: jest.fn(),
+  reload: jest.fn(),
+  ...fields,
+});
+
+// Resolves the error a rejected promise was rejected with
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected a rejection'); },
+  (error) => error,
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  System.findAll.mockResolvedValue([{ id: 1 }]);
+  getOrderChecklistSummaries.mockResolvedValue([]);
+});
+
+describe('transitionOrder', () => {
+  it('answers 404 for a missing order', async () => {
+    Order.findByPk.mockResolvedValue(null);
+
+    const error = await rejection(transitionOrder({ orderId: 10, to: 'in_progress', user: staff }));
+
+    expect(error).toBeInstanceOf(WorkflowError);
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.status).toBe(404);
+  });
+
+  it('rejects transitions the workflow does not define and lists the allowed ones', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder());
+
+    const error = await rejection(transitionOrder({ orderId: 10, to: 'complete', user: staff }));
+
+    expect(error.status).toBe(400);
+    expect(error.toJSON()).toEqual({
+      error: 'Invalid status transition',
+      code: 'invalid_transition',
+      from: 'ordered',
+      to: 'complete',
+      allowed: ['in_progress'],
+    });
+  });
+
+  it('rejects roles the transition does not permit', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'qa_review' }));
+
+    const error = await rejection(transitionOrder({ orderId: 10, to: 'ready_to_deliver', user: staff }));
+
+    expect(error.status).toBe(403);
+    expect(error.details).toMatchObject({ code: 'role_not_permitted', roles: ['manager', 'admin'] });
+  });
+
+  it('reports the first failing guard', async () => {
+    const order = mockOrder({ assigned_to: null });
+    Order.findByPk.mockResolvedValue(order);
+
+    const error = await rejection(transitionOrder({ orderId: 10, to: 'in_progress', user: staff }));
+
+    expect(error.status).toBe(400);
+    expect(error.details).toMatchObject({ code: 'guard_failed', guard: 'assigned' });
+    expect(order.update).not.toHaveBeenCalled();
+  });
+
+  it('lists the systems holding up QA review', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'in_progress' }));
+    getOrderChecklistSummaries.mockResolvedValue([
+      { system_id: 1, is_complete: true },
+      { system_id: 2, is_complete: false },
+    ]);
+
+    const error = await rejection(transitionOrder({ orderId: 10, to: 'qa_review', user: staff }));
+
+    expect(error.details).toMatchObject({
+      guard: 'checklists_complete',
+      details: { incomplete_systems: [2] },
+    });
+  });
+
+  it('requires a reason to move an order backwards', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'in_progress' }));
+
+    const error = await rejection(transitionOrder({
+      orderId: 10, to: 'ordered', user: manager, payload: { notes: '  ' },
+    }));
+
+    expect(error.details).toMatchObject({ guard: 'reason_provided' });
+  });
+
+  it('requires the delivery detail that matches the delivery method', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'ready_to_deliver', delivery_method: 'delivery' }));
+
+    const error = await rejection(transitionOrder({
+      orderId: 10, to: 'complete', user: staff, payload: { tracking_number: '1Z999' },
+    }));
+
+    expect(error.details).toMatchObject({
+      guard: 'delivery_details',
+      details: { required: 'delivery_confirmation' },
+    });
+  });
+
+  it('answers 409 when the order changed since the client read it', async () => {
+    const order = mockOrder({ status: 'in_progress' });
+    Order.findByPk.mockResolvedValue(order);
+
+    const error = await rejection(transitionOrder({
+      orderId: 10, to: 'qa_review', user: staff, expectedVersion: 1690000000000,
+    }));
+
+    expect(error).toBeInstanceOf(VersionConflictError);
+    expect(error.status).toBe(409);
+    expect(error.toJSON()).toEqual({
+      error: 'This record was changed by someone else',
+      code: 'version_conflict',
+      expected_version: 1690000000000,
+      current_version: 1700000000000,
+    });
+    expect(order.update).not.toHaveBeenCalled();
+  });
+
+  it('applies the transition and logs it', async () => {
+    const order = mockOrder({ status: 'ready_to_deliver' });
+    Order.findByPk.mockResolvedValue(order);
+
+    await transitionOrder({
+      orderId: 10, to: 'complete', user: staff, payload: { tracking_number: '1Z999', notes: 'Left at desk' },
+    });
+
+    expect(order.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'complete',
+      tracking_number: '1Z999',
+      delivery_confirmation: null,
+      completed_at: expect.any(Date),
+    }), expect.anything());
+    expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 1,
+      order_id: 10,
+      action: 'status_changed',
+      details: expect.objectContaining({
+        from: 'ready_to_deliver',
+        to: 'complete',
+        notes: 'Left at desk',
+        changes: expect.objectContaining({
+          status: { from: 'ready_to_deliver', to: 'complete' },
+          tracking_number: { from: null, to: '1Z999' },
+        }),
+      }),
+    }), expect.anything());
+    expect(syncOrderSla).toHaveBeenCalledWith(10, expect.anything());
+  });
+});
+
+describe('getAvailableTransitions', () => {
+  it('flags failing guards and the fields the request must carry', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'in_progress' }));
+    getOrderChecklistSummaries.mockResolvedValue([{ system_id: 1, is_complete: false }]);
+
+    const transitions = await getAvailableTransitions(10, staff);
+
+    expect(transitions).toEqual([
+      {
+        to: 'qa_review',
+        roles: ['staff', 'manager', 'admin'],
+        role_allowed: true,
+        failed_guards: ['checklists_complete'],
+        requires: [],
+      },
+      {
+        to: 'ordered',
+        roles: ['manager', 'admin'],
+        role_allowed: false,
+        failed_guards: [],
+        requires: ['reason_provided'],
+      },
+    ]);
+  });
+});
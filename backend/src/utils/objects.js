@@ -0,0 +1,19 @@
+// The given fields of source that are set, for building partial updates
+const pick = (source, fields) => fields.reduce((picked, field) => (
+  source[field] === undefined ? picked : { ...picked, [field]: source[field] }
+), {});
+
+// Like pick, but also drops null and empty-string values, for optional filters
+const pickFilled = (source, fields) => fields.reduce((picked, field) => (
+  source[field] === undefined || source[field] === null || source[field] === ''
+    ? picked
+    : { ...picked, [field]: source[field] }
+), {});
+
+// A single value or list (as directory attributes arrive) as a list of strings
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+};
+
+module.exports = { pick, pickFilled, toArray };
@@ -0,0 +1,32 @@
+const { pick, pickFilled, toArray } = require('./objects');
+
+describe('pick', () => {
+  it('copies the listed fields that are set', () => {
+    expect(pick({ name: 'Image', requires_qa: false, id: 4 }, ['name', 'requires_qa', 'description']))
+      .toEqual({ name: 'Image', requires_qa: false });
+  });
+
+  it('keeps null so a field can be cleared', () => {
+    expect(pick({ description: null }, ['description'])).toEqual({ description: null });
+  });
+});
+
+describe('pickFilled', () => {
+  it('drops null and empty values but keeps false and 0', () => {
+    expect(pickFilled({
+      status: '', department: null, system_type_id: 0, active: false,
+    }, ['status', 'department', 'system_type_id', 'active', 'missing'])).toEqual({ system_type_id: 0, active: false });
+  });
+});
+
+describe('toArray', () => {
+  it('wraps single values and stringifies list items', () => {
+    expect(toArray('staff')).toEqual(['staff']);
+    expect(toArray([1, 'two'])).toEqual(['1', 'two']);
+  });
+
+  it('treats a missing value as an empty list', () => {
+    expect(toArray(undefined)).toEqual([]);
+    expect(toArray(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,4 @@
+-- Completion details recorded when an order moves to 'complete'
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_number VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_confirmation TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
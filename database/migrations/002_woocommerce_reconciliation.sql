@@ -0,0 +1,19 @@
+-- WooCommerce intake snapshot and post-intake change flag
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS woo_snapshot JSONB;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS woo_discrepancy JSONB;
+
+-- Per-run reports for integration syncs
+CREATE TABLE IF NOT EXISTS integration_sync_runs (
+    id SERIAL PRIMARY KEY,
+    integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL DEFAULT 'running',
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    synced_since TIMESTAMP,
+    orders_seen INTEGER DEFAULT 0,
+    orders_created INTEGER DEFAULT 0,
+    orders_flagged INTEGER DEFAULT 0,
+    report JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_integration_sync_runs_integration ON integration_sync_runs(integration_id, started_at);
@@ -0,0 +1,14 @@
+-- Integration sync failures and data conflicts awaiting review
+CREATE TABLE IF NOT EXISTS integration_errors (
+    id SERIAL PRIMARY KEY,
+    integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+    error_type VARCHAR(100) NOT NULL,
+    reference VARCHAR(255),
+    message TEXT NOT NULL,
+    details JSONB,
+    resolved_by INTEGER REFERENCES users(id),
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_integration_errors_open ON integration_errors(integration_id) WHERE resolved_at IS NULL;
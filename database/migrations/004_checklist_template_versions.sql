@@ -0,0 +1,11 @@
+-- Immutable checklist template versions
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS family_id INTEGER REFERENCES checklist_templates(id);
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+
+-- Existing templates become version 1 of their own family, already published
+UPDATE checklist_templates
+SET family_id = id, published_at = created_at
+WHERE family_id IS NULL;
+
+ALTER TABLE checklist_templates ADD CONSTRAINT checklist_templates_family_version_key UNIQUE (family_id, version);
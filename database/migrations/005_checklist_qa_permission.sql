@@ -0,0 +1,2 @@
+-- QA sign-off permission for staff accounts
+ALTER TABLE users ADD COLUMN IF NOT EXISTS can_qa BOOLEAN DEFAULT false;
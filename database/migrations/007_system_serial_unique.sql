@@ -0,0 +1,2 @@
+-- A serial number can only be recorded on one system
+CREATE UNIQUE INDEX IF NOT EXISTS idx_systems_serial_number ON systems(serial_number) WHERE serial_number IS NOT NULL;
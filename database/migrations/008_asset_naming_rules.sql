@@ -0,0 +1,17 @@
+-- Asset naming conventions per department and system type
+CREATE TABLE IF NOT EXISTS asset_naming_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    department VARCHAR(255),
+    department_code VARCHAR(20),
+    system_type_id INTEGER REFERENCES system_types(id),
+    template VARCHAR(255) NOT NULL,
+    sequences JSONB NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Generated names must not collide
+CREATE UNIQUE INDEX IF NOT EXISTS idx_systems_asset_name ON systems(asset_name) WHERE asset_name IS NOT NULL;
@@ -0,0 +1,21 @@
+-- Imaging queue lookups
+CREATE INDEX IF NOT EXISTS idx_systems_queue_position ON systems(queue_position) WHERE queue_position IS NOT NULL;
+
+-- Queue systems that were waiting before the queue existed: order date, with
+-- each priority level counting as a day earlier (IMAGING_PRIORITY_WEIGHT_HOURS)
+UPDATE systems
+SET queue_position = queued.position
+FROM (
+    SELECT s.id,
+           ROW_NUMBER() OVER (
+               ORDER BY o.order_date - COALESCE(o.priority, 0) * INTERVAL '24 hours', o.id, s.id
+           ) AS position
+    FROM systems s
+    JOIN orders o ON o.id = s.order_id
+    JOIN system_types t ON t.id = s.system_type_id
+    WHERE t.requires_imaging = true
+      AND s.status = 'pending'
+      AND o.status NOT IN ('complete', 'cancelled')
+) AS queued
+WHERE systems.id = queued.id
+  AND NOT EXISTS (SELECT 1 FROM systems WHERE queue_position IS NOT NULL);
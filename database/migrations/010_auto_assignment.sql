@@ -0,0 +1,19 @@
+-- Availability for automatic assignment (vacation, off shift)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_available BOOLEAN DEFAULT true;
+
+-- System types a user is skilled in, for skills-based assignment
+CREATE TABLE IF NOT EXISTS user_skills (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    system_type_id INTEGER REFERENCES system_types(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, system_type_id)
+);
+
+-- Application settings edited by managers, one JSON document per key
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL DEFAULT '{}',
+    updated_by INTEGER REFERENCES users(id),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
@@ -0,0 +1,56 @@
+-- When the order entered its current status, kept by trigger
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE orders o
+SET status_changed_at = COALESCE((
+    SELECT MAX(a.created_at)
+    FROM activity_logs a
+    WHERE a.order_id = o.id
+      AND a.action IN ('status_changed', 'order_cancelled')
+), o.created_at);
+
+CREATE OR REPLACE FUNCTION update_status_changed_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.status_changed_at = CURRENT_TIMESTAMP;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_orders_status_changed_at ON orders;
+CREATE TRIGGER update_orders_status_changed_at BEFORE UPDATE ON orders
+    FOR EACH ROW EXECUTE FUNCTION update_status_changed_at_column();
+
+-- How long an order may stay in a status, optionally per priority and delivery method
+CREATE TABLE IF NOT EXISTS sla_policies (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    priority INTEGER,
+    delivery_method VARCHAR(50) CHECK (delivery_method IN ('delivery', 'shipping')),
+    target_hours DECIMAL(6,2) NOT NULL,
+    at_risk_percent INTEGER NOT NULL DEFAULT 75 CHECK (at_risk_percent BETWEEN 1 AND 100),
+    manager_escalation_hours DECIMAL(6,2) NOT NULL DEFAULT 24,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- SLA clock for each open order's current status
+CREATE TABLE IF NOT EXISTS order_slas (
+    order_id INTEGER PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+    policy_id INTEGER REFERENCES sla_policies(id) ON DELETE SET NULL,
+    status VARCHAR(50) NOT NULL,
+    started_at TIMESTAMP NOT NULL,
+    at_risk_at TIMESTAMP NOT NULL,
+    due_at TIMESTAMP NOT NULL,
+    escalation_level INTEGER NOT NULL DEFAULT 0,
+    breached_at TIMESTAMP,
+    escalated_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_slas_due_at ON order_slas(due_at);
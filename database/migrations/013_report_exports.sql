@@ -0,0 +1,40 @@
+-- Recurring reports; the scheduler creates an export when next_run_at passes
+CREATE TABLE IF NOT EXISTS report_schedules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    report_type VARCHAR(50) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx', 'pdf')),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    filters JSONB NOT NULL DEFAULT '{}',
+    recipients TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    next_run_at TIMESTAMP NOT NULL,
+    last_run_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_schedules_due ON report_schedules(next_run_at) WHERE is_active;
+
+-- Generated report files (stored under REPORTS_DIR as <id>.<format>) until expires_at
+CREATE TABLE IF NOT EXISTS report_exports (
+    id SERIAL PRIMARY KEY,
+    report_type VARCHAR(50) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx', 'pdf')),
+    filters JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'complete', 'failed')),
+    file_name VARCHAR(255),
+    file_size INTEGER,
+    row_count INTEGER,
+    error TEXT,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    schedule_id INTEGER REFERENCES report_schedules(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_exports_requested_by ON report_exports(requested_by, created_at);
+CREATE INDEX IF NOT EXISTS idx_report_exports_expires_at ON report_exports(expires_at);
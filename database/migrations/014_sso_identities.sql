@@ -0,0 +1,16 @@
+-- Which identity provider owns an account, and the user's id there (LDAP DN,
+-- SAML NameID). Accounts without a provider are local password accounts and
+-- are never taken over by a directory login unless an admin links them.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_provider VARCHAR(50);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_external_identity
+    ON users(auth_provider, external_id) WHERE external_id IS NOT NULL;
+
+-- Accounts created by an earlier directory login belong to that provider
+UPDATE users u
+SET auth_provider = a.details->>'provider'
+FROM activity_logs a
+WHERE a.action = 'user_provisioned'
+  AND (a.details->>'target_user_id')::int = u.id
+  AND u.auth_provider IS NULL;
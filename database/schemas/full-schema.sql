@@ -9,6 +9,11 @@ CREATE TABLE users (
     last_name VARCHAR(100) NOT NULL,
     role VARCHAR(50) NOT NULL CHECK (role IN ('staff', 'manager', 'admin')),
     is_active BOOLEAN DEFAULT true,
+    can_qa BOOLEAN DEFAULT false,
+    is_available BOOLEAN DEFAULT true,
+    -- Identity provider that owns the account (NULL for local accounts) and the user's id there
+    auth_provider VARCHAR(50),
+    external_id VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -27,6 +32,12 @@ CREATE TABLE orders (
     delivery_method VARCHAR(50) CHECK (delivery_method IN ('delivery', 'shipping')),
     delivery_address TEXT,
     notes TEXT,
+    tracking_number VARCHAR(100),
+    delivery_confirmation TEXT,
+    completed_at TIMESTAMP,
+    status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    woo_snapshot JSONB,
+    woo_discrepancy JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -64,7 +75,11 @@ CREATE TABLE checklist_templates (
     name VARCHAR(200) NOT NULL,
     system_type_id INTEGER REFERENCES system_types(id),
     is_active BOOLEAN DEFAULT true,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    family_id INTEGER REFERENCES checklist_templates(id),
+    version INTEGER NOT NULL DEFAULT 1,
+    published_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(family_id, version)
 );
 
 -- Checklist steps within templates
@@ -139,7 +154,135 @@ CREATE TABLE inventory (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Integration configurations
+-- Asset naming conventions per department and system type
+CREATE TABLE asset_naming_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    department VARCHAR(255),
+    department_code VARCHAR(20),
+    system_type_id INTEGER REFERENCES system_types(id),
+    template VARCHAR(255) NOT NULL,
+    sequences JSONB NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- System types a user is skilled in, for skills-based assignment
+CREATE TABLE user_skills (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    system_type_id INTEGER REFERENCES system_types(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, system_type_id)
+);
+
+-- Application settings edited by managers, one JSON document per key
+CREATE TABLE app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL DEFAULT '{}',
+    updated_by INTEGER REFERENCES users(id),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- How long an order may stay in a status, optionally per priority and delivery method
+CREATE TABLE sla_policies (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    priority INTEGER,
+    delivery_method VARCHAR(50) CHECK (delivery_method IN ('delivery', 'shipping')),
+    target_hours DECIMAL(6,2) NOT NULL,
+    at_risk_percent INTEGER NOT NULL DEFAULT 75 CHECK (at_risk_percent BETWEEN 1 AND 100),
+    manager_escalation_hours DECIMAL(6,2) NOT NULL DEFAULT 24,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- SLA clock for each open order's current status
+CREATE TABLE order_slas (
+    order_id INTEGER PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+    policy_id INTEGER REFERENCES sla_policies(id) ON DELETE SET NULL,
+    status VARCHAR(50) NOT NULL,
+    started_at TIMESTAMP NOT NULL,
+    at_risk_at TIMESTAMP NOT NULL,
+    due_at TIMESTAMP NOT NULL,
+    escalation_level INTEGER NOT NULL DEFAULT 0,
+    breached_at TIMESTAMP,
+    escalated_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- In-app notifications, one row per recipient
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin-edited wording per notification type, overriding the built-in defaults
+CREATE TABLE notification_templates (
+    type VARCHAR(50) PRIMARY KEY,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    updated_by INTEGER REFERENCES users(id),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Channels a user wants per notification type; types without a row use the defaults
+CREATE TABLE notification_preferences (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    in_app BOOLEAN NOT NULL DEFAULT true,
+    email BOOLEAN NOT NULL DEFAULT false,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, type)
+);
+
+-- Recurring reports; the scheduler creates an export when next_run_at passes
+CREATE TABLE report_schedules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    report_type VARCHAR(50) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx', 'pdf')),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    filters JSONB NOT NULL DEFAULT '{}',
+    recipients TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    next_run_at TIMESTAMP NOT NULL,
+    last_run_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Generated report files (stored under REPORTS_DIR as <id>.<format>) until expires_at
+CREATE TABLE report_exports (
+    id SERIAL PRIMARY KEY,
+    report_type VARCHAR(50) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx', 'pdf')),
+    filters JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'complete', 'failed')),
+    file_name VARCHAR(255),
+    file_size INTEGER,
+    row_count INTEGER,
+    error TEXT,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    schedule_id INTEGER REFERENCES report_schedules(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP
+);
+
 CREATE TABLE integrations (
     id SERIAL PRIMARY KEY,
     name VARCHAR(100) UNIQUE NOT NULL,
@@ -150,17 +293,58 @@ CREATE TABLE integrations (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-run reports for integration syncs
+CREATE TABLE integration_sync_runs (
+    id SERIAL PRIMARY KEY,
+    integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL DEFAULT 'running',
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    synced_since TIMESTAMP,
+    orders_seen INTEGER DEFAULT 0,
+    orders_created INTEGER DEFAULT 0,
+    orders_flagged INTEGER DEFAULT 0,
+    report JSONB
+);
+
+-- Integration sync failures and data conflicts awaiting review
+CREATE TABLE integration_errors (
+    id SERIAL PRIMARY KEY,
+    integration_id INTEGER REFERENCES integrations(id) ON DELETE CASCADE,
+    error_type VARCHAR(100) NOT NULL,
+    reference VARCHAR(255),
+    message TEXT NOT NULL,
+    details JSONB,
+    resolved_by INTEGER REFERENCES users(id),
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
+CREATE UNIQUE INDEX idx_users_external_identity ON users(auth_provider, external_id) WHERE external_id IS NOT NULL;
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_orders_assigned_to ON orders(assigned_to);
 CREATE INDEX idx_systems_order_id ON systems(order_id);
 CREATE INDEX idx_systems_status ON systems(status);
+CREATE UNIQUE INDEX idx_systems_serial_number ON systems(serial_number) WHERE serial_number IS NOT NULL;
+CREATE UNIQUE INDEX idx_systems_asset_name ON systems(asset_name) WHERE asset_name IS NOT NULL;
+CREATE INDEX idx_systems_queue_position ON systems(queue_position) WHERE queue_position IS NOT NULL;
 CREATE INDEX idx_checklist_completions_system ON checklist_completions(system_checklist_id);
 CREATE INDEX idx_activity_logs_user ON activity_logs(user_id);
 CREATE INDEX idx_activity_logs_order ON activity_logs(order_id);
+CREATE INDEX idx_activity_logs_action ON activity_logs(action);
+CREATE INDEX idx_activity_logs_created_at ON activity_logs(created_at);
 CREATE INDEX idx_performance_metrics_user_date ON performance_metrics(user_id, metric_date);
 CREATE INDEX idx_inventory_serial ON inventory(serial_number);
 CREATE INDEX idx_inventory_status ON inventory(status);
+CREATE INDEX idx_integration_sync_runs_integration ON integration_sync_runs(integration_id, started_at);
+CREATE INDEX idx_order_slas_due_at ON order_slas(due_at);
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at);
+CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX idx_integration_errors_open ON integration_errors(integration_id) WHERE resolved_at IS NULL;
+CREATE INDEX idx_report_schedules_due ON report_schedules(next_run_at) WHERE is_active;
+CREATE INDEX idx_report_exports_requested_by ON report_exports(requested_by, created_at);
+CREATE INDEX idx_report_exports_expires_at ON report_exports(expires_at);
 
 -- Triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -178,4 +362,17 @@ CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_systems_updated_at BEFORE UPDATE ON systems
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION update_status_changed_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.status_changed_at = CURRENT_TIMESTAMP;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_orders_status_changed_at BEFORE UPDATE ON orders
+    FOR EACH ROW EXECUTE FUNCTION update_status_changed_at_column();
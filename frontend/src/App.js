@@ -1,11 +1,50 @@
 import React from 'react';
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom';
+import { AuthProvider } from './context/AuthContext';
+import AppShell from './components/AppShell';
+import ProtectedRoute from './components/ProtectedRoute';
+import KanbanBoard from './components/KanbanBoard';
+import LoginPage from './pages/LoginPage';
+import OrderDetailPage from './pages/OrderDetailPage';
+import ImagingQueuePage from './pages/ImagingQueuePage';
+import AdminPage from './pages/AdminPage';
+import AnalyticsPage from './pages/AnalyticsPage';
+import AssignmentPage from './pages/AssignmentPage';
+import NotificationSettingsPage from './pages/NotificationSettingsPage';
+import ReportsPage from './pages/ReportsPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import SsoCallbackPage from './pages/SsoCallbackPage';
+import TrackingPage from './pages/TrackingPage';
 
 function App() {
   return (
-    <div className="App">
-      <h1>Buildroom Digital Workflow</h1>
-      <p>Coming soon...</p>
-    </div>
+    <AuthProvider>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/sso/callback" element={<SsoCallbackPage />} />
+          <Route path="/track/:token" element={<TrackingPage />} />
+          <Route element={<ProtectedRoute />}>
+            <Route element={<AppShell />}>
+              <Route path="/" element={<KanbanBoard />} />
+              <Route path="/orders/:id" element={<OrderDetailPage />} />
+              <Route path="/imaging" element={<ImagingQueuePage />} />
+              <Route path="/notifications" element={<NotificationSettingsPage />} />
+              <Route element={<ProtectedRoute roles={['manager', 'admin']} />}>
+                <Route path="/analytics" element={<AnalyticsPage />} />
+                <Route path="/assignment" element={<AssignmentPage />} />
+                <Route path="/reports" element={<ReportsPage />} />
+              </Route>
+              <Route element={<ProtectedRoute roles={['admin']} />}>
+                <Route path="/admin" element={<AdminPage />} />
+              </Route>
+            </Route>
+          </Route>
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
+      </BrowserRouter>
+    </AuthProvider>
   );
 }
 
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import OrderDetailsDialog from './OrderDetailsDialog';
+import analyticsService from '../services/analyticsService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// The orders behind a dashboard data point; clicking one opens its details
+const AnalyticsDrilldown = ({ drilldown, onClose }) => {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    if (!drilldown) return;
+    setResult(null);
+    setError(null);
+    analyticsService.getOrders(drilldown.params)
+      .then(setResult)
+      .catch((err) => setError(err.response?.data?.error || 'Could not load the orders'));
+  }, [drilldown]);
+
+  // Keep the list in step with changes made from the details dialog
+  const handleOrderChange = (updated) => {
+    setSelected(updated);
+    setResult((current) => ({
+      ...current,
+      orders: current.orders.map((order) => (order.id === updated.id ? { ...order, ...updated } : order)),
+    }));
+  };
+
+  if (!drilldown) return null;
+
+  return (
+    <>
+      <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+        <DialogTitle>{drilldown.title}</DialogTitle>
+        <DialogContent dividers>
+          {error && <Typography color="error">{error}</Typography>}
+          {!error && !result && (
+            <Box display="flex" justifyContent="center" p={2}>
+              <CircularProgress size={24} />
+            </Box>
+          )}
+          {result && result.orders.length === 0 && (
+            <Typography color="text.secondary">No orders.</Typography>
+          )}
+          {result && result.orders.length > 0 && (
+            <>
+              {result.total > result.orders.length && (
+                <Typography variant="caption" color="text.secondary">
+                  Showing the newest {result.orders.length} of {result.total} orders
+                </Typography>
+              )}
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Order</TableCell>
+                    <TableCell>Customer</TableCell>
+                    <TableCell>Department</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Assignee</TableCell>
+                    <TableCell>Received</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.orders.map((order) => (
+                    <TableRow key={order.id} hover sx={{ cursor: 'pointer' }} onClick={() => setSelected(order)}>
+                      <TableCell>#{order.woo_order_id}</TableCell>
+                      <TableCell>{order.customer_name}</TableCell>
+                      <TableCell>{order.customer_department || '—'}</TableCell>
+                      <TableCell>{order.status.replace(/_/g, ' ')}</TableCell>
+                      <TableCell>
+                        {order.assignee
+                          ? `${order.assignee.first_name} ${order.assignee.last_name}`
+                          : 'Unassigned'}
+                      </TableCell>
+                      <TableCell>{formatDate(order.created_at)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <OrderDetailsDialog
+        order={selected}
+        open={selected !== null}
+        onClose={() => setSelected(null)}
+        onOrderChange={handleOrderChange}
+      />
+    </>
+  );
+};
+
+AnalyticsDrilldown.propTypes = {
+  drilldown: PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    params: PropTypes.object.isRequired,
+  }),
+  onClose: PropTypes.func.isRequired
+};
+
+export default AnalyticsDrilldown;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { Link as RouterLink, Outlet } from 'react-router-dom';
+import {
+  AppBar,
+  Box,
+  Button,
+  Toolbar,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
+
+// Navigation entries and the roles that see them
+const NAV_ITEMS = [
+  { to: '/', label: 'Board' },
+  { to: '/imaging', label: 'Imaging' },
+  { to: '/assignment', label: 'Assignment', roles: ['manager', 'admin'] },
+  { to: '/analytics', label: 'Analytics', roles: ['manager', 'admin'] },
+  { to: '/reports', label: 'Reports', roles: ['manager', 'admin'] },
+  { to: '/admin', label: 'Admin', roles: ['admin'] },
+];
+
+// Top bar with role-aware navigation around the signed-in pages
+const AppShell = () => {
+  const { user, logout, hasRole } = useAuth();
+
+  return (
+    <Box sx={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
+      <AppBar position="static">
+        <Toolbar variant="dense">
+          <Typography variant="h6" sx={{ mr: 3 }}>Buildroom Workflow</Typography>
+          {NAV_ITEMS.filter((item) => hasRole(item.roles)).map((item) => (
+            <Button key={item.to} color="inherit" component={RouterLink} to={item.to}>
+              {item.label}
+            </Button>
+          ))}
+          <Box flexGrow={1} />
+          <NotificationBell />
+          <Typography variant="body2" sx={{ mr: 2 }}>
+            {user.first_name} {user.last_name}
+          </Typography>
+          <Button color="inherit" onClick={logout}>Log out</Button>
+        </Toolbar>
+      </AppBar>
+      <Box sx={{ flex: 1, minHeight: 0, overflow: 'auto' }}>
+        <Outlet />
+      </Box>
+    </Box>
+  );
+};
+
+export default AppShell;
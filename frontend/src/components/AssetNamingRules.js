@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Grid,
+  IconButton,
+  MenuItem,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Delete } from '@mui/icons-material';
+import assetNamingService from '../services/assetNamingService';
+import systemService from '../services/systemService';
+
+const EMPTY_RULE = {
+  name: '',
+  department: '',
+  department_code: '',
+  system_type_id: '',
+  template: '',
+};
+const SAMPLE_SERIAL = 'SN0123456789';
+const PREVIEW_DELAY_MS = 400;
+
+// Empty optional fields are sent as null so they match any department/type
+const toPayload = (rule) => ({
+  name: rule.name,
+  template: rule.template,
+  department: rule.department || null,
+  department_code: rule.department_code || null,
+  system_type_id: rule.system_type_id || null,
+});
+
+// Admin editor for asset naming rules with a live preview of the template
+const AssetNamingRules = () => {
+  const [rules, setRules] = useState([]);
+  const [systemTypes, setSystemTypes] = useState([]);
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadRules = () => assetNamingService.getRules()
+    .then(setRules)
+    .catch((err) => console.error('Error loading naming rules:', err));
+
+  useEffect(() => {
+    loadRules();
+    systemService.getSystemTypes()
+      .then(setSystemTypes)
+      .catch((err) => console.error('Error loading system types:', err));
+  }, []);
+
+  // Preview the template being edited against the form's department and type
+  useEffect(() => {
+    if (!form.template.trim()) {
+      setPreview(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      assetNamingService.preview({
+        template: form.template,
+        department_code: form.department_code || null,
+        department: form.department || 'Sample Department',
+        system_type_id: form.system_type_id || null,
+        serial_number: SAMPLE_SERIAL,
+      })
+        .then((result) => setPreview({ ...result, error: null }))
+        .catch((err) => setPreview({ error: err.response?.data?.error || 'Preview failed' }));
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [form.template, form.department, form.department_code, form.system_type_id]);
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadRules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save the naming rule');
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await assetNamingService.createRule(toPayload(form));
+      setForm(EMPTY_RULE);
+    });
+  };
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>Asset naming rules</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Tokens: {'{DEPT}'}, {'{DEPT:n}'}, {'{TYPE}'}, {'{SERIAL}'}, {'{SERIAL:n}'} (last n
+        characters), {'{SEQ:n}'} (counter padded to n digits), {'{YEAR}'}, {'{YY}'}. The most
+        specific active rule for the order&apos;s department and system type is used.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>}
+
+      <Table size="small" sx={{ mb: 3 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Name</TableCell>
+            <TableCell>Department</TableCell>
+            <TableCell>System type</TableCell>
+            <TableCell>Template</TableCell>
+            <TableCell>Active</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rules.map((rule) => (
+            <TableRow key={rule.id}>
+              <TableCell>{rule.name}</TableCell>
+              <TableCell>
+                {rule.department || 'Any'}
+                {rule.department_code && ` (${rule.department_code})`}
+              </TableCell>
+              <TableCell>{rule.systemType?.name || 'Any'}</TableCell>
+              <TableCell><code>{rule.template}</code></TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={rule.is_active}
+                  onChange={(e) => runAction(
+                    () => assetNamingService.updateRule(rule.id, { is_active: e.target.checked })
+                  )}
+                />
+              </TableCell>
+              <TableCell>
+                <IconButton size="small" onClick={() => runAction(() => assetNamingService.deleteRule(rule.id))}>
+                  <Delete fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Typography variant="subtitle1" gutterBottom>New rule</Typography>
+      <Box component="form" onSubmit={handleCreate}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={4}>
+            <TextField label="Name" value={form.name} onChange={setField('name')} required fullWidth size="small" />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              label="Department (blank for any)"
+              value={form.department}
+              onChange={setField('department')}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              label="Department code"
+              value={form.department_code}
+              onChange={setField('department_code')}
+              inputProps={{ maxLength: 20 }}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              label="System type"
+              value={form.system_type_id}
+              onChange={setField('system_type_id')}
+              fullWidth
+              size="small"
+            >
+              <MenuItem value="">Any</MenuItem>
+              {systemTypes.map((type) => (
+                <MenuItem key={type.id} value={type.id}>{type.name}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            <TextField
+              label="Template"
+              placeholder="{DEPT}-{TYPE}-{SEQ:4}"
+              value={form.template}
+              onChange={setField('template')}
+              required
+              fullWidth
+              size="small"
+              helperText={preview && (preview.error || (
+                `Preview: ${preview.asset_name}${preview.available ? '' : ' (already in use)'}`
+              ))}
+              error={!!preview?.error}
+            />
+          </Grid>
+        </Grid>
+        <Box mt={2}>
+          <Button type="submit" variant="contained">Add rule</Button>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default AssetNamingRules;
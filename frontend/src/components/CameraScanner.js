@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, Typography } from '@mui/material';
+import PropTypes from 'prop-types';
+
+// Formats printed on serial labels and asset tags
+const FORMATS = ['code_128', 'code_39', 'data_matrix', 'qr_code', 'ean_13', 'upc_a'];
+const SCAN_INTERVAL_MS = 250;
+
+export const isCameraScanSupported = () => (
+  typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia
+);
+
+// Decodes barcodes and QR codes from the rear camera with the browser's
+// BarcodeDetector. Scans until unmounted; onDetect gets the raw value of
+// every code seen, so callers should ignore repeats.
+const CameraScanner = ({ onDetect }) => {
+  const videoRef = useRef(null);
+  const onDetectRef = useRef(onDetect);
+  const [error, setError] = useState(null);
+  onDetectRef.current = onDetect;
+
+  useEffect(() => {
+    let stream;
+    let timer;
+    let stopped = false;
+
+    const start = async () => {
+      try {
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const detector = new window.BarcodeDetector({
+          formats: FORMATS.filter((format) => supported.includes(format)),
+        });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const scan = async () => {
+          if (stopped) return;
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          if (codes.length > 0) {
+            onDetectRef.current(codes[0].rawValue);
+          }
+          timer = setTimeout(scan, SCAN_INTERVAL_MS);
+        };
+        scan();
+      } catch (err) {
+        setError(err.name === 'NotAllowedError' ? 'Camera access was denied' : 'Could not start the camera');
+      }
+    };
+    start();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  if (error) {
+    return <Typography color="error" variant="body2">{error}</Typography>;
+  }
+
+  return (
+    <Box sx={{ width: '100%', borderRadius: 1, overflow: 'hidden', bgcolor: 'black' }}>
+      <video ref={videoRef} muted playsInline style={{ width: '100%', display: 'block' }} />
+    </Box>
+  );
+};
+
+CameraScanner.propTypes = {
+  onDetect: PropTypes.func.isRequired
+};
+
+export default CameraScanner;
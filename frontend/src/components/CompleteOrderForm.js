@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+} from '@mui/material';
+import PropTypes from 'prop-types';
+
+// Shipping orders need a tracking number, local deliveries a confirmation
+const DELIVERY_FIELDS = {
+  shipping: { name: 'tracking_number', label: 'Tracking number' },
+  delivery: { name: 'delivery_confirmation', label: 'Delivery confirmation (received by)' },
+};
+
+// Final step for an order that is ready to deliver
+const CompleteOrderForm = ({ order, onComplete }) => {
+  const field = DELIVERY_FIELDS[order.delivery_method] || DELIVERY_FIELDS.shipping;
+  const [value, setValue] = useState('');
+  const [finalNotes, setFinalNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onComplete({ [field.name]: value.trim(), final_notes: finalNotes.trim() || undefined });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not complete the order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} mt={2}>
+      <Typography variant="subtitle2" gutterBottom>Complete order</Typography>
+      <TextField
+        label={field.label}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        required
+        fullWidth
+        size="small"
+        margin="dense"
+      />
+      <TextField
+        label="Final notes"
+        value={finalNotes}
+        onChange={(e) => setFinalNotes(e.target.value)}
+        fullWidth
+        multiline
+        minRows={2}
+        size="small"
+        margin="dense"
+      />
+      {error && (
+        <Typography color="error" variant="body2">{error}</Typography>
+      )}
+      <Box display="flex" justifyContent="flex-end" mt={1}>
+        <Button type="submit" variant="contained" disabled={submitting || !value.trim()}>
+          Mark complete
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+CompleteOrderForm.propTypes = {
+  order: PropTypes.shape({
+    delivery_method: PropTypes.string
+  }).isRequired,
+  onComplete: PropTypes.func.isRequired
+};
+
+export default CompleteOrderForm;
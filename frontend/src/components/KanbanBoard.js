@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { DndProvider, useDrag, useDrop } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
 import {
@@ -12,6 +12,13 @@ import {
   CircularProgress,
   TextField,
   MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Snackbar,
+  Alert,
 } from '@mui/material';
 import {
   Assignment,
@@ -22,54 +29,164 @@ import {
   FilterList,
 } from '@mui/icons-material';
 import PropTypes from 'prop-types';
+import useBoardSocket from '../hooks/useBoardSocket';
+import OrderDetailsDialog from './OrderDetailsDialog';
+import { useAuth } from '../context/AuthContext';
+import orderService from '../services/orderService';
 
-// Mock services until actual services are created
-const useAuth = () => ({ user: { id: 1, name: 'Test User' } });
-const orderService = {
-  getOrders: async () => {
-    // Mock data
-    return [
-      {
-        id: 1,
-        woo_order_id: 'WC-1001',
-        customer_name: 'John Doe',
-        customer_department: 'Engineering',
-        status: 'ordered',
-        priority: 1,
-        delivery_method: 'shipping',
-        assigned_to: null,
-        systems: [{ id: 1, status: 'pending' }],
-        updated_at: new Date().toISOString()
-      }
-    ];
-  },
-  updateOrderStatus: async (orderId, status) => {
-    console.log(`Updating order ${orderId} to status ${status}`);
-    return { success: true };
+const STATUSES = [
+  { value: 'ordered', label: 'Ordered' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'qa_review', label: 'QA Review' },
+  { value: 'ready_to_deliver', label: 'Ready to Deliver' },
+  { value: 'complete', label: 'Complete' },
+];
+
+const statusLabel = (status) => status.replace(/_/g, ' ');
+
+// What the workflow guards ask for with a move: a reason when going
+// backwards, proof of delivery when completing
+const MOVE_DETAILS = {
+  notes: { name: 'notes', label: 'Reason for moving back', multiline: true },
+  tracking_number: { name: 'tracking_number', label: 'Tracking number' },
+  delivery_confirmation: { name: 'delivery_confirmation', label: 'Delivery confirmation (received by)' },
+};
+
+const columnIndex = (status) => STATUSES.findIndex((column) => column.value === status);
+
+const requiredMoveDetail = (order, to) => {
+  if (columnIndex(to) < columnIndex(order.status)) return MOVE_DETAILS.notes;
+  if (to === 'complete') {
+    return order.delivery_method === 'delivery' ? MOVE_DETAILS.delivery_confirmation : MOVE_DETAILS.tracking_number;
+  }
+  return null;
+};
+
+const moveErrorMessage = (error) => {
+  const data = error.response?.data;
+  if (data?.code === 'invalid_transition') {
+    return `Orders can't move from ${statusLabel(data.from)} to ${statusLabel(data.to)}`;
   }
+  // Failed guards explain themselves in message
+  return data?.message || data?.error || 'Could not move the order';
+};
+
+// How often SLA badges are re-checked against the deadlines the server sent
+const SLA_TICK_MS = 60 * 1000;
+
+const SLA_CHIPS = {
+  at_risk: { label: 'SLA at risk', color: 'warning' },
+  breached: { label: 'SLA breached', color: 'error' },
+};
+
+// The server's sla_state, advanced as the deadlines it sent pass
+const slaStateOf = (order, now = Date.now()) => {
+  if (!order.sla) return order.sla_state || null;
+  if (now >= new Date(order.sla.due_at).getTime()) return 'breached';
+  if (now >= new Date(order.sla.at_risk_at).getTime()) return 'at_risk';
+  return order.sla_state;
+};
+
+const describeAssignee = (order) => (order.assignee
+  ? `${order.assignee.first_name} ${order.assignee.last_name}`
+  : 'Unassigned');
+
+// Shown when a drop is rejected because someone else changed the order first
+const ConflictDialog = ({ conflict, onKeepTheirs, onOverride }) => {
+  if (!conflict) return null;
+  const { current, requestedStatus } = conflict;
+
+  return (
+    <Dialog open onClose={onKeepTheirs} maxWidth="xs" fullWidth>
+      <DialogTitle>Order #{current.woo_order_id} was changed</DialogTitle>
+      <DialogContent>
+        <DialogContentText gutterBottom>
+          Someone else updated this order while you were moving it. It is now:
+        </DialogContentText>
+        <Typography variant="body2">Status: {statusLabel(current.status)}</Typography>
+        <Typography variant="body2">Assigned to: {describeAssignee(current)}</Typography>
+        <Typography variant="body2">Priority: P{current.priority}</Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onKeepTheirs}>Keep their changes</Button>
+        {current.status !== requestedStatus && (
+          <Button variant="contained" onClick={onOverride}>
+            Move to {statusLabel(requestedStatus)} anyway
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ConflictDialog.propTypes = {
+  conflict: PropTypes.shape({
+    current: PropTypes.object.isRequired,
+    requestedStatus: PropTypes.string.isRequired
+  }),
+  onKeepTheirs: PropTypes.func.isRequired,
+  onOverride: PropTypes.func.isRequired
 };
 
-// Mock dialog component until created
-const OrderDetailsDialog = ({ order, open, onClose, onUpdate }) => {
-  return null; // Placeholder
+// Asks for what a move needs before it is sent
+const MoveDetailsDialog = ({ move, onCancel, onSubmit }) => {
+  const [value, setValue] = useState('');
+  const { order, newStatus, detail } = move;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ [detail.name]: value.trim() });
+  };
+
+  return (
+    <Dialog open onClose={onCancel} maxWidth="xs" fullWidth>
+      <Box component="form" onSubmit={handleSubmit}>
+        <DialogTitle>Move order #{order.woo_order_id} to {statusLabel(newStatus)}</DialogTitle>
+        <DialogContent>
+          <TextField
+            label={detail.label}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            required
+            autoFocus
+            fullWidth
+            multiline={!!detail.multiline}
+            minRows={detail.multiline ? 2 : undefined}
+            margin="dense"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onCancel}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={!value.trim()}>Move</Button>
+        </DialogActions>
+      </Box>
+    </Dialog>
+  );
 };
 
-OrderDetailsDialog.propTypes = {
-  order: PropTypes.object,
-  open: PropTypes.bool.isRequired,
-  onClose: PropTypes.func.isRequired,
-  onUpdate: PropTypes.func.isRequired
+MoveDetailsDialog.propTypes = {
+  move: PropTypes.shape({
+    order: PropTypes.object.isRequired,
+    newStatus: PropTypes.string.isRequired,
+    detail: PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      multiline: PropTypes.bool
+    }).isRequired
+  }).isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired
 };
 
 // Order card component with drag functionality
 const OrderCard = ({ order, onOrderClick }) => {
   const [{ isDragging }, drag] = useDrag(() => ({
     type: 'order',
-    item: { id: order.id, currentStatus: order.status },
+    item: { id: order.id, currentStatus: order.status, version: order.version },
     collect: (monitor) => ({
       isDragging: !!monitor.isDragging(),
     }),
-  }));
+  }), [order.id, order.status, order.version]);
 
   const getPriorityColor = (priority) => {
     if (priority >= 3) return 'error';
@@ -129,22 +246,23 @@ const OrderCard = ({ order, onOrderClick }) => {
           )}
         </Box>
 
-        {order.assigned_to && (
+        {order.assignee && (
           <Box display="flex" alignItems="center" gap={1}>
             <Avatar sx={{ width: 24, height: 24 }}>
-              {order.assigned_to.first_name[0]}
+              {order.assignee.first_name[0]}
             </Avatar>
             <Typography variant="caption">
-              {order.assigned_to.first_name} {order.assigned_to.last_name}
+              {order.assignee.first_name} {order.assignee.last_name}
             </Typography>
           </Box>
         )}
 
-        {order.hasUrgentIssue && (
+        {SLA_CHIPS[order.slaState] && (
           <Chip
             icon={<Warning />}
-            label="Needs Attention"
-            color="error"
+            label={SLA_CHIPS[order.slaState].label}
+            color={SLA_CHIPS[order.slaState].color}
+            title={`Due ${new Date(order.sla.due_at).toLocaleString()}`}
             size="small"
             sx={{ mt: 1 }}
           />
@@ -162,11 +280,17 @@ OrderCard.propTypes = {
     customer_department: PropTypes.string,
     status: PropTypes.string.isRequired,
     priority: PropTypes.number,
+    version: PropTypes.number,
     delivery_method: PropTypes.string,
     systems: PropTypes.array,
-    assigned_to: PropTypes.object,
+    assigned_to: PropTypes.number,
+    assignee: PropTypes.object,
+    sla: PropTypes.shape({
+      at_risk_at: PropTypes.string,
+      due_at: PropTypes.string
+    }),
     isAssignedToMe: PropTypes.bool,
-    hasUrgentIssue: PropTypes.bool
+    slaState: PropTypes.oneOf(['on_track', 'at_risk', 'breached'])
   }).isRequired,
   onOrderClick: PropTypes.func.isRequired
 };
@@ -177,13 +301,13 @@ const KanbanColumn = ({ status, orders, onOrderDrop, onOrderClick }) => {
     accept: 'order',
     drop: (item) => {
       if (item.currentStatus !== status.value) {
-        onOrderDrop(item.id, status.value);
+        onOrderDrop(item.id, status.value, item.version);
       }
     },
     collect: (monitor) => ({
       isOver: !!monitor.isOver(),
     }),
-  }));
+  }), [status.value, onOrderDrop]);
 
   const getColumnColor = () => {
     switch (status.value) {
@@ -239,60 +363,130 @@ KanbanColumn.propTypes = {
 
 // Main Kanban Board component
 const KanbanBoard = () => {
-  const { user } = useAuth();
+  const { user, token, refresh } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [filterMode, setFilterMode] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [conflict, setConflict] = useState(null);
+  const [slaAlert, setSlaAlert] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null);
+  const [moveError, setMoveError] = useState(null);
 
-  const statuses = [
-    { value: 'ordered', label: 'Ordered' },
-    { value: 'in_progress', label: 'In Progress' },
-    { value: 'qa_review', label: 'QA Review' },
-    { value: 'ready_to_deliver', label: 'Ready to Deliver' },
-    { value: 'complete', label: 'Complete' },
-  ];
+  const withFlags = useCallback((order) => ({
+    ...order,
+    isAssignedToMe: order.assigned_to === user.id,
+    slaState: slaStateOf(order),
+  }), [user.id]);
 
-  useEffect(() => {
-    fetchOrders();
-    // Set up real-time updates
-    const interval = setInterval(fetchOrders, 30000); // Refresh every 30 seconds
-    return () => clearInterval(interval);
-  }, []);
-
-  const fetchOrders = async () => {
+  const fetchOrders = useCallback(async () => {
     try {
       const data = await orderService.getOrders();
-      const ordersWithFlags = data.map(order => ({
-        ...order,
-        isAssignedToMe: order.assigned_to?.id === user.id,
-        hasUrgentIssue: checkUrgentIssues(order),
-      }));
-      setOrders(ordersWithFlags);
+      setOrders(data.map(withFlags));
     } catch (error) {
       console.error('Error fetching orders:', error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [withFlags]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setOrders((current) => current.map(withFlags)), SLA_TICK_MS);
+    return () => clearInterval(timer);
+  }, [withFlags]);
+
+  // Apply live updates pushed by the server
+  const handleBoardEvent = useCallback(({ type, data }) => {
+    if (type.startsWith('order.')) {
+      setOrders((current) => {
+        const updated = withFlags(data.order);
+        const exists = current.some((order) => order.id === updated.id);
+        return exists
+          ? current.map((order) => (order.id === updated.id ? updated : order))
+          : [...current, updated];
+      });
+    } else if (type === 'sla.escalated') {
+      const updated = withFlags(data.order);
+      setOrders((current) => current.map((order) => (order.id === updated.id ? updated : order)));
+      if (data.notify_user_ids.includes(user.id)) {
+        setSlaAlert(updated);
+      }
+    } else if (type === 'checklist.progress') {
+      setOrders((current) => current.map((order) => (order.id !== data.order_id ? order : {
+        ...order,
+        systems: order.systems?.map((system) => (system.id !== data.system_id ? system : {
+          ...system,
+          status: data.system_status,
+          progress: data.progress,
+        })),
+      })));
+    }
+  }, [user.id, withFlags]);
+
+  // Refetch after a dropped connection, since events may have been missed
+  const { connected } = useBoardSocket({
+    token,
+    onEvent: handleBoardEvent,
+    onReconnect: fetchOrders,
+    onTokenExpired: refresh,
+  });
 
-  const checkUrgentIssues = (order) => {
-    // Check if order has been in current status too long
-    const statusDuration = new Date() - new Date(order.updated_at);
-    const maxDuration = 48 * 60 * 60 * 1000; // 48 hours
-    return statusDuration > maxDuration && order.status !== 'complete';
+  const replaceOrder = (updated) => {
+    setOrders((current) => current.map((order) => (
+      order.id === updated.id ? withFlags(updated) : order
+    )));
   };
 
-  const handleOrderDrop = async (orderId, newStatus) => {
+  // Status changes carry the version the user saw so stale moves are rejected
+  const moveOrder = async (orderId, newStatus, version, details) => {
     try {
-      await orderService.updateOrderStatus(orderId, newStatus);
-      fetchOrders(); // Refresh the board
+      replaceOrder(await orderService.updateOrderStatus(orderId, newStatus, version, details));
     } catch (error) {
-      console.error('Error updating order status:', error);
+      if (error.response?.status === 409 && error.response.data.current) {
+        replaceOrder(error.response.data.current);
+        setConflict({ current: error.response.data.current, requestedStatus: newStatus });
+        return;
+      }
+      setMoveError(moveErrorMessage(error));
+    }
+  };
+
+  // Moves that need a reason or delivery details prompt for them first
+  const requestMove = (order, newStatus, version) => {
+    const detail = requiredMoveDetail(order, newStatus);
+    if (detail) {
+      setPendingMove({
+        order, newStatus, version, detail,
+      });
+      return;
+    }
+    moveOrder(order.id, newStatus, version);
+  };
+
+  const handleOrderDrop = (orderId, newStatus, version) => {
+    const order = orders.find((candidate) => candidate.id === orderId);
+    if (order) {
+      requestMove(order, newStatus, version);
     }
   };
 
+  const handleMoveDetails = (details) => {
+    const { order, newStatus, version } = pendingMove;
+    setPendingMove(null);
+    moveOrder(order.id, newStatus, version, details);
+  };
+
+  const handleConflictOverride = () => {
+    const { current, requestedStatus } = conflict;
+    setConflict(null);
+    requestMove(current, requestedStatus, current.version);
+  };
+
   const handleOrderClick = (order) => {
     setSelectedOrder(order);
   };
@@ -321,7 +515,7 @@ const KanbanBoard = () => {
 
   if (loading) {
     return (
-      <Box display="flex" justifyContent="center" alignItems="center" height="100vh">
+      <Box display="flex" justifyContent="center" alignItems="center" height="100%">
         <CircularProgress />
       </Box>
     );
@@ -329,12 +523,19 @@ const KanbanBoard = () => {
 
   return (
     <DndProvider backend={HTML5Backend}>
-      <Box sx={{ height: '100vh', display: 'flex', flexDirection: 'column', p: 2 }}>
+      <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column', p: 2 }}>
         {/* Header with filters */}
         <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
-          <Typography variant="h4">Buildroom Workflow</Typography>
+          <Typography variant="h5">Order Board</Typography>
           
           <Box display="flex" gap={2} alignItems="center">
+            <Chip
+              size="small"
+              label={connected ? 'Live' : 'Offline'}
+              color={connected ? 'success' : 'default'}
+              variant="outlined"
+            />
+
             <TextField
               size="small"
               placeholder="Search orders..."
@@ -378,7 +579,7 @@ const KanbanBoard = () => {
             overflowY: 'hidden',
           }}
         >
-          {statuses.map((status) => (
+          {STATUSES.map((status) => (
             <KanbanColumn
               key={status.value}
               status={status}
@@ -394,8 +595,56 @@ const KanbanBoard = () => {
           order={selectedOrder}
           open={!!selectedOrder}
           onClose={() => setSelectedOrder(null)}
-          onUpdate={fetchOrders}
+          onOrderChange={replaceOrder}
         />
+
+        <ConflictDialog
+          conflict={conflict}
+          onKeepTheirs={() => setConflict(null)}
+          onOverride={handleConflictOverride}
+        />
+
+        {pendingMove && (
+          <MoveDetailsDialog
+            move={pendingMove}
+            onCancel={() => setPendingMove(null)}
+            onSubmit={handleMoveDetails}
+          />
+        )}
+
+        <Snackbar
+          open={!!moveError}
+          autoHideDuration={6000}
+          onClose={() => setMoveError(null)}
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+        >
+          <Alert severity="error" onClose={() => setMoveError(null)}>{moveError}</Alert>
+        </Snackbar>
+
+        <Snackbar
+          open={!!slaAlert}
+          onClose={() => setSlaAlert(null)}
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        >
+          <Alert
+            severity="error"
+            onClose={() => setSlaAlert(null)}
+            action={(
+              <Button
+                color="inherit"
+                size="small"
+                onClick={() => {
+                  handleOrderClick(slaAlert);
+                  setSlaAlert(null);
+                }}
+              >
+                Open
+              </Button>
+            )}
+          >
+            {slaAlert && `Order #${slaAlert.woo_order_id} has been ${statusLabel(slaAlert.status)} past its SLA`}
+          </Alert>
+        </Snackbar>
       </Box>
     </DndProvider>
   );
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import {
+  Badge,
+  Box,
+  Button,
+  Divider,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Popover,
+  Typography,
+} from '@mui/material';
+import { Notifications } from '@mui/icons-material';
+import { useAuth } from '../context/AuthContext';
+import useBoardSocket from '../hooks/useBoardSocket';
+import notificationService from '../services/notificationService';
+
+const RECENT_LIMIT = 20;
+
+// App bar bell with the unread count and the latest notifications
+const NotificationBell = () => {
+  const { user, token, refresh } = useAuth();
+  const navigate = useNavigate();
+  const [anchor, setAnchor] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+
+  const fetchNotifications = useCallback(() => notificationService.getNotifications({ limit: RECENT_LIMIT })
+    .then((data) => {
+      setUnreadCount(data.unread_count);
+      setNotifications(data.notifications);
+    })
+    .catch((error) => console.error('Error loading notifications:', error)), []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  // Only refetch when the new notifications are ours
+  const handleEvent = useCallback(({ type, data }) => {
+    if (type === 'notification.created' && data.user_ids.includes(user.id)) {
+      fetchNotifications();
+    }
+  }, [fetchNotifications, user.id]);
+
+  useBoardSocket({
+    token,
+    onEvent: handleEvent,
+    onReconnect: fetchNotifications,
+    onTokenExpired: refresh,
+  });
+
+  const handleOpen = (notification) => {
+    setAnchor(null);
+    if (!notification.read_at) {
+      notificationService.markRead(notification.id)
+        .then(fetchNotifications)
+        .catch((error) => console.error('Error marking notification read:', error));
+    }
+    if (notification.order_id) {
+      navigate(`/orders/${notification.order_id}`);
+    }
+  };
+
+  const handleMarkAllRead = () => notificationService.markAllRead()
+    .then(fetchNotifications)
+    .catch((error) => console.error('Error marking notifications read:', error));
+
+  return (
+    <>
+      <IconButton color="inherit" onClick={(e) => setAnchor(e.currentTarget)} sx={{ mr: 1 }}>
+        <Badge badgeContent={unreadCount} color="error">
+          <Notifications />
+        </Badge>
+      </IconButton>
+      <Popover
+        open={!!anchor}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ width: 360 }}>
+          <Box display="flex" alignItems="center" px={2} py={1}>
+            <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>Notifications</Typography>
+            <Button size="small" onClick={handleMarkAllRead} disabled={!unreadCount}>Mark all read</Button>
+          </Box>
+          <Divider />
+          {notifications.length === 0 ? (
+            <Typography color="text.secondary" sx={{ p: 2 }}>Nothing yet.</Typography>
+          ) : (
+            <List dense disablePadding sx={{ maxHeight: 400, overflow: 'auto' }}>
+              {notifications.map((notification) => (
+                <ListItemButton
+                  key={notification.id}
+                  onClick={() => handleOpen(notification)}
+                  sx={{ bgcolor: notification.read_at ? 'inherit' : 'action.hover' }}
+                >
+                  <ListItemText
+                    primary={notification.title}
+                    primaryTypographyProps={{ fontWeight: notification.read_at ? 'normal' : 'bold' }}
+                    secondary={new Date(notification.created_at).toLocaleString()}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+          <Divider />
+          <Box px={2} py={1}>
+            <Button size="small" component={RouterLink} to="/notifications" onClick={() => setAnchor(null)}>
+              Notification settings
+            </Button>
+          </Box>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import notificationService from '../services/notificationService';
+
+// Admin editor for the wording of each notification type
+const NotificationTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const selectTemplate = (template) => {
+    setSelected(template.type);
+    setDraft({ subject: template.subject, body: template.body, is_active: template.is_active });
+  };
+
+  useEffect(() => {
+    notificationService.getTemplates()
+      .then((data) => {
+        setTemplates(data);
+        if (data.length) selectTemplate(data[0]);
+      })
+      .catch((err) => console.error('Error loading notification templates:', err));
+  }, []);
+
+  const template = templates.find((t) => t.type === selected);
+
+  const runAction = async (action, success) => {
+    setNotice(null);
+    try {
+      const result = await action();
+      if (result.type) {
+        setTemplates((current) => current.map((t) => (t.type === result.type ? result : t)));
+        selectTemplate(result);
+      }
+      setNotice({ severity: 'success', message: success(result) });
+    } catch (err) {
+      setNotice({ severity: 'error', message: err.response?.data?.error || 'Could not save the template' });
+    }
+  };
+
+  const setField = (field) => (e) => setDraft((current) => ({ ...current, [field]: e.target.value }));
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>Notification templates</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Plain text with {'{{variable}}'} placeholders filled in from the order. The subject is
+        also the title of in-app notifications.
+      </Typography>
+
+      {notice && <Alert severity={notice.severity} sx={{ my: 1 }}>{notice.message}</Alert>}
+
+      {template && draft && (
+        <Box sx={{ maxWidth: 720 }}>
+          <TextField
+            select
+            label="Notification"
+            value={selected}
+            onChange={(e) => selectTemplate(templates.find((t) => t.type === e.target.value))}
+            fullWidth
+            size="small"
+            margin="normal"
+          >
+            {templates.map((t) => (
+              <MenuItem key={t.type} value={t.type}>
+                {t.label}{t.customized ? ' (edited)' : ''}
+              </MenuItem>
+            ))}
+          </TextField>
+          <FormControlLabel
+            control={(
+              <Switch
+                checked={draft.is_active}
+                onChange={(e) => setDraft((current) => ({ ...current, is_active: e.target.checked }))}
+              />
+            )}
+            label={template.audience === 'customer' ? 'Email customers' : 'Send this notification'}
+          />
+          <TextField
+            label="Subject"
+            value={draft.subject}
+            onChange={setField('subject')}
+            fullWidth
+            size="small"
+            margin="normal"
+          />
+          <TextField
+            label="Body"
+            value={draft.body}
+            onChange={setField('body')}
+            fullWidth
+            multiline
+            minRows={6}
+            margin="normal"
+          />
+          <Box display="flex" flexWrap="wrap" gap={0.5} mb={2}>
+            {template.variables.map((variable) => (
+              <Chip key={variable} size="small" variant="outlined" label={`{{${variable}}}`} />
+            ))}
+          </Box>
+          <Box display="flex" gap={1}>
+            <Button
+              variant="contained"
+              onClick={() => runAction(
+                () => notificationService.updateTemplate(selected, draft),
+                () => 'Template saved'
+              )}
+            >
+              Save
+            </Button>
+            <Button
+              disabled={!template.customized}
+              onClick={() => runAction(
+                () => notificationService.resetTemplate(selected),
+                () => 'Back to the built-in wording'
+              )}
+            >
+              Reset to default
+            </Button>
+            <Button
+              onClick={() => runAction(
+                () => notificationService.sendTestEmail(selected),
+                (result) => `Test email sent to ${result.to}`
+              )}
+            >
+              Send test email
+            </Button>
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default NotificationTemplates;
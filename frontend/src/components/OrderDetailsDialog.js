@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Grid,
+  MenuItem,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import OrderHistory from './OrderHistory';
+import SystemChecklistCard from './SystemChecklistCard';
+import CompleteOrderForm from './CompleteOrderForm';
+import SerialScanDialog from './SerialScanDialog';
+import { useAuth } from '../context/AuthContext';
+import orderService from '../services/orderService';
+import checklistService from '../services/checklistService';
+import userService from '../services/userService';
+
+const MANAGER_ROLES = ['manager', 'admin'];
+const PRIORITIES = [0, 1, 2, 3, 4, 5];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const InfoRow = ({ label, value }) => (
+  <Box mb={1}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{value || '—'}</Typography>
+  </Box>
+);
+
+InfoRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.node
+};
+
+// Order details: customer and delivery info, systems with their checklists,
+// manager controls and the completion form, plus a tab for audit history
+const OrderDetailsDialog = ({
+  order, open, onClose, onOrderChange,
+}) => {
+  const { user: currentUser } = useAuth();
+  const [tab, setTab] = useState('details');
+  const [details, setDetails] = useState(null);
+  const [checklists, setChecklists] = useState({});
+  const [users, setUsers] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const [scanSystemId, setScanSystemId] = useState(null);
+
+  const isManager = MANAGER_ROLES.includes(currentUser.role);
+
+  const loadOrder = useCallback(async (orderId) => {
+    const data = await orderService.getOrder(orderId);
+    setDetails(data);
+    return data;
+  }, []);
+
+  const loadChecklists = useCallback(async (systems) => {
+    const entries = await Promise.all(systems.map(async (system) => (
+      [system.id, await checklistService.getSystemChecklists(system.id)]
+    )));
+    setChecklists(Object.fromEntries(entries));
+  }, []);
+
+  // Start on the details tab and load fresh data for each order opened.
+  // Keyed on the id so a new object for the same order doesn't reset the dialog.
+  const orderId = order?.id;
+  useEffect(() => {
+    if (!open || !orderId) return;
+    setTab('details');
+    setDetails(null);
+    setChecklists({});
+    setNotice(null);
+    loadOrder(orderId)
+      .then((data) => loadChecklists(data.systems || []))
+      .catch((error) => console.error('Error loading order details:', error));
+  }, [open, orderId, loadOrder, loadChecklists]);
+
+  useEffect(() => {
+    if (!open || !isManager) return;
+    userService.getUsers({ is_active: true })
+      .then(setUsers)
+      .catch((error) => console.error('Error loading users:', error));
+  }, [open, isManager]);
+
+  const applyOrder = (updated) => {
+    setDetails(updated);
+    onOrderChange(updated);
+  };
+
+  // Order writes carry the version shown; on a conflict show what changed instead
+  const updateOrder = async (action) => {
+    setNotice(null);
+    try {
+      applyOrder(await action(details.version));
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data.current) {
+        applyOrder(error.response.data.current);
+        setNotice({ severity: 'warning', message: 'This order was changed by someone else. Showing the latest version.' });
+        return;
+      }
+      setNotice({ severity: 'error', message: error.response?.data?.error || 'Could not update the order' });
+    }
+  };
+
+  const handlePriorityChange = (priority) => updateOrder(
+    (version) => orderService.updatePriority(details.id, priority, version)
+  );
+
+  const handleAssigneeChange = (userId) => updateOrder(
+    (version) => orderService.assignOrder(details.id, userId, version)
+  );
+
+  // Errors are left to the form so it can show them next to the fields
+  const handleComplete = async (data) => {
+    try {
+      applyOrder(await orderService.completeOrder(details.id, data, details.version));
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data.current) {
+        applyOrder(error.response.data.current);
+      }
+      throw error;
+    }
+  };
+
+  // Step changes can move the system's status, so refresh the order too
+  const handleChecklistChange = (updated) => {
+    setChecklists((current) => ({
+      ...current,
+      [updated.system_id]: (current[updated.system_id] || []).map(
+        (checklist) => (checklist.id === updated.id ? updated : checklist)
+      ),
+    }));
+    loadOrder(details.id).catch((error) => console.error('Error refreshing order:', error));
+  };
+
+  const handleStartChecklist = async (system) => {
+    try {
+      const checklist = await checklistService.startSystemChecklist(system.id);
+      setChecklists((current) => ({ ...current, [system.id]: [checklist] }));
+    } catch (error) {
+      setNotice({ severity: 'error', message: error.response?.data?.error || 'Could not start the checklist' });
+    }
+  };
+
+  // Link to the public status page, for replying to "where's my order?"
+  const handleCopyTrackingLink = async () => {
+    try {
+      const { url } = await orderService.getTrackingLink(order.id);
+      await navigator.clipboard.writeText(url);
+      setNotice({ severity: 'success', message: `Tracking link copied: ${url}` });
+    } catch (error) {
+      setNotice({ severity: 'error', message: error.response?.data?.error || 'Could not copy the tracking link' });
+    }
+  };
+
+  // Systems come back without their associations, so merge into what we have
+  const handleSystemChange = (updated) => {
+    setDetails((current) => ({
+      ...current,
+      systems: current.systems.map((system) => (
+        system.id === updated.id ? { ...system, ...updated } : system
+      )),
+    }));
+  };
+
+  const firstUnserialized = details?.systems?.find((system) => !system.serial_number);
+
+  if (!order) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Order #{order.woo_order_id}</DialogTitle>
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ px: 3 }}>
+        <Tab value="details" label="Details" />
+        <Tab value="history" label="History" />
+      </Tabs>
+      <DialogContent dividers>
+        {tab === 'details' && !details && (
+          <Box display="flex" justifyContent="center" p={2}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {tab === 'details' && details && (
+          <Box>
+            {notice && (
+              <Alert severity={notice.severity} onClose={() => setNotice(null)} sx={{ mb: 2 }}>
+                {notice.message}
+              </Alert>
+            )}
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6}>
+                <Typography variant="subtitle2" gutterBottom>Customer</Typography>
+                <InfoRow label="Name" value={details.customer_name} />
+                <InfoRow label="Email" value={details.customer_email} />
+                <InfoRow label="Department" value={details.customer_department} />
+                <InfoRow label="Ordered" value={formatDate(details.order_date)} />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <Typography variant="subtitle2" gutterBottom>Delivery</Typography>
+                <InfoRow label="Method" value={details.delivery_method} />
+                <InfoRow label="Address" value={details.delivery_address} />
+                {details.tracking_number && (
+                  <InfoRow label="Tracking number" value={details.tracking_number} />
+                )}
+                {details.delivery_confirmation && (
+                  <InfoRow label="Delivery confirmation" value={details.delivery_confirmation} />
+                )}
+                {details.completed_at && (
+                  <InfoRow label="Completed" value={formatDate(details.completed_at)} />
+                )}
+              </Grid>
+            </Grid>
+
+            {details.notes && <InfoRow label="Notes" value={details.notes} />}
+
+            <Box display="flex" gap={2} alignItems="center" my={2}>
+              <Typography variant="body2">
+                Status: {details.status.replace(/_/g, ' ')}
+              </Typography>
+              {isManager ? (
+                <>
+                  <TextField
+                    select
+                    size="small"
+                    label="Priority"
+                    value={details.priority}
+                    onChange={(e) => handlePriorityChange(e.target.value)}
+                    sx={{ width: 110 }}
+                  >
+                    {PRIORITIES.map((priority) => (
+                      <MenuItem key={priority} value={priority}>P{priority}</MenuItem>
+                    ))}
+                  </TextField>
+                  <TextField
+                    select
+                    size="small"
+                    label="Assignee"
+                    value={details.assigned_to || ''}
+                    onChange={(e) => handleAssigneeChange(e.target.value)}
+                    sx={{ width: 220 }}
+                  >
+                    {details.assigned_to === null && (
+                      <MenuItem value="" disabled>Unassigned</MenuItem>
+                    )}
+                    {users.map((user) => (
+                      <MenuItem key={user.id} value={user.id}>
+                        {user.first_name} {user.last_name}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </>
+              ) : (
+                <>
+                  <Typography variant="body2">Priority: P{details.priority}</Typography>
+                  <Typography variant="body2">
+                    Assigned to: {details.assignee
+                      ? `${details.assignee.first_name} ${details.assignee.last_name}`
+                      : 'Unassigned'}
+                  </Typography>
+                </>
+              )}
+            </Box>
+
+            <Divider sx={{ mb: 2 }} />
+
+            <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+              <Typography variant="subtitle2">
+                Systems ({details.systems?.length || 0})
+              </Typography>
+              {firstUnserialized && (
+                <Button size="small" onClick={() => setScanSystemId(firstUnserialized.id)}>
+                  Scan serials
+                </Button>
+              )}
+            </Box>
+            {(details.systems || []).map((system) => (
+              <SystemChecklistCard
+                key={system.id}
+                system={system}
+                checklists={checklists[system.id] || []}
+                onChecklistChange={handleChecklistChange}
+                onStartChecklist={handleStartChecklist}
+                onScanSerial={(system) => setScanSystemId(system.id)}
+              />
+            ))}
+
+            <SerialScanDialog
+              systems={details.systems || []}
+              initialSystemId={scanSystemId}
+              open={scanSystemId !== null}
+              onClose={() => setScanSystemId(null)}
+              onSystemChange={handleSystemChange}
+            />
+
+            {details.status === 'ready_to_deliver' && (
+              <>
+                <Divider />
+                <CompleteOrderForm order={details} onComplete={handleComplete} />
+              </>
+            )}
+          </Box>
+        )}
+
+        {tab === 'history' && (
+          <OrderHistory orderId={order.id} loadActivity={orderService.getOrderActivity} />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleCopyTrackingLink}>Copy customer tracking link</Button>
+        <Box flexGrow={1} />
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+OrderDetailsDialog.propTypes = {
+  order: PropTypes.object,
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onOrderChange: PropTypes.func.isRequired
+};
+
+export default OrderDetailsDialog;
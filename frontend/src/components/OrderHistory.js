@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import PropTypes from 'prop-types';
+
+// Action groups offered as timeline filters
+const ACTION_FILTERS = {
+  all: { label: 'All activity', actions: null },
+  status: { label: 'Status changes', actions: ['order_created', 'status_changed', 'order_cancelled'] },
+  sla: { label: 'SLA escalations', actions: ['sla_breached', 'sla_escalated'] },
+  customer: { label: 'Customer emails', actions: ['customer_notified', 'customer_notification_failed'] },
+  assignment: {
+    label: 'Assignment & priority',
+    actions: [
+      'order_assigned',
+      'order_auto_assigned',
+      'order_auto_assign_skipped',
+      'priority_changed',
+      'serial_assigned',
+    ],
+  },
+  checklist: {
+    label: 'Checklists',
+    actions: [
+      'checklist_started',
+      'step_completed',
+      'step_updated',
+      'step_reopened',
+      'step_qa_signed_off',
+      'system_status_changed',
+    ],
+  },
+  imaging: {
+    label: 'Imaging queue',
+    actions: [
+      'imaging_queued',
+      'imaging_queue_moved',
+      'imaging_queue_skipped',
+      'imaging_queue_unskipped',
+      'imaging_started',
+    ],
+  },
+  integration: {
+    label: 'Integrations',
+    actions: [
+      'order_imported',
+      'order_updated_from_woocommerce',
+      'woocommerce_order_changed',
+      'woocommerce_discrepancy_resolved',
+      'woocommerce_cancel_ignored',
+      'agiloft_asset_synced',
+      'agiloft_asset_sync_failed',
+      'inflow_stock_consumed',
+      'integration_sync_requested',
+    ],
+  },
+};
+
+const humanize = (value) => value.replace(/_/g, ' ').replace(/^\w/, (c) => c.toUpperCase());
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const actorName = (entry) => (entry.user
+  ? `${entry.user.first_name} ${entry.user.last_name}`
+  : 'System');
+
+// Secondary line for an entry: field changes, then any note or reason
+const describeDetails = (details = {}) => {
+  const lines = Object.entries(details.changes || {}).map(
+    ([field, { from, to }]) => `${humanize(field)}: ${formatValue(from)} → ${formatValue(to)}`
+  );
+  if (details.step_name) lines.unshift(details.step_name);
+  if (details.notes) lines.push(`Notes: ${details.notes}`);
+  if (details.policy_name) lines.push(`SLA policy: ${details.policy_name}`);
+  if (details.strategy) lines.push(`Strategy: ${humanize(details.strategy)}`);
+  if (details.reason) lines.push(`Reason: ${details.reason}`);
+  if (details.integration) lines.push(`Integration: ${details.integration}`);
+  return lines;
+};
+
+// Audit timeline for an order, newest first
+const OrderHistory = ({ orderId, loadActivity }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+
+  useEffect(() => {
+    let cancelled = false;
+    const { actions } = ACTION_FILTERS[filter];
+
+    setLoading(true);
+    loadActivity(orderId, actions ? { action: actions.join(',') } : {})
+      .then((data) => {
+        if (!cancelled) setEntries(data);
+      })
+      .catch((error) => console.error('Error loading order history:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId, filter, loadActivity]);
+
+  return (
+    <Box>
+      <TextField
+        select
+        size="small"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        sx={{ mb: 2, width: 220 }}
+      >
+        {Object.entries(ACTION_FILTERS).map(([value, { label }]) => (
+          <MenuItem key={value} value={value}>{label}</MenuItem>
+        ))}
+      </TextField>
+
+      {loading && (
+        <Box display="flex" justifyContent="center" p={2}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {!loading && entries.length === 0 && (
+        <Typography color="text.secondary">No activity recorded yet.</Typography>
+      )}
+
+      {!loading && entries.length > 0 && (
+        <List dense disablePadding>
+          {entries.map((entry) => (
+            <ListItem key={entry.id} alignItems="flex-start" divider disableGutters>
+              <ListItemText
+                primary={`${humanize(entry.action)} · ${actorName(entry)}`}
+                secondary={(
+                  <>
+                    <Typography component="span" variant="caption" display="block">
+                      {new Date(entry.created_at).toLocaleString()}
+                    </Typography>
+                    {describeDetails(entry.details).map((line) => (
+                      <Typography key={line} component="span" variant="body2" display="block">
+                        {line}
+                      </Typography>
+                    ))}
+                  </>
+                )}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+OrderHistory.propTypes = {
+  orderId: PropTypes.number.isRequired,
+  loadActivity: PropTypes.func.isRequired
+};
+
+export default OrderHistory;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { Box, CircularProgress, Typography } from '@mui/material';
+import PropTypes from 'prop-types';
+import { useAuth } from '../context/AuthContext';
+
+// Renders nested routes for signed-in users with one of roles (any role when
+// omitted); everyone else goes to the login page
+const ProtectedRoute = ({ roles }) => {
+  const { user, loading, hasRole } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" height="100vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (!hasRole(roles)) {
+    return (
+      <Box p={4}>
+        <Typography variant="h5" gutterBottom>Not authorized</Typography>
+        <Typography color="text.secondary">
+          Your account does not have access to this page.
+        </Typography>
+      </Box>
+    );
+  }
+
+  return <Outlet />;
+};
+
+ProtectedRoute.propTypes = {
+  roles: PropTypes.arrayOf(PropTypes.string)
+};
+
+export default ProtectedRoute;
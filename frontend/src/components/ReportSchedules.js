@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Grid,
+  IconButton,
+  MenuItem,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Delete, PlayArrow } from '@mui/icons-material';
+import PropTypes from 'prop-types';
+import reportService from '../services/reportService';
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily (previous day)',
+  weekly: 'Weekly (previous Monday to Sunday)',
+  monthly: 'Monthly (previous month)',
+};
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  report_type: 'completion',
+  format: 'xlsx',
+  frequency: 'monthly',
+  recipients: '',
+  department: '',
+  system_type_id: '',
+};
+
+const toPayload = (schedule) => ({
+  name: schedule.name,
+  report_type: schedule.report_type,
+  format: schedule.format,
+  frequency: schedule.frequency,
+  recipients: schedule.recipients.split(/[\s,;]+/).filter(Boolean),
+  filters: {
+    department: schedule.department || undefined,
+    system_type_id: schedule.system_type_id || undefined,
+  },
+});
+
+// Recurring reports emailed after each day, week or month
+const ReportSchedules = ({
+  catalogue, departments, systemTypes, onRun,
+}) => {
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(EMPTY_SCHEDULE);
+  const [error, setError] = useState(null);
+
+  const loadSchedules = () => reportService.getSchedules()
+    .then(setSchedules)
+    .catch((err) => console.error('Error loading report schedules:', err));
+
+  useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadSchedules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save the schedule');
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await reportService.createSchedule(toPayload(form));
+      setForm(EMPTY_SCHEDULE);
+    });
+  };
+
+  const typeLabel = (type) => catalogue.types.find((t) => t.type === type)?.label || type;
+  const formFilters = catalogue.types.find((t) => t.type === form.report_type)?.filters || [];
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>Scheduled reports</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Each run covers the period that just ended and is emailed to the recipients.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>}
+
+      {schedules.length > 0 && (
+        <Table size="small" sx={{ mb: 3 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Report</TableCell>
+              <TableCell>Frequency</TableCell>
+              <TableCell>Recipients</TableCell>
+              <TableCell>Next run</TableCell>
+              <TableCell>Active</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {schedules.map((schedule) => (
+              <TableRow key={schedule.id}>
+                <TableCell>{schedule.name}</TableCell>
+                <TableCell>{typeLabel(schedule.report_type)} ({schedule.format.toUpperCase()})</TableCell>
+                <TableCell>{schedule.frequency}</TableCell>
+                <TableCell>{schedule.recipients.join(', ') || '—'}</TableCell>
+                <TableCell>{new Date(schedule.next_run_at).toLocaleString()}</TableCell>
+                <TableCell>
+                  <Switch
+                    size="small"
+                    checked={schedule.is_active}
+                    onChange={(e) => runAction(
+                      () => reportService.updateSchedule(schedule.id, { is_active: e.target.checked })
+                    )}
+                  />
+                </TableCell>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  <IconButton
+                    size="small"
+                    title="Run now"
+                    onClick={() => runAction(async () => onRun(await reportService.runSchedule(schedule.id)))}
+                  >
+                    <PlayArrow fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" onClick={() => runAction(() => reportService.deleteSchedule(schedule.id))}>
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Typography variant="subtitle1" gutterBottom>New schedule</Typography>
+      <Box component="form" onSubmit={handleCreate}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={4}>
+            <TextField label="Name" value={form.name} onChange={setField('name')} required fullWidth size="small" />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField select label="Report" value={form.report_type} onChange={setField('report_type')} fullWidth size="small">
+              {catalogue.types.map((type) => (
+                <MenuItem key={type.type} value={type.type}>{type.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} sm={2}>
+            <TextField select label="Format" value={form.format} onChange={setField('format')} fullWidth size="small">
+              {catalogue.formats.map((format) => (
+                <MenuItem key={format} value={format}>{format.toUpperCase()}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} sm={2}>
+            <TextField select label="Frequency" value={form.frequency} onChange={setField('frequency')} fullWidth size="small">
+              {catalogue.frequencies.map((frequency) => (
+                <MenuItem key={frequency} value={frequency}>{FREQUENCY_LABELS[frequency] || frequency}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label="Recipients"
+              placeholder="name@example.com, other@example.com"
+              value={form.recipients}
+              onChange={setField('recipients')}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+          {formFilters.includes('department') && (
+            <Grid item xs={6} sm={3}>
+              <TextField select label="Department" value={form.department} onChange={setField('department')} fullWidth size="small">
+                <MenuItem value="">All departments</MenuItem>
+                {departments.map((department) => (
+                  <MenuItem key={department} value={department}>{department}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          )}
+          {formFilters.includes('system_type_id') && (
+            <Grid item xs={6} sm={3}>
+              <TextField
+                select
+                label="System type"
+                value={form.system_type_id}
+                onChange={setField('system_type_id')}
+                fullWidth
+                size="small"
+              >
+                <MenuItem value="">All system types</MenuItem>
+                {systemTypes.map((type) => (
+                  <MenuItem key={type.id} value={type.id}>{type.name}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          )}
+        </Grid>
+        <Button type="submit" variant="contained" sx={{ mt: 2 }}>Add schedule</Button>
+      </Box>
+    </Box>
+  );
+};
+
+ReportSchedules.propTypes = {
+  catalogue: PropTypes.shape({
+    types: PropTypes.array.isRequired,
+    formats: PropTypes.array.isRequired,
+    frequencies: PropTypes.array.isRequired,
+  }).isRequired,
+  departments: PropTypes.array.isRequired,
+  systemTypes: PropTypes.array.isRequired,
+  onRun: PropTypes.func.isRequired
+};
+
+export default ReportSchedules;
@@ -0,0 +1,165 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+} from '@mui/material';
+import { PhotoCamera } from '@mui/icons-material';
+import PropTypes from 'prop-types';
+import CameraScanner, { isCameraScanSupported } from './CameraScanner';
+import systemService from '../services/systemService';
+
+const systemLabel = (system) => (
+  `${system.systemType?.name || 'System'} #${system.id} — ${system.serial_number || 'no serial'}`
+);
+
+// Scan mode for recording serials on an order's systems. Keyboard-wedge
+// scanners type into the focused field and press Enter; the camera decodes
+// labels in the browser. After each serial the next system without one is
+// selected so a whole order can be scanned in one go.
+const SerialScanDialog = ({
+  systems, initialSystemId, open, onClose, onSystemChange,
+}) => {
+  const [selectedId, setSelectedId] = useState(initialSystemId);
+  const [serial, setSerial] = useState('');
+  const [useCamera, setUseCamera] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const inputRef = useRef(null);
+  const lastDetected = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setSelectedId(initialSystemId);
+      setSerial('');
+      setMessage(null);
+      lastDetected.current = null;
+    }
+  }, [open, initialSystemId]);
+
+  const selected = systems.find((system) => system.id === selectedId);
+
+  const selectNextUnserialized = (afterId) => {
+    const next = systems.find((system) => system.id !== afterId && !system.serial_number);
+    if (next) {
+      setSelectedId(next.id);
+    }
+    return next;
+  };
+
+  const assign = async (value) => {
+    const scanned = value.trim();
+    if (!scanned || !selected || submitting) return;
+
+    setSubmitting(true);
+    setMessage(null);
+    try {
+      const updated = await systemService.assignSerial(selected.id, scanned, selected.version);
+      onSystemChange(updated);
+      const next = selectNextUnserialized(selected.id);
+      setMessage({
+        severity: 'success',
+        message: next
+          ? `${scanned} recorded on system #${selected.id}. Scan the next system.`
+          : `${scanned} recorded on system #${selected.id}. Every system has a serial now.`,
+      });
+    } catch (err) {
+      if (err.response?.status === 409 && err.response.data.current) {
+        onSystemChange(err.response.data.current);
+      }
+      setMessage({ severity: 'error', message: err.response?.data?.error || 'Could not record the serial' });
+    } finally {
+      setSerial('');
+      setSubmitting(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  // The camera keeps reporting a label while it is in view
+  const handleDetect = (value) => {
+    if (value === lastDetected.current) return;
+    lastDetected.current = value;
+    assign(value);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    assign(serial);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Scan serial numbers</DialogTitle>
+      <DialogContent dividers>
+        <TextField
+          select
+          label="System"
+          size="small"
+          value={selectedId || ''}
+          onChange={(e) => setSelectedId(e.target.value)}
+          fullWidth
+          margin="dense"
+        >
+          {systems.map((system) => (
+            <MenuItem key={system.id} value={system.id}>{systemLabel(system)}</MenuItem>
+          ))}
+        </TextField>
+
+        <Box component="form" onSubmit={handleSubmit}>
+          <TextField
+            label="Serial number"
+            value={serial}
+            onChange={(e) => setSerial(e.target.value)}
+            inputRef={inputRef}
+            autoFocus
+            autoComplete="off"
+            disabled={submitting || !!selected?.serial_number}
+            helperText={selected?.serial_number
+              ? 'This system already has a serial'
+              : 'Scan the label or type the serial and press Enter'}
+            fullWidth
+            margin="dense"
+          />
+        </Box>
+
+        {message && (
+          <Alert severity={message.severity} sx={{ my: 1 }}>{message.message}</Alert>
+        )}
+
+        {useCamera && !selected?.serial_number && (
+          <CameraScanner onDetect={handleDetect} />
+        )}
+      </DialogContent>
+      <DialogActions>
+        {isCameraScanSupported() && (
+          <Button startIcon={<PhotoCamera />} onClick={() => setUseCamera((on) => !on)}>
+            {useCamera ? 'Stop camera' : 'Use camera'}
+          </Button>
+        )}
+        <Box flexGrow={1} />
+        <Button onClick={onClose}>Done</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+SerialScanDialog.propTypes = {
+  systems: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    serial_number: PropTypes.string,
+    version: PropTypes.number,
+    systemType: PropTypes.object
+  })).isRequired,
+  initialSystemId: PropTypes.number,
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSystemChange: PropTypes.func.isRequired
+};
+
+export default SerialScanDialog;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Grid,
+  IconButton,
+  MenuItem,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Delete } from '@mui/icons-material';
+import slaService from '../services/slaService';
+
+// Statuses an order can wait in; complete and cancelled have no SLA
+const STATUSES = [
+  { value: 'ordered', label: 'Ordered' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'qa_review', label: 'QA Review' },
+  { value: 'ready_to_deliver', label: 'Ready to Deliver' },
+];
+const PRIORITIES = [0, 1, 2, 3, 4, 5];
+
+const EMPTY_POLICY = {
+  name: '',
+  status: 'ordered',
+  priority: '',
+  delivery_method: '',
+  target_hours: '',
+  at_risk_percent: 75,
+  manager_escalation_hours: 24,
+};
+
+// Empty optional fields are sent as null so they match any priority/method
+const toPayload = (policy) => ({
+  name: policy.name,
+  status: policy.status,
+  priority: policy.priority === '' ? null : policy.priority,
+  delivery_method: policy.delivery_method || null,
+  target_hours: Number(policy.target_hours),
+  at_risk_percent: Number(policy.at_risk_percent),
+  manager_escalation_hours: Number(policy.manager_escalation_hours),
+});
+
+const statusLabel = (status) => STATUSES.find((s) => s.value === status)?.label || status;
+
+// Admin editor for how long orders may stay in each status
+const SlaPolicies = () => {
+  const [policies, setPolicies] = useState([]);
+  const [form, setForm] = useState(EMPTY_POLICY);
+  const [error, setError] = useState(null);
+
+  const loadPolicies = () => slaService.getPolicies()
+    .then(setPolicies)
+    .catch((err) => console.error('Error loading SLA policies:', err));
+
+  useEffect(() => {
+    loadPolicies();
+  }, []);
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadPolicies();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save the SLA policy');
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await slaService.createPolicy(toPayload(form));
+      setForm(EMPTY_POLICY);
+    });
+  };
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>SLA policies</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        How long an order may stay in a status. The most specific active policy for the
+        order&apos;s priority and delivery method applies. Past the target the assignee is
+        notified, then managers after the escalation delay.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>}
+
+      <Table size="small" sx={{ mb: 3 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Name</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell>Priority</TableCell>
+            <TableCell>Delivery</TableCell>
+            <TableCell align="right">Target (h)</TableCell>
+            <TableCell align="right">At risk</TableCell>
+            <TableCell align="right">Managers after (h)</TableCell>
+            <TableCell>Active</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {policies.map((policy) => (
+            <TableRow key={policy.id}>
+              <TableCell>{policy.name}</TableCell>
+              <TableCell>{statusLabel(policy.status)}</TableCell>
+              <TableCell>{policy.priority === null ? 'Any' : `P${policy.priority}`}</TableCell>
+              <TableCell>{policy.delivery_method || 'Any'}</TableCell>
+              <TableCell align="right">{Number(policy.target_hours)}</TableCell>
+              <TableCell align="right">{policy.at_risk_percent}%</TableCell>
+              <TableCell align="right">{Number(policy.manager_escalation_hours)}</TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={policy.is_active}
+                  onChange={(e) => runAction(
+                    () => slaService.updatePolicy(policy.id, { is_active: e.target.checked })
+                  )}
+                />
+              </TableCell>
+              <TableCell>
+                <IconButton size="small" onClick={() => runAction(() => slaService.deletePolicy(policy.id))}>
+                  <Delete fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Typography variant="subtitle1" gutterBottom>New policy</Typography>
+      <Box component="form" onSubmit={handleCreate}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={4}>
+            <TextField label="Name" value={form.name} onChange={setField('name')} required fullWidth size="small" />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField select label="Status" value={form.status} onChange={setField('status')} fullWidth size="small">
+              {STATUSES.map((status) => (
+                <MenuItem key={status.value} value={status.value}>{status.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} sm={2}>
+            <TextField select label="Priority" value={form.priority} onChange={setField('priority')} fullWidth size="small">
+              <MenuItem value="">Any</MenuItem>
+              {PRIORITIES.map((priority) => (
+                <MenuItem key={priority} value={priority}>P{priority}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} sm={2}>
+            <TextField
+              select
+              label="Delivery"
+              value={form.delivery_method}
+              onChange={setField('delivery_method')}
+              fullWidth
+              size="small"
+            >
+              <MenuItem value="">Any</MenuItem>
+              <MenuItem value="delivery">Delivery</MenuItem>
+              <MenuItem value="shipping">Shipping</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              label="Target hours"
+              type="number"
+              value={form.target_hours}
+              onChange={setField('target_hours')}
+              inputProps={{ min: 0.25, step: 0.25 }}
+              required
+              fullWidth
+              size="small"
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              label="At risk after (%)"
+              type="number"
+              value={form.at_risk_percent}
+              onChange={setField('at_risk_percent')}
+              inputProps={{ min: 1, max: 100 }}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              label="Notify managers after (h past target)"
+              type="number"
+              value={form.manager_escalation_hours}
+              onChange={setField('manager_escalation_hours')}
+              inputProps={{ min: 0, step: 0.5 }}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+        </Grid>
+        <Box mt={2}>
+          <Button type="submit" variant="contained">Add policy</Button>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default SlaPolicies;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  Chip,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Typography,
+} from '@mui/material';
+import { VerifiedUser } from '@mui/icons-material';
+import PropTypes from 'prop-types';
+import { useAuth } from '../context/AuthContext';
+import checklistService from '../services/checklistService';
+
+const QA_ROLES = ['manager', 'admin'];
+
+// One system of an order with its checklists; steps can be ticked off inline
+const SystemChecklistCard = ({
+  system, checklists, onChecklistChange, onStartChecklist, onScanSerial,
+}) => {
+  const { user: currentUser } = useAuth();
+  const [pendingStep, setPendingStep] = useState(null);
+  const [error, setError] = useState(null);
+
+  const canQa = QA_ROLES.includes(currentUser.role) || currentUser.can_qa;
+
+  // Run a step action and hand the updated checklist back to the dialog
+  const runStepAction = async (checklist, step, action) => {
+    setPendingStep(step.id);
+    setError(null);
+    try {
+      const updated = await action(checklist.id, step.id);
+      onChecklistChange(updated);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not update the step');
+    } finally {
+      setPendingStep(null);
+    }
+  };
+
+  const toggleStep = (checklist, step) => {
+    if (step.completion) {
+      return runStepAction(checklist, step, checklistService.reopenStep);
+    }
+    return runStepAction(checklist, step, checklistService.completeStep);
+  };
+
+  return (
+    <Card variant="outlined" sx={{ mb: 2 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center">
+          <Typography variant="subtitle1">
+            {system.systemType?.name || 'System'} #{system.id}
+          </Typography>
+          <Chip size="small" label={system.status.replace(/_/g, ' ')} />
+        </Box>
+        <Box display="flex" alignItems="center" gap={1}>
+          <Typography variant="body2" color="text.secondary">
+            Serial: {system.serial_number || '—'} · Asset: {system.asset_name || '—'}
+          </Typography>
+          {!system.serial_number && (
+            <Button size="small" onClick={() => onScanSerial(system)}>Scan serial</Button>
+          )}
+        </Box>
+
+        {checklists.length === 0 && (
+          <Box mt={1}>
+            <Button size="small" onClick={() => onStartChecklist(system)}>
+              Start checklist
+            </Button>
+          </Box>
+        )}
+
+        {checklists.map((checklist) => (
+          <Box key={checklist.id} mt={2}>
+            <Box display="flex" justifyContent="space-between">
+              <Typography variant="body2">
+                {checklist.template.name} (v{checklist.template.version})
+              </Typography>
+              <Typography variant="body2">
+                {checklist.progress.completion_percentage}%
+              </Typography>
+            </Box>
+            <LinearProgress
+              variant="determinate"
+              value={checklist.progress.completion_percentage}
+              sx={{ my: 1 }}
+            />
+            <List dense disablePadding>
+              {checklist.steps.map((step) => {
+                const { completion } = step;
+                const signedOff = !!completion?.qa_checked_by;
+                const awaitingQa = step.requires_qa && completion && !signedOff;
+                const canSignOff = awaitingQa && canQa && completion.completed_by !== currentUser.id;
+
+                return (
+                  <ListItem
+                    key={step.id}
+                    disableGutters
+                    secondaryAction={canSignOff && (
+                      <Button
+                        size="small"
+                        disabled={pendingStep === step.id}
+                        onClick={() => runStepAction(checklist, step, checklistService.signOffStep)}
+                      >
+                        QA sign-off
+                      </Button>
+                    )}
+                  >
+                    <ListItemIcon sx={{ minWidth: 36 }}>
+                      <Checkbox
+                        edge="start"
+                        size="small"
+                        checked={!!completion}
+                        disabled={signedOff || pendingStep === step.id}
+                        onChange={() => toggleStep(checklist, step)}
+                      />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={step.name}
+                      secondary={step.description}
+                    />
+                    {step.requires_qa && (
+                      <Chip
+                        size="small"
+                        icon={<VerifiedUser />}
+                        label={signedOff ? 'QA passed' : 'QA'}
+                        color={signedOff ? 'success' : 'default'}
+                        variant="outlined"
+                        sx={{ mr: canSignOff ? 12 : 0 }}
+                      />
+                    )}
+                  </ListItem>
+                );
+              })}
+            </List>
+          </Box>
+        ))}
+
+        {error && (
+          <Typography color="error" variant="body2">{error}</Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+SystemChecklistCard.propTypes = {
+  system: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    status: PropTypes.string.isRequired,
+    serial_number: PropTypes.string,
+    asset_name: PropTypes.string,
+    systemType: PropTypes.object
+  }).isRequired,
+  checklists: PropTypes.array.isRequired,
+  onChecklistChange: PropTypes.func.isRequired,
+  onStartChecklist: PropTypes.func.isRequired,
+  onScanSerial: PropTypes.func.isRequired
+};
+
+export default SystemChecklistCard;
@@ -0,0 +1,95 @@
+import React, {
+  createContext, useCallback, useContext, useEffect, useMemo, useState,
+} from 'react';
+import PropTypes from 'prop-types';
+import authService from '../services/authService';
+import { onSessionChange, refreshSession, tokenStorage } from '../services/api';
+
+const AuthContext = createContext(null);
+
+// Current user and access token. A stored token is checked against /auth/me
+// on load; refreshes done by the API client update the token here too.
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [token, setToken] = useState(tokenStorage.getAccessToken());
+  const [loading, setLoading] = useState(!!token);
+
+  useEffect(() => {
+    if (!tokenStorage.getAccessToken()) return;
+    authService.me()
+      .then(setUser)
+      .catch(() => tokenStorage.clear())
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => onSessionChange((session) => {
+    if (session) {
+      setToken(session.access_token);
+      if (session.user) setUser(session.user);
+    } else {
+      setToken(null);
+      setUser(null);
+    }
+  }), []);
+
+  const login = useCallback(async (email, password) => {
+    const loggedIn = await authService.login(email, password);
+    setToken(tokenStorage.getAccessToken());
+    setUser(loggedIn);
+    return loggedIn;
+  }, []);
+
+  const loginWithProvider = useCallback(async (provider, username, password) => {
+    const loggedIn = await authService.providerLogin(provider, username, password);
+    setToken(tokenStorage.getAccessToken());
+    setUser(loggedIn);
+    return loggedIn;
+  }, []);
+
+  // Tokens handed back by a redirect (SAML) login
+  const completeSsoLogin = useCallback(async (tokens) => {
+    tokenStorage.save(tokens);
+    try {
+      const loggedIn = await authService.me();
+      setToken(tokens.access_token);
+      setUser(loggedIn);
+      return loggedIn;
+    } catch (error) {
+      tokenStorage.clear();
+      throw error;
+    }
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await authService.logout();
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // For callers that learn about an expired token outside of HTTP (websocket)
+  const refresh = useCallback(() => refreshSession().catch(() => null), []);
+
+  const hasRole = useCallback((roles) => !!user && (!roles || roles.includes(user.role)), [user]);
+
+  const value = useMemo(() => ({
+    user, token, loading, login, loginWithProvider, completeSsoLogin, logout, refresh, hasRole,
+  }), [user, token, loading, login, loginWithProvider, completeSsoLogin, logout, refresh, hasRole]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+AuthProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+
+const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:3001';
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Close codes the server uses when the access token runs out or is rejected,
+// both when the connection is open and during the handshake
+const AUTH_CLOSE_CODES = [4001, 4003];
+
+// Live board events from the backend. onEvent receives every { type, data, at }
+// message. onReconnect fires whenever the connection comes back after being
+// lost so callers can refetch anything they missed. onTokenExpired fires
+// when the server drops the connection because the token expired or was
+// rejected; passing a new token reconnects.
+const useBoardSocket = ({
+  token, onEvent, onReconnect, onTokenExpired,
+}) => {
+  const [connected, setConnected] = useState(false);
+  const handlers = useRef({});
+  const hasConnected = useRef(false);
+  handlers.current = { onEvent, onReconnect, onTokenExpired };
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    let socket;
+    let retryTimer;
+    let attempts = 0;
+    let stopped = false;
+
+    const connect = () => {
+      socket = new WebSocket(`${WS_URL}/ws?token=${encodeURIComponent(token)}`);
+
+      socket.onopen = () => {
+        attempts = 0;
+        setConnected(true);
+        if (hasConnected.current) {
+          handlers.current.onReconnect?.();
+        }
+        hasConnected.current = true;
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+        handlers.current.onEvent?.(message);
+      };
+
+      socket.onclose = (event) => {
+        setConnected(false);
+        if (stopped) return;
+        // Retrying with the same token would only be rejected again
+        if (AUTH_CLOSE_CODES.includes(event.code)) {
+          handlers.current.onTokenExpired?.();
+          return;
+        }
+        // Back off exponentially while the server is unreachable
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY_MS);
+        attempts += 1;
+        retryTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      socket.close();
+    };
+  }, [token]);
+
+  return { connected };
+};
+
+export default useBoardSocket;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Chip,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import AssetNamingRules from '../components/AssetNamingRules';
+import SlaPolicies from '../components/SlaPolicies';
+import NotificationTemplates from '../components/NotificationTemplates';
+import userService from '../services/userService';
+
+// User accounts, asset naming rules, SLA policies and notification templates for admins
+const AdminPage = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    userService.getUsers()
+      .then(setUsers)
+      .catch((error) => console.error('Error loading users:', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <Box p={3}>
+      <Typography variant="h5" gutterBottom>Users</Typography>
+      {loading ? (
+        <CircularProgress />
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Email</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell>Status</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {users.map((user) => (
+              <TableRow key={user.id}>
+                <TableCell>{user.first_name} {user.last_name}</TableCell>
+                <TableCell>{user.email}</TableCell>
+                <TableCell>
+                  {user.role}
+                  {user.can_qa && <Chip size="small" label="QA" sx={{ ml: 1 }} />}
+                </TableCell>
+                <TableCell>{user.is_active ? 'Active' : 'Inactive'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Box mt={4}>
+        <AssetNamingRules />
+      </Box>
+
+      <Box mt={4}>
+        <SlaPolicies />
+      </Box>
+
+      <Box mt={4}>
+        <NotificationTemplates />
+      </Box>
+    </Box>
+  );
+};
+
+export default AdminPage;
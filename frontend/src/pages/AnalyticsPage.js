@@ -0,0 +1,502 @@
+import React, {
+  useState, useEffect, useCallback, useRef,
+} from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import PropTypes from 'prop-types';
+import AnalyticsDrilldown from '../components/AnalyticsDrilldown';
+import useBoardSocket from '../hooks/useBoardSocket';
+import { useAuth } from '../context/AuthContext';
+import analyticsService from '../services/analyticsService';
+import systemService from '../services/systemService';
+
+// Kanban columns that hold open work, in board order
+const COLUMNS = [
+  { value: 'ordered', label: 'Ordered', color: '#9e9e9e' },
+  { value: 'in_progress', label: 'In Progress', color: '#1976d2' },
+  { value: 'qa_review', label: 'QA Review', color: '#ed6c02' },
+  { value: 'ready_to_deliver', label: 'Ready to Deliver', color: '#9c27b0' },
+];
+const columnLabel = (status) => COLUMNS.find((column) => column.value === status)?.label || status;
+
+const INTERVALS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' },
+];
+
+const CHART_HEIGHT = 260;
+// Order events that change work in progress; bursts are coalesced
+const WIP_EVENTS = ['order.created', 'order.moved', 'order.assigned', 'order.updated', 'sla.escalated'];
+const WIP_REFRESH_DELAY_MS = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateInput = (date) => date.toLocaleDateString('en-CA');
+const defaultFilters = () => ({
+  from: toDateInput(new Date(Date.now() - 29 * DAY_MS)),
+  to: toDateInput(new Date()),
+  department: '',
+  system_type_id: '',
+});
+
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '—';
+  return hours < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} d`;
+};
+
+const personName = (user) => (user ? `${user.first_name} ${user.last_name}` : 'Unassigned');
+
+const ChartCard = ({ title, subtitle, children }) => (
+  <Paper sx={{ p: 2, height: '100%' }}>
+    <Typography variant="subtitle1">{title}</Typography>
+    {subtitle && (
+      <Typography variant="caption" color="text.secondary" display="block" gutterBottom>
+        {subtitle}
+      </Typography>
+    )}
+    {children}
+  </Paper>
+);
+
+ChartCard.propTypes = {
+  title: PropTypes.string.isRequired,
+  subtitle: PropTypes.string,
+  children: PropTypes.node
+};
+
+const StatCard = ({ label, value, color }) => (
+  <Card>
+    <CardContent>
+      <Typography variant="caption" color="text.secondary">{label}</Typography>
+      <Typography variant="h5" color={color}>{value}</Typography>
+    </CardContent>
+  </Card>
+);
+
+StatCard.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.node,
+  color: PropTypes.string
+};
+
+// Manager dashboard: throughput, cycle time per column, SLA breaches,
+// workload per technician and bottlenecks. Any bar or row opens the orders
+// behind it.
+const AnalyticsPage = () => {
+  const { token, refresh } = useAuth();
+  const [filters, setFilters] = useState(defaultFilters);
+  const [bucketInterval, setBucketInterval] = useState('day');
+  const [departments, setDepartments] = useState([]);
+  const [systemTypes, setSystemTypes] = useState([]);
+  const [throughput, setThroughput] = useState(null);
+  const [cycleTime, setCycleTime] = useState(null);
+  const [wip, setWip] = useState(null);
+  const [bottlenecks, setBottlenecks] = useState(null);
+  const [technicians, setTechnicians] = useState(null);
+  const [error, setError] = useState(null);
+  const [drilldown, setDrilldown] = useState(null);
+  const wipTimer = useRef(null);
+
+  useEffect(() => {
+    analyticsService.getDepartments()
+      .then(setDepartments)
+      .catch((err) => console.error('Error loading departments:', err));
+    systemService.getSystemTypes()
+      .then(setSystemTypes)
+      .catch((err) => console.error('Error loading system types:', err));
+  }, []);
+
+  const fetchWip = useCallback(() => analyticsService.getWip(filters)
+    .then(setWip)
+    .catch((err) => console.error('Error loading work in progress:', err)), [filters]);
+
+  const fetchAll = useCallback(async () => {
+    setError(null);
+    try {
+      const [throughputData, cycleTimeData, bottleneckData, technicianData] = await Promise.all([
+        analyticsService.getThroughput(filters, bucketInterval),
+        analyticsService.getCycleTime(filters),
+        analyticsService.getBottlenecks(filters),
+        analyticsService.getTechnicians(filters),
+        fetchWip(),
+      ]);
+      setThroughput(throughputData);
+      setCycleTime(cycleTimeData);
+      setBottlenecks(bottleneckData);
+      setTechnicians(technicianData);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not load analytics');
+    }
+  }, [filters, bucketInterval, fetchWip]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  useEffect(() => () => clearTimeout(wipTimer.current), []);
+
+  // Work in progress follows the board live; the range-based charts don't
+  const handleEvent = useCallback(({ type }) => {
+    if (!WIP_EVENTS.includes(type)) return;
+    clearTimeout(wipTimer.current);
+    wipTimer.current = setTimeout(fetchWip, WIP_REFRESH_DELAY_MS);
+  }, [fetchWip]);
+
+  useBoardSocket({
+    token,
+    onEvent: handleEvent,
+    onReconnect: fetchWip,
+    onTokenExpired: refresh,
+  });
+
+  const setFilter = (field) => (e) => setFilters((current) => ({ ...current, [field]: e.target.value }));
+
+  const openDrilldown = (title, params) => setDrilldown({ title, params: { ...filters, ...params } });
+
+  // Bars pass the clicked data point; buckets carry the days they cover
+  const drillBucket = (metric, label) => ({ payload }) => openDrilldown(
+    `${label}: ${payload.from === payload.to ? payload.from : `${payload.from} to ${payload.to}`}`,
+    { metric, from: payload.from, to: payload.to }
+  );
+
+  const cycleData = cycleTime
+    ? cycleTime.statuses.map((row) => ({ ...row, label: columnLabel(row.status) }))
+    : [];
+  const workloadData = wip
+    ? wip.by_assignee.map((entry) => ({
+      ...entry,
+      name: personName(entry.user),
+      assigned_to: entry.user ? entry.user.id : 'unassigned',
+    }))
+    : [];
+  const breachedNow = wip ? wip.sla.reduce((sum, row) => sum + row.breached, 0) : null;
+  const atRiskNow = wip ? wip.sla.reduce((sum, row) => sum + row.at_risk, 0) : null;
+  const bottleneck = bottlenecks?.bottleneck
+    ? bottlenecks.statuses.find((row) => row.status === bottlenecks.bottleneck)
+    : null;
+
+  return (
+    <Box p={3}>
+      <Typography variant="h5" gutterBottom>Analytics</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid item xs={6} sm={2}>
+          <TextField
+            type="date"
+            label="From"
+            value={filters.from}
+            onChange={setFilter('from')}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: filters.to }}
+            fullWidth
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={6} sm={2}>
+          <TextField
+            type="date"
+            label="To"
+            value={filters.to}
+            onChange={setFilter('to')}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: filters.from }}
+            fullWidth
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={2}>
+          <TextField
+            select
+            label="Interval"
+            value={bucketInterval}
+            onChange={(e) => setBucketInterval(e.target.value)}
+            fullWidth
+            size="small"
+          >
+            {INTERVALS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={3}>
+          <TextField
+            select
+            label="Department"
+            value={filters.department}
+            onChange={setFilter('department')}
+            fullWidth
+            size="small"
+          >
+            <MenuItem value="">All departments</MenuItem>
+            {departments.map((department) => (
+              <MenuItem key={department} value={department}>{department}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={3}>
+          <TextField
+            select
+            label="System type"
+            value={filters.system_type_id}
+            onChange={setFilter('system_type_id')}
+            fullWidth
+            size="small"
+          >
+            <MenuItem value="">All system types</MenuItem>
+            {systemTypes.map((type) => (
+              <MenuItem key={type.id} value={type.id}>{type.name}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+      </Grid>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid item xs={6} md={3}>
+          <StatCard label="Open orders" value={wip ? wip.orders.total : '—'} />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <StatCard
+            label="SLA breached now (at risk)"
+            value={wip ? `${breachedNow} (${atRiskNow})` : '—'}
+            color={breachedNow ? 'error' : undefined}
+          />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <StatCard
+            label="Median lead time"
+            value={cycleTime ? formatHours(cycleTime.lead_time.median_hours) : '—'}
+          />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <StatCard
+            label="Bottleneck"
+            value={bottleneck ? columnLabel(bottleneck.status) : 'None'}
+            color={bottleneck ? 'warning.main' : undefined}
+          />
+        </Grid>
+      </Grid>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} lg={6}>
+          <ChartCard title="Throughput" subtitle="Orders received and completed. Click a bar for its orders.">
+            <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+              <BarChart data={throughput ? throughput.buckets : []}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="bucket" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                <Bar
+                  dataKey="orders_received"
+                  name="Received"
+                  fill="#90caf9"
+                  cursor="pointer"
+                  onClick={drillBucket('received', 'Orders received')}
+                />
+                <Bar
+                  dataKey="orders_completed"
+                  name="Completed"
+                  fill="#66bb6a"
+                  cursor="pointer"
+                  onClick={drillBucket('completed', 'Orders completed')}
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} lg={6}>
+          <ChartCard
+            title="Average cycle time per column"
+            subtitle="Hours orders spent in each column, for stays that ended in the range"
+          >
+            <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+              <BarChart data={cycleData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis unit=" h" />
+                <Tooltip formatter={(value) => formatHours(value)} />
+                <Legend />
+                <Bar
+                  dataKey="avg_hours"
+                  name="Average"
+                  cursor="pointer"
+                  onClick={({ payload }) => openDrilldown(`Left ${payload.label}`, {
+                    metric: 'left_status', status: payload.status,
+                  })}
+                >
+                  {cycleData.map((row) => (
+                    <Cell
+                      key={row.status}
+                      fill={COLUMNS.find((column) => column.value === row.status).color}
+                    />
+                  ))}
+                </Bar>
+                <Bar dataKey="median_hours" name="Median" fill="#bdbdbd" />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} lg={6}>
+          <ChartCard title="SLA breaches" subtitle="Orders that went past an SLA deadline">
+            <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+              <BarChart data={throughput ? throughput.buckets : []}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="bucket" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Bar
+                  dataKey="sla_breaches"
+                  name="Breaches"
+                  fill="#ef5350"
+                  cursor="pointer"
+                  onClick={drillBucket('sla_breached', 'SLA breaches')}
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} lg={6}>
+          <ChartCard title="Workload per technician" subtitle="Open orders by column, live">
+            <ResponsiveContainer width="100%" height={Math.max(CHART_HEIGHT, workloadData.length * 32)}>
+              <BarChart data={workloadData} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" allowDecimals={false} />
+                <YAxis type="category" dataKey="name" width={140} />
+                <Tooltip />
+                <Legend />
+                {COLUMNS.map((column) => (
+                  <Bar
+                    key={column.value}
+                    dataKey={column.value}
+                    name={column.label}
+                    stackId="wip"
+                    fill={column.color}
+                    cursor="pointer"
+                    onClick={({ payload }) => openDrilldown(`${payload.name}: ${column.label}`, {
+                      metric: 'wip', status: column.value, assigned_to: payload.assigned_to,
+                    })}
+                  />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} lg={6}>
+          <ChartCard
+            title="Bottlenecks"
+            subtitle="Orders into and out of each column in the range, and what is waiting there now"
+          >
+            {bottleneck && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                {columnLabel(bottleneck.status)} is accumulating work: {bottleneck.entered} in,
+                {' '}{bottleneck.exited} out, {bottleneck.wip} waiting.
+              </Alert>
+            )}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Column</TableCell>
+                  <TableCell align="right">In</TableCell>
+                  <TableCell align="right">Out</TableCell>
+                  <TableCell align="right">Net</TableCell>
+                  <TableCell align="right">Waiting now</TableCell>
+                  <TableCell align="right">Average wait</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {(bottlenecks ? bottlenecks.statuses : []).map((row) => (
+                  <TableRow
+                    key={row.status}
+                    hover
+                    selected={row.status === bottlenecks.bottleneck}
+                    sx={{ cursor: 'pointer' }}
+                    onClick={() => openDrilldown(`Waiting in ${columnLabel(row.status)}`, {
+                      metric: 'wip', status: row.status,
+                    })}
+                  >
+                    <TableCell>{columnLabel(row.status)}</TableCell>
+                    <TableCell align="right">{row.entered}</TableCell>
+                    <TableCell align="right">{row.exited}</TableCell>
+                    <TableCell align="right">
+                      {row.net > 0 ? <Chip size="small" color="warning" label={`+${row.net}`} /> : row.net}
+                    </TableCell>
+                    <TableCell align="right">{row.wip}</TableCell>
+                    <TableCell align="right">{formatHours(row.avg_age_hours)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} lg={6}>
+          <ChartCard
+            title="Technician productivity"
+            subtitle="Completed work in the range, across all departments and system types"
+          >
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Technician</TableCell>
+                  <TableCell align="right">Orders</TableCell>
+                  <TableCell align="right">Systems</TableCell>
+                  <TableCell align="right">Steps</TableCell>
+                  <TableCell align="right">Weight</TableCell>
+                  <TableCell align="right">Minutes / system</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {(technicians ? technicians.technicians : []).map((row) => (
+                  <TableRow key={row.user.id}>
+                    <TableCell>{personName(row.user)}</TableCell>
+                    <TableCell align="right">{row.orders_completed}</TableCell>
+                    <TableCell align="right">{row.systems_completed}</TableCell>
+                    <TableCell align="right">{row.steps_completed}</TableCell>
+                    <TableCell align="right">{row.weight_completed}</TableCell>
+                    <TableCell align="right">{row.avg_time_per_system ?? '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </ChartCard>
+        </Grid>
+      </Grid>
+
+      <AnalyticsDrilldown drilldown={drilldown} onClose={() => setDrilldown(null)} />
+    </Box>
+  );
+};
+
+export default AnalyticsPage;
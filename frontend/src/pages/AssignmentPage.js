@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Chip,
+  CircularProgress,
+  Grid,
+  MenuItem,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import assignmentService from '../services/assignmentService';
+import systemService from '../services/systemService';
+
+const STRATEGY_LABELS = {
+  off: 'Off (managers assign by hand)',
+  round_robin: 'Round robin',
+  least_work: 'Least remaining work',
+  skills: 'Skills per system type, then least work',
+};
+const ROLES = ['staff', 'manager', 'admin'];
+
+// Candidates weighed for a decision, least loaded first
+const describeCandidates = (candidates = []) => [...candidates]
+  .sort((a, b) => a.remaining_weight - b.remaining_weight)
+  .map((c) => `${c.name} (${c.remaining_weight}${c.skills_matched ? `, ${c.skills_matched} skills` : ''})`)
+  .join(', ');
+
+// Auto-assignment strategy, team availability and skills, and why recent
+// orders went to whom
+const AssignmentPage = () => {
+  const [settings, setSettings] = useState(null);
+  const [team, setTeam] = useState([]);
+  const [systemTypes, setSystemTypes] = useState([]);
+  const [decisions, setDecisions] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadTeam = useCallback(() => assignmentService.getTeam()
+    .then(setTeam)
+    .catch((err) => console.error('Error loading team:', err)), []);
+
+  const loadDecisions = useCallback(() => assignmentService.getDecisions({ limit: 50 })
+    .then(setDecisions)
+    .catch((err) => console.error('Error loading assignment decisions:', err)), []);
+
+  useEffect(() => {
+    assignmentService.getSettings()
+      .then(setSettings)
+      .catch((err) => console.error('Error loading assignment settings:', err));
+    systemService.getSystemTypes()
+      .then(setSystemTypes)
+      .catch((err) => console.error('Error loading system types:', err));
+    loadTeam();
+    loadDecisions();
+  }, [loadTeam, loadDecisions]);
+
+  const saveSettings = async (changes) => {
+    setError(null);
+    try {
+      setSettings(await assignmentService.updateSettings(changes));
+      loadTeam();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save the assignment settings');
+    }
+  };
+
+  const updateMember = async (userId, changes) => {
+    setError(null);
+    try {
+      const updated = await assignmentService.updateMember(userId, changes);
+      setTeam((current) => current.map((member) => (member.id === updated.id ? updated : member)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not update the team member');
+    }
+  };
+
+  if (!settings) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box p={3}>
+      <Typography variant="h5" gutterBottom>Auto-assignment</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        New orders are assigned to an active, available user in the chosen roles. Work is the
+        weight of checklist steps still to do on a user&apos;s open orders.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>}
+
+      <Grid container spacing={2} sx={{ my: 1 }}>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            select
+            label="Strategy"
+            value={settings.strategy}
+            onChange={(e) => saveSettings({ strategy: e.target.value })}
+            fullWidth
+            size="small"
+          >
+            {settings.strategies.map((strategy) => (
+              <MenuItem key={strategy} value={strategy}>{STRATEGY_LABELS[strategy] || strategy}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            select
+            label="Eligible roles"
+            value={settings.roles}
+            onChange={(e) => e.target.value.length && saveSettings({ roles: e.target.value })}
+            SelectProps={{ multiple: true, renderValue: (roles) => roles.join(', ') }}
+            fullWidth
+            size="small"
+          >
+            {ROLES.map((role) => (
+              <MenuItem key={role} value={role}>{role}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+      </Grid>
+      {settings.updated_by && (
+        <Typography variant="caption" color="text.secondary">
+          Last changed by {settings.updated_by.first_name} {settings.updated_by.last_name}
+          {' on '}{new Date(settings.updated_at).toLocaleString()}
+        </Typography>
+      )}
+
+      <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>Team</Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Name</TableCell>
+            <TableCell>Available</TableCell>
+            <TableCell>Skills</TableCell>
+            <TableCell align="right">Open orders</TableCell>
+            <TableCell align="right">Remaining work</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {team.map((member) => (
+            <TableRow key={member.id}>
+              <TableCell>
+                {member.first_name} {member.last_name}
+                <Typography variant="caption" display="block" color="text.secondary">
+                  {member.role}
+                  {member.eligible && <Chip size="small" label="Eligible" sx={{ ml: 1 }} />}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <Switch
+                  size="small"
+                  checked={member.is_available}
+                  onChange={(e) => updateMember(member.id, { is_available: e.target.checked })}
+                />
+              </TableCell>
+              <TableCell sx={{ minWidth: 220 }}>
+                <TextField
+                  select
+                  value={member.skills.map((type) => type.id)}
+                  onChange={(e) => updateMember(member.id, { skill_type_ids: e.target.value })}
+                  SelectProps={{
+                    multiple: true,
+                    displayEmpty: true,
+                    renderValue: (ids) => (ids.length
+                      ? systemTypes.filter((type) => ids.includes(type.id)).map((type) => type.name).join(', ')
+                      : 'None'),
+                  }}
+                  fullWidth
+                  size="small"
+                  variant="standard"
+                >
+                  {systemTypes.map((type) => (
+                    <MenuItem key={type.id} value={type.id}>{type.name}</MenuItem>
+                  ))}
+                </TextField>
+              </TableCell>
+              <TableCell align="right">{member.open_orders}</TableCell>
+              <TableCell align="right">{member.remaining_weight}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>Recent decisions</Typography>
+      {decisions.length === 0 ? (
+        <Typography color="text.secondary">No orders have been auto-assigned yet.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>When</TableCell>
+              <TableCell>Order</TableCell>
+              <TableCell>Strategy</TableCell>
+              <TableCell>Why</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {decisions.map((decision) => (
+              <TableRow key={decision.id}>
+                <TableCell>{new Date(decision.created_at).toLocaleString()}</TableCell>
+                <TableCell>
+                  {decision.order ? `#${decision.order.woo_order_id}` : '—'}
+                  {decision.order && (
+                    <Typography variant="caption" display="block">{decision.order.customer_name}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>{STRATEGY_LABELS[decision.details.strategy] || decision.details.strategy}</TableCell>
+                <TableCell>
+                  {decision.action === 'order_auto_assign_skipped' && (
+                    <Chip size="small" color="warning" label="Not assigned" sx={{ mr: 1 }} />
+                  )}
+                  {decision.details.reason}
+                  {decision.details.candidates?.length > 0 && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      Considered: {describeCandidates(decision.details.candidates)}
+                    </Typography>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default AssignmentPage;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import { useAuth } from '../context/AuthContext';
+import useBoardSocket from '../hooks/useBoardSocket';
+import imagingQueueService from '../services/imagingQueueService';
+
+const MANAGER_ROLES = ['manager', 'admin'];
+
+// Reason prompt for a manager move or skip; action is 'move' or 'skip'
+const QueueChangeDialog = ({ change, onCancel, onConfirm }) => {
+  const [position, setPosition] = useState('');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    setPosition(change ? String(change.system.queue_position) : '');
+    setReason('');
+  }, [change]);
+
+  if (!change) return null;
+  const { system, action } = change;
+  const skipping = action === 'skip' && !system.skip_queue;
+
+  let title = `Move system #${system.id}`;
+  if (action === 'skip') {
+    title = skipping ? `Skip the queue with system #${system.id}` : `Return system #${system.id} to its place`;
+  }
+
+  return (
+    <Dialog open onClose={onCancel} maxWidth="xs" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {action === 'move' && (
+          <TextField
+            label="New position"
+            type="number"
+            value={position}
+            onChange={(e) => setPosition(e.target.value)}
+            inputProps={{ min: 1 }}
+            fullWidth
+            margin="dense"
+          />
+        )}
+        <TextField
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          required
+          fullWidth
+          multiline
+          minRows={2}
+          margin="dense"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={!reason.trim() || (action === 'move' && !(parseInt(position, 10) >= 1))}
+          onClick={() => onConfirm({ position: parseInt(position, 10), reason: reason.trim() })}
+        >
+          {action === 'move' ? 'Move' : 'Confirm'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+QueueChangeDialog.propTypes = {
+  change: PropTypes.shape({
+    system: PropTypes.object.isRequired,
+    action: PropTypes.oneOf(['move', 'skip']).isRequired
+  }),
+  onCancel: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired
+};
+
+// Imaging bench queue: techs take the next system, managers reorder
+const ImagingQueuePage = () => {
+  const { user, token, refresh } = useAuth();
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [claimed, setClaimed] = useState(null);
+  const [change, setChange] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const isManager = MANAGER_ROLES.includes(user.role);
+
+  const fetchQueue = useCallback(() => imagingQueueService.getQueue()
+    .then(setQueue)
+    .catch((error) => console.error('Error loading imaging queue:', error))
+    .finally(() => setLoading(false)), []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  // Someone else reordered or took from the queue
+  const handleEvent = useCallback(({ type }) => {
+    if (type === 'imaging.queue') fetchQueue();
+  }, [fetchQueue]);
+
+  useBoardSocket({
+    token,
+    onEvent: handleEvent,
+    onReconnect: fetchQueue,
+    onTokenExpired: refresh,
+  });
+
+  const handleClaim = async () => {
+    setNotice(null);
+    try {
+      const system = await imagingQueueService.claimNext();
+      setClaimed(system);
+      if (!system) {
+        setNotice({ severity: 'info', message: 'The imaging queue is empty.' });
+      }
+      fetchQueue();
+    } catch (error) {
+      setNotice({ severity: 'error', message: error.response?.data?.error || 'Could not take the next system' });
+    }
+  };
+
+  const handleConfirm = async ({ position, reason }) => {
+    const { system, action } = change;
+    setChange(null);
+    try {
+      const updated = action === 'move'
+        ? await imagingQueueService.moveSystem(system.id, position, reason)
+        : await imagingQueueService.setSkipQueue(system.id, !system.skip_queue, reason);
+      setQueue(updated);
+    } catch (error) {
+      setNotice({ severity: 'error', message: error.response?.data?.error || 'Could not update the queue' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box p={3}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h5">Imaging queue ({queue.length})</Typography>
+        <Button variant="contained" onClick={handleClaim} disabled={queue.length === 0}>
+          Image next system
+        </Button>
+      </Box>
+
+      {notice && (
+        <Alert severity={notice.severity} onClose={() => setNotice(null)} sx={{ mb: 2 }}>
+          {notice.message}
+        </Alert>
+      )}
+
+      {claimed && (
+        <Alert severity="success" onClose={() => setClaimed(null)} sx={{ mb: 2 }}>
+          You are imaging {claimed.systemType?.name || 'system'} #{claimed.id} for order
+          #{claimed.order.woo_order_id} ({claimed.order.customer_name})
+          {claimed.serial_number && `, serial ${claimed.serial_number}`}.
+        </Alert>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>#</TableCell>
+            <TableCell>System</TableCell>
+            <TableCell>Order</TableCell>
+            <TableCell>Customer</TableCell>
+            <TableCell>Ordered</TableCell>
+            <TableCell>Priority</TableCell>
+            {isManager && <TableCell />}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {queue.map((system) => (
+            <TableRow key={system.id}>
+              <TableCell>
+                {system.queue_position}
+                {system.skip_queue && <Chip size="small" color="warning" label="Skip" sx={{ ml: 1 }} />}
+              </TableCell>
+              <TableCell>
+                {system.systemType?.name} #{system.id}
+                {system.serial_number && (
+                  <Typography variant="caption" display="block">{system.serial_number}</Typography>
+                )}
+              </TableCell>
+              <TableCell>#{system.order.woo_order_id}</TableCell>
+              <TableCell>
+                {system.order.customer_name}
+                <Typography variant="caption" display="block">{system.order.customer_department}</Typography>
+              </TableCell>
+              <TableCell>{new Date(system.order.order_date).toLocaleDateString()}</TableCell>
+              <TableCell>P{system.order.priority}</TableCell>
+              {isManager && (
+                <TableCell align="right">
+                  <Button size="small" onClick={() => setChange({ system, action: 'move' })}>Move</Button>
+                  <Button size="small" onClick={() => setChange({ system, action: 'skip' })}>
+                    {system.skip_queue ? 'Unskip' : 'Skip queue'}
+                  </Button>
+                </TableCell>
+              )}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {queue.length === 0 && (
+        <Typography color="text.secondary" sx={{ mt: 2 }}>Nothing is waiting for imaging.</Typography>
+      )}
+
+      <QueueChangeDialog
+        change={change}
+        onCancel={() => setChange(null)}
+        onConfirm={handleConfirm}
+      />
+    </Box>
+  );
+};
+
+export default ImagingQueuePage;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Link as RouterLink, Navigate, useLocation, useNavigate, useSearchParams,
+} from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Divider,
+  Link,
+  Paper,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+import authService from '../services/authService';
+
+const LOCAL = 'local';
+
+// Errors a redirect (SAML) login sends back in ?error=
+const SSO_ERRORS = {
+  sso_failed: 'Single sign-on failed, please try again',
+};
+
+const LoginPage = () => {
+  const { user, login, loginWithProvider } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const [providers, setProviders] = useState([]);
+  const [method, setMethod] = useState(LOCAL);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(() => {
+    const ssoError = searchParams.get('error');
+    return ssoError ? SSO_ERRORS[ssoError] || ssoError : null;
+  });
+
+  useEffect(() => {
+    authService.getProviders()
+      .then(setProviders)
+      .catch((err) => console.error('Error loading sign-in providers:', err));
+  }, []);
+
+  // Back to the page that sent us here
+  const from = location.state?.from?.pathname || '/';
+
+  if (user) {
+    return <Navigate to={from} replace />;
+  }
+
+  const credentialProviders = providers.filter((provider) => provider.type === 'credentials');
+  const redirectProviders = providers.filter((provider) => provider.type === 'redirect');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (method === LOCAL) {
+        await login(username, password);
+      } else {
+        await loginWithProvider(method, username, password);
+      }
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not sign in');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box display="flex" justifyContent="center" alignItems="center" height="100vh">
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 4, width: 360 }}>
+        <Typography variant="h5" gutterBottom>Buildroom Workflow</Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {credentialProviders.length > 0 && (
+          <ToggleButtonGroup
+            value={method}
+            exclusive
+            onChange={(e, value) => value && setMethod(value)}
+            size="small"
+            fullWidth
+          >
+            <ToggleButton value={LOCAL}>Email</ToggleButton>
+            {credentialProviders.map((provider) => (
+              <ToggleButton key={provider.name} value={provider.name}>{provider.label}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        )}
+        <TextField
+          label={method === LOCAL ? 'Email' : 'Username'}
+          type={method === LOCAL ? 'email' : 'text'}
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          required
+          fullWidth
+          margin="normal"
+        />
+        <TextField
+          label="Password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+          fullWidth
+          margin="normal"
+        />
+        <Button type="submit" variant="contained" fullWidth disabled={submitting} sx={{ mt: 2 }}>
+          Sign in
+        </Button>
+        {method === LOCAL && (
+          <Box mt={2} textAlign="center">
+            <Link component={RouterLink} to="/reset-password" variant="body2">Forgot password?</Link>
+          </Box>
+        )}
+        {redirectProviders.length > 0 && (
+          <>
+            <Divider sx={{ my: 2 }}>or</Divider>
+            {redirectProviders.map((provider) => (
+              <Button
+                key={provider.name}
+                variant="outlined"
+                fullWidth
+                href={authService.providerLoginUrl(provider.name)}
+                sx={{ mb: 1 }}
+              >
+                Sign in with {provider.label}
+              </Button>
+            ))}
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default LoginPage;
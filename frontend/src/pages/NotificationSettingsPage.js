@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  CircularProgress,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+import notificationService from '../services/notificationService';
+
+// Which notifications the signed-in user gets in the app and by email
+const NotificationSettingsPage = () => {
+  const { user } = useAuth();
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    notificationService.getPreferences()
+      .then(setPreferences)
+      .catch((err) => console.error('Error loading notification preferences:', err));
+  }, []);
+
+  const updatePreference = async (type, channel, enabled) => {
+    setError(null);
+    try {
+      setPreferences(await notificationService.updatePreferences([{ type, [channel]: enabled }]));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save your notification settings');
+    }
+  };
+
+  if (!preferences) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box p={3}>
+      <Typography variant="h5" gutterBottom>Notification settings</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Emails go to {user.email}.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>}
+
+      <Table size="small" sx={{ maxWidth: 640 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Notify me when</TableCell>
+            <TableCell align="center">In app</TableCell>
+            <TableCell align="center">Email</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {preferences.map((preference) => (
+            <TableRow key={preference.type}>
+              <TableCell>{preference.label}</TableCell>
+              <TableCell align="center">
+                <Switch
+                  size="small"
+                  checked={preference.in_app}
+                  onChange={(e) => updatePreference(preference.type, 'in_app', e.target.checked)}
+                />
+              </TableCell>
+              <TableCell align="center">
+                <Switch
+                  size="small"
+                  checked={preference.email}
+                  onChange={(e) => updatePreference(preference.type, 'email', e.target.checked)}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export default NotificationSettingsPage;
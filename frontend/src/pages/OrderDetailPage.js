@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Box, CircularProgress, Typography } from '@mui/material';
+import OrderDetailsDialog from '../components/OrderDetailsDialog';
+import orderService from '../services/orderService';
+
+// Deep link to a single order; closing the dialog returns to the board
+const OrderDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setOrder(null);
+    setError(null);
+    orderService.getOrder(Number(id))
+      .then(setOrder)
+      .catch((err) => setError(err.response?.data?.error || 'Could not load the order'));
+  }, [id]);
+
+  if (error) {
+    return (
+      <Box p={4}>
+        <Typography color="error">{error}</Typography>
+      </Box>
+    );
+  }
+
+  if (!order) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <OrderDetailsDialog
+      order={order}
+      open
+      onClose={() => navigate('/')}
+      onOrderChange={setOrder}
+    />
+  );
+};
+
+export default OrderDetailPage;
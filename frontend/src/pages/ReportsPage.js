@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Divider,
+  Grid,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Download } from '@mui/icons-material';
+import ReportSchedules from '../components/ReportSchedules';
+import analyticsService from '../services/analyticsService';
+import reportService from '../services/reportService';
+import systemService from '../services/systemService';
+
+const ORDER_STATUSES = [
+  { value: 'ordered', label: 'Ordered' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'qa_review', label: 'QA Review' },
+  { value: 'ready_to_deliver', label: 'Ready to Deliver' },
+  { value: 'complete', label: 'Complete' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+const STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  complete: 'success',
+  failed: 'error',
+};
+
+// Queued exports are generated in the background; poll until they settle
+const POLL_INTERVAL_MS = 4000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateInput = (date) => date.toLocaleDateString('en-CA');
+const defaultRequest = () => ({
+  report_type: 'orders',
+  format: 'xlsx',
+  from: toDateInput(new Date(Date.now() - 29 * DAY_MS)),
+  to: toDateInput(new Date()),
+  status: '',
+  department: '',
+  system_type_id: '',
+});
+
+const formatSize = (bytes) => {
+  if (!bytes) return '—';
+  return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const isPending = (reportExport) => ['queued', 'running'].includes(reportExport.status);
+
+// One-off exports of the order list, completions and technician
+// productivity, plus the recurring reports emailed to stakeholders
+const ReportsPage = () => {
+  const [catalogue, setCatalogue] = useState(null);
+  const [request, setRequest] = useState(defaultRequest);
+  const [exports, setExports] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [systemTypes, setSystemTypes] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchExports = useCallback(() => reportService.getExports()
+    .then(setExports)
+    .catch((err) => console.error('Error loading exports:', err)), []);
+
+  useEffect(() => {
+    reportService.getTypes()
+      .then(setCatalogue)
+      .catch((err) => setError(err.response?.data?.error || 'Could not load reports'));
+    analyticsService.getDepartments()
+      .then(setDepartments)
+      .catch((err) => console.error('Error loading departments:', err));
+    systemService.getSystemTypes()
+      .then(setSystemTypes)
+      .catch((err) => console.error('Error loading system types:', err));
+    fetchExports();
+  }, [fetchExports]);
+
+  const pending = exports.some(isPending);
+  useEffect(() => {
+    if (!pending) return undefined;
+    const timer = setInterval(fetchExports, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pending, fetchExports]);
+
+  const setField = (field) => (e) => setRequest((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const { report_type: reportType, format, ...filters } = request;
+      const reportExport = await reportService.createExport({ report_type: reportType, format, filters });
+      if (reportExport.status === 'complete') {
+        await reportService.downloadExport(reportExport);
+      } else {
+        setMessage('This report is large, so it is being generated in the background. It will be listed below when ready.');
+      }
+      await fetchExports();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not export the report');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownload = async (reportExport) => {
+    setError(null);
+    try {
+      await reportService.downloadExport(reportExport);
+    } catch (err) {
+      setError(err.response?.status === 410 ? 'This export has expired' : 'Could not download the export');
+    }
+  };
+
+  const handleScheduleRun = () => {
+    setMessage('The scheduled report is being generated and will be emailed to its recipients.');
+    fetchExports();
+  };
+
+  if (!catalogue) {
+    return (
+      <Box p={3}>
+        {error ? <Alert severity="error">{error}</Alert> : <Typography>Loading...</Typography>}
+      </Box>
+    );
+  }
+
+  const selectedType = catalogue.types.find((type) => type.type === request.report_type);
+  const hasFilter = (filter) => selectedType?.filters.includes(filter);
+  const typeLabel = (type) => catalogue.types.find((t) => t.type === type)?.label || type;
+
+  return (
+    <Box p={3}>
+      <Typography variant="h5" gutterBottom>Reports</Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {message && <Alert severity="info" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Export</Typography>
+        {selectedType && (
+          <Typography variant="body2" color="text.secondary" gutterBottom>{selectedType.description}</Typography>
+        )}
+        <Box component="form" onSubmit={handleExport}>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={4}>
+              <TextField select label="Report" value={request.report_type} onChange={setField('report_type')} fullWidth size="small">
+                {catalogue.types.map((type) => (
+                  <MenuItem key={type.type} value={type.type}>{type.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={6} sm={2}>
+              <TextField select label="Format" value={request.format} onChange={setField('format')} fullWidth size="small">
+                {catalogue.formats.map((format) => (
+                  <MenuItem key={format} value={format}>{format.toUpperCase()}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                type="date"
+                label="From"
+                value={request.from}
+                onChange={setField('from')}
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ max: request.to }}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                type="date"
+                label="To"
+                value={request.to}
+                onChange={setField('to')}
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ min: request.from }}
+                fullWidth
+                size="small"
+              />
+            </Grid>
+            {hasFilter('status') && (
+              <Grid item xs={6} sm={4}>
+                <TextField select label="Status" value={request.status} onChange={setField('status')} fullWidth size="small">
+                  <MenuItem value="">All statuses</MenuItem>
+                  {ORDER_STATUSES.map((status) => (
+                    <MenuItem key={status.value} value={status.value}>{status.label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            {hasFilter('department') && (
+              <Grid item xs={6} sm={4}>
+                <TextField select label="Department" value={request.department} onChange={setField('department')} fullWidth size="small">
+                  <MenuItem value="">All departments</MenuItem>
+                  {departments.map((department) => (
+                    <MenuItem key={department} value={department}>{department}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            {hasFilter('system_type_id') && (
+              <Grid item xs={6} sm={4}>
+                <TextField
+                  select
+                  label="System type"
+                  value={request.system_type_id}
+                  onChange={setField('system_type_id')}
+                  fullWidth
+                  size="small"
+                >
+                  <MenuItem value="">All system types</MenuItem>
+                  {systemTypes.map((type) => (
+                    <MenuItem key={type.id} value={type.id}>{type.name}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+          </Grid>
+          <Button type="submit" variant="contained" sx={{ mt: 2 }} disabled={submitting}>
+            {submitting ? 'Exporting...' : 'Export'}
+          </Button>
+        </Box>
+      </Paper>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Recent exports</Typography>
+        {exports.length === 0 ? (
+          <Typography color="text.secondary">No exports yet</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Requested</TableCell>
+                <TableCell>Report</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Rows</TableCell>
+                <TableCell align="right">Size</TableCell>
+                <TableCell>Available until</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {exports.map((reportExport) => (
+                <TableRow key={reportExport.id}>
+                  <TableCell>{new Date(reportExport.created_at).toLocaleString()}</TableCell>
+                  <TableCell>
+                    {typeLabel(reportExport.report_type)} ({reportExport.format.toUpperCase()})
+                    {reportExport.schedule_id && (
+                      <Typography variant="caption" color="text.secondary" display="block">Scheduled</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={reportExport.status}
+                      color={STATUS_COLORS[reportExport.status]}
+                      title={reportExport.error || undefined}
+                    />
+                  </TableCell>
+                  <TableCell align="right">{reportExport.row_count ?? '—'}</TableCell>
+                  <TableCell align="right">{formatSize(reportExport.file_size)}</TableCell>
+                  <TableCell>
+                    {reportExport.expires_at ? new Date(reportExport.expires_at).toLocaleDateString() : '—'}
+                  </TableCell>
+                  <TableCell>
+                    {reportExport.status === 'complete' && (
+                      <Button size="small" startIcon={<Download />} onClick={() => handleDownload(reportExport)}>
+                        Download
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      <Divider sx={{ mb: 3 }} />
+
+      <ReportSchedules
+        catalogue={catalogue}
+        departments={departments}
+        systemTypes={systemTypes}
+        onRun={handleScheduleRun}
+      />
+    </Box>
+  );
+};
+
+export default ReportsPage;
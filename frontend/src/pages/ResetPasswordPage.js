@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Link,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import authService from '../services/authService';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Asks for the account email, then, from the emailed link (?token=...),
+// for the new password
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(null);
+
+  const mismatch = confirmPassword && password !== confirmPassword;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (token) {
+        await authService.confirmPasswordReset(token, password);
+      } else {
+        await authService.requestPasswordReset(email);
+      }
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderForm = () => (token ? (
+    <>
+      <TextField
+        label="New password"
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="new-password"
+        helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
+        inputProps={{ minLength: MIN_PASSWORD_LENGTH }}
+        required
+        fullWidth
+        margin="normal"
+      />
+      <TextField
+        label="Confirm new password"
+        type="password"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+        autoComplete="new-password"
+        error={!!mismatch}
+        helperText={mismatch ? 'Passwords do not match' : ' '}
+        required
+        fullWidth
+        margin="normal"
+      />
+      <Button type="submit" variant="contained" fullWidth disabled={submitting || !!mismatch} sx={{ mt: 2 }}>
+        Set password
+      </Button>
+    </>
+  ) : (
+    <>
+      <Typography variant="body2" color="text.secondary">
+        Enter your account email and we&apos;ll send you a link to choose a new password.
+      </Typography>
+      <TextField
+        label="Email"
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        autoComplete="username"
+        required
+        fullWidth
+        margin="normal"
+      />
+      <Button type="submit" variant="contained" fullWidth disabled={submitting} sx={{ mt: 2 }}>
+        Send reset link
+      </Button>
+    </>
+  ));
+
+  return (
+    <Box display="flex" justifyContent="center" alignItems="center" height="100vh">
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 4, width: 360 }}>
+        <Typography variant="h5" gutterBottom>Reset password</Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {done ? (
+          <Alert severity="success">
+            {token
+              ? 'Your password has been changed. Sign in with the new password.'
+              : 'If an account exists for that email, a reset link is on its way.'}
+          </Alert>
+        ) : renderForm()}
+        <Box mt={2} textAlign="center">
+          <Link component={RouterLink} to="/login" variant="body2">Back to sign in</Link>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ResetPasswordPage;
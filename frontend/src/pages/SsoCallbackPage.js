@@ -0,0 +1,53 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  CircularProgress,
+  Link,
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+
+// Landing page after a SAML login. The server puts the tokens in the URL
+// fragment, which is cleared from the address bar as soon as it's read.
+const SsoCallbackPage = () => {
+  const { completeSsoLogin } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // The fragment is gone after the first run, so only ever read it once
+    if (handled.current) return;
+    handled.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    window.history.replaceState(null, '', window.location.pathname);
+    const tokens = {
+      access_token: params.get('access_token'),
+      refresh_token: params.get('refresh_token'),
+    };
+    if (!tokens.access_token || !tokens.refresh_token) {
+      navigate('/login?error=sso_failed', { replace: true });
+      return;
+    }
+
+    completeSsoLogin(tokens)
+      .then(() => navigate('/', { replace: true }))
+      .catch((err) => setError(err.response?.data?.error || 'Could not complete single sign-on'));
+  }, [completeSsoLogin, navigate]);
+
+  return (
+    <Box display="flex" justifyContent="center" alignItems="center" height="100vh">
+      {error ? (
+        <Alert severity="error">
+          {error}. <Link component={RouterLink} to="/login">Back to sign in</Link>
+        </Alert>
+      ) : (
+        <CircularProgress />
+      )}
+    </Box>
+  );
+};
+
+export default SsoCallbackPage;
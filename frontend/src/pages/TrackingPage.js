@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Box,
+  CircularProgress,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Paper,
+  Step,
+  StepContent,
+  StepLabel,
+  Stepper,
+  Typography,
+} from '@mui/material';
+import trackingService from '../services/trackingService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : null);
+
+// "About 3 hours of setup left" style wording for the estimate
+const describeRemaining = (minutes) => {
+  if (minutes < 60) return `about ${Math.max(minutes, 1)} minutes`;
+  const hours = Math.round(minutes / 60);
+  return `about ${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+// Public, no sign-in: order progress for the customer behind a tracking link
+const TrackingPage = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    trackingService.getStatus(token)
+      .then(setStatus)
+      .catch((err) => setError(err.response?.data?.error || 'Could not load the order status'));
+  }, [token]);
+
+  const activeStep = status ? status.timeline.findIndex((step) => step.state === 'current') : -1;
+
+  return (
+    <Box display="flex" justifyContent="center" p={3}>
+      <Paper sx={{ p: 4, width: '100%', maxWidth: 560 }}>
+        {error && <Typography color="error">{error}</Typography>}
+
+        {!error && !status && (
+          <Box display="flex" justifyContent="center" p={4}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {status && (
+          <>
+            <Typography variant="h5">Order #{status.order_number}</Typography>
+            <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+              {status.status_label}
+            </Typography>
+
+            {status.estimate && (
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                Setup work left: {describeRemaining(status.estimate.remaining_minutes)}. Estimated
+                ready around {formatDate(status.estimate.ready_at)}.
+              </Typography>
+            )}
+
+            <Stepper
+              orientation="vertical"
+              activeStep={activeStep === -1 ? status.timeline.length : activeStep}
+            >
+              {status.timeline.map((step) => (
+                <Step key={step.status} completed={step.state === 'done'} expanded>
+                  <StepLabel error={step.status === 'cancelled'}>{step.label}</StepLabel>
+                  <StepContent>
+                    {step.reached_at && (
+                      <Typography variant="caption" color="text.secondary">
+                        {formatDate(step.reached_at)}
+                      </Typography>
+                    )}
+                  </StepContent>
+                </Step>
+              ))}
+            </Stepper>
+
+            <Divider sx={{ my: 2 }} />
+
+            <Typography variant="body2">
+              Ordered {formatDate(status.ordered_at)}
+              {status.delivery_method && ` · ${status.delivery_method === 'delivery' ? 'Delivery' : 'Shipping'}`}
+            </Typography>
+            {status.tracking_number && (
+              <Typography variant="body2">Tracking number: {status.tracking_number}</Typography>
+            )}
+
+            {status.systems.length > 0 && (
+              <List dense disablePadding sx={{ mt: 1 }}>
+                {status.systems.map((system, index) => (
+                  <ListItem key={`${index}-${system.name}`} disableGutters>
+                    <ListItemText primary={system.name} secondary={system.status} />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default TrackingPage;
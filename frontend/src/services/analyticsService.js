@@ -0,0 +1,33 @@
+import api from './api';
+
+// filters: { from, to, department, system_type_id } (empty values are dropped)
+const clean = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+);
+
+const analyticsService = {
+  getThroughput: async (filters, interval) => (
+    await api.get('/analytics/throughput', { params: clean({ ...filters, interval }) })
+  ).data,
+
+  getCycleTime: async (filters) => (await api.get('/analytics/cycle-time', { params: clean(filters) })).data,
+
+  getWip: async (filters) => (
+    await api.get('/analytics/wip', {
+      params: clean({ department: filters.department, system_type_id: filters.system_type_id }),
+    })
+  ).data,
+
+  getBottlenecks: async (filters) => (await api.get('/analytics/bottlenecks', { params: clean(filters) })).data,
+
+  getTechnicians: async ({ from, to }) => (
+    await api.get('/analytics/technicians', { params: clean({ from, to }) })
+  ).data,
+
+  getDepartments: async () => (await api.get('/analytics/departments')).data,
+
+  // Orders behind a data point: { metric, status, assigned_to } plus filters
+  getOrders: async (params) => (await api.get('/analytics/orders', { params: clean(params) })).data,
+};
+
+export default analyticsService;
@@ -0,0 +1,97 @@
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Requests that must not trigger a refresh when they come back 401: the
+// refresh itself and every login, local (/auth/login) or through a provider
+// (/auth/ldap/login)
+const AUTH_PATH = /^\/auth\/(refresh|([\w-]+\/)?login)([/?]|$)/;
+
+export const tokenStorage = {
+  getAccessToken: () => localStorage.getItem(ACCESS_TOKEN_KEY),
+  getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+  save: ({ access_token, refresh_token }) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, access_token);
+    if (refresh_token) localStorage.setItem(REFRESH_TOKEN_KEY, refresh_token);
+  },
+  clear: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  },
+};
+
+// Listeners are told about new tokens ({ access_token, user }) and about the
+// session ending (null) so the auth context can follow along
+const sessionListeners = new Set();
+
+export const onSessionChange = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const notifySession = (session) => {
+  sessionListeners.forEach((listener) => listener(session));
+};
+
+const api = axios.create({ baseURL: API_URL });
+
+api.interceptors.request.use((config) => {
+  const token = tokenStorage.getAccessToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// One refresh at a time; concurrent 401s wait for the same request
+let refreshing = null;
+
+export const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = tokenStorage.getRefreshToken();
+    refreshing = (refreshToken
+      ? api.post('/auth/refresh', { refresh_token: refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then(({ data }) => {
+        tokenStorage.save(data);
+        notifySession(data);
+        return data.access_token;
+      })
+      .catch((error) => {
+        tokenStorage.clear();
+        notifySession(null);
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Retry a request once with a fresh access token when it comes back 401
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    const isAuthRequest = AUTH_PATH.test(config?.url || '');
+    if (response?.status !== 401 || !config || config.retried || isAuthRequest) {
+      throw error;
+    }
+
+    const token = await refreshSession();
+    config.retried = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return api(config);
+  }
+);
+
+// If-Match header for writes that carry the version the user saw
+export const ifMatch = (version) => (
+  version === undefined || version === null ? {} : { headers: { 'If-Match': `"${version}"` } }
+);
+
+export default api;
@@ -0,0 +1,103 @@
+import api, { tokenStorage, onSessionChange, ifMatch } from './api';
+
+// Answers requests from a table of url -> [status, data] (or a function of the config)
+const respondWith = (routes) => {
+  api.defaults.adapter = jest.fn(async (config) => {
+    const route = routes[config.url];
+    const [status, data] = typeof route === 'function' ? route(config) : route;
+    const response = {
+      status, data, headers: {}, config, statusText: String(status),
+    };
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      Object.assign(error, { config, response, isAxiosError: true });
+      throw error;
+    }
+    return response;
+  });
+  return api.defaults.adapter;
+};
+
+const requestedUrls = (adapter) => adapter.mock.calls.map(([config]) => config.url);
+
+beforeEach(() => {
+  localStorage.clear();
+  tokenStorage.save({ access_token: 'old-access', refresh_token: 'old-refresh' });
+});
+
+describe('api', () => {
+  it('sends the access token with every request', async () => {
+    const adapter = respondWith({ '/orders': [200, []] });
+
+    await api.get('/orders');
+
+    expect(adapter.mock.calls[0][0].headers.Authorization).toBe('Bearer old-access');
+  });
+
+  it('refreshes an expired access token and retries the request once', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onSessionChange(listener);
+    const adapter = respondWith({
+      '/orders': (config) => (config.headers.Authorization === 'Bearer new-access' ? [200, ['order']] : [401, {}]),
+      '/auth/refresh': [200, { access_token: 'new-access', refresh_token: 'new-refresh' }],
+    });
+
+    const { data } = await api.get('/orders');
+    unsubscribe();
+
+    expect(data).toEqual(['order']);
+    expect(requestedUrls(adapter)).toEqual(['/orders', '/auth/refresh', '/orders']);
+    expect(tokenStorage.getRefreshToken()).toBe('new-refresh');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ access_token: 'new-access' }));
+  });
+
+  it('ends the session when the refresh token is rejected', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onSessionChange(listener);
+    respondWith({ '/orders': [401, {}], '/auth/refresh': [401, {}] });
+
+    await expect(api.get('/orders')).rejects.toMatchObject({ response: { status: 401 } });
+    unsubscribe();
+
+    expect(tokenStorage.getAccessToken()).toBeNull();
+    expect(listener).toHaveBeenCalledWith(null);
+  });
+
+  it('does not refresh when a login is rejected', async () => {
+    const adapter = respondWith({ '/auth/login': [401, { error: 'Invalid credentials' }] });
+
+    await expect(api.post('/auth/login', {})).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(requestedUrls(adapter)).toEqual(['/auth/login']);
+    expect(tokenStorage.getRefreshToken()).toBe('old-refresh');
+  });
+
+  it('does not refresh when a provider login is rejected', async () => {
+    const adapter = respondWith({ '/auth/ldap/login': [401, { error: 'Invalid username or password' }] });
+
+    await expect(api.post('/auth/ldap/login', {})).rejects.toMatchObject({
+      response: { status: 401, data: { error: 'Invalid username or password' } },
+    });
+
+    expect(requestedUrls(adapter)).toEqual(['/auth/ldap/login']);
+    expect(tokenStorage.getAccessToken()).toBe('old-access');
+  });
+
+  it('still refreshes for other auth requests such as /auth/me', async () => {
+    const adapter = respondWith({
+      '/auth/me': (config) => (config.headers.Authorization === 'Bearer new-access' ? [200, { id: 1 }] : [401, {}]),
+      '/auth/refresh': [200, { access_token: 'new-access', refresh_token: 'new-refresh' }],
+    });
+
+    await api.get('/auth/me');
+
+    expect(requestedUrls(adapter)).toEqual(['/auth/me', '/auth/refresh', '/auth/me']);
+  });
+});
+
+describe('ifMatch', () => {
+  it('quotes the version as an entity tag', () => {
+    expect(ifMatch(1700000000000)).toEqual({ headers: { 'If-Match': '"1700000000000"' } });
+    expect(ifMatch(undefined)).toEqual({});
+  });
+});
@@ -0,0 +1,15 @@
+import api from './api';
+
+const assetNamingService = {
+  getRules: async () => (await api.get('/asset-naming/rules')).data,
+
+  createRule: async (rule) => (await api.post('/asset-naming/rules', rule)).data,
+
+  updateRule: async (ruleId, changes) => (await api.patch(`/asset-naming/rules/${ruleId}`, changes)).data,
+
+  deleteRule: async (ruleId) => (await api.delete(`/asset-naming/rules/${ruleId}`)).data,
+
+  preview: async (params) => (await api.post('/asset-naming/preview', params)).data,
+};
+
+export default assetNamingService;
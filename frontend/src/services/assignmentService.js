@@ -0,0 +1,15 @@
+import api from './api';
+
+const assignmentService = {
+  getSettings: async () => (await api.get('/assignment/settings')).data,
+
+  updateSettings: async (changes) => (await api.put('/assignment/settings', changes)).data,
+
+  getTeam: async () => (await api.get('/assignment/team')).data,
+
+  updateMember: async (userId, changes) => (await api.patch(`/assignment/team/${userId}`, changes)).data,
+
+  getDecisions: async (params = {}) => (await api.get('/assignment/decisions', { params })).data,
+};
+
+export default assignmentService;
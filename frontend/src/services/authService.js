@@ -0,0 +1,40 @@
+import api, { tokenStorage } from './api';
+
+const authService = {
+  login: async (email, password) => {
+    const { data } = await api.post('/auth/login', { email, password });
+    tokenStorage.save(data);
+    return data.user;
+  },
+
+  // Enabled identity providers: credentials (e.g. LDAP) or redirect (SAML)
+  getProviders: async () => (await api.get('/auth/providers')).data,
+
+  providerLogin: async (provider, username, password) => {
+    const { data } = await api.post(`/auth/${provider}/login`, { username, password });
+    tokenStorage.save(data);
+    return data.user;
+  },
+
+  // Redirect providers start in the browser and come back to /sso/callback
+  providerLoginUrl: (provider) => `${api.defaults.baseURL}/auth/${provider}/login`,
+
+  // Revokes the refresh token server-side; local tokens go either way
+  logout: async () => {
+    try {
+      await api.post('/auth/logout', { refresh_token: tokenStorage.getRefreshToken() });
+    } finally {
+      tokenStorage.clear();
+    }
+  },
+
+  me: async () => (await api.get('/auth/me')).data,
+
+  requestPasswordReset: async (email) => (await api.post('/auth/password-reset', { email })).data,
+
+  confirmPasswordReset: async (token, password) => (
+    await api.post('/auth/password-reset/confirm', { token, password })
+  ).data,
+};
+
+export default authService;
@@ -0,0 +1,23 @@
+import api from './api';
+
+const checklistService = {
+  getSystemChecklists: async (systemId) => (await api.get(`/systems/${systemId}/checklists`)).data,
+
+  startSystemChecklist: async (systemId, templateId) => (
+    await api.post(`/systems/${systemId}/checklists`, templateId ? { template_id: templateId } : {})
+  ).data,
+
+  completeStep: async (checklistId, stepId, data = {}) => (
+    await api.put(`/checklists/${checklistId}/steps/${stepId}/completion`, data)
+  ).data,
+
+  reopenStep: async (checklistId, stepId, reason) => (
+    await api.post(`/checklists/${checklistId}/steps/${stepId}/reopen`, reason ? { reason } : {})
+  ).data,
+
+  signOffStep: async (checklistId, stepId) => (
+    await api.post(`/checklists/${checklistId}/steps/${stepId}/qa`)
+  ).data,
+};
+
+export default checklistService;
@@ -0,0 +1,21 @@
+import api from './api';
+
+const imagingQueueService = {
+  getQueue: async () => (await api.get('/imaging-queue')).data,
+
+  // Resolves to null when the queue is empty
+  claimNext: async () => {
+    const response = await api.post('/imaging-queue/next');
+    return response.status === 204 ? null : response.data;
+  },
+
+  moveSystem: async (systemId, position, reason) => (
+    await api.put(`/imaging-queue/${systemId}/position`, { position, reason })
+  ).data,
+
+  setSkipQueue: async (systemId, skipQueue, reason) => (
+    await api.put(`/imaging-queue/${systemId}/skip`, { skip_queue: skipQueue, reason })
+  ).data,
+};
+
+export default imagingQueueService;
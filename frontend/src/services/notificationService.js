@@ -0,0 +1,23 @@
+import api from './api';
+
+const notificationService = {
+  getNotifications: async (params = {}) => (await api.get('/notifications', { params })).data,
+
+  markRead: async (notificationId) => (await api.post(`/notifications/${notificationId}/read`)).data,
+
+  markAllRead: async () => (await api.post('/notifications/read-all')).data,
+
+  getPreferences: async () => (await api.get('/notifications/preferences')).data,
+
+  updatePreferences: async (preferences) => (await api.put('/notifications/preferences', { preferences })).data,
+
+  getTemplates: async () => (await api.get('/notifications/templates')).data,
+
+  updateTemplate: async (type, changes) => (await api.put(`/notifications/templates/${type}`, changes)).data,
+
+  resetTemplate: async (type) => (await api.delete(`/notifications/templates/${type}`)).data,
+
+  sendTestEmail: async (type) => (await api.post(`/notifications/templates/${type}/test`)).data,
+};
+
+export default notificationService;
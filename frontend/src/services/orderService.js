@@ -0,0 +1,33 @@
+import api, { ifMatch } from './api';
+
+const orderService = {
+  getOrders: async (params = {}) => (await api.get('/orders', { params })).data,
+
+  getOrder: async (orderId) => (await api.get(`/orders/${orderId}`)).data,
+
+  getOrderActivity: async (orderId, filters = {}) => (
+    await api.get(`/orders/${orderId}/activity`, { params: filters })
+  ).data,
+
+  // details carries what the transition's guards need: notes when moving
+  // backwards, a tracking number or delivery confirmation when completing
+  updateOrderStatus: async (orderId, status, version, details = {}) => (
+    await api.patch(`/orders/${orderId}/status`, { status, ...details }, ifMatch(version))
+  ).data,
+
+  updatePriority: async (orderId, priority, version) => (
+    await api.patch(`/orders/${orderId}/priority`, { priority }, ifMatch(version))
+  ).data,
+
+  assignOrder: async (orderId, userId, version) => (
+    await api.patch(`/orders/${orderId}/assign`, { user_id: userId }, ifMatch(version))
+  ).data,
+
+  getTrackingLink: async (orderId) => (await api.get(`/orders/${orderId}/tracking-link`)).data,
+
+  completeOrder: async (orderId, data, version) => (
+    await api.post(`/orders/${orderId}/complete`, data, ifMatch(version))
+  ).data,
+};
+
+export default orderService;
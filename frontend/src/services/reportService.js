@@ -0,0 +1,35 @@
+import api from './api';
+
+const reportService = {
+  getTypes: async () => (await api.get('/reports/types')).data,
+
+  createExport: async (request) => (await api.post('/reports/exports', request)).data,
+
+  getExports: async () => (await api.get('/reports/exports')).data,
+
+  // Saves the file through the browser; the download needs the auth header
+  // so it can't be a plain link
+  downloadExport: async (reportExport) => {
+    const response = await api.get(`/reports/exports/${reportExport.id}/download`, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = reportExport.file_name;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  getSchedules: async () => (await api.get('/reports/schedules')).data,
+
+  createSchedule: async (schedule) => (await api.post('/reports/schedules', schedule)).data,
+
+  updateSchedule: async (scheduleId, changes) => (
+    await api.patch(`/reports/schedules/${scheduleId}`, changes)
+  ).data,
+
+  deleteSchedule: async (scheduleId) => (await api.delete(`/reports/schedules/${scheduleId}`)).data,
+
+  runSchedule: async (scheduleId) => (await api.post(`/reports/schedules/${scheduleId}/run`)).data,
+};
+
+export default reportService;
@@ -0,0 +1,13 @@
+import api from './api';
+
+const slaService = {
+  getPolicies: async () => (await api.get('/sla/policies')).data,
+
+  createPolicy: async (policy) => (await api.post('/sla/policies', policy)).data,
+
+  updatePolicy: async (policyId, changes) => (await api.patch(`/sla/policies/${policyId}`, changes)).data,
+
+  deletePolicy: async (policyId) => (await api.delete(`/sla/policies/${policyId}`)).data,
+};
+
+export default slaService;
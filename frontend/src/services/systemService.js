@@ -0,0 +1,11 @@
+import api, { ifMatch } from './api';
+
+const systemService = {
+  getSystemTypes: async () => (await api.get('/systems/types')).data,
+
+  assignSerial: async (systemId, serialNumber, version) => (
+    await api.put(`/systems/${systemId}/serial`, { serial_number: serialNumber }, ifMatch(version))
+  ).data,
+};
+
+export default systemService;
@@ -0,0 +1,8 @@
+import api from './api';
+
+// Public order status; the token is the only credential
+const trackingService = {
+  getStatus: async (token) => (await api.get(`/tracking/${encodeURIComponent(token)}`)).data,
+};
+
+export default trackingService;
@@ -0,0 +1,7 @@
+import api from './api';
+
+const userService = {
+  getUsers: async (params = {}) => (await api.get('/users', { params })).data,
+};
+
+export default userService;